@@ -232,6 +232,21 @@ class CrewDetailsSection extends Component {
 		return this._playerByFilename[filename]?.health ?? null;
 	}
 
+	getAvatarStatus(filename) {
+		const player = this._playerByFilename[filename];
+		if (!player) return null;
+		return {
+			health: player.health,
+			morale: player.morale,
+			dead: CrewCharacterState.isDead(player),
+			mush: Boolean(player.mush),
+			suspectedTraitor: (player.mushAbilities || []).includes(AbilityData.TRAITOR),
+			spore: player.spore || 0,
+			inactive: Boolean(player.inactive),
+			grandInactive: Boolean(player.grandInactive)
+		};
+	}
+
 	importAvatarAbilities(filename, abilities) {
 		const player = this._playerByFilename[filename];
 		const card = this._cardByFilename[filename];
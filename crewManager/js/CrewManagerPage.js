@@ -257,6 +257,10 @@ class CrewManagerPage extends Component {
 		return this._detailsSection?.getAvatarHealth?.(filename) ?? null;
 	}
 
+	getAvatarStatus(filename) {
+		return this._detailsSection?.getAvatarStatus?.(filename) ?? null;
+	}
+
 	importAvatarAbilities(filename, abilities) {
 		this._detailsSection?.importAvatarAbilities?.(filename, abilities);
 	}
@@ -69,6 +69,10 @@ class CrewManagerApp {
 		return this._page?.getAvatarHealth?.(filename) ?? null;
 	}
 
+	getAvatarStatus(filename) {
+		return this._page?.getAvatarStatus?.(filename) ?? null;
+	}
+
 	importAvatarAbilities(filename, abilities) {
 		this._page?.importAvatarAbilities?.(filename, abilities);
 		const panel = this._panel.element;
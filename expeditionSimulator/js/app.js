@@ -25,19 +25,37 @@ class ExpeditionSimulatorApp {
 		this._exampleWorlds = null;
 		this._tabContainer = null;
 		this._planetaryReview = null;
+		this._planetGenerator = null;
+		this._planetLibrary = null;
+		this._planetComparison = null;
 		this._currentPlanetName = null;
 		this._currentDirection = 'North';
 		this._currentFuelCost = 0;
+		this._exploredOverride = null;
 		this._lastReviewData = null;
 		this._playerSection = null;
 		this._probabilityDisplay = null;
+		this._scanUncertainty = null;
+		this._missionGoals = null;
 		this._resultsDisplay = null;
+		this._crewRecommender = null;
+		this._loadoutOptimizer = null;
+		this._marginalValueReport = null;
 		this._chatDetector = null;
 
 		// Web Worker for background calculation
 		this._worker = null;
 		this._requestId = 0;
+		this._optimizeRequestId = 0;
+		this._recommendRequestId = 0;
+		this._marginalRequestId = 0;
+		this._compareRequestId = 0;
+		this._comparedPlanets = null;
+		this._scanRequestId = 0;
+		this._scanInFlight = false;
+		this._scanPending = false;
 		this._baseURL = '';
+		this._calculationEngine = 'convolution';
 
 		this._init();
 	}
@@ -53,12 +71,12 @@ class ExpeditionSimulatorApp {
 
 		// Start watching chat for expedition messages
 		this._chatDetector = new ChatObserver({
-			onImport: (sectors, planetName, nav) => this._onImportSectors(sectors, planetName, nav)
+			onImport: (sectors, planetName, nav) => this._onImportSectors(sectors, planetName, nav, 'chat')
 		});
 		this._chatDetector.start();
 
 		this._planetCardInjector = new PlanetCardInjector({
-			onImport: (sectors, planetName, nav) => this._onImportSectors(sectors, planetName, nav)
+			onImport: (sectors, planetName, nav) => this._onImportSectors(sectors, planetName, nav, 'card')
 		});
 		this._planetCardInjector.start();
 
@@ -114,11 +132,12 @@ class ExpeditionSimulatorApp {
 			this._exampleWorlds.element.style.display = e.detail.devtools ? '' : 'none';
 		});
 
-		// Tabs: Planetary Review (future) and Expedition Simulation
+		// Tabs: Planetary Review (future), Expedition Simulation and Marginal Value
 		this._tabContainer = new TabContainer({
 			tabs: [
 				{ id: 'planetary-review', label: I18n.t('tab.planetary_review'), i18nKey: 'tab.planetary_review' },
-				{ id: 'expedition-sim', label: I18n.t('tab.expedition_sim'), i18nKey: 'tab.expedition_sim' }
+				{ id: 'expedition-sim', label: I18n.t('tab.expedition_sim'), i18nKey: 'tab.expedition_sim' },
+				{ id: 'marginal-value', label: I18n.t('tab.marginal_value'), i18nKey: 'tab.marginal_value' }
 			],
 			activeTab: 'planetary-review'
 		});
@@ -126,6 +145,7 @@ class ExpeditionSimulatorApp {
 
 		const reviewPanel = this._tabContainer.getTabPanel('planetary-review');
 		const simPanel = this._tabContainer.getTabPanel('expedition-sim');
+		const marginalPanel = this._tabContainer.getTabPanel('marginal-value');
 
 		// Planetary Review tab
 		this._planetaryReview = new PlanetaryReview({
@@ -142,8 +162,29 @@ class ExpeditionSimulatorApp {
 				this._saveExpedition();
 				this._updatePlanetaryReview();
 			},
+			onProfileChange: (id) => Settings.setActiveScoringProfile(id),
 		});
 		this._planetaryReview.mount(reviewPanel);
+		this._planetaryReview.setScoringProfiles(Settings.scoringProfiles, Settings.activeScoringProfileId);
+		document.addEventListener('settings:scoring-profiles-change', (e) => {
+			this._planetaryReview.setScoringProfiles(e.detail.profiles, e.detail.activeId);
+			this._updatePlanetaryReview();
+			this._planetLibrary?.refresh();
+		});
+
+		this._planetGenerator = new PlanetGeneratorPanel({
+			onGenerate: (sectors) => this._setPlanet(sectors, null, null)
+		});
+		this._planetGenerator.mount(reviewPanel);
+
+		this._planetLibrary = new PlanetLibraryPanel({
+			onLoad: (entry) => this._onLoadLibraryPlanet(entry),
+			onCompare: (entries) => this._onComparePlanets(entries)
+		});
+		this._planetLibrary.mount(reviewPanel);
+
+		this._planetComparison = new PlanetComparison();
+		this._planetComparison.mount(reviewPanel);
 
 		// Expedition Simulation tab: existing components
 		this._playerSection = new PlayerSection({
@@ -152,16 +193,63 @@ class ExpeditionSimulatorApp {
 			onAddPlayer: () => this._onAddPlayer(),
 			onModeToggle: (mode) => { this._saveExpedition(); this._updateDisplays(); },
 			onAntigravToggle: (active) => this._state.setAntigravActive(active),
-			onBaseToggle: (active) => this._state.setCentauriActive(active)
+			onBaseToggle: (active) => this._state.setCentauriActive(active),
+			onExploredSectorsClick: () => this._onExploredSectorsClick()
 		});
 		this._playerSection.mount(simPanel);
 
-		this._probabilityDisplay = new ProbabilityDisplay();
+		this._engineSelector = new EngineSelector({
+			engine: this._calculationEngine,
+			onEngineSelect: (engine) => this.setCalculationEngine(engine)
+		});
+		this._engineSelector.mount(simPanel);
+		this._engineSelector.element.style.display = Settings.devtools ? '' : 'none';
+		document.addEventListener('settings:devtools-change', (e) => {
+			this._engineSelector.element.style.display = e.detail.devtools ? '' : 'none';
+			// The selector is gone: back to the default engine
+			if (!e.detail.devtools && this._calculationEngine !== 'convolution') {
+				this.setCalculationEngine('convolution');
+			}
+		});
+
+		this._probabilityDisplay = new ProbabilityDisplay({
+			onRescuePreset: (lostCount) => this._onRescuePreset(lostCount)
+		});
 		this._probabilityDisplay.mount(simPanel);
 
+		this._scanUncertainty = new ScanUncertaintyPanel();
+		this._scanUncertainty.mount(simPanel);
+
+		this._missionGoals = new MissionGoals();
+		this._missionGoals.mount(simPanel);
+
+		this._oxygenBudget = new OxygenBudgetPanel();
+		this._oxygenBudget.mount(simPanel);
+
 		this._resultsDisplay = new ResultsDisplay();
 		this._resultsDisplay.mount(simPanel);
 
+		this._crewRecommender = new CrewRecommenderPanel({
+			getResourceURL: getResourceURL,
+			onRecommend: () => this._onRecommendCrew(),
+			onApply: (players) => this._onApplyCrew(players)
+		});
+		this._crewRecommender.mount(simPanel);
+
+		this._loadoutOptimizer = new LoadoutOptimizerPanel({
+			getResourceURL: getResourceURL,
+			onOptimize: (request) => this._onOptimizeLoadouts(request),
+			onApply: (items) => this._onApplyLoadout(items)
+		});
+		this._loadoutOptimizer.mount(simPanel);
+
+		// Marginal Value tab
+		this._marginalValueReport = new MarginalValueReport({
+			getResourceURL: getResourceURL,
+			onAnalyze: () => this._onAnalyzeMarginalValue()
+		});
+		this._marginalValueReport.mount(marginalPanel);
+
 		this._selectedSectorsComponent.update(this._state.getSectors());
 		
 		// Render initial players from state
@@ -181,6 +269,7 @@ class ExpeditionSimulatorApp {
 			this._planetaryReview?.setDiplomacyActive?.(true);
 		}
 		if (opts.mode === 'patrol') this._playerSection?.setMode('patrol');
+		this._exploredOverride = opts.exploredOverride;
 		if (opts.antigrav) this._playerSection?.setAntigravActive(true);
 		if (opts.base) this._playerSection?.setBaseActive(true);
 		if (planet.name) this._currentPlanetName = planet.name;
@@ -202,7 +291,8 @@ class ExpeditionSimulatorApp {
 				diplomacy: document.body.classList.contains('diplomacy-active'),
 				antigrav:  this._state.isAntigravActive(),
 				base:      this._state.isCentauriActive(),
-				mode:      this._playerSection?._currentMode || 'icarus'
+				mode:      this._playerSection?.getMode?.() || 'icarus',
+				exploredOverride: this._exploredOverride ?? null
 			}
 		});
 	}
@@ -316,19 +406,180 @@ class ExpeditionSimulatorApp {
 	}
 
 	/**
-	 * Imports sectors parsed from a chat message, replacing the current planet
+	 * Replaces the planet with the follow-up rescue expedition for lost crew
+	 * @param {number} lostCount - Number of LOST sectors to place
+	 * @private
+	 */
+	_onRescuePreset(lostCount) {
+		this._state.setSectors(RescueService.buildRescueSectors(lostCount));
+		this._selectedSectorsComponent.update(this._state.getSectors());
+		this._currentPlanetName = null;
+	}
+
+	/**
+	 * Runs CrewRecommender on the current planet with the Crew Manager's available crew,
+	 * in the worker when available.
+	 * @private
+	 */
+	_onRecommendCrew() {
+		const candidates = CrewRecommender.getAvailableCandidates(this._state.getCrewCandidates());
+		const params = { ...this._buildCalculationParams(), candidates };
+
+		this._recommendRequestId++;
+		const requestId = this._recommendRequestId;
+		this._crewRecommender.showLoading();
+
+		if (!this._worker) {
+			this._crewRecommender.showResults(CrewRecommender.recommend(params));
+			return;
+		}
+
+		this._worker.postMessage({ type: 'recommend', requestId, baseURL: this._baseURL, ...params });
+	}
+
+	/**
+	 * Replaces the team and its player cards with a recommended crew.
+	 * @param {Array<Object>} players - Players without ids, from CrewRecommender
+	 * @private
+	 */
+	_onApplyCrew(players) {
+		for (const player of this._state.getPlayers()) {
+			this._playerSection.removePlayerCard(player.id);
+		}
+		for (const player of this._state.setPlayersFromCrew(players)) {
+			this._playerSection.addPlayerCard(this._createPlayerCard(player));
+		}
+	}
+
+	/**
+	 * Runs LoadoutOptimizer on the current planet and crew, in the worker when available.
+	 * @param {{ itemCounts: Object, goal: string }} request
+	 * @private
+	 */
+	_onOptimizeLoadouts({ itemCounts, goal }) {
+		const params = { ...this._buildCalculationParams(), itemCounts, goal };
+
+		this._optimizeRequestId++;
+		const requestId = this._optimizeRequestId;
+		this._loadoutOptimizer.showLoading();
+
+		if (!this._worker) {
+			this._loadoutOptimizer.showResults(LoadoutOptimizer.optimize(params), this._state.getPlayers());
+			return;
+		}
+
+		this._worker.postMessage({ type: 'optimize', requestId, baseURL: this._baseURL, ...params });
+	}
+
+	/**
+	 * Runs MarginalValueAnalyzer on the current planet and crew in the worker
+	 * (synchronously only when no worker could be started).
+	 * @private
+	 */
+	_onAnalyzeMarginalValue() {
+		const params = this._buildCalculationParams();
+
+		this._marginalRequestId++;
+		const requestId = this._marginalRequestId;
+		this._marginalValueReport.showLoading();
+
+		if (!this._worker) {
+			this._marginalValueReport.showResults(MarginalValueAnalyzer.analyze(params), params.allPlayers);
+			return;
+		}
+
+		this._worker.postMessage({ type: 'marginal', requestId, baseURL: this._baseURL, ...params });
+	}
+
+	/**
+	 * Runs PlanetComparator on library planets with the current crew, in the worker
+	 * when available (the worker only simulates; scoring needs I18n, so build() runs here).
+	 * @param {Array<Object>} entries - PlanetLibrary entries
+	 * @private
+	 */
+	_onComparePlanets(entries) {
+		const params = { ...this._buildCalculationParams(), planets: entries };
+
+		this._compareRequestId++;
+		const requestId = this._compareRequestId;
+		this._comparedPlanets = entries;
+		this._planetComparison.showLoading();
+
+		if (!this._worker) {
+			this._planetComparison.showResults(PlanetComparator.compare({ ...params, profile: Settings.activeScoringProfile }));
+			return;
+		}
+
+		this._worker.postMessage({ type: 'compare', requestId, baseURL: this._baseURL, ...params });
+	}
+
+	/**
+	 * Puts an optimized loadout on the player cards (players matched by position).
+	 * @param {Array<Array<string|null>>} items - Slot arrays, one per player
+	 * @private
+	 */
+	_onApplyLoadout(items) {
+		this._state.getPlayers().forEach((player, playerIndex) => {
+			const slots = items[playerIndex];
+			if (!slots) return;
+			const card = this._playerSection.getPlayerCard(player.id);
+			slots.forEach((item, slotIndex) => {
+				this._state.setPlayerItem(player.id, slotIndex, item);
+				card?.updateItem(slotIndex, item);
+			});
+		});
+	}
+
+	/**
+	 * Replaces the current planet (sectors, name and navigation)
 	 * @param {string[]} sectorIds - Array of sector IDs (LANDING is always included automatically)
 	 * @param {string|null} planetName
 	 * @param {{ direction: string, fuel: number }|null} nav
 	 * @private
 	 */
-	_onImportSectors(sectorIds, planetName = null, nav = null) {
-		if (sectorIds.length === 0) return;
+	_setPlanet(sectorIds, planetName, nav) {
 		this._currentPlanetName = planetName || null;
 		this._currentDirection = nav?.direction ?? 'North';
 		this._currentFuelCost = nav?.fuel ?? 0;
 		this._planetaryReview?.updateNav?.(this._currentDirection, this._currentFuelCost);
 
+		const filtered = sectorIds.filter(s => s !== 'LANDING');
+		this._state.setSectors(['LANDING', ...filtered]);
+		this._selectedSectorsComponent.update(this._state.getSectors());
+	}
+
+	/**
+	 * Loads a planet kept in the planet library
+	 * @param {Object} entry - PlanetLibrary entry
+	 * @private
+	 */
+	_onLoadLibraryPlanet(entry) {
+		this._setPlanet(entry.sectors, entry.name, { direction: entry.direction, fuel: entry.fuelCost });
+	}
+
+	/**
+	 * Imports sectors parsed from a chat message or a planet card, replacing the
+	 * current planet and keeping it in the planet library
+	 * @param {string[]} sectorIds - Array of sector IDs (LANDING is always included automatically)
+	 * @param {string|null} planetName
+	 * @param {{ direction: string, fuel: number }|null} nav
+	 * @param {string} [source] - 'chat' or 'card'
+	 * @private
+	 */
+	_onImportSectors(sectorIds, planetName = null, nav = null, source = 'chat') {
+		if (sectorIds.length === 0) return;
+		this._setPlanet(sectorIds, planetName, nav);
+
+		const sectors = this._state.getSectors();
+		PlanetLibrary.add({
+			name: this._currentPlanetName,
+			sectors,
+			direction: this._currentDirection,
+			fuelCost: this._currentFuelCost,
+			source
+		});
+		this._planetLibrary?.refresh();
+
 		// Open the panel temporarily
 		const panel = this._panel.element;
 		const wasAlreadyOpen = panel.getBoundingClientRect().left >= 0;
@@ -338,10 +589,6 @@ class ExpeditionSimulatorApp {
 		document.querySelectorAll('.app-panel').forEach(p => p.classList.remove('panel-on-top'));
 		panel.classList.add('panel-on-top');
 
-		const filtered = sectorIds.filter(s => s !== 'LANDING');
-		this._state.setSectors(['LANDING', ...filtered]);
-		this._selectedSectorsComponent.update(this._state.getSectors());
-
 		// Run scroll + highlight animation after the panel is fully open.
 		const runAnimation = () => {
 			const grid = this._selectedSectorsComponent.element?.querySelector('.selected-grid');
@@ -414,7 +661,8 @@ class ExpeditionSimulatorApp {
 		const player = this._state.getPlayer(playerId);
 		if (!player) return;
 
-		const items = AbilityData.getSelectionItems(getResourceURL);
+		const abilities = AbilityData.getPlayerAbilities(this._state.getCrewStatus(player.avatar));
+		const items = AbilityData.getSelectionItems(getResourceURL, abilities);
 		items.unshift({ id: null, image: '', label: 'Clear' });
 
 		new SelectionModal({
@@ -490,26 +738,47 @@ class ExpeditionSimulatorApp {
 	}
 
 	_updateExploredSectors() {
-		// Base sectors: 9 for icarus, 3 for patrol
+		const isOverride = this._exploredOverride != null;
+		const sectors = isOverride ? this._exploredOverride : this._getDerivedExploredSectors();
+		this._playerSection?.setExploredSectors?.(sectors, isOverride);
+	}
+
+	/**
+	 * Explored count from the loadout, as ExpeditionRunner derives it:
+	 * ship movement + Sprint of every player who can go down.
+	 * @returns {number}
+	 * @private
+	 */
+	_getDerivedExploredSectors() {
 		const mode = this._playerSection?.getMode?.() || 'icarus';
-		let sectors = mode === 'icarus' ? 9 : 3;
+		const participatingPlayers = ExpeditionModeService.getExplorers(this._state.getPlayers(), this._state.getSectors(), mode);
+		return MovementService.getExploredCount(participatingPlayers, mode);
+	}
 
-		// +1 for each player with the Sprint ability
-		const allPlayers = this._state.getPlayers();
-		for (const player of allPlayers) {
-			if (player.abilities && player.abilities.includes('sprint.png')) {
-				sectors += 1;
-			}
-		}
+	/**
+	 * Prompts for a manual explored count. An empty answer drops the override.
+	 * @private
+	 */
+	_onExploredSectorsClick() {
+		const current = this._exploredOverride ?? this._getDerivedExploredSectors();
+		const input = prompt('', current.toString());
+		if (input === null) return;
 
-		this._playerSection?.setExploredSectors?.(sectors);
+		if (input.trim() === '') {
+			this._exploredOverride = null;
+		} else {
+			const value = parseInt(input, 10);
+			if (isNaN(value) || value < 1) return;
+			this._exploredOverride = value;
+		}
+		this._scheduleUpdate();
 	}
 
 	_updateFightingPower() {
 		// Only count fighting power from players who can participate
 		const sectors = this._state.getSectors();
 		const allPlayers = this._state.getPlayers();
-		const participatingPlayers = OxygenService.getParticipatingPlayers(allPlayers, sectors);
+		const participatingPlayers = ExpeditionModeService.getExplorers(allPlayers, sectors, this._playerSection?.getMode?.() || 'icarus');
 		
 		const power = FightingPowerService.calculateTotalFightingPower(
 			participatingPlayers,
@@ -522,13 +791,29 @@ class ExpeditionSimulatorApp {
 		if (!this._planetaryReview) return;
 		const sectors = this._state.getSectors();
 		const diplomacy = this._sectorGrid?.isDiplomacyActive?.() || false;
-		const reviewData = PlanetReviewScorer.score(sectors, {
+		const profile = Settings.activeScoringProfile;
+		const scoreOptions = {
 			diplomacy,
 			fuelCost: this._currentFuelCost,
 			fightResourceBonus: this._lastFightResourceBonus || null,
-		});
-		this._lastReviewData = reviewData;
-		this._planetaryReview.update(this._currentPlanetName || null, reviewData);
+			profile,
+		};
+		const reviewData = PlanetReviewScorer.score(sectors, { ...scoreOptions, explain: true });
+
+		// UNKNOWN sectors: expected stars over their possible contents, with bands
+		const planetReviewData = ScanUncertainty.applyToReview(reviewData, ScanUncertainty.review(sectors, scoreOptions));
+		this._lastReviewData = planetReviewData;
+
+		// "For this team": same axes from the last calculation with the current players
+		const teamReviewData = this._state.getPlayers().length > 0
+			? PlanetReviewScorer.scoreTeam(this._lastResults, {
+				booleans: reviewData.booleans,
+				fuelCost: this._currentFuelCost,
+				profile,
+			})
+			: null;
+		this._planetaryReview.update(this._currentPlanetName || null, planetReviewData, teamReviewData);
+		this._planetaryReview.updatePercentiles(PlanetRanking.rank(sectors, { ...scoreOptions, review: planetReviewData }));
 	}
 
 	_onExportPlanetToClipboard() {
@@ -536,177 +821,66 @@ class ExpeditionSimulatorApp {
 		const sectors = this._state.getSectors();
 		const axes = this._lastReviewData?.axes || [];
 		const overall = this._lastReviewData?.overall ?? null;
+		const overallBand = this._lastReviewData?.overallBand || null;
 		const diplomacy = this._sectorGrid?.isDiplomacyActive?.() || false;
 		const nav = { direction: this._currentDirection, fuel: this._currentFuelCost };
-		return Clipboard.copyPlanetSummary(name, sectors, axes, overall, diplomacy, nav, this._lastPlanetResources || null);
+		return Clipboard.copyPlanetSummary(
+			name, sectors, axes, overall, diplomacy, nav, this._lastPlanetResources || null, overallBand
+		);
 	}
 
 	/**
-	 * Calculates all expedition results from a single source.
-	 * This is the ONLY place where calculation happens.
+	 * Calculates all expedition results synchronously (fallback when no worker is available).
+	 * Same entry point as the worker: ExpeditionRunner.run().
 	 * @returns {Object|null} Complete calculation results or null if no sectors
 	 * @private
 	 */
 	_calculateExpeditionResults() {
-		const sectors = this._state.getSectors();
-		if (sectors.length === 0) {
-			return null;
-		}
-
-		const allPlayers = this._state.getPlayers();
-		
-		// Filter to only players who can participate (have oxygen access)
-		const participatingPlayers = OxygenService.getParticipatingPlayers(allPlayers, sectors);
-		
-		const loadout = LoadoutBuilder.build(participatingPlayers, {
-			antigravActive: this._state.isAntigravActive()
-		});
-
-		// Get explored sector count (movement speed)
-		const exploredCount = this._playerSection?.getExploredSectors?.() || 9;
-
-		// Build sector counts map (excluding special sectors like LANDING)
-		const sectorCounts = {};
-		const alwaysInclude = [];
-		for (const sector of sectors) {
-			if (SectorData.isSpecialSector(sector)) {
-				// LANDING is always visited for free, LOST appears based on oxygen
-				alwaysInclude.push(sector);
-			} else {
-				sectorCounts[sector] = (sectorCounts[sector] || 0) + 1;
-			}
-		}
-
-		// Calculate total explorable sectors (excluding special sectors)
-		const totalExplorableSectors = Object.values(sectorCounts).reduce((a, b) => a + b, 0);
-
-		// Use sampling if movement speed < total explorable sectors
-		let results;
-		if (exploredCount < totalExplorableSectors) {
-			// console.log(`[SectorSampling] Using sampling: ${exploredCount} explored / ${totalExplorableSectors} total`);
-			results = ExpeditionPipeline.calculateWithSampling(
-				sectorCounts,
-				exploredCount,
-				loadout,
-				participatingPlayers,
-				{ alwaysInclude }
-			);
-		} else {
-			// Standard calculation - visit all sectors
-			results = ExpeditionPipeline.calculate(sectors, loadout, participatingPlayers);
-		}
-
-		// Add player health calculations to the results (only for participating players)
-		if (participatingPlayers.length > 0 && results) {
-			// Use DamageSpreader to properly distribute damage instances to players
-			// Each instance knows its type (FIGHT, TIRED, ACCIDENT, DISASTER) and distribution rules
-			const fightInstances = results.combat?.damageInstances || {};
-			const eventInstances = results.eventDamage?.damageInstances || {};
-
-			const damageByScenario = DamageSpreader.distributeAllScenarios(
-				fightInstances, eventInstances, participatingPlayers
-			);
-
-			// Apply Survival reduction per-instance (-1 per damage instance, min 0)
-			const scenarios = Constants.SCENARIO_KEYS;
-			const finalHealth = {};
-			const effectsByScenario = {};
-
-			for (const scenario of scenarios) {
-				const scenarioResult = damageByScenario[scenario];
-				
-				// Start with effects from damage distribution (e.g., rope immunity)
-				const playerEffects = scenarioResult.appliedEffects.map(arr => [...arr]);
-				
-				// Reduction steps: each applies a reduction and tracks it as an effect
-				const reductionSteps = [
-					{
-						apply: (players, breakdown) => DamageSpreader.applySurvivalReduction(players, breakdown),
-						hasEffect: player => player.abilities?.some(a => a && filenameToId(a) === 'SURVIVAL'),
-						effectType: 'SURVIVAL'
-					},
-					{
-						apply: (players, breakdown) => DamageSpreader.applyArmorReduction(players, breakdown),
-						hasEffect: player => player.items?.some(item => item && filenameToId(item) === 'PLASTENITE_ARMOR'),
-						effectType: 'PLASTENITE_ARMOR'
-					}
-				];
-
-				let modifiedBreakdown = scenarioResult.breakdown;
-				for (const step of reductionSteps) {
-					const beforeBreakdown = modifiedBreakdown;
-					modifiedBreakdown = step.apply(participatingPlayers, beforeBreakdown);
-					
-					// Track reductions as effects (compare before/after)
-					for (let i = 0; i < participatingPlayers.length; i++) {
-						if (step.hasEffect(participatingPlayers[i])) {
-							const beforeDamage = beforeBreakdown[i]?.reduce((sum, inst) => sum + inst.damage, 0) || 0;
-							const afterDamage = modifiedBreakdown[i]?.reduce((sum, inst) => sum + inst.damage, 0) || 0;
-							const damageReduced = beforeDamage - afterDamage;
-							if (damageReduced > 0) {
-								playerEffects[i].push({ type: step.effectType, reductions: damageReduced });
-							}
-						}
-					}
-				}
-
-				// Calculate per-player total damage after all reductions
-				const damagePerPlayer = modifiedBreakdown.map(breakdown =>
-					breakdown.reduce((sum, inst) => sum + inst.damage, 0)
-				);
-
-				// Calculate final health
-				finalHealth[scenario] = DamageSpreader.calculateFinalHealth(
-					participatingPlayers, damagePerPlayer
-				);
-				effectsByScenario[scenario] = playerEffects;
-			}
-
-			results.healthByScenario = finalHealth;
-			results.effectsByScenario = effectsByScenario;
-		}
-		
-		// Store participation info for rendering
-		results.participationStatus = OxygenService.getParticipationStatus(allPlayers, sectors);
-
-		// Planet-level resources: always computed over all sectors regardless of exploredCount,
-		// so the star-rating quartile indicator is independent of team movement speed.
-		// Diplomacy toggle is honoured here (removes FIGHT events → boosts resource probabilities)
-		// but is NOT applied to the main expedition results above.
-		const diplomacy = this._sectorGrid?.isDiplomacyActive?.() || false;
-		const planetLoadout = (diplomacy && !loadout.abilities.includes('DIPLOMACY'))
-			? { ...loadout, abilities: [...loadout.abilities, 'DIPLOMACY'] }
-			: loadout;
-		if (exploredCount < totalExplorableSectors) {
-			const fullSectors = [];
-			for (const [type, count] of Object.entries(sectorCounts)) {
-				for (let i = 0; i < count; i++) fullSectors.push(type);
-			}
-			for (const s of alwaysInclude) fullSectors.push(s);
-			results.planetResources = ResourceCalculator.calculate(fullSectors, planetLoadout, participatingPlayers);
-			results.fightResourceBonus = ResourceCalculator.computeFightResourceBonus(fullSectors, planetLoadout, participatingPlayers);
-		} else {
-			results.planetResources = ResourceCalculator.calculate(sectors, planetLoadout, participatingPlayers);
-			results.fightResourceBonus = ResourceCalculator.computeFightResourceBonus(sectors, planetLoadout, participatingPlayers);
-		}
+		return ExpeditionRunner.run({ ...this._buildCalculationParams(), withHealthDistribution: true });
+	}
 
-		return results;
+	/**
+	 * Builds the ExpeditionRunner.run() parameters from the current state.
+	 * Shared by the worker request, the synchronous fallback and the headless
+	 * services; only the main calculation adds withHealthDistribution (HP
+	 * distributions, death odds, spores and mission goal outcomes).
+	 * @returns {Object}
+	 * @private
+	 */
+	_buildCalculationParams() {
+		return {
+			sectors: this._state.getSectors(),
+			allPlayers: this._state.getPlayers(),
+			antigravActive: this._state.isAntigravActive(),
+			mode: this._playerSection?.getMode?.() || 'icarus',
+			exploredCount: this._exploredOverride ?? null,
+			diplomacy: this._sectorGrid?.isDiplomacyActive?.() || false,
+			engine: this._calculationEngine
+		};
 	}
 
 	_updateProbabilityDisplay(results) {
 		if (!results) {
 			this._probabilityDisplay.clear();
+			this._missionGoals.update(null);
+			this._oxygenBudget.update(null);
 			this._lastPlanetResources = null;
 			this._lastFightResourceBonus = null;
+			this._lastResults = null;
 			this._planetaryReview?.updateResources?.(null);
 			this._updatePlanetaryReview();
 			return;
 		}
-		this._probabilityDisplay.update(results);
+		this._probabilityDisplay.update(results, {
+			unknownCount: UnknownSectorSampler.countUnknown(this._state.getSectors())
+		});
+		this._missionGoals.update(results.outcomes);
+		this._oxygenBudget.update(results.resources?.oxygen);
 		const planetResources = results.planetResources || results.resources || null;
 		this._lastPlanetResources = planetResources;
 		this._lastFightResourceBonus = results.fightResourceBonus || null;
-		this._planetaryReview?.updateResources?.(planetResources);
+		this._lastResults = results;
+		this._planetaryReview?.updateResources?.(planetResources, results.resources || null);
 		this._updatePlanetaryReview();
 	}
 
@@ -719,15 +893,38 @@ class ExpeditionSimulatorApp {
 				results.healthByScenario || {},
 				results.participationStatus || [],
 				results.effectsByScenario || {},
-				getResourceURL
+				getResourceURL,
+				results.playerHealth || [],
+				this._getMushRisk(players, results)
 			);
 			this._resultsDisplay.setContent(resultsHTML);
 			this._resultsDisplay.showDefaultLegend();
+			this._resultsDisplay.setUnknownCount(UnknownSectorSampler.countUnknown(this._state.getSectors()));
 		} else {
 			this._resultsDisplay.clear();
 		}
 	}
 
+	/**
+	 * P(becomes Mush) per participating player: spores caught on the expedition
+	 * plus the spores the Crew Manager reports they already carry.
+	 * @param {Array<Object>} players - All players
+	 * @param {Object} results - ExpeditionRunner.run() output
+	 * @returns {Array<number|null>} Indexed like results.playerHealth
+	 * @private
+	 */
+	_getMushRisk(players, results) {
+		if (!results.playerSpores) return [];
+		return players
+			.filter((_, playerIndex) => results.participationStatus?.[playerIndex]?.canParticipate ?? true)
+			.map((player, participatingIndex) => {
+				const status = this._state.getCrewStatus(player.avatar);
+				return SporeService.getConversionProbability(
+					results.playerSpores[participatingIndex], status?.spore ?? 0, status?.mush ?? false
+				);
+			});
+	}
+
 	// ========================================
 	// Public API
 	// ========================================
@@ -736,6 +933,20 @@ class ExpeditionSimulatorApp {
 	getPlayers() { return this._state.getPlayers(); }
 	getPanel() { return this._panel; }
 
+	/**
+	 * Switches the calculation engine and recalculates.
+	 * @param {string} engine - One of ExpeditionRunner.ENGINES
+	 * @throws {Error} For an engine outside ExpeditionRunner.ENGINES
+	 */
+	setCalculationEngine(engine) {
+		if (!ExpeditionRunner.ENGINES.includes(engine)) {
+			throw new Error(`Unknown calculation engine: ${engine}`);
+		}
+		this._calculationEngine = engine;
+		this._engineSelector?.setEngine(engine);
+		this._requestCalculation();
+	}
+
 	// ========================================
 	// Web Worker
 	// ========================================
@@ -773,6 +984,7 @@ class ExpeditionSimulatorApp {
 		if (sectors.length === 0) {
 			this._updateProbabilityDisplay(null);
 			this._updateResultsDisplay(null);
+			this._requestScanUncertainty();
 			return;
 		}
 
@@ -788,6 +1000,7 @@ class ExpeditionSimulatorApp {
 			const results = this._calculateExpeditionResults();
 			this._updateProbabilityDisplay(results);
 			this._updateResultsDisplay(results);
+			this._requestScanUncertainty();
 			return;
 		}
 
@@ -796,17 +1009,112 @@ class ExpeditionSimulatorApp {
 			type: 'calculate',
 			requestId,
 			baseURL: this._baseURL,
-			sectors,
-			allPlayers: this._state.getPlayers(),
-			antigravActive: this._state.isAntigravActive(),
-			exploredCount: this._playerSection?.getExploredSectors?.() || 9,
-			diplomacy: this._sectorGrid?.isDiplomacyActive?.() || false
+			...this._buildCalculationParams(),
+			withHealthDistribution: true
 		});
+		this._requestScanUncertainty();
+	}
+
+	/**
+	 * Runs the expedition on possible contents of the UNKNOWN sectors (ScanUncertainty),
+	 * after the main calculation in the worker when available.
+	 * The worker runs one scan at a time: changes made meanwhile only queue the
+	 * latest state, sent when the running scan answers.
+	 * @private
+	 */
+	_requestScanUncertainty() {
+		this._scanRequestId++;
+		const requestId = this._scanRequestId;
+		const params = this._buildCalculationParams();
+
+		if (UnknownSectorSampler.countUnknown(params.sectors) === 0 || params.allPlayers.length === 0) {
+			this._scanPending = false;
+			this._scanUncertainty.update(null);
+			return;
+		}
+
+		if (!this._worker) {
+			this._scanUncertainty.update(ScanUncertainty.expedition(params));
+			return;
+		}
+
+		this._scanUncertainty.showLoading();
+		if (this._scanInFlight) {
+			this._scanPending = true;
+			return;
+		}
+		this._scanInFlight = true;
+		this._worker.postMessage({ type: 'scan', requestId, baseURL: this._baseURL, ...params });
 	}
 
 	_onWorkerMessage(event) {
 		const { type, requestId, results, error } = event.data;
 
+		if (type === 'optimizeResult' || type === 'optimizeError') {
+			if (requestId !== this._optimizeRequestId) return;
+			if (type === 'optimizeResult') {
+				this._loadoutOptimizer.showResults(event.data.loadouts, this._state.getPlayers());
+			} else {
+				console.error('[Worker]', error);
+				this._loadoutOptimizer.showError();
+			}
+			return;
+		}
+
+		if (type === 'recommendResult' || type === 'recommendError') {
+			if (requestId !== this._recommendRequestId) return;
+			if (type === 'recommendResult') {
+				this._crewRecommender.showResults(event.data.teams);
+			} else {
+				console.error('[Worker]', error);
+				this._crewRecommender.showError();
+			}
+			return;
+		}
+
+		if (type === 'marginalResult' || type === 'marginalError') {
+			if (requestId !== this._marginalRequestId) return;
+			if (type === 'marginalResult') {
+				this._marginalValueReport.showResults(event.data.report, this._state.getPlayers());
+			} else {
+				console.error('[Worker]', error);
+				this._marginalValueReport.showError();
+			}
+			return;
+		}
+
+		if (type === 'compareResult' || type === 'compareError') {
+			if (requestId !== this._compareRequestId) return;
+			if (type === 'compareResult') {
+				this._planetComparison.showResults(PlanetComparator.build(this._comparedPlanets, event.data.simulations, {
+					diplomacy: this._sectorGrid?.isDiplomacyActive?.() || false,
+					profile: Settings.activeScoringProfile
+				}));
+			} else {
+				console.error('[Worker]', error);
+				this._planetComparison.showError();
+			}
+			return;
+		}
+
+		if (type === 'scanResult' || type === 'scanError') {
+			this._scanInFlight = false;
+			if (this._scanPending) {
+				this._scanPending = false;
+				this._requestScanUncertainty();
+				return;
+			}
+			if (requestId !== this._scanRequestId) return;
+			if (type === 'scanResult') {
+				const unknownCount = UnknownSectorSampler.countUnknown(this._state.getSectors());
+				this._scanUncertainty.update(ScanUncertainty.summarize(event.data.simulations, unknownCount));
+			} else {
+				console.error('[Worker]', error);
+				this._scanUncertainty.showError();
+			}
+			return;
+		}
+
 		// Ignore stale results
 		if (requestId !== this._requestId) return;
 
@@ -823,6 +1131,8 @@ class ExpeditionSimulatorApp {
 		console.error('[Worker] Unhandled error:', error.message);
 		// Fall back to synchronous calculation if the worker crashes
 		this._worker = null;
+		this._scanInFlight = false;
+		this._scanPending = false;
 		this._requestCalculation();
 	}
 }
@@ -0,0 +1,104 @@
+/**
+ * CrewRecommenderPanel Component
+ *
+ * "Who should go?" button and the best teams found by CrewRecommender among
+ * the Crew Manager's living, active crew, each with a button to send it.
+ */
+class CrewRecommenderPanel extends Component {
+	/**
+	 * @param {Object} options
+	 * @param {Function} [options.onRecommend] - Called when the user asks for a recommendation
+	 * @param {Function} [options.onApply] - Called with (players) — the chosen team
+	 * @param {Function} [options.getResourceURL] - Resource URL resolver
+	 */
+	constructor(options = {}) {
+		super(options);
+		this.onRecommend = options.onRecommend || null;
+		this.onApply = options.onApply || null;
+		this.getResourceURL = options.getResourceURL || ((path) => path);
+
+		this._teams = [];
+		this._resultsElement = null;
+	}
+
+	render() {
+		this.element = this.createElement('div', { className: 'crew-recommender' });
+
+		const header = this.createElement('h4', { 'data-i18n': 'recommender.header' }, I18n.t('recommender.header'));
+		this.element.appendChild(header);
+
+		const runBtn = this.createElement('button', { className: 'debug-btn recommender-run-btn' }, I18n.t('recommender.run'));
+		this.addEventListener(runBtn, 'click', () => this.onRecommend?.());
+		this.element.appendChild(runBtn);
+
+		this._resultsElement = this.createElement('div', { className: 'optimizer-results' });
+		this.element.appendChild(this._resultsElement);
+
+		// Apply buttons are re-rendered with every result list
+		this.addEventListener(this._resultsElement, 'click', (e) => {
+			const btn = e.target.closest('[data-action="apply-crew"]');
+			if (!btn) return;
+			const team = this._teams[parseInt(btn.dataset.index, 10)];
+			if (team) this.onApply?.(team.players);
+		});
+
+		return this.element;
+	}
+
+	showLoading() {
+		if (this._resultsElement) {
+			this._resultsElement.innerHTML = `<p class="optimizer-status">${I18n.t('recommender.loading')}</p>`;
+		}
+	}
+
+	showError() {
+		if (this._resultsElement) {
+			this._resultsElement.innerHTML = `<p class="optimizer-status">${I18n.t('recommender.error')}</p>`;
+		}
+	}
+
+	/**
+	 * @param {Array<Object>} teams - From CrewRecommender.recommend()
+	 */
+	showResults(teams) {
+		this._teams = teams || [];
+		if (!this._resultsElement) return;
+
+		if (this._teams.length === 0) {
+			this._resultsElement.innerHTML = `<p class="optimizer-status">${I18n.t('recommender.empty')}</p>`;
+			return;
+		}
+
+		this._resultsElement.innerHTML = this._teams.map((team, index) => {
+			// The Crew Manager knows who is Mush: flag them before they are sent down
+			const crew = team.players.map(player => {
+				const mush = player.status?.mush === true;
+				const title = mush ? `${player.health} HP · ${I18n.t('recommender.mush')}` : `${player.health} HP`;
+				return `
+					<span class="optimizer-player${mush ? ' optimizer-player-mush' : ''}" title="${title}">
+						<img class="optimizer-avatar" src="${this.getResourceURL(`pictures/characters/${player.avatar}`)}" alt="" />
+					</span>
+				`;
+			}).join('');
+
+			const summary = I18n.t('recommender.summary', {
+				loot: Format.resourceValue(team.summary.loot),
+				fuel: Format.resourceValue(team.summary.fuel),
+				deaths: Format.resourceValue(team.summary.expectedDeaths)
+			});
+
+			return `
+				<div class="optimizer-loadout">
+					<div class="optimizer-crew">${crew}</div>
+					<div class="optimizer-summary">${summary}</div>
+					<button class="debug-btn" data-action="apply-crew" data-index="${index}">${I18n.t('recommender.apply')}</button>
+				</div>
+			`;
+		}).join('');
+	}
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+	window.CrewRecommenderPanel = CrewRecommenderPanel;
+}
@@ -0,0 +1,60 @@
+/**
+ * EngineSelector Component
+ *
+ * Debug buttons switching the calculation engine (ExpeditionRunner.ENGINES).
+ */
+class EngineSelector extends Component {
+	/**
+	 * @param {Object} options
+	 * @param {string} [options.engine='convolution'] - Active engine
+	 * @param {Function} [options.onEngineSelect] - Called with (engine)
+	 */
+	constructor(options = {}) {
+		super(options);
+		this.engine = options.engine || 'convolution';
+		this.onEngineSelect = options.onEngineSelect || null;
+		this._buttons = {};
+	}
+
+	render() {
+		this.element = this.createElement('div', { className: 'example-worlds engine-selector' });
+
+		const header = this.createElement('h4', { 'data-i18n': 'engine.header' }, I18n.t('engine.header'));
+		this.element.appendChild(header);
+
+		const row = this.createElement('div', { className: 'debug-row' });
+		for (const engine of ExpeditionRunner.ENGINES) {
+			const btn = this.createElement('button', {
+				className: 'debug-btn' + (engine === this.engine ? ' debug-btn--active' : ''),
+				dataset: { engine },
+				'data-i18n': `engine.${engine}`
+			}, I18n.t(`engine.${engine}`));
+
+			this.addEventListener(btn, 'click', () => {
+				this.onEngineSelect?.(engine);
+			});
+
+			this._buttons[engine] = btn;
+			row.appendChild(btn);
+		}
+		this.element.appendChild(row);
+
+		return this.element;
+	}
+
+	/**
+	 * Highlights the active engine.
+	 * @param {string} engine
+	 */
+	setEngine(engine) {
+		this.engine = engine;
+		Object.entries(this._buttons).forEach(([key, btn]) => {
+			btn.classList.toggle('debug-btn--active', key === engine);
+		});
+	}
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+	window.EngineSelector = EngineSelector;
+}
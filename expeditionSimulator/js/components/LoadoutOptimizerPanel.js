@@ -0,0 +1,154 @@
+/**
+ * LoadoutOptimizerPanel Component
+ *
+ * Item pool of the ship (count per item), goal picker, and the best
+ * loadouts found by LoadoutOptimizer, each with an Apply button.
+ */
+class LoadoutOptimizerPanel extends Component {
+	/**
+	 * @param {Object} options
+	 * @param {Function} [options.onOptimize] - Called with ({ itemCounts, goal })
+	 * @param {Function} [options.onApply] - Called with (items) — one slot array per player
+	 * @param {Function} [options.getResourceURL] - Resource URL resolver
+	 */
+	constructor(options = {}) {
+		super(options);
+		this.onOptimize = options.onOptimize || null;
+		this.onApply = options.onApply || null;
+		this.getResourceURL = options.getResourceURL || ((path) => path);
+
+		this._itemCounts = {};
+		this._goal = 'survival';
+		this._loadouts = [];
+
+		this._goalSelect = null;
+		this._resultsElement = null;
+	}
+
+	render() {
+		this.element = this.createElement('div', { className: 'loadout-optimizer' });
+
+		const header = this.createElement('h4', { 'data-i18n': 'optimizer.header' }, I18n.t('optimizer.header'));
+		this.element.appendChild(header);
+
+		this.element.appendChild(this._createPool());
+		this.element.appendChild(this._createControls());
+
+		this._resultsElement = this.createElement('div', { className: 'optimizer-results' });
+		this.element.appendChild(this._resultsElement);
+
+		// Apply buttons are re-rendered with every result list
+		this.addEventListener(this._resultsElement, 'click', (e) => {
+			const btn = e.target.closest('[data-action="apply-loadout"]');
+			if (!btn) return;
+			const loadout = this._loadouts[parseInt(btn.dataset.index, 10)];
+			if (loadout) this.onApply?.(loadout.items);
+		});
+
+		return this.element;
+	}
+
+	_createPool() {
+		const pool = this.createElement('div', { className: 'optimizer-pool' });
+
+		for (const item of ItemData.available) {
+			const cell = this.createElement('label', { className: 'optimizer-pool-item' });
+			cell.appendChild(this.createElement('img', {
+				src: this.getResourceURL(`pictures/gear/${item}`),
+				alt: '',
+				title: item.replace(/\.(jpg|png)$/, '').replace(/_/g, ' ')
+			}));
+
+			const input = this.createElement('input', { type: 'number', min: '0', max: '9', value: '0' });
+			this.addEventListener(input, 'change', () => {
+				const count = Math.max(0, parseInt(input.value, 10) || 0);
+				input.value = count.toString();
+				if (count > 0) {
+					this._itemCounts[item] = count;
+				} else {
+					delete this._itemCounts[item];
+				}
+			});
+			cell.appendChild(input);
+
+			pool.appendChild(cell);
+		}
+
+		return pool;
+	}
+
+	_createControls() {
+		const controls = this.createElement('div', { className: 'optimizer-controls' });
+
+		this._goalSelect = this.createElement('select', { className: 'optimizer-goal' });
+		for (const goal of LoadoutOptimizer.GOALS) {
+			const option = this.createElement('option', { value: goal }, I18n.t(`optimizer.goal.${goal}`));
+			if (goal === this._goal) option.selected = true;
+			this._goalSelect.appendChild(option);
+		}
+		this.addEventListener(this._goalSelect, 'change', () => { this._goal = this._goalSelect.value; });
+		controls.appendChild(this._goalSelect);
+
+		const runBtn = this.createElement('button', { className: 'debug-btn optimizer-run-btn' }, I18n.t('optimizer.run'));
+		this.addEventListener(runBtn, 'click', () => {
+			this.onOptimize?.({ itemCounts: { ...this._itemCounts }, goal: this._goal });
+		});
+		controls.appendChild(runBtn);
+
+		return controls;
+	}
+
+	showLoading() {
+		if (this._resultsElement) {
+			this._resultsElement.innerHTML = `<p class="optimizer-status">${I18n.t('optimizer.loading')}</p>`;
+		}
+	}
+
+	showError() {
+		if (this._resultsElement) {
+			this._resultsElement.innerHTML = `<p class="optimizer-status">${I18n.t('optimizer.error')}</p>`;
+		}
+	}
+
+	/**
+	 * @param {Array<Object>} loadouts - From LoadoutOptimizer.optimize()
+	 * @param {Array<Object>} players - Current players (for avatars)
+	 */
+	showResults(loadouts, players) {
+		this._loadouts = loadouts || [];
+		if (!this._resultsElement) return;
+
+		if (this._loadouts.length === 0) {
+			this._resultsElement.innerHTML = `<p class="optimizer-status">${I18n.t('optimizer.empty')}</p>`;
+			return;
+		}
+
+		this._resultsElement.innerHTML = this._loadouts.map((loadout, index) => {
+			const crew = loadout.items.map((slots, p) => {
+				const avatar = players[p] ? `<img class="optimizer-avatar" src="${this.getResourceURL(`pictures/characters/${players[p].avatar}`)}" alt="" />` : '';
+				const gear = slots.filter(Boolean)
+					.map(item => `<img class="optimizer-gear" src="${this.getResourceURL(`pictures/gear/${item}`)}" alt="" />`)
+					.join('');
+				return `<span class="optimizer-player">${avatar}${gear}</span>`;
+			}).join('');
+
+			const summary = I18n.t('optimizer.summary', {
+				fuel: Format.resourceValue(loadout.summary.fuel),
+				deaths: Format.resourceValue(loadout.summary.expectedDeaths)
+			});
+
+			return `
+				<div class="optimizer-loadout">
+					<div class="optimizer-crew">${crew}</div>
+					<div class="optimizer-summary">${summary}</div>
+					<button class="debug-btn" data-action="apply-loadout" data-index="${index}">${I18n.t('optimizer.apply')}</button>
+				</div>
+			`;
+		}).join('');
+	}
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+	window.LoadoutOptimizerPanel = LoadoutOptimizerPanel;
+}
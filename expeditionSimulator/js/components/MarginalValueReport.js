@@ -0,0 +1,130 @@
+/**
+ * MarginalValueReport Component
+ *
+ * Table of MarginalValueAnalyzer results: one row per removed or added
+ * item / ability, with the change it makes to the expected outcome.
+ * Green = better for the team, red = worse.
+ */
+class MarginalValueReport extends Component {
+	/**
+	 * @param {Object} options
+	 * @param {Function} [options.onAnalyze] - Called when the user asks for the report
+	 * @param {Function} [options.getResourceURL] - Resource URL resolver
+	 */
+	constructor(options = {}) {
+		super(options);
+		this.onAnalyze = options.onAnalyze || null;
+		this.getResourceURL = options.getResourceURL || ((path) => path);
+
+		this._resultsElement = null;
+	}
+
+	render() {
+		this.element = this.createElement('div', { className: 'marginal-value-report' });
+
+		const intro = this.createElement('p', { className: 'optimizer-status', 'data-i18n': 'marginal.intro' }, I18n.t('marginal.intro'));
+		this.element.appendChild(intro);
+
+		const runBtn = this.createElement('button', { className: 'debug-btn marginal-run-btn' }, I18n.t('marginal.run'));
+		this.addEventListener(runBtn, 'click', () => this.onAnalyze?.());
+		this.element.appendChild(runBtn);
+
+		this._resultsElement = this.createElement('div', { className: 'marginal-results' });
+		this.element.appendChild(this._resultsElement);
+
+		return this.element;
+	}
+
+	showLoading() {
+		this._showStatus('marginal.loading');
+	}
+
+	showError() {
+		this._showStatus('marginal.error');
+	}
+
+	/**
+	 * @param {Object|null} report - From MarginalValueAnalyzer.analyze()
+	 * @param {Array<Object>} players - Players the report was computed for (for avatars)
+	 */
+	showResults(report, players) {
+		if (!this._resultsElement) return;
+		if (!report || report.rows.length === 0) {
+			this._showStatus('marginal.empty');
+			return;
+		}
+
+		const headers = ['change', ...MarginalValueAnalyzer.METRICS]
+			.map(key => `<th>${this._columnLabel(key)}</th>`)
+			.join('');
+
+		const baseline = `
+			<tr class="marginal-baseline">
+				<td>${I18n.t('marginal.baseline')}</td>
+				${MarginalValueAnalyzer.METRICS.map(key => `<td>${this._formatValue(key, report.baseline[key])}</td>`).join('')}
+			</tr>
+		`;
+
+		const rows = report.rows.map(row => `
+			<tr>
+				<td>${this._renderChange(row, players)}</td>
+				${MarginalValueAnalyzer.METRICS.map(key => this._renderDelta(key, row.deltas[key])).join('')}
+			</tr>
+		`).join('');
+
+		this._resultsElement.innerHTML = `
+			<table class="events-table marginal-table">
+				<thead><tr>${headers}</tr></thead>
+				<tbody>${baseline}${rows}</tbody>
+			</table>
+		`;
+	}
+
+	_showStatus(key) {
+		if (this._resultsElement) {
+			this._resultsElement.innerHTML = `<p class="optimizer-status">${I18n.t(key)}</p>`;
+		}
+	}
+
+	_renderChange(row, players) {
+		const folder = row.kind === 'item' ? 'gear' : 'abilities';
+		const name = row.id.split('/').pop().replace(/\.(jpg|png)$/, '').replace(/_/g, ' ');
+		const avatar = players[row.playerIndex]?.avatar;
+		const avatarImg = avatar
+			? `<img class="optimizer-avatar" src="${this.getResourceURL(`pictures/characters/${avatar}`)}" alt="" />`
+			: '';
+
+		return `
+			<span class="marginal-change" title="${I18n.t(`marginal.${row.action}`, { name })}">
+				<span class="marginal-action">${row.action === 'remove' ? '−' : '+'}</span>
+				<img class="optimizer-gear" src="${this.getResourceURL(`pictures/${folder}/${row.id}`)}" alt="" />
+				${avatarImg}
+			</span>
+		`;
+	}
+
+	_renderDelta(key, delta) {
+		// Damage and deaths: lower is better
+		const better = (key === 'eventDamage' || key === 'deathProbability') ? delta < 0 : delta > 0;
+		const text = key === 'deathProbability' ? Format.delta(delta * 100, '%') : Format.delta(delta);
+		const className = text === '0' ? 'neutral' : (better ? 'positive' : 'warning');
+		return `<td class="${className}">${text}</td>`;
+	}
+
+	_columnLabel(key) {
+		// Resource columns reuse the resource names of the results tables
+		return ['change', 'eventDamage', 'deathProbability'].includes(key)
+			? I18n.t(`marginal.col.${key}`)
+			: I18n.t(`resource.${key}`);
+	}
+
+	_formatValue(key, value) {
+		if (key === 'deathProbability') return `${(value * 100).toFixed(1)}%`;
+		return Format.resourceValue(value);
+	}
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+	window.MarginalValueReport = MarginalValueReport;
+}
@@ -0,0 +1,127 @@
+/**
+ * MissionGoals Component
+ *
+ * Up to GoalEvaluator.MAX_CONDITIONS conditions ("fuel ≥ 4", "deaths ≤ 0"),
+ * combined with all / any, and their joint probability over the simulated
+ * expeditions of the last calculation.
+ */
+class MissionGoals extends Component {
+	constructor(options = {}) {
+		super(options);
+
+		this._conditions = [{ metric: 'fuel', op: '>=', value: 4 }, { metric: 'deaths', op: '<=', value: 0 }];
+		this._combinator = 'and';
+		this._outcomes = null;
+
+		this._rowsElement = null;
+		this._addBtn = null;
+		this._resultElement = null;
+	}
+
+	render() {
+		this.element = this.createElement('div', { className: 'mission-goals' });
+
+		const header = this.createElement('h4', { 'data-i18n': 'goals.header' }, I18n.t('goals.header'));
+		this.element.appendChild(header);
+
+		const combinator = this.createElement('select', { className: 'goals-combinator' });
+		for (const value of GoalEvaluator.COMBINATORS) {
+			const option = this.createElement('option', { value }, I18n.t(`goals.combinator.${value}`));
+			if (value === this._combinator) option.selected = true;
+			combinator.appendChild(option);
+		}
+		this.addEventListener(combinator, 'change', () => {
+			this._combinator = combinator.value;
+			this._refresh();
+		});
+		this.element.appendChild(combinator);
+
+		this._rowsElement = this.createElement('div', { className: 'goals-rows' });
+		this.element.appendChild(this._rowsElement);
+
+		// Rows are re-rendered on add / remove, so their controls are handled by delegation
+		this.addEventListener(this._rowsElement, 'change', (e) => this._onRowChange(e.target));
+		this.addEventListener(this._rowsElement, 'click', (e) => {
+			const btn = e.target.closest('[data-action="remove-goal"]');
+			if (!btn) return;
+			this._conditions.splice(parseInt(btn.dataset.index, 10), 1);
+			this._renderRows();
+			this._refresh();
+		});
+
+		this._addBtn = this.createElement('button', { className: 'debug-btn goals-add-btn' }, I18n.t('goals.add'));
+		this.addEventListener(this._addBtn, 'click', () => {
+			if (this._conditions.length >= GoalEvaluator.MAX_CONDITIONS) return;
+			this._conditions.push({ metric: 'fuel', op: '>=', value: 1 });
+			this._renderRows();
+			this._refresh();
+		});
+		this.element.appendChild(this._addBtn);
+
+		this._resultElement = this.createElement('p', { className: 'goals-result' });
+		this.element.appendChild(this._resultElement);
+
+		this._renderRows();
+		this._refresh();
+		return this.element;
+	}
+
+	/**
+	 * @param {Array<Object>|null} outcomes - results.outcomes of the last calculation
+	 */
+	update(outcomes) {
+		this._outcomes = outcomes || null;
+		this._refresh();
+	}
+
+	_renderRows() {
+		this._rowsElement.innerHTML = this._conditions.map((condition, index) => `
+			<div class="goals-row">
+				<select data-field="metric" data-index="${index}">
+					${GoalEvaluator.METRICS.map(metric => `<option value="${metric}"${metric === condition.metric ? ' selected' : ''}>${I18n.t(`goals.metric.${metric}`)}</option>`).join('')}
+				</select>
+				<select data-field="op" data-index="${index}">
+					${GoalEvaluator.OPERATORS.map(op => `<option value="${op}"${op === condition.op ? ' selected' : ''}>${op === '>=' ? '≥' : '≤'}</option>`).join('')}
+				</select>
+				<input type="number" min="0" step="1" data-field="value" data-index="${index}" value="${condition.value}" />
+				<button class="debug-btn" data-action="remove-goal" data-index="${index}">×</button>
+			</div>
+		`).join('');
+
+		this._addBtn.style.display = this._conditions.length >= GoalEvaluator.MAX_CONDITIONS ? 'none' : '';
+	}
+
+	_onRowChange(control) {
+		const field = control.dataset.field;
+		const condition = this._conditions[parseInt(control.dataset.index, 10)];
+		if (!field || !condition) return;
+
+		if (field === 'value') {
+			condition.value = Math.max(0, parseInt(control.value, 10) || 0);
+			control.value = condition.value.toString();
+		} else {
+			condition[field] = control.value;
+		}
+		this._refresh();
+	}
+
+	_refresh() {
+		if (!this._resultElement) return;
+
+		const result = GoalEvaluator.evaluate(this._outcomes, {
+			conditions: this._conditions,
+			combinator: this._combinator
+		});
+		this._resultElement.textContent = result
+			? I18n.t('goals.result', {
+				prob: `${(result.probability * 100).toFixed(1)}%`,
+				samples: result.samples
+			})
+			: I18n.t('goals.empty');
+	}
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+	window.MissionGoals = MissionGoals;
+}
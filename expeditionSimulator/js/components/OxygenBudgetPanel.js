@@ -0,0 +1,89 @@
+/**
+ * OxygenBudgetPanel Component
+ *
+ * Ship oxygen reserve, crew count and horizon in days, and the OxygenBudget
+ * projection for the oxygen distribution of the last calculation: cycles of
+ * oxygen left with and without the expedition, and the chance it keeps the
+ * ship from running out within the horizon.
+ */
+class OxygenBudgetPanel extends Component {
+	constructor(options = {}) {
+		super(options);
+
+		this._budget = { reserve: 10, crewCount: 16, days: 2 };
+		this._oxygen = null;
+
+		this._resultElement = null;
+	}
+
+	render() {
+		this.element = this.createElement('div', { className: 'oxygen-budget' });
+
+		const header = this.createElement('h4', { 'data-i18n': 'oxygen_budget.header' }, I18n.t('oxygen_budget.header'));
+		this.element.appendChild(header);
+
+		const inputs = this.createElement('div', { className: 'oxygen-budget-inputs' });
+		inputs.innerHTML = [
+			['reserve', 0],
+			['crewCount', 1],
+			['days', 1]
+		].map(([field, min]) => `
+			<label>
+				${I18n.t(`oxygen_budget.${field}`)}
+				<input type="number" min="${min}" step="1" data-field="${field}" value="${this._budget[field]}" />
+			</label>
+		`).join('');
+		this.addEventListener(inputs, 'change', (e) => this._onInputChange(e.target));
+		this.element.appendChild(inputs);
+
+		this._resultElement = this.createElement('div', { className: 'oxygen-budget-result' });
+		this.element.appendChild(this._resultElement);
+
+		this._refresh();
+		return this.element;
+	}
+
+	/**
+	 * @param {Object|null} oxygen - results.resources.oxygen of the last calculation
+	 */
+	update(oxygen) {
+		this._oxygen = oxygen || null;
+		this._refresh();
+	}
+
+	_onInputChange(input) {
+		const field = input.dataset.field;
+		if (!field) return;
+
+		const min = parseInt(input.min, 10) || 0;
+		this._budget[field] = Math.max(min, parseInt(input.value, 10) || 0);
+		input.value = this._budget[field].toString();
+		this._refresh();
+	}
+
+	_refresh() {
+		if (!this._resultElement) return;
+
+		const projection = OxygenBudget.project(this._budget, this._oxygen);
+		if (!projection) {
+			this._resultElement.innerHTML = `<p class="optimizer-status">${I18n.t('oxygen_budget.empty')}</p>`;
+			return;
+		}
+
+		const days = this._budget.days;
+		const conclusion = projection.safeWithout
+			? `<p class="positive">${I18n.t('oxygen_budget.safe', { days })}</p>`
+			: `<p>${I18n.t('oxygen_budget.prevent', { days, prob: `${(projection.preventProbability * 100).toFixed(1)}%` })}</p>`;
+
+		this._resultElement.innerHTML = `
+			<p>${I18n.t('oxygen_budget.without', { cycles: projection.cyclesWithout })}</p>
+			<p>${I18n.t('oxygen_budget.with', { cycles: projection.expectedCyclesWith.toFixed(1) })}</p>
+			${conclusion}
+		`;
+	}
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+	window.OxygenBudgetPanel = OxygenBudgetPanel;
+}
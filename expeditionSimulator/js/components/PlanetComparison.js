@@ -0,0 +1,102 @@
+/**
+ * PlanetComparison Component
+ *
+ * PlanetComparator results side by side: one column per planet, one row per
+ * review axis, expected resource, risk and fuel cost, under a subheading per
+ * row group. The best value of each row is highlighted.
+ */
+class PlanetComparison extends Component {
+	constructor(options = {}) {
+		super(options);
+		this._resultsElement = null;
+	}
+
+	render() {
+		this.element = this.createElement('div', { className: 'planet-comparison' });
+
+		const header = this.createElement('h4', { 'data-i18n': 'compare.header' }, I18n.t('compare.header'));
+		this.element.appendChild(header);
+
+		this._resultsElement = this.createElement('div', { className: 'compare-results' });
+		this.element.appendChild(this._resultsElement);
+
+		this._showStatus('compare.intro');
+		return this.element;
+	}
+
+	showLoading() {
+		this._showStatus('compare.loading');
+	}
+
+	showError() {
+		this._showStatus('compare.error');
+	}
+
+	/**
+	 * @param {Object|null} comparison - From PlanetComparator.build() / compare()
+	 */
+	showResults(comparison) {
+		if (!this._resultsElement) return;
+		if (!comparison) {
+			this._showStatus('compare.intro');
+			return;
+		}
+
+		// Built as nodes: planet names come from the game chat
+		const headRow = this.createElement('tr', {}, [this.createElement('th')]);
+		for (const planet of comparison.planets) {
+			headRow.appendChild(this.createElement('th', {}, [
+				planet.name || I18n.t('library.unnamed'),
+				this.createElement('div', { className: 'compare-nav' }, planet.direction || '')
+			]));
+		}
+
+		const body = this.createElement('tbody');
+		let group = null;
+		for (const row of comparison.rows) {
+			if (row.group !== group) {
+				group = row.group;
+				body.appendChild(this.createElement('tr', { className: 'compare-group' }, [
+					this.createElement('td', { colspan: comparison.planets.length + 1 }, I18n.t(`compare.group.${group}`))
+				]));
+			}
+			const tr = this.createElement('tr', {}, [this.createElement('td', {}, this._rowLabel(row.key))]);
+			row.values.forEach((value, index) => {
+				const className = row.best.includes(index) ? 'compare-best' : '';
+				tr.appendChild(this.createElement('td', { className }, this._formatValue(row.format, value)));
+			});
+			body.appendChild(tr);
+		}
+
+		const table = this.createElement('table', { className: 'events-table compare-table' }, [
+			this.createElement('thead', {}, [headRow]),
+			body
+		]);
+		this._resultsElement.innerHTML = '';
+		this._resultsElement.appendChild(table);
+	}
+
+	_showStatus(key) {
+		if (this._resultsElement) {
+			this._resultsElement.innerHTML = `<p class="optimizer-status">${I18n.t(key)}</p>`;
+		}
+	}
+
+	_rowLabel(key) {
+		// Axis and resource rows reuse the labels of the review and the results tables
+		if (key.startsWith('axis.')) return I18n.t(`stars.${key}`);
+		if (['fuel', 'fruits', 'steaks', 'artefacts'].includes(key)) return I18n.t(`resource.${key}`);
+		return I18n.t(`compare.row.${key}`);
+	}
+
+	_formatValue(format, value) {
+		if (format === 'stars') return `★ ${value.toFixed(1)}`;
+		if (format === 'percent') return `${(value * 100).toFixed(1)}%`;
+		return Format.resourceValue(value);
+	}
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+	window.PlanetComparison = PlanetComparison;
+}
@@ -0,0 +1,54 @@
+/**
+ * PlanetGeneratorPanel Component
+ *
+ * Size input and Generate button: draws a random planet with PlanetGenerator
+ * (the game's generation weights and per-planet caps) and hands it to the
+ * simulator.
+ */
+class PlanetGeneratorPanel extends Component {
+	/**
+	 * @param {Object} options
+	 * @param {Function} [options.onGenerate] - Called with (sectors) of the generated planet
+	 */
+	constructor(options = {}) {
+		super(options);
+		this.onGenerate = options.onGenerate || null;
+
+		this._size = 9;
+	}
+
+	render() {
+		this.element = this.createElement('div', { className: 'planet-generator' });
+
+		const header = this.createElement('h4', { 'data-i18n': 'generator.header' }, I18n.t('generator.header'));
+		this.element.appendChild(header);
+
+		const sizeInput = this.createElement('input', {
+			type: 'number',
+			min: PlanetGenerator.MIN_SIZE,
+			max: PlanetGenerator.MAX_SIZE,
+			step: 1,
+			value: this._size
+		});
+		this.addEventListener(sizeInput, 'change', () => {
+			this._size = PlanetGenerator.clampSize(sizeInput.value);
+			sizeInput.value = this._size.toString();
+		});
+
+		const label = this.createElement('label', {}, [I18n.t('generator.size'), sizeInput]);
+		this.element.appendChild(label);
+
+		const generateBtn = this.createElement('button', { className: 'debug-btn planet-generator-btn' }, I18n.t('generator.generate'));
+		this.addEventListener(generateBtn, 'click', () => {
+			this.onGenerate?.(PlanetGenerator.generate(this._size));
+		});
+		this.element.appendChild(generateBtn);
+
+		return this.element;
+	}
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+	window.PlanetGeneratorPanel = PlanetGeneratorPanel;
+}
@@ -0,0 +1,139 @@
+/**
+ * PlanetLibraryPanel Component
+ *
+ * Searchable list of the planets kept by PlanetLibrary, each with its score
+ * under the active scoring profile, navigation and import details, and Load / Delete buttons. Ticking 2 to
+ * PlanetComparator.MAX_PLANETS planets enables the Compare button.
+ */
+class PlanetLibraryPanel extends Component {
+	/**
+	 * @param {Object} options
+	 * @param {Function} [options.onLoad] - Called with (entry) to load a planet into the simulator
+	 * @param {Function} [options.onCompare] - Called with (entries) to compare the ticked planets
+	 */
+	constructor(options = {}) {
+		super(options);
+		this.onLoad = options.onLoad || null;
+		this.onCompare = options.onCompare || null;
+
+		this._query = '';
+		this._compareIds = [];
+		this._listElement = null;
+		this._compareBtn = null;
+	}
+
+	render() {
+		this.element = this.createElement('div', { className: 'planet-library' });
+
+		const header = this.createElement('h4', { 'data-i18n': 'library.header' }, I18n.t('library.header'));
+		this.element.appendChild(header);
+
+		const search = this.createElement('input', {
+			type: 'search',
+			className: 'library-search',
+			placeholder: I18n.t('library.search')
+		});
+		this.addEventListener(search, 'input', () => {
+			this._query = search.value;
+			this.refresh();
+		});
+		this.element.appendChild(search);
+
+		this._listElement = this.createElement('div', { className: 'library-list' });
+		this.element.appendChild(this._listElement);
+
+		// Rows are re-rendered on every refresh, so buttons are handled by delegation
+		this.addEventListener(this._listElement, 'click', (e) => {
+			const btn = e.target.closest('[data-action]');
+			if (!btn) return;
+			const id = btn.dataset.id;
+			if (btn.dataset.action === 'load-planet') {
+				const entry = PlanetLibrary.get(id);
+				if (entry) this.onLoad?.(entry);
+			} else if (btn.dataset.action === 'delete-planet') {
+				PlanetLibrary.remove(id);
+				this.refresh();
+			} else if (btn.dataset.action === 'compare-planet') {
+				this._compareIds = btn.checked
+					? [...this._compareIds, id]
+					: this._compareIds.filter(compareId => compareId !== id);
+				this.refresh();
+			}
+		});
+
+		this._compareBtn = this.createElement('button', { className: 'debug-btn library-compare-btn' }, I18n.t('library.compare'));
+		this.addEventListener(this._compareBtn, 'click', () => {
+			const entries = this._compareIds.map(id => PlanetLibrary.get(id)).filter(Boolean);
+			if (entries.length >= PlanetComparator.MIN_PLANETS) this.onCompare?.(entries);
+		});
+		this.element.appendChild(this._compareBtn);
+
+		this.refresh();
+		return this.element;
+	}
+
+	/**
+	 * Re-reads the library (call after an import or a profile change). Scores
+	 * are kept with the entries: only a profile change rescores them.
+	 */
+	refresh() {
+		if (!this._listElement) return;
+
+		this._compareIds = this._compareIds.filter(id => PlanetLibrary.get(id));
+		this._compareBtn.disabled = this._compareIds.length < PlanetComparator.MIN_PLANETS;
+		this._compareBtn.textContent = I18n.t('library.compare', { count: this._compareIds.length });
+
+		const planets = PlanetLibrary.withScores(PlanetLibrary.search(this._query), Settings.activeScoringProfile);
+		if (planets.length === 0) {
+			this._listElement.innerHTML = `<p class="optimizer-status">${I18n.t(this._query ? 'library.no_match' : 'library.empty')}</p>`;
+			return;
+		}
+
+		// Built as nodes: planet names come from the game chat
+		this._listElement.innerHTML = '';
+		const compareFull = this._compareIds.length >= PlanetComparator.MAX_PLANETS;
+		for (const planet of planets) {
+			const details = I18n.t('library.details', {
+				sectors: planet.sectors.filter(s => s !== 'LANDING').length,
+				direction: planet.direction,
+				fuel: planet.fuelCost,
+				source: I18n.t(`library.source.${planet.source}`),
+				date: new Date(planet.importedAt).toLocaleString()
+			});
+
+			const name = this.createElement('div', { className: 'library-name' }, [
+				planet.name || I18n.t('library.unnamed'),
+				this.createElement('span', { className: 'library-score' }, ` ★ ${planet.score.overall.toFixed(1)}`)
+			]);
+			const info = this.createElement('div', { className: 'library-info' }, [
+				name,
+				this.createElement('div', { className: 'library-details' }, details)
+			]);
+
+			const compare = this.createElement('input', {
+				type: 'checkbox',
+				className: 'library-compare',
+				title: I18n.t('library.compare_toggle'),
+				dataset: { action: 'compare-planet', id: planet.id }
+			});
+			compare.checked = this._compareIds.includes(planet.id);
+			compare.disabled = compareFull && !compare.checked;
+
+			this._listElement.appendChild(this.createElement('div', { className: 'library-entry' }, [
+				compare,
+				info,
+				this.createElement('button', { className: 'debug-btn', dataset: { action: 'load-planet', id: planet.id } }, I18n.t('library.load')),
+				this.createElement('button', {
+					className: 'debug-btn',
+					dataset: { action: 'delete-planet', id: planet.id },
+					title: I18n.t('library.delete')
+				}, '×')
+			]));
+		}
+	}
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+	window.PlanetLibraryPanel = PlanetLibraryPanel;
+}
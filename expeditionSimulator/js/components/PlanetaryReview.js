@@ -24,17 +24,26 @@ class PlanetaryReview extends Component {
 		this.onExportClick = options.onExportClick || null;
 		this.onDirectionChange = options.onDirectionChange || null;
 		this.onFuelChange = options.onFuelChange || null;
+		this.onProfileChange = options.onProfileChange || null;
 
 		this._imgElement  = null;
 		this._nameElement = null;
 		this._navElement  = null;
+		this._netFuelElement = null;
 		this._starRating  = null;
+		this._teamStarRating = null;
+		this._percentileElement = null;
+		this._scanSwingElement = null;
 		this._diplomacyToggle = null;
 		this._compassBtn  = null;
 		this._fuelBtn     = null;
+		this._profileSelect = null;
 
 		this._direction = 'North';
 		this._fuelCost  = 0;
+		this._fuelResource = null;
+		this._profiles = [];
+		this._activeProfileId = null;
 	}
 
 	// Static helpers
@@ -128,6 +137,22 @@ class PlanetaryReview extends Component {
 		}
 		const toggleWrapper = this.createElement('div', { className: 'planetary-review__toggle' });
 		toggleWrapper.appendChild(this._diplomacyToggle.render());
+
+		// Scoring profile picker (profiles are edited in the Settings panel)
+		this._profileSelect = this.createElement('select', {
+			className: 'planetary-review__profile-select',
+			title: I18n.t('scoring.profile.select')
+		});
+		this._profileSelect.addEventListener('change', () => {
+			this._activeProfileId = this._profileSelect.value;
+			this.onProfileChange?.(this._activeProfileId);
+		});
+		this._renderProfileOptions();
+		this.addEventListener(document, 'i18n:change', () => {
+			this._profileSelect.title = I18n.t('scoring.profile.select');
+			this._renderProfileOptions();
+		});
+		toggleWrapper.appendChild(this._profileSelect);
 		this.element.appendChild(toggleWrapper);
 
 		// Planet image
@@ -148,9 +173,30 @@ class PlanetaryReview extends Component {
 		this._updateNavElement(this._direction, this._fuelCost);
 		this.element.appendChild(this._navElement);
 
-		// Star rating display
-		this._starRating = new StarRating();
-		this._starRating.mount(this.element);
+		// Net fuel: expected fuel brought back minus the travel cost
+		this._netFuelElement = this.createElement('p', { className: 'planet-net-fuel' });
+		this._updateNetFuelElement();
+		this.element.appendChild(this._netFuelElement);
+
+		// Star ratings: the planet itself (sectors only) and for the current team
+		const ratings = this.createElement('div', { className: 'planetary-review__ratings' });
+		this._starRating = new StarRating({ titleKey: 'stars.title.planet' });
+		this._starRating.mount(ratings);
+		this._teamStarRating = new StarRating({
+			titleKey: 'stars.title.team',
+			emptyHintKey: 'stars.team_empty',
+			className: 'star-rating--team'
+		});
+		this._teamStarRating.mount(ratings);
+		this.element.appendChild(ratings);
+
+		// How much the rating can move once the UNKNOWN sectors are scanned
+		this._scanSwingElement = this.createElement('p', { className: 'planet-scan-swing' });
+		this.element.appendChild(this._scanSwingElement);
+
+		// Rank against random planets of the same size (PlanetRanking)
+		this._percentileElement = this.createElement('div', { className: 'planet-percentile' });
+		this.element.appendChild(this._percentileElement);
 
 		// Export to clipboard button
 		this._exportBtn = this.createElement('button', {
@@ -172,9 +218,11 @@ class PlanetaryReview extends Component {
 
 	/**
 	 * @param {string|null} planetName
-	 * @param {Object|null} [reviewData]
+	 * @param {Object|null} [reviewData] - PlanetReviewScorer.score() output, with the
+	 *        ScanUncertainty bands when the planet has UNKNOWN sectors
+	 * @param {Object|null} [teamReviewData] - PlanetReviewScorer.scoreTeam() output, null without a team
 	 */
-	update(planetName, reviewData = null) {
+	update(planetName, reviewData = null, teamReviewData = null) {
 		this._planetName = planetName || null;
 
 		if (!this._imgElement || !this._nameElement) return;
@@ -187,6 +235,42 @@ this._imgElement.alt  = this._planetName || I18n.t('planet.unknown');
 		if (this._starRating) {
 			this._starRating.update(reviewData);
 		}
+		this._teamStarRating?.update(teamReviewData);
+		this._updateScanSwingElement(reviewData?.uncertainty || null);
+	}
+
+	_updateScanSwingElement(uncertainty) {
+		if (!this._scanSwingElement) return;
+		this._scanSwingElement.textContent = uncertainty
+			? I18n.t('planet.scan_swing', {
+				count: uncertainty.unknownCount,
+				low: uncertainty.overall.low.toFixed(1),
+				high: uncertainty.overall.high.toFixed(1),
+				mean: uncertainty.overall.mean.toFixed(1)
+			})
+			: '';
+	}
+
+	/**
+	 * Fills the scoring profile picker.
+	 * @param {Array<Object>} profiles - Settings.scoringProfiles
+	 * @param {string} activeId - Settings.activeScoringProfileId
+	 */
+	setScoringProfiles(profiles, activeId) {
+		this._profiles = profiles || [];
+		this._activeProfileId = activeId;
+		this._renderProfileOptions();
+	}
+
+	_renderProfileOptions() {
+		if (!this._profileSelect) return;
+		this._profileSelect.innerHTML = '';
+		for (const profile of this._profiles) {
+			const option = this.createElement('option', { value: profile.id }, PlanetReviewScorer.getProfileLabel(profile));
+			if (profile.id === this._activeProfileId) option.selected = true;
+			this._profileSelect.appendChild(option);
+		}
+		this._profileSelect.style.display = this._profiles.length ? '' : 'none';
 	}
 
 	/**
@@ -200,15 +284,48 @@ this._imgElement.alt  = this._planetName || I18n.t('planet.unknown');
 		if (this._navElement) {
 			this._updateNavElement(direction, fuelCost);
 		}
+		this._updateNetFuelElement();
 	}
 
 	/**
-	 * Forwards resource quartile data to the StarRating so it can show
-	 * "(Q1~Q3)" next to resource axis labels.
-	 * @param {Object|null} resources
+	 * Forwards resource quartile data to the StarRatings so they can show
+	 * "(Q1~Q3)" next to resource axis labels, and keeps the fuel distribution
+	 * for the net fuel line.
+	 * @param {Object|null} resources - Whole planet (generic rating)
+	 * @param {Object|null} [teamResources] - What the team explores (team rating)
 	 */
-	updateResources(resources) {
+	updateResources(resources, teamResources = null) {
 		this._starRating?.updateResources?.(resources);
+		this._teamStarRating?.updateResources?.(teamResources);
+		this._fuelResource = resources?.fuel || null;
+		this._updateNetFuelElement();
+	}
+
+	/**
+	 * Shows how the planet ranks against random planets of its size.
+	 * @param {Object|null} ranking - PlanetRanking.rank() output, null to hide
+	 */
+	updatePercentiles(ranking) {
+		if (!this._percentileElement) return;
+		this._percentileElement.innerHTML = '';
+		if (!ranking) return;
+
+		const pct = (share) => `${Math.round(share * 100)}%`;
+		this._percentileElement.appendChild(this.createElement('p', {},
+			I18n.t('percentile.overall', { pct: pct(ranking.overall), size: ranking.size })));
+
+		const chips = this.createElement('div', { className: 'planet-percentile__axes' });
+		for (const [axis, share] of Object.entries(ranking.axes)) {
+			const key = PlanetRanking.LOWER_IS_BETTER.includes(axis) ? 'percentile.axis_safer' : 'percentile.axis';
+			const chip = this.createElement('span', {
+				className: 'planet-percentile__axis',
+				title: I18n.t(`${key}_title`, { pct: pct(share), axis: I18n.t(`stars.axis.${axis}`) })
+			}, I18n.t(key, { pct: pct(share), axis: I18n.t(`stars.axis.${axis}`) }));
+			chip.classList.toggle('positive', share >= 0.75);
+			chip.classList.toggle('warning', share < 0.25);
+			chips.appendChild(chip);
+		}
+		this._percentileElement.appendChild(chips);
 	}
 
 	_updateNavElement(direction, fuelCost) {
@@ -224,6 +341,14 @@ this._imgElement.alt  = this._planetName || I18n.t('planet.unknown');
 		this._navElement.appendChild(icon);
 	}
 
+	_updateNetFuelElement() {
+		if (!this._netFuelElement) return;
+		const netFuel = FuelEconomics.compute(this._fuelResource, this._fuelCost);
+		this._netFuelElement.textContent = netFuel ? PlanetSummary.formatNetFuel(netFuel) : '';
+		this._netFuelElement.classList.toggle('positive', !!netFuel && netFuel.expectedNet > 0);
+		this._netFuelElement.classList.toggle('warning', !!netFuel && netFuel.expectedNet < 0);
+	}
+
 	_formatNav(direction, fuelCost) {
 		const translatedDir = I18n.t('planet.dir.' + direction.toLowerCase());
 		return I18n.t('planet.nav', { direction: translatedDir, fuel: fuelCost });
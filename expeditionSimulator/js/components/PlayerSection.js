@@ -11,6 +11,7 @@ class PlayerSection extends Component {
 	 * @param {Function} [options.onModeToggle] - Called with ('icarus'|'patrol')
 	 * @param {Function} [options.onAntigravToggle] - Called with (isActive)
 	 * @param {Function} [options.onBaseToggle] - Called with (isActive)
+	 * @param {Function} [options.onExploredSectorsClick] - Called with no arguments
 	 * @param {Function} [options.getResourceURL] - Resource URL resolver
 	 */
 	constructor(options = {}) {
@@ -20,6 +21,7 @@ class PlayerSection extends Component {
 		this.onModeToggle = options.onModeToggle || null;
 		this.onAntigravToggle = options.onAntigravToggle || null;
 		this.onBaseToggle = options.onBaseToggle || null;
+		this.onExploredSectorsClick = options.onExploredSectorsClick || null;
 		this.getResourceURL = options.getResourceURL || ((path) => path);
 
 		this._currentMode = 'icarus';
@@ -77,6 +79,7 @@ class PlayerSection extends Component {
 			className: 'explored-sectors-icon'
 		});
 		this._exploredSectorsBtn.appendChild(esIcon);
+		this.addEventListener(this._exploredSectorsBtn, 'click', () => this.onExploredSectorsClick?.());
 		controls.appendChild(this._exploredSectorsBtn);
 
 		this._fightingPowerBtn = this.createElement('button', {
@@ -161,6 +164,14 @@ class PlayerSection extends Component {
 		this.onModeToggle?.(this._currentMode);
 	}
 
+	/**
+	 * Gets the current expedition mode
+	 * @returns {string} 'icarus' | 'patrol'
+	 */
+	getMode() {
+		return this._currentMode;
+	}
+
 	/** Silently restores mode without firing onModeToggle */
 	setMode(mode) {
 		if (!this._modeBtn || mode === this._currentMode) return;
@@ -223,9 +234,14 @@ class PlayerSection extends Component {
 	/**
 	 * Updates the explored sectors display
 	 * @param {number} count
+	 * @param {boolean} [isOverride=false] - Count was typed in rather than derived from the loadout
 	 */
-	setExploredSectors(count) {
+	setExploredSectors(count, isOverride = false) {
 		this._exploredSectors = count;
+		if (this._exploredSectorsBtn) {
+			this._exploredSectorsBtn.classList.toggle('override', isOverride);
+			this._exploredSectorsBtn.title = I18n.t(isOverride ? 'players.explored.override' : 'players.explored.derived');
+		}
 		if (this._exploredSectorsValue) {
 			this._exploredSectorsValue.textContent = count.toString();
 			// console.log('Explored sectors UI updated to:', count);
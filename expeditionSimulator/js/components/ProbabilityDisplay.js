@@ -8,11 +8,17 @@ class ProbabilityDisplay extends Component {
 	/**
 	 * @param {Object} options
 	 * @param {Function} [options.getResourceURL] - Resource URL resolver
+	 * @param {Function} [options.onRescuePreset] - Called with (lostCount) to load a rescue planet
 	 */
 	constructor(options = {}) {
 		super(options);
 		this._contentElement = null;
 		this._getResourceURL = options.getResourceURL || window.getResourceURL;
+		this.onRescuePreset = options.onRescuePreset || null;
+
+		// "P(at least N)" targets typed per resource; kept across re-renders
+		this._thresholds = {};
+		this._resources = null;
 	}
 
 	render() {
@@ -26,26 +32,45 @@ class ProbabilityDisplay extends Component {
 			id: 'prob-content'
 		}, I18n.t('prob.placeholder'));
 
+		// Content is re-rendered on every update, so buttons are handled by delegation
+		this.addEventListener(this._contentElement, 'click', (e) => {
+			const btn = e.target.closest('[data-action="rescue-preset"]');
+			if (btn) this.onRescuePreset?.(Number(btn.dataset.lostCount));
+		});
+		this.addEventListener(this._contentElement, 'input', (e) => {
+			const input = e.target.closest('[data-threshold]');
+			if (input) this._onThresholdInput(input);
+		});
+
 		this.element.appendChild(this._contentElement);
 		return this.element;
 	}
 
 	/**
 	 * @param {Object|null} data - Calculation result from the expedition pipeline
+	 * @param {Object} [options]
+	 * @param {number} [options.unknownCount] - UNKNOWN sectors, which the calculation counts as empty
 	 */
-	update(data) {
+	update(data, options = {}) {
 		if (!data || !this._contentElement) {
 			this.clear();
 			return;
 		}
 
+		this._resources = data.resources;
+
 		let html = '';
+		html += this._renderScannedOnly(options.unknownCount);
+		html += this._renderSectorsExplored(data.sectorsExplored);
 		html += this._renderResources(data.resources);
+		html += this._renderThresholds(data.resources);
 		// html += this._renderCombatRisks(data.combat);
 		html += this._renderCombatDamage(data.combat);
 		// html += this._renderEventRisks(data.eventDamage);
 		html += this._renderEventDamage(data.eventDamage);
 		html += this._renderNegativeEvents(data.negativeEvents);
+		html += this._renderGearLost(data.gearLost);
+		html += this._renderLostCrew(data.lostCrew);
 
 		this._contentElement.innerHTML = html;
 	}
@@ -68,6 +93,118 @@ class ProbabilityDisplay extends Component {
 		}
 	}
 
+	/**
+	 * One-line note shown only on a partially scanned planet: these results
+	 * cover the scanned sectors, ScanUncertaintyPanel covers the rest.
+	 * @param {number} [unknownCount]
+	 */
+	_renderScannedOnly(unknownCount) {
+		if (!unknownCount) return '';
+		return `<div class="outcome-item scanned-only"><span>${I18n.t('scan.scanned_only', { count: unknownCount })}</span></div>`;
+	}
+
+	/**
+	 * One-line note shown only when BACK can cut the expedition short.
+	 * @param {Object} [sectorsExplored] - { planned, expected }
+	 */
+	_renderSectorsExplored(sectorsExplored) {
+		if (!sectorsExplored || sectorsExplored.expected >= sectorsExplored.planned - 0.005) return '';
+
+		const text = I18n.t('prob.explored', {
+			expected: sectorsExplored.expected.toFixed(2),
+			planned: sectorsExplored.planned
+		});
+		return `<div class="outcome-item sectors-explored"><span>${text}</span></div>`;
+	}
+
+	/**
+	 * ITEM_LOST breakdown: per carried item type, chance it goes, expected
+	 * number lost, and what the team loses with it. Unless the engine applied
+	 * the losses (gearLost.applied), the totals above still count that gear.
+	 * @param {Object} [gearLost] - { expectedItemsLost, byItem, applied? }
+	 */
+	_renderGearLost(gearLost) {
+		if (!gearLost || gearLost.expectedItemsLost <= 0) return '';
+
+		const items = Object.entries(gearLost.byItem)
+			.filter(([, entry]) => entry.expectedLost > 0)
+			.sort((a, b) => b[1].expectedLost - a[1].expectedLost);
+		if (items.length === 0) return '';
+
+		const rows = items.map(([itemId, entry]) => {
+			const costs = [];
+			if (entry.fightingPowerLoss > 0) {
+				costs.push(I18n.t('prob.gear.power', { power: Format.resourceValue(entry.fightingPowerLoss) }));
+			}
+			for (const modifier of entry.modifiersLost) {
+				costs.push(formatSectorName(modifier));
+			}
+			return `<tr>
+				<td class="icon-cell">${this._icon(`pictures/gear/${itemId.toLowerCase()}.jpg`)}</td>
+				<td class="warning">${Format.prob(entry.lostProbability)}</td>
+				<td class="neutral">${Format.resourceValue(entry.expectedLost)}</td>
+				<td class="neutral">${costs.join(', ') || '-'}</td>
+			</tr>`;
+		}).join('');
+
+		return `
+			<div class="outcome-category gear-lost">
+				<h5>${I18n.t('prob.gear.header')}</h5>
+				${gearLost.applied ? '' : `<div class="outcome-item gear-lost-note"><span>${I18n.t('prob.gear.not_applied')}</span></div>`}
+				<table class="events-table">
+					<thead>
+						<tr>
+							<th>${I18n.t('prob.gear.col.item')}</th>
+							<th>${I18n.t('prob.gear.col.chance')}</th>
+							<th>${I18n.t('prob.gear.col.expected')}</th>
+							<th>${I18n.t('prob.gear.col.cost')}</th>
+						</tr>
+					</thead>
+					<tbody>${rows}</tbody>
+				</table>
+			</div>
+		`;
+	}
+
+	/**
+	 * PLAYER_LOST follow-up: chance someone goes missing, LOST sector odds
+	 * (with and without Tracker) and a button loading the rescue planet.
+	 * @param {Object} [lostCrew] - { missingProbability, expectedLostSectors, rescue?, rescueLostCount? }
+	 */
+	_renderLostCrew(lostCrew) {
+		if (!lostCrew || lostCrew.missingProbability <= 0) return '';
+
+		const lines = [I18n.t('prob.lost.missing', {
+			chance: Format.prob(lostCrew.missingProbability),
+			expected: Format.resourceValue(lostCrew.expectedLostSectors)
+		})];
+
+		const rescue = lostCrew.rescue;
+		if (rescue) {
+			lines.push(I18n.t('prob.lost.odds', {
+				find: Format.prob(rescue.current.find),
+				kill: Format.prob(rescue.current.kill)
+			}));
+			if (!rescue.hasTracker) {
+				lines.push(I18n.t('prob.lost.odds_tracker', {
+					find: Format.prob(rescue.withTracker.find),
+					kill: Format.prob(rescue.withTracker.kill)
+				}));
+			}
+		}
+
+		const lostCount = lostCrew.rescueLostCount || 1;
+		return `
+			<div class="outcome-category lost-crew">
+				<h5>${I18n.t('prob.lost.header')}</h5>
+				${lines.map(line => `<div class="outcome-item"><span>${line}</span></div>`).join('')}
+				<button class="debug-btn rescue-preset-btn" data-action="rescue-preset" data-lost-count="${lostCount}">
+					${I18n.t('prob.lost.rescue', { count: lostCount })}
+				</button>
+			</div>
+		`;
+	}
+
 	_renderResources(resources) {
 		const items = [
 			{ name: I18n.t('resource.fruits'),       icon: 'pictures/consumables/fruit10.jpg',    data: resources.fruits },
@@ -117,6 +254,66 @@ class ProbabilityDisplay extends Component {
 		`;
 	}
 
+	/**
+	 * "At least N" inputs, one per resource, with the exact probability read
+	 * from the resource distribution.
+	 */
+	_renderThresholds(resources) {
+		const items = [
+			{ key: 'fruits',       icon: 'pictures/consumables/fruit10.jpg' },
+			{ key: 'steaks',       icon: 'pictures/consumables/alien_steak.jpg' },
+			{ key: 'fuel',         icon: 'pictures/consumables/fuel_capsule.jpg' },
+			{ key: 'oxygen',       icon: 'pictures/consumables/oxy_capsule.jpg' },
+			{ key: 'artefacts',    icon: 'pictures/consumables/artefact.png' },
+			{ key: 'mapFragments', icon: 'pictures/consumables/super_map.jpg' }
+		];
+
+		const cells = items.filter(r => resources[r.key]).map(r => `
+			<label class="threshold-item">
+				${this._icon(r.icon)}
+				<span>≥</span>
+				<input type="number" min="0" step="1" data-threshold="${r.key}" value="${this._thresholds[r.key] ?? ''}" />
+				<span class="threshold-result" data-threshold-result="${r.key}">${this._formatThreshold(r.key)}</span>
+			</label>
+		`).join('');
+
+		return `
+			<div class="outcome-category threshold-queries">
+				<h5>${I18n.t('prob.threshold.header')}</h5>
+				<div class="threshold-grid">${cells}</div>
+			</div>
+		`;
+	}
+
+	/**
+	 * Stores the typed target and refreshes its probability in place,
+	 * so the input keeps focus.
+	 */
+	_onThresholdInput(input) {
+		const key = input.dataset.threshold;
+		const target = parseInt(input.value, 10);
+		if (Number.isFinite(target) && target >= 0) {
+			this._thresholds[key] = target;
+		} else {
+			delete this._thresholds[key];
+		}
+
+		const output = this._contentElement.querySelector(`[data-threshold-result="${key}"]`);
+		if (output) output.textContent = this._formatThreshold(key);
+	}
+
+	/**
+	 * P(resource >= target), or '' when no target is set.
+	 */
+	_formatThreshold(key) {
+		const target = this._thresholds[key];
+		const data = this._resources?.[key];
+		if (target === undefined || !data) return '';
+
+		const distribution = data.distribution || DistributionCalculator.empty();
+		return Format.prob(DistributionCalculator.getProbabilityAtLeast(distribution, target));
+	}
+
 	/**
 	 * Builds HTML rows for damage scenarios, collapsing rows when rounded
 	 * damage values are identical.  Shared by Combat Damage and Event Damage.
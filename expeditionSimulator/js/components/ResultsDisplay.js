@@ -12,6 +12,7 @@ class ResultsDisplay extends Component {
 		super(options);
 		this._contentElement = null;
 		this._legendContainer = null;
+		this._scannedOnlyElement = null;
 	}
 
 	render() {
@@ -20,6 +21,10 @@ class ResultsDisplay extends Component {
 		const header = this.createElement('h4', { 'data-i18n': 'results.header' }, I18n.t('results.header'));
 		this.element.appendChild(header);
 
+		this._scannedOnlyElement = this.createElement('div', { className: 'outcome-item scanned-only' });
+		this._scannedOnlyElement.style.display = 'none';
+		this.element.appendChild(this._scannedOnlyElement);
+
 		this._contentElement = this.createElement('div', {
 			className: 'results-content',
 			id: 'results-content'
@@ -53,6 +58,16 @@ class ResultsDisplay extends Component {
 		}
 	}
 
+	/**
+	 * Notes that the results cover the scanned sectors only.
+	 * @param {number} unknownCount - UNKNOWN sectors, counted as empty; 0 hides the note
+	 */
+	setUnknownCount(unknownCount) {
+		if (!this._scannedOnlyElement) return;
+		this._scannedOnlyElement.textContent = unknownCount > 0 ? I18n.t('scan.scanned_only', { count: unknownCount }) : '';
+		this._scannedOnlyElement.style.display = unknownCount > 0 ? '' : 'none';
+	}
+
 	/**
 	 * @param {string} message
 	 */
@@ -63,6 +78,7 @@ class ResultsDisplay extends Component {
 		if (this._legendContainer) {
 			this._legendContainer.innerHTML = '';
 		}
+		this.setUnknownCount(0);
 	}
 
 	clear() {
@@ -18,9 +18,11 @@ class ResultsRenderer {
 	 * @param {Array}  participationStatus - One entry per player: { canParticipate: boolean }
 	 * @param {Object} effectsByScenario   - { optimist, average, pessimist, worstCase }, arrays of effect arrays
 	 * @param {Function} getURL            - chrome.runtime.getURL equivalent
+	 * @param {Array}  [playerHealth]      - Per participating player: { deathProbability, woundedProbability, … }
+	 * @param {Array}  [mushRisk]          - Per participating player: P(becomes Mush), null when not applicable
 	 * @returns {string}
 	 */
-	static render(players, healthByScenario, participationStatus, effectsByScenario = {}, getURL) {
+	static render(players, healthByScenario, participationStatus, effectsByScenario = {}, getURL, playerHealth = [], mushRisk = []) {
 		let participatingIndex = 0;
 
 		return players.map((player, playerIndex) => {
@@ -75,6 +77,9 @@ class ResultsRenderer {
 				}
 			}
 
+			const healthStats = playerHealth[participatingIndex];
+			const conversionProbability = mushRisk[participatingIndex];
+
 			participatingIndex++;
 
 			return `
@@ -97,6 +102,8 @@ class ResultsRenderer {
 						</div>
 					</div>
 					${cardLevelEffects.length > 0 ? `<div class="expedition-result-effects">${ResultsRenderer.renderEffectIcons(cardLevelEffects, getURL)}</div>` : ''}
+					${ResultsRenderer.renderDeathBadge(healthStats)}
+					${ResultsRenderer.renderMushBadge(conversionProbability, getURL)}
 				</div>
 			`;
 		}).join('');
@@ -116,6 +123,76 @@ class ResultsRenderer {
 		return `${health}<img src="${getURL('pictures/ui/hp.png')}" alt="" class="hp-icon" />`;
 	}
 
+	/**
+	 * Renders the death-chance badge for one card. Tooltip also gives the
+	 * chance to end below Constants.WOUNDED_HEALTH_THRESHOLD HP.
+	 *
+	 * @param {Object} [stats] - { deathProbability, woundedProbability }
+	 * @returns {string} Empty string when no stats are available
+	 */
+	static renderDeathBadge(stats) {
+		if (!stats) return '';
+
+		const death = ResultsRenderer.formatChance(stats.deathProbability);
+		const title = I18n.t('results.death_tooltip', {
+			death,
+			wounded: ResultsRenderer.formatChance(stats.woundedProbability),
+			threshold: Constants.WOUNDED_HEALTH_THRESHOLD
+		});
+		const cssClass = ResultsRenderer.getDeathChanceClass(stats.deathProbability);
+
+		return `<div class="expedition-result-death-chance ${cssClass}" title="${title}">☠ ${death}</div>`;
+	}
+
+	/**
+	 * Renders the chance of becoming a Mush (spores caught + spores already carried).
+	 *
+	 * @param {number|null} [probability] - From SporeService.getConversionProbability()
+	 * @param {Function} getURL
+	 * @returns {string} Empty string for a Mush, without data, or without any risk
+	 */
+	static renderMushBadge(probability, getURL) {
+		if (probability == null || probability <= 0) return '';
+
+		const chance = ResultsRenderer.formatChance(probability);
+		const title = I18n.t('results.mush_tooltip', { chance });
+		const cssClass = ResultsRenderer.getMushChanceClass(probability);
+		return `<div class="expedition-result-mush-chance ${cssClass}" title="${title}"><img src="${getURL('pictures/ui/spore.png')}" alt="" class="spore-icon" />${chance}</div>`;
+	}
+
+	/**
+	 * Formats a probability as a whole percentage ("<1%" for tiny non-zero values).
+	 *
+	 * @param {number} probability
+	 * @returns {string}
+	 */
+	static formatChance(probability) {
+		if (probability > 0 && probability < 0.01) return '<1%';
+		return `${Math.round(probability * 100)}%`;
+	}
+
+	/**
+	 * @param {number} probability
+	 * @returns {string}
+	 */
+	static getDeathChanceClass(probability) {
+		if (probability <= 0)   return 'death-none';
+		if (probability < 0.1)  return 'death-low';
+		if (probability < 0.3)  return 'death-medium';
+		return 'death-high';
+	}
+
+	/**
+	 * @param {number} probability - Chance of becoming a Mush
+	 * @returns {string}
+	 */
+	static getMushChanceClass(probability) {
+		if (probability <= 0)   return 'mush-none';
+		if (probability < 0.1)  return 'mush-low';
+		if (probability < 0.3)  return 'mush-medium';
+		return 'mush-high';
+	}
+
 	/**
 	 * Renders a row of effect icons (ROPE, SURVIVAL, PLASTENITE_ARMOR).
 	 * Deduplicates by type.
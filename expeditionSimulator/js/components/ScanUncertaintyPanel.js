@@ -0,0 +1,87 @@
+/**
+ * ScanUncertaintyPanel Component
+ *
+ * Expedition results of a partially scanned planet: for each metric, the
+ * expected value over the ScanUncertainty completions of the UNKNOWN sectors
+ * and the band it can land in once the planet is fully scanned.
+ * Hidden while every sector is known.
+ */
+class ScanUncertaintyPanel extends Component {
+	constructor(options = {}) {
+		super(options);
+		this._resultsElement = null;
+	}
+
+	render() {
+		this.element = this.createElement('div', { className: 'scan-uncertainty' });
+
+		const header = this.createElement('h4', { 'data-i18n': 'scan.header' }, I18n.t('scan.header'));
+		this.element.appendChild(header);
+
+		this._resultsElement = this.createElement('div', { className: 'scan-uncertainty-results' });
+		this.element.appendChild(this._resultsElement);
+
+		this.element.style.display = 'none';
+		return this.element;
+	}
+
+	showLoading() {
+		if (!this._resultsElement) return;
+		this.element.style.display = '';
+		this._resultsElement.innerHTML = `<p class="optimizer-status">${I18n.t('scan.loading')}</p>`;
+	}
+
+	showError() {
+		if (!this._resultsElement) return;
+		this.element.style.display = '';
+		this._resultsElement.innerHTML = `<p class="optimizer-status">${I18n.t('scan.error')}</p>`;
+	}
+
+	/**
+	 * @param {Object|null} summary - ScanUncertainty.summarize() output, null to hide
+	 */
+	update(summary) {
+		if (!this._resultsElement) return;
+		if (!summary) {
+			this.element.style.display = 'none';
+			return;
+		}
+		this.element.style.display = '';
+
+		const rows = MarginalValueAnalyzer.METRICS.map(key => {
+			const band = summary.metrics[key];
+			return `
+				<tr>
+					<td>${this._label(key)}</td>
+					<td>${this._formatValue(key, band.mean)}</td>
+					<td class="scan-band">${this._formatValue(key, band.low)} – ${this._formatValue(key, band.high)}</td>
+				</tr>
+			`;
+		}).join('');
+
+		this._resultsElement.innerHTML = `
+			<p>${I18n.t('scan.intro', { count: summary.unknownCount, samples: summary.samples })}</p>
+			<table class="events-table scan-table">
+				<thead><tr><th></th><th>${I18n.t('scan.col.expected')}</th><th>${I18n.t('scan.col.band')}</th></tr></thead>
+				<tbody>${rows}</tbody>
+			</table>
+		`;
+	}
+
+	_label(key) {
+		// Same names as the Marginal Value columns
+		return ['eventDamage', 'deathProbability'].includes(key)
+			? I18n.t(`marginal.col.${key}`)
+			: I18n.t(`resource.${key}`);
+	}
+
+	_formatValue(key, value) {
+		if (key === 'deathProbability') return `${(value * 100).toFixed(1)}%`;
+		return Format.resourceValue(value);
+	}
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+	window.ScanUncertaintyPanel = ScanUncertaintyPanel;
+}
@@ -2,21 +2,44 @@
  * StarRating Component
  *
  * Displays the overall score, axis stars, and boolean review badges.
+ * With an explained score (PlanetReviewScorer explain mode), clicking an axis
+ * drills down into the sectors behind it, and clicking the overall score
+ * lists the boolean bonuses that fired.
+ * A review with UNKNOWN sectors (ScanUncertainty.applyToReview) shows the band
+ * each score can land in once the planet is fully scanned.
  */
 class StarRating extends Component {
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.titleKey]     - I18n key of a title shown above the rating
+	 * @param {string} [options.emptyHintKey] - I18n key of a hint shown while there is no data
+	 * @param {string} [options.className]    - Extra class on the root element
+	 */
 	constructor(options = {}) {
 		super(options);
+		this._titleKey = options.titleKey || null;
+		this._emptyHintKey = options.emptyHintKey || null;
+		this._className = options.className || '';
+		this._hintElement = null;
 		this._overallContainer = null;
 		this._axesContainer = null;
 		this._booleansContainer = null;
+		this._detailContainer = null;
 		this._lastAxes = null;
+		this._explanation = null;
+		this._expandedKey = null;
 		this._lastResources = null;
 	}
 
 	// Rendering
 
 	render() {
-		this.element = this.createElement('div', { className: 'star-rating' });
+		this.element = this.createElement('div', { className: ('star-rating ' + this._className).trim() });
+
+		if (this._titleKey) {
+			const title = this.createElement('h4', { className: 'star-rating-title', 'data-i18n': this._titleKey }, I18n.t(this._titleKey));
+			this.element.appendChild(title);
+		}
 
 		this._overallContainer = this.createElement('div', { className: 'star-rating-overall' });
 		this.element.appendChild(this._overallContainer);
@@ -24,9 +47,27 @@ class StarRating extends Component {
 		this._axesContainer = this.createElement('div', { className: 'star-rating-axes' });
 		this.element.appendChild(this._axesContainer);
 
+		this._detailContainer = this.createElement('div', { className: 'star-rating-detail' });
+		this.element.appendChild(this._detailContainer);
+
+		// Drill-down: rows are re-rendered on every update, so delegate
+		const onDrillDown = (e) => {
+			const row = e.target.closest('[data-explain]');
+			if (!row || !this._explanation) return;
+			this._expandedKey = this._expandedKey === row.dataset.explain ? null : row.dataset.explain;
+			this._renderDetail();
+		};
+		this.addEventListener(this._overallContainer, 'click', onDrillDown);
+		this.addEventListener(this._axesContainer, 'click', onDrillDown);
+
 		this._booleansContainer = this.createElement('div', { className: 'star-rating-boolean-list' });
 		this.element.appendChild(this._booleansContainer);
 
+		if (this._emptyHintKey) {
+			this._hintElement = this.createElement('p', { className: 'star-rating-hint', 'data-i18n': this._emptyHintKey }, I18n.t(this._emptyHintKey));
+			this.element.appendChild(this._hintElement);
+		}
+
 		this._renderEmpty();
 
 		return this.element;
@@ -43,10 +84,13 @@ class StarRating extends Component {
 			return;
 		}
 
-		this._renderOverall(data.overall);
+		if (this._hintElement) this._hintElement.style.display = 'none';
+		this._explanation = data.explanation || null;
+		this._renderOverall(data.overall, data.overallBand);
 		this._lastAxes = data.axes || [];
 		this._renderAxes(this._lastAxes);
 		this._renderBooleans(data.booleans || []);
+		this._renderDetail();
 	}
 
 	/**
@@ -62,10 +106,13 @@ class StarRating extends Component {
 	// Private renderers
 
 	_renderEmpty() {
+		if (this._hintElement) this._hintElement.style.display = '';
+		this._explanation = null;
 		this._renderOverall(0);
 		this._lastAxes = StarRating.EMPTY_AXES;
 		this._renderAxes(this._lastAxes);
 		this._renderBooleans([]);
+		this._renderDetail();
 	}
 
 	// Default axes shown when no data is provided (all at 0 stars)
@@ -80,8 +127,9 @@ class StarRating extends Component {
 		];
 	}
 
-	_renderOverall(score) {
+	_renderOverall(score, band = null) {
 		this._overallContainer.innerHTML = '';
+		this._setExplainable(this._overallContainer, 'overall');
 
 		const label = this.createElement('span', { className: 'star-rating-overall-label', 'data-i18n': 'stars.overall' }, I18n.t('stars.overall'));
 		this._overallContainer.appendChild(label);
@@ -92,6 +140,16 @@ class StarRating extends Component {
 		const numericEl = this.createElement('span', { className: 'star-rating-overall-value' },
 			score.toFixed(1));
 		this._overallContainer.appendChild(numericEl);
+
+		if (band) this._overallContainer.appendChild(this._createBandElement(band));
+	}
+
+	/** "low–high★" range of a score over the unknown sectors' completions */
+	_createBandElement(band) {
+		return this.createElement('span', {
+			className: 'star-rating-band',
+			title: I18n.t('stars.band_hint')
+		}, `${band.low.toFixed(1)}–${band.high.toFixed(1)}★`);
 	}
 
 	_renderAxes(axes) {
@@ -101,6 +159,7 @@ class StarRating extends Component {
 			const row = this.createElement('div', {
 				className: `star-rating-axis star-rating-axis--${axis.key}`
 			});
+			this._setExplainable(row, axis.key);
 
 			const labelText = axis.label + this._formatAxisQuartiles(axis.key);
 			const label = this.createElement('span', { className: 'star-rating-axis-label' },
@@ -110,10 +169,87 @@ class StarRating extends Component {
 			const starsEl = StarRating._createStarsElement(axis.stars);
 			row.appendChild(starsEl);
 
+			if (axis.band) row.appendChild(this._createBandElement(axis.band));
+
 			this._axesContainer.appendChild(row);
 		}
 	}
 
+	/** Marks a row as clickable for the drill-down when the score is explained. */
+	_setExplainable(element, key) {
+		const explainable = !!this._explanation;
+		element.classList.toggle('star-rating-explainable', explainable);
+		element.classList.toggle('star-rating-explainable--open', explainable && this._expandedKey === key);
+		if (explainable) {
+			element.dataset.explain = key;
+			element.title = I18n.t('stars.explain.hint');
+		} else {
+			delete element.dataset.explain;
+			element.removeAttribute('title');
+		}
+	}
+
+	_renderDetail() {
+		if (!this._detailContainer) return;
+		this._detailContainer.innerHTML = '';
+
+		// Keep the open row highlighted
+		for (const row of this.element.querySelectorAll('[data-explain]')) {
+			row.classList.toggle('star-rating-explainable--open', row.dataset.explain === this._expandedKey);
+		}
+
+		if (!this._explanation || !this._expandedKey) return;
+
+		if (this._expandedKey === 'overall') {
+			this._renderOverallDetail(this._explanation.booleanBonuses || []);
+			return;
+		}
+
+		const axisExplanation = this._explanation.axes?.[this._expandedKey];
+		if (!axisExplanation) return;
+
+		const list = this.createElement('ul', { className: 'star-rating-detail-list' });
+		for (const entry of axisExplanation.sectors) {
+			const count = entry.count > 1 ? ` ×${entry.count}` : '';
+			const item = this.createElement('li', { className: 'star-rating-detail-sector' }, [
+				this.createElement('span', { className: 'star-rating-detail-name' }, formatSectorName(entry.sector) + count),
+				this.createElement('span', { className: 'star-rating-detail-stars' }, `+${entry.stars.toFixed(1)}★`)
+			]);
+
+			const events = entry.events.map(e => `${e.event} ${e.weight}/${entry.totalWeight}`);
+			if (entry.bonus > 0) events.push(I18n.t('stars.explain.bonus', { stars: entry.bonus }));
+			item.appendChild(this.createElement('div', { className: 'star-rating-detail-events' }, events.join(' · ')));
+			list.appendChild(item);
+		}
+		if (axisExplanation.fightRewards > 0) {
+			list.appendChild(this.createElement('li', { className: 'star-rating-detail-sector' }, [
+				this.createElement('span', { className: 'star-rating-detail-name' }, I18n.t('stars.explain.fight_rewards')),
+				this.createElement('span', { className: 'star-rating-detail-stars' }, `+${axisExplanation.fightRewards.toFixed(1)}★`)
+			]));
+		}
+
+		if (list.children.length === 0) {
+			this._detailContainer.appendChild(this.createElement('p', { className: 'star-rating-detail-empty' }, I18n.t('stars.explain.empty')));
+			return;
+		}
+		this._detailContainer.appendChild(list);
+	}
+
+	_renderOverallDetail(booleanBonuses) {
+		if (booleanBonuses.length === 0) {
+			this._detailContainer.appendChild(this.createElement('p', { className: 'star-rating-detail-empty' }, I18n.t('stars.explain.no_bonus')));
+			return;
+		}
+		const list = this.createElement('ul', { className: 'star-rating-detail-list' });
+		for (const bonus of booleanBonuses) {
+			list.appendChild(this.createElement('li', { className: 'star-rating-detail-sector' }, [
+				this.createElement('span', { className: 'star-rating-detail-name' }, bonus.label),
+				this.createElement('span', { className: 'star-rating-detail-stars' }, `+${bonus.stars}★`)
+			]));
+		}
+		this._detailContainer.appendChild(list);
+	}
+
 	_formatAxisQuartiles(axisKey) {
 		if (!this._lastResources) return '';
 		// Multiple resource buckets can feed one displayed axis.
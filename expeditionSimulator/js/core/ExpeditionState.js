@@ -68,8 +68,9 @@ class ExpeditionState {
 	}
 
 	_getInitialAbilities(avatar, fallbackAbilities = []) {
+		const allowed = AbilityData.getPlayerAbilities(this._getCrewAvatarStatus(avatar));
 		const abilities = this._getCrewAvatarAbilities(avatar)
-			.filter(ability => AbilityData.normal.includes(ability))
+			.filter(ability => allowed.includes(ability))
 			.slice(0, Constants.ABILITY_SLOTS);
 
 		if (abilities.length === 0) {
@@ -265,6 +266,60 @@ class ExpeditionState {
 		return this._players.length;
 	}
 
+	/**
+	 * Crew members of the Crew Manager, as player objects with their real
+	 * abilities and HP, and their Crew Manager status (who may go is up to the
+	 * caller). Someone already in the team keeps the items of their player
+	 * card; others come empty-handed.
+	 * @returns {Array<Object>} Players without ids, with a status; empty without a Crew Manager
+	 */
+	getCrewCandidates() {
+		const crewGroups = this._getCrewAvatarGroups();
+		if (!crewGroups) return [];
+
+		return (crewGroups.available || []).map(avatar => {
+			const current = this._players.find(p => p.avatar === avatar);
+			return {
+				avatar,
+				abilities: this._getInitialAbilities(avatar),
+				items: current ? [...current.items] : Array(Constants.ITEM_SLOTS).fill(null),
+				health: this._getCrewAvatarHealth(avatar),
+				status: this._getCrewAvatarStatus(avatar)
+			};
+		});
+	}
+
+	/**
+	 * Crew Manager status of a character ({ health, morale, dead, mush, spore, … }).
+	 * @param {string} avatar
+	 * @returns {Object|null} null without a Crew Manager or for an unknown character
+	 */
+	getCrewStatus(avatar) {
+		return this._getCrewAvatarStatus(avatar);
+	}
+
+	/**
+	 * Replaces the team with the given crew members (e.g. a CrewRecommender pick).
+	 * @param {Array<Object>} players - Player objects without ids
+	 * @returns {Array<Object>} The new players
+	 */
+	setPlayersFromCrew(players) {
+		this._players = players.slice(0, Constants.MAX_PLAYERS).map(p => ({
+			id:        this._nextPlayerId++,
+			avatar:    p.avatar,
+			abilities: [...p.abilities],
+			items:     [...p.items],
+			health:    p.health
+		}));
+		this._notifyChange();
+		return this.getPlayers();
+	}
+
+	_getCrewAvatarStatus(avatar) {
+		if (typeof window === 'undefined') return null;
+		return window.crewManagerApp?.getAvatarStatus?.(avatar) ?? null;
+	}
+
 	// ========================================
 	// Settings
 	// ========================================
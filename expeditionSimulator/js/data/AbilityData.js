@@ -10,6 +10,9 @@ const AbilityData = {
 		'human/skillful.png'
 	],
 
+	/** Mush skill, only offered for a (suspected) traitor among the explorers */
+	TRAITOR: 'mush/traitre.png',
+
 	humanSkills: [
 		'human/abnegation.png', 'human/apprentissage.png', 'human/arriviste.png',
 		'human/astrophyscicien.png', 'human/beta.png', 'human/biologiste.png',
@@ -47,6 +50,18 @@ const AbilityData = {
 		'mush/saboteur.png', 'mush/traitre.png', 'mush/transfert.png'
 	],
 
+	/**
+	 * Abilities a player can be given: the normal ones, plus the Traitor for a
+	 * character the Crew Manager marks Mush or gives the Traitor skill.
+	 * @param {Object|null} [crewStatus] - Crew Manager status ({ mush, suspectedTraitor, … })
+	 * @returns {string[]}
+	 */
+	getPlayerAbilities(crewStatus) {
+		return crewStatus?.mush || crewStatus?.suspectedTraitor
+			? [...this.normal, this.TRAITOR]
+			: this.normal;
+	},
+
 	/**
 	 * Gets selection items for a given skill list
 	 * @param {Function} getResourceURL
@@ -15,6 +15,7 @@ const Translations = {
 		// Tabs
 		'tab.planetary_review':     'Planetary Review',
 		'tab.expedition_sim':       'Expedition Simulation',
+		'tab.marginal_value':       'Marginal Value',
 
 		// Sector selection
 		'sectors.header':           'Sectors Present ({regular}/{max})',
@@ -26,9 +27,15 @@ const Translations = {
 
 		// Example worlds
 		'worlds.header':            'Example Worlds',
+		'engine.header':            'Calculation Engine',
+		'engine.convolution':       'Convolution',
+		'engine.montecarlo':        'Monte Carlo',
+		'engine.sequential':        'Sequential',
 
 		// Players section
 		'players.header':           'Players',
+		'players.explored.derived': 'Sectors explored: ship movement + Sprint. Click to set it by hand',
+		'players.explored.override': 'Sectors explored, set by hand. Click to change, clear to derive it again',
 
 		// Probability display
 		'prob.header':              'Event Probabilities',
@@ -38,6 +45,29 @@ const Translations = {
 
 		// Resources table
 		'prob.resources.header':    'Resources',
+		'prob.threshold.header':    'Chance of at least...',
+		'oxygen_budget.header':     'Oxygen Budget',
+		'oxygen_budget.reserve':    'Ship O2',
+		'oxygen_budget.crewCount':  'Crew',
+		'oxygen_budget.days':       'Days',
+		'oxygen_budget.empty':      'Select sectors first',
+		'oxygen_budget.without':    'Without this expedition: {cycles} cycles of oxygen',
+		'oxygen_budget.with':       'With its oxygen: {cycles} cycles on average',
+		'oxygen_budget.safe':       'The reserve already lasts {days} days',
+		'oxygen_budget.prevent':    'Chance this expedition keeps the oxygen from running out within {days} days: {prob}',
+		'goals.header':             'Mission Goals',
+		'goals.combinator.and':     'All of',
+		'goals.combinator.or':      'Any of',
+		'goals.add':                'Add condition',
+		'goals.metric.fuel':        'Fuel',
+		'goals.metric.fruits':      'Fruits',
+		'goals.metric.steaks':      'Steaks',
+		'goals.metric.oxygen':      'Oxygen',
+		'goals.metric.artefacts':   'Artefacts',
+		'goals.metric.mapFragments': 'Map fragments',
+		'goals.metric.deaths':      'Deaths',
+		'goals.result':             'Joint probability: {prob} (over {samples} simulated expeditions)',
+		'goals.empty':              'Add players, sectors and a condition to see the joint probability',
 		'prob.resources.col':       'Resource',
 		'prob.col.pessimist':       'Pessimist',
 		'prob.col.average':         'Average',
@@ -57,6 +87,19 @@ const Translations = {
 		'prob.combat.none':         'No combat damage expected',
 		'prob.event.header':        'Event Damage',
 		'prob.event.none':          'No event damage expected',
+		'prob.explored':            'Expected sectors explored: {expected} / {planned}',
+		'prob.gear.header':         'Gear Lost',
+		'prob.gear.col.item':       'Item',
+		'prob.gear.col.chance':     'Lost',
+		'prob.gear.col.expected':   'Expected',
+		'prob.gear.col.cost':       'Team loses',
+		'prob.gear.power':          '{power} power',
+		'prob.gear.not_applied':    'Not reflected in the totals above: fights and modifiers keep this gear.',
+		'prob.lost.header':         'Lost Crew',
+		'prob.lost.missing':        'Someone gets lost {chance} · expected LOST sectors: {expected}',
+		'prob.lost.odds':           'Each LOST sector: found {find}, dead {kill}',
+		'prob.lost.odds_tracker':   'With a Tracker: found {find}, dead {kill}',
+		'prob.lost.rescue':         'Load rescue planet ({count} LOST)',
 
 		// Damage scenario labels
 		'scenario.optimist':                 'Optimist Scenario',
@@ -83,7 +126,77 @@ const Translations = {
 
 		// Results display
 		'results.header':           'Expedition Results',
+
+		// Loadout optimizer
+		'optimizer.header':         'Loadout Optimizer',
+		'optimizer.goal.fuel':      'Maximize fuel',
+		'optimizer.goal.survival':  'Minimize deaths',
+		'optimizer.goal.mix':       'Fuel vs deaths',
+		'optimizer.run':            'Optimize',
+		'optimizer.loading':        'Searching loadouts...',
+		'optimizer.error':          'Optimization failed',
+		'optimizer.empty':          'Select sectors and players first',
+		'optimizer.summary':        'Fuel {fuel} · expected deaths {deaths}',
+		'optimizer.apply':          'Apply',
+		'recommender.header':       'Who should go?',
+		'recommender.run':          'Recommend a crew',
+		'recommender.loading':      'Comparing crews...',
+		'recommender.error':        'Recommendation failed',
+		'recommender.empty':        'No living, active crew member can go on this planet',
+		'recommender.summary':      'Loot {loot} · fuel {fuel} · expected deaths {deaths}',
+		'recommender.apply':        'Send this crew',
+		'recommender.mush':         'Mush (Crew Manager)',
+		'library.header':           'Planet Library',
+		'library.search':           'Search a name or sector...',
+		'library.empty':            'Planets imported from the chat or a planet card show up here',
+		'library.no_match':         'No planet matches this search',
+		'library.unnamed':          'Unnamed planet',
+		'library.details':          '{sectors} sectors · {direction} · {fuel} fuel · {source}, {date}',
+		'library.source.chat':      'chat',
+		'library.source.card':      'planet card',
+		'library.load':             'Load',
+		'library.delete':           'Delete',
+		'library.compare':          'Compare ({count})',
+		'library.compare_toggle':   'Add to the comparison',
+		'scan.header':              'Unknown Sectors',
+		'scan.intro':               '{count} unknown sectors: expected results over {samples} possible scans, and the range they land in 8 times out of 10.',
+		'scan.loading':             'Simulating the possible scans...',
+		'scan.error':               'Simulation failed',
+		'scan.col.expected':        'Expected',
+		'scan.col.band':            'Range',
+		'scan.scanned_only':        'Scanned sectors only: the {count} unknown sectors count as empty here (see Unknown Sectors)',
+		'generator.header':         'Random Planet',
+		'generator.size':           'Sectors ',
+		'generator.generate':       'Generate',
+		'percentile.overall':       'Beats {pct} of random {size}-sector planets overall',
+		'percentile.axis':          '{axis}: beats {pct}',
+		'percentile.axis_title':    'This planet beats {pct} of random planets of the same size on {axis}',
+		'percentile.axis_safer':    '{axis}: safer than {pct}',
+		'percentile.axis_safer_title':'This planet is safer than {pct} of random planets of the same size on {axis}',
+		'compare.header':           'Planet Comparison',
+		'compare.intro':            'Tick 2 to 4 planets in the library and press Compare to see them side by side with the current crew.',
+		'compare.loading':          'Running the expedition on each planet...',
+		'compare.error':            'Comparison failed',
+		'compare.group.review':     'Planetary review',
+		'compare.group.expedition': 'Expected with the current crew',
+		'compare.row.overall':      'Overall',
+		'compare.row.eventDamage':  'Event damage',
+		'compare.row.deathProbability': 'P(death)',
+		'compare.row.fuelCost':     'Fuel cost',
+		'marginal.intro':           'Reruns the expedition with one item or ability removed or added, and shows what changes.',
+		'marginal.run':             'Compute',
+		'marginal.loading':         'Rerunning the expedition...',
+		'marginal.error':           'Computation failed',
+		'marginal.empty':           'Select sectors and players first',
+		'marginal.baseline':        'Current team',
+		'marginal.remove':          'Without {name}',
+		'marginal.add':             'With {name}',
+		'marginal.col.change':      'Change',
+		'marginal.col.eventDamage': 'Event dmg',
+		'marginal.col.deathProbability': 'P(death)',
 		'results.placeholder':      'Add players to see expedition results',
+		'results.death_tooltip':    'Death: {death} · Below {threshold} HP: {wounded}',
+		'results.mush_tooltip':     'Becomes Mush: {chance} (spores from Mush traps and fight diseases, plus those already carried)',
 
 		// Planetary review
 		'planet.unknown':           'Unknown planet',
@@ -91,6 +204,8 @@ const Translations = {
 		'planet.export_success':    '✓ Copied!',
 		'planet.export_error':      '✗ Failed',
 		'planet.nav':               '{direction} — {fuel}',
+		'planet.net_fuel':          'Net fuel: {net} ({prob} chance of a gain)',
+		'planet.scan_swing':        '{count} unknown sectors: once scanned, the overall rating should land between {low}★ and {high}★ (expected {mean}★)',
 
 		// Star rating
 		// Results legend
@@ -101,6 +216,15 @@ const Translations = {
 		'legend.worst':             'Worst',
 
 		'stars.overall':            'Overall',
+		'stars.title.planet':       'Planet',
+		'stars.title.team':         'For this team',
+		'stars.team_empty':         'Add players to rate this planet for them.',
+		'stars.explain.hint':       'Click for the details',
+		'stars.band_hint':          'Range once the unknown sectors are scanned (8 times out of 10)',
+		'stars.explain.empty':      'No sector adds to this axis.',
+		'stars.explain.bonus':      'bonus +{stars}★',
+		'stars.explain.fight_rewards':'Fight rewards',
+		'stars.explain.no_bonus':   'No bonus applied to the overall score.',
 		'stars.axis.fruits':        'Fruits',
 		'stars.axis.steaks':        'Steaks',
 		'stars.axis.fuel':          'Fuel',
@@ -226,6 +350,18 @@ const Translations = {
 		'settings.theme.default':            'Beta',
 		'settings.theme.retro':              'Aeon\'s Lab',
 		'settings.theme.unavailable_firefox': 'Unavailable on Firefox',
+		'settings.section.scoring':          'Planet scoring',
+		'settings.scoring.add':              'New profile',
+		'settings.scoring.delete':           'Delete',
+		'settings.scoring.name':             'Name',
+		'settings.scoring.copy_name':        '{name} (copy)',
+		'settings.scoring.penalty.lethality': 'Lethality lowers the score',
+		'settings.scoring.penalty.hazards':  'Hazards lower the score',
+		'scoring.profile.select':            'Scoring profile',
+		'scoring.profile.balanced':          'Balanced',
+		'scoring.profile.fuel':              'Fuel',
+		'scoring.profile.food':              'Food',
+		'scoring.profile.artefacts':         'Artefacts',
 
 		// Credits
 		'credits.warning':                   'ATTENTION: The tools in this script require a basic understanding of their associated mechanics. You can find all this information on the',
@@ -272,6 +408,7 @@ const Translations = {
 		// Tabs
 		'tab.planetary_review':     'Revue Planétaire',
 		'tab.expedition_sim':       'Simulation d\'Expédition',
+		'tab.marginal_value':       'Valeur marginale',
 
 		// Sector selection
 		'sectors.header':           'Secteurs présents ({regular}/{max})',
@@ -283,9 +420,15 @@ const Translations = {
 
 		// Example worlds
 		'worlds.header':            'Mondes exemples',
+		'engine.header':            'Moteur de calcul',
+		'engine.convolution':       'Convolution',
+		'engine.montecarlo':        'Monte-Carlo',
+		'engine.sequential':        'Séquentiel',
 
 		// Players section
 		'players.header':           'Joueurs',
+		'players.explored.derived': 'Secteurs explorés : déplacement du vaisseau + Sprint. Cliquer pour le fixer à la main',
+		'players.explored.override': 'Secteurs explorés, fixés à la main. Cliquer pour modifier, vider pour revenir au calcul',
 
 		// Probability display
 		'prob.header':              'Probabilités d\'événements',
@@ -295,6 +438,29 @@ const Translations = {
 
 		// Resources table
 		'prob.resources.header':    'Ressources',
+		'prob.threshold.header':    'Chance d\'obtenir au moins...',
+		'oxygen_budget.header':     'Budget d\'oxygène',
+		'oxygen_budget.reserve':    'O2 du vaisseau',
+		'oxygen_budget.crewCount':  'Équipage',
+		'oxygen_budget.days':       'Jours',
+		'oxygen_budget.empty':      'Choisissez d\'abord des secteurs',
+		'oxygen_budget.without':    'Sans cette expédition : {cycles} cycles d\'oxygène',
+		'oxygen_budget.with':       'Avec son oxygène : {cycles} cycles en moyenne',
+		'oxygen_budget.safe':       'La réserve tient déjà {days} jours',
+		'oxygen_budget.prevent':    'Chances que cette expédition évite de manquer d\'oxygène d\'ici {days} jours : {prob}',
+		'goals.header':             'Objectifs de mission',
+		'goals.combinator.and':     'Toutes',
+		'goals.combinator.or':      'Au moins une',
+		'goals.add':                'Ajouter une condition',
+		'goals.metric.fuel':        'Carburant',
+		'goals.metric.fruits':      'Fruits',
+		'goals.metric.steaks':      'Steaks',
+		'goals.metric.oxygen':      'Oxygène',
+		'goals.metric.artefacts':   'Artefacts',
+		'goals.metric.mapFragments': 'Fragments de carte',
+		'goals.metric.deaths':      'Morts',
+		'goals.result':             'Probabilité conjointe : {prob} (sur {samples} expéditions simulées)',
+		'goals.empty':              'Ajoutez des joueurs, des secteurs et une condition pour voir la probabilité conjointe',
 		'prob.resources.col':       'Ressource',
 		'prob.col.pessimist':       'Pessimiste',
 		'prob.col.average':         'Moyen',
@@ -314,6 +480,19 @@ const Translations = {
 		'prob.combat.none':         'Aucun dégât de combat prévu',
 		'prob.event.header':        'Dégâts d\'événements',
 		'prob.event.none':          'Aucun dégât d\'événement prévu',
+		'prob.explored':            'Secteurs explorés en moyenne : {expected} / {planned}',
+		'prob.gear.header':         'Équipement perdu',
+		'prob.gear.col.item':       'Objet',
+		'prob.gear.col.chance':     'Perdu',
+		'prob.gear.col.expected':   'Attendu',
+		'prob.gear.col.cost':       'L\'équipe perd',
+		'prob.gear.power':          '{power} de puissance',
+		'prob.gear.not_applied':    'Non pris en compte dans les totaux ci-dessus : combats et modificateurs gardent cet équipement.',
+		'prob.lost.header':         'Équipiers perdus',
+		'prob.lost.missing':        'Quelqu\'un se perd {chance} · secteurs LOST attendus : {expected}',
+		'prob.lost.odds':           'Chaque secteur LOST : retrouvé {find}, mort {kill}',
+		'prob.lost.odds_tracker':   'Avec un Traqueur : retrouvé {find}, mort {kill}',
+		'prob.lost.rescue':         'Charger la planète de sauvetage ({count} LOST)',
 
 		// Damage scenario labels
 		'scenario.optimist':                 'Scénario optimiste',
@@ -340,7 +519,77 @@ const Translations = {
 
 		// Results display
 		'results.header':           'Résultats de l\'expédition',
+
+		// Loadout optimizer
+		'optimizer.header':         'Optimiseur d\'équipement',
+		'optimizer.goal.fuel':      'Maximiser le fuel',
+		'optimizer.goal.survival':  'Minimiser les morts',
+		'optimizer.goal.mix':       'Fuel contre morts',
+		'optimizer.run':            'Optimiser',
+		'optimizer.loading':        'Recherche des équipements...',
+		'optimizer.error':          'L\'optimisation a échoué',
+		'optimizer.empty':          'Choisissez d\'abord des secteurs et des joueurs',
+		'optimizer.summary':        'Fuel {fuel} · morts attendues {deaths}',
+		'optimizer.apply':          'Appliquer',
+		'recommender.header':       'Qui doit partir ?',
+		'recommender.run':          'Proposer un équipage',
+		'recommender.loading':      'Comparaison des équipages...',
+		'recommender.error':        'La recommandation a échoué',
+		'recommender.empty':        'Aucun membre vivant et actif ne peut aller sur cette planète',
+		'recommender.summary':      'Butin {loot} · fuel {fuel} · morts attendues {deaths}',
+		'recommender.apply':        'Envoyer cet équipage',
+		'recommender.mush':         'Mush (Gestion de l\'Équipage)',
+		'library.header':           'Bibliothèque de planètes',
+		'library.search':           'Chercher un nom ou un secteur...',
+		'library.empty':            'Les planètes importées depuis le chat ou une carte de planète apparaissent ici',
+		'library.no_match':         'Aucune planète ne correspond à cette recherche',
+		'library.unnamed':          'Planète sans nom',
+		'library.details':          '{sectors} secteurs · {direction} · {fuel} carburant · {source}, {date}',
+		'library.source.chat':      'chat',
+		'library.source.card':      'carte de planète',
+		'library.load':             'Charger',
+		'library.delete':           'Supprimer',
+		'library.compare':          'Comparer ({count})',
+		'library.compare_toggle':   'Ajouter à la comparaison',
+		'scan.header':              'Secteurs inconnus',
+		'scan.intro':               '{count} secteurs inconnus : résultats attendus sur {samples} scans possibles, et la fourchette atteinte 8 fois sur 10.',
+		'scan.loading':             'Simulation des scans possibles...',
+		'scan.error':               'La simulation a échoué',
+		'scan.col.expected':        'Attendu',
+		'scan.col.band':            'Fourchette',
+		'scan.scanned_only':        'Secteurs scannés uniquement : les {count} secteurs inconnus comptent ici comme vides (voir Secteurs inconnus)',
+		'generator.header':         'Planète aléatoire',
+		'generator.size':           'Secteurs ',
+		'generator.generate':       'Générer',
+		'percentile.overall':       'Bat {pct} des planètes aléatoires de {size} secteurs au général',
+		'percentile.axis':          '{axis} : bat {pct}',
+		'percentile.axis_title':    'Cette planète bat {pct} des planètes aléatoires de même taille en {axis}',
+		'percentile.axis_safer':    '{axis} : plus sûre que {pct}',
+		'percentile.axis_safer_title':'Cette planète est plus sûre que {pct} des planètes aléatoires de même taille en {axis}',
+		'compare.header':           'Comparaison de planètes',
+		'compare.intro':            'Cochez 2 à 4 planètes dans la bibliothèque et cliquez sur Comparer pour les voir côte à côte avec l\'équipage actuel.',
+		'compare.loading':          'Expédition sur chaque planète...',
+		'compare.error':            'La comparaison a échoué',
+		'compare.group.review':     'Revue planétaire',
+		'compare.group.expedition': 'Attendu avec l\'équipage actuel',
+		'compare.row.overall':      'Note globale',
+		'compare.row.eventDamage':  'Dégâts évts',
+		'compare.row.deathProbability': 'P(mort)',
+		'compare.row.fuelCost':     'Coût en carburant',
+		'marginal.intro':           'Relance l\'expédition avec un objet ou une compétence en moins ou en plus, et montre ce qui change.',
+		'marginal.run':             'Calculer',
+		'marginal.loading':         'Relance de l\'expédition...',
+		'marginal.error':           'Le calcul a échoué',
+		'marginal.empty':           'Choisissez d\'abord des secteurs et des joueurs',
+		'marginal.baseline':        'Équipe actuelle',
+		'marginal.remove':          'Sans {name}',
+		'marginal.add':             'Avec {name}',
+		'marginal.col.change':      'Changement',
+		'marginal.col.eventDamage': 'Dégâts évts',
+		'marginal.col.deathProbability': 'P(mort)',
 		'results.placeholder':      'Ajoutez des joueurs pour voir les résultats',
+		'results.death_tooltip':    'Mort : {death} · Sous {threshold} PV : {wounded}',
+		'results.mush_tooltip':     'Devient Mush : {chance} (spores des pièges Mush et des maladies de combat, plus celles déjà portées)',
 
 		// Planetary review
 		'planet.unknown':           'Planète inconnue',
@@ -348,6 +597,8 @@ const Translations = {
 		'planet.export_success':    '✓ Copié !',
 		'planet.export_error':      '✗ Échec',
 		'planet.nav':               '{direction} — {fuel}',
+		'planet.net_fuel':          'Carburant net : {net} ({prob} de chances d\'en gagner)',
+		'planet.scan_swing':        '{count} secteurs inconnus : une fois scannée, la note générale devrait être entre {low}★ et {high}★ ({mean}★ attendues)',
 
 		// Star rating
 		// Results legend
@@ -358,6 +609,15 @@ const Translations = {
 		'legend.worst':             'Pire',
 
 		'stars.overall':            'Général',
+		'stars.title.planet':       'Planète',
+		'stars.title.team':         'Pour cette équipe',
+		'stars.team_empty':         'Ajoutez des joueurs pour noter cette planète pour eux.',
+		'stars.explain.hint':       'Cliquez pour le détail',
+		'stars.band_hint':          'Fourchette une fois les secteurs inconnus scannés (8 fois sur 10)',
+		'stars.explain.empty':      'Aucun secteur ne compte sur cet axe.',
+		'stars.explain.bonus':      'bonus +{stars}★',
+		'stars.explain.fight_rewards':'Récompenses de combat',
+		'stars.explain.no_bonus':   'Aucun bonus appliqué à la note générale.',
 		'stars.axis.fruits':        'Fruits',
 		'stars.axis.steaks':        'Steaks',
 		'stars.axis.fuel':          'Carburant',
@@ -483,6 +743,18 @@ const Translations = {
 		'settings.theme.default':            'Beta',
 		'settings.theme.retro':              'Aeon\'s Lab',
 		'settings.theme.unavailable_firefox': 'Indisponible sur Firefox',
+		'settings.section.scoring':          'Notation des planètes',
+		'settings.scoring.add':              'Nouveau profil',
+		'settings.scoring.delete':           'Supprimer',
+		'settings.scoring.name':             'Nom',
+		'settings.scoring.copy_name':        '{name} (copie)',
+		'settings.scoring.penalty.lethality': 'La létalité baisse la note',
+		'settings.scoring.penalty.hazards':  'Les dangers baissent la note',
+		'scoring.profile.select':            'Profil de notation',
+		'scoring.profile.balanced':          'Équilibré',
+		'scoring.profile.fuel':              'Carburant',
+		'scoring.profile.food':              'Nourriture',
+		'scoring.profile.artefacts':         'Artefacts',
 
 		// Credits
 		'credits.warning':                   'ATTENTION: Les outils de cette application demandent une maitrise des bases de leurs mécaniques associés. Vous pouvez trouvez toutes ces infos sur le',
@@ -529,6 +801,7 @@ const Translations = {
 		// Tabs
 		'tab.planetary_review':     'Revisión Planetaria',
 		'tab.expedition_sim':       'Simulación de Expedición',
+		'tab.marginal_value':       'Valor marginal',
 
 		// Sector selection
 		'sectors.header':           'Sectores presentes ({regular}/{max})',
@@ -540,9 +813,15 @@ const Translations = {
 
 		// Example worlds
 		'worlds.header':            'Mundos de ejemplo',
+		'engine.header':            'Motor de cálculo',
+		'engine.convolution':       'Convolución',
+		'engine.montecarlo':        'Monte Carlo',
+		'engine.sequential':        'Secuencial',
 
 		// Players section
 		'players.header':           'Jugadores',
+		'players.explored.derived': 'Sectores explorados: movimiento de la nave + Sprint. Clic para fijarlo a mano',
+		'players.explored.override': 'Sectores explorados, fijados a mano. Clic para cambiar, vaciar para volver al cálculo',
 
 		// Probability display
 		'prob.header':              'Probabilidades de eventos',
@@ -552,6 +831,29 @@ const Translations = {
 
 		// Resources table
 		'prob.resources.header':    'Recursos',
+		'prob.threshold.header':    'Probabilidad de al menos...',
+		'oxygen_budget.header':     'Presupuesto de oxígeno',
+		'oxygen_budget.reserve':    'O2 de la nave',
+		'oxygen_budget.crewCount':  'Tripulación',
+		'oxygen_budget.days':       'Días',
+		'oxygen_budget.empty':      'Elige primero sectores',
+		'oxygen_budget.without':    'Sin esta expedición: {cycles} ciclos de oxígeno',
+		'oxygen_budget.with':       'Con su oxígeno: {cycles} ciclos de media',
+		'oxygen_budget.safe':       'La reserva ya dura {days} días',
+		'oxygen_budget.prevent':    'Probabilidad de que esta expedición evite quedarse sin oxígeno en {days} días: {prob}',
+		'goals.header':             'Objetivos de misión',
+		'goals.combinator.and':     'Todas',
+		'goals.combinator.or':      'Alguna',
+		'goals.add':                'Añadir condición',
+		'goals.metric.fuel':        'Combustible',
+		'goals.metric.fruits':      'Frutas',
+		'goals.metric.steaks':      'Bistecs',
+		'goals.metric.oxygen':      'Oxígeno',
+		'goals.metric.artefacts':   'Artefactos',
+		'goals.metric.mapFragments': 'Fragmentos de mapa',
+		'goals.metric.deaths':      'Muertes',
+		'goals.result':             'Probabilidad conjunta: {prob} (sobre {samples} expediciones simuladas)',
+		'goals.empty':              'Añade jugadores, sectores y una condición para ver la probabilidad conjunta',
 		'prob.resources.col':       'Recurso',
 		'prob.col.pessimist':       'Pesimista',
 		'prob.col.average':         'Promedio',
@@ -571,6 +873,19 @@ const Translations = {
 		'prob.combat.none':         'No se esperan daños de combate',
 		'prob.event.header':        'Daño por eventos',
 		'prob.event.none':          'No se esperan daños por eventos',
+		'prob.explored':            'Sectores explorados de media: {expected} / {planned}',
+		'prob.gear.header':         'Equipo perdido',
+		'prob.gear.col.item':       'Objeto',
+		'prob.gear.col.chance':     'Perdido',
+		'prob.gear.col.expected':   'Esperado',
+		'prob.gear.col.cost':       'El equipo pierde',
+		'prob.gear.power':          '{power} de poder',
+		'prob.gear.not_applied':    'No reflejado en los totales de arriba: combates y modificadores conservan este equipo.',
+		'prob.lost.header':         'Tripulantes perdidos',
+		'prob.lost.missing':        'Alguien se pierde {chance} · sectores LOST esperados: {expected}',
+		'prob.lost.odds':           'Cada sector LOST: encontrado {find}, muerto {kill}',
+		'prob.lost.odds_tracker':   'Con un Rastreador: encontrado {find}, muerto {kill}',
+		'prob.lost.rescue':         'Cargar planeta de rescate ({count} LOST)',
 
 		// Damage scenario labels
 		'scenario.optimist':                 'Escenario optimista',
@@ -597,7 +912,77 @@ const Translations = {
 
 		// Results display
 		'results.header':           'Resultados de la expedición',
+
+		// Loadout optimizer
+		'optimizer.header':         'Optimizador de equipo',
+		'optimizer.goal.fuel':      'Maximizar fuel',
+		'optimizer.goal.survival':  'Minimizar muertes',
+		'optimizer.goal.mix':       'Fuel frente a muertes',
+		'optimizer.run':            'Optimizar',
+		'optimizer.loading':        'Buscando equipos...',
+		'optimizer.error':          'La optimización ha fallado',
+		'optimizer.empty':          'Elige primero sectores y jugadores',
+		'optimizer.summary':        'Fuel {fuel} · muertes esperadas {deaths}',
+		'optimizer.apply':          'Aplicar',
+		'recommender.header':       '¿Quién debe ir?',
+		'recommender.run':          'Proponer tripulación',
+		'recommender.loading':      'Comparando tripulaciones...',
+		'recommender.error':        'La recomendación ha fallado',
+		'recommender.empty':        'Ningún tripulante vivo y activo puede ir a este planeta',
+		'recommender.summary':      'Botín {loot} · fuel {fuel} · muertes esperadas {deaths}',
+		'recommender.apply':        'Enviar esta tripulación',
+		'recommender.mush':         'Mush (Gestión de Tripulación)',
+		'library.header':           'Biblioteca de planetas',
+		'library.search':           'Buscar un nombre o sector...',
+		'library.empty':            'Los planetas importados desde el chat o una carta de planeta aparecen aquí',
+		'library.no_match':         'Ningún planeta coincide con esta búsqueda',
+		'library.unnamed':          'Planeta sin nombre',
+		'library.details':          '{sectors} sectores · {direction} · {fuel} combustible · {source}, {date}',
+		'library.source.chat':      'chat',
+		'library.source.card':      'carta de planeta',
+		'library.load':             'Cargar',
+		'library.delete':           'Eliminar',
+		'library.compare':          'Comparar ({count})',
+		'library.compare_toggle':   'Añadir a la comparación',
+		'scan.header':              'Sectores desconocidos',
+		'scan.intro':               '{count} sectores desconocidos: resultados esperados sobre {samples} escaneos posibles, y el rango alcanzado 8 de cada 10 veces.',
+		'scan.loading':             'Simulando los escaneos posibles...',
+		'scan.error':               'La simulación ha fallado',
+		'scan.col.expected':        'Esperado',
+		'scan.col.band':            'Rango',
+		'scan.scanned_only':        'Solo sectores escaneados: los {count} sectores desconocidos cuentan aquí como vacíos (ver Sectores desconocidos)',
+		'generator.header':         'Planeta aleatorio',
+		'generator.size':           'Sectores ',
+		'generator.generate':       'Generar',
+		'percentile.overall':       'Supera al {pct} de los planetas aleatorios de {size} sectores en general',
+		'percentile.axis':          '{axis}: supera al {pct}',
+		'percentile.axis_title':    'Este planeta supera al {pct} de los planetas aleatorios del mismo tamaño en {axis}',
+		'percentile.axis_safer':    '{axis}: más seguro que el {pct}',
+		'percentile.axis_safer_title':'Este planeta es más seguro que el {pct} de los planetas aleatorios del mismo tamaño en {axis}',
+		'compare.header':           'Comparación de planetas',
+		'compare.intro':            'Marca de 2 a 4 planetas en la biblioteca y pulsa Comparar para verlos lado a lado con la tripulación actual.',
+		'compare.loading':          'Expedición en cada planeta...',
+		'compare.error':            'La comparación ha fallado',
+		'compare.group.review':     'Revisión planetaria',
+		'compare.group.expedition': 'Esperado con la tripulación actual',
+		'compare.row.overall':      'Nota global',
+		'compare.row.eventDamage':  'Daño de eventos',
+		'compare.row.deathProbability': 'P(muerte)',
+		'compare.row.fuelCost':     'Coste de combustible',
+		'marginal.intro':           'Repite la expedición con un objeto o habilidad de menos o de más, y muestra lo que cambia.',
+		'marginal.run':             'Calcular',
+		'marginal.loading':         'Repitiendo la expedición...',
+		'marginal.error':           'El cálculo ha fallado',
+		'marginal.empty':           'Elige primero sectores y jugadores',
+		'marginal.baseline':        'Equipo actual',
+		'marginal.remove':          'Sin {name}',
+		'marginal.add':             'Con {name}',
+		'marginal.col.change':      'Cambio',
+		'marginal.col.eventDamage': 'Daño eventos',
+		'marginal.col.deathProbability': 'P(muerte)',
 		'results.placeholder':      'Agrega jugadores para ver los resultados',
+		'results.death_tooltip':    'Muerte: {death} · Menos de {threshold} PV: {wounded}',
+		'results.mush_tooltip':     'Se vuelve Mush: {chance} (esporas de trampas Mush y enfermedades de combate, más las que ya lleva)',
 
 		// Planetary review
 		'planet.unknown':           'Planeta desconocido',
@@ -605,6 +990,8 @@ const Translations = {
 		'planet.export_success':    '✓ ¡Copiado!',
 		'planet.export_error':      '✗ Error',
 		'planet.nav':               '{direction} — {fuel}',
+		'planet.net_fuel':          'Combustible neto: {net} ({prob} de probabilidad de ganancia)',
+		'planet.scan_swing':        '{count} sectores desconocidos: una vez escaneado, la nota general debería quedar entre {low}★ y {high}★ ({mean}★ esperadas)',
 
 		// Star rating
 		// Results legend
@@ -615,6 +1002,15 @@ const Translations = {
 		'legend.worst':             'Peor',
 
 		'stars.overall':            'General',
+		'stars.title.planet':       'Planeta',
+		'stars.title.team':         'Para este equipo',
+		'stars.team_empty':         'Añade jugadores para puntuar este planeta para ellos.',
+		'stars.explain.hint':       'Haz clic para ver el detalle',
+		'stars.band_hint':          'Rango una vez escaneados los sectores desconocidos (8 de cada 10 veces)',
+		'stars.explain.empty':      'Ningún sector suma en este eje.',
+		'stars.explain.bonus':      'bonus +{stars}★',
+		'stars.explain.fight_rewards':'Recompensas de combate',
+		'stars.explain.no_bonus':   'Ningún bonus aplicado a la nota general.',
 		'stars.axis.fruits':        'Frutas',
 		'stars.axis.steaks':        'Bistecs',
 		'stars.axis.fuel':          'Combustible',
@@ -740,6 +1136,18 @@ const Translations = {
 		'settings.theme.default':            'Beta',
 		'settings.theme.retro':              'Aeon\'s Lab',
 		'settings.theme.unavailable_firefox': 'No disponible en Firefox',
+		'settings.section.scoring':          'Puntuación de planetas',
+		'settings.scoring.add':              'Nuevo perfil',
+		'settings.scoring.delete':           'Eliminar',
+		'settings.scoring.name':             'Nombre',
+		'settings.scoring.copy_name':        '{name} (copia)',
+		'settings.scoring.penalty.lethality': 'La letalidad baja la nota',
+		'settings.scoring.penalty.hazards':  'Los peligros bajan la nota',
+		'scoring.profile.select':            'Perfil de puntuación',
+		'scoring.profile.balanced':          'Equilibrado',
+		'scoring.profile.fuel':              'Combustible',
+		'scoring.profile.food':              'Comida',
+		'scoring.profile.artefacts':         'Artefactos',
 
 		// Credits
 		'credits.warning':                   'ATENCIÓN: Las herramientas de este script requieren conocimientos básicos de sus mecánicas asociadas. Puedes encontrar toda esta información en la',
@@ -17,10 +17,11 @@ class DamageSpreader {
 	 * @param {Array} fightInstances - Damage instances from FightCalculator
 	 * @param {Array} eventInstances - Damage instances from EventDamageCalculator
 	 * @param {Array<Object>} players - Array of player objects (for item checks)
+	 * @param {Function} [rng=Math.random] - Random source returning [0, 1); pass a seeded one for reproducible runs
 	 * @returns {Object} - { totalDamage: Array<number>, breakdown: Array<Array> }
 	 *   breakdown[playerIndex] = [{ type, source, damage }, ...]
 	 */
-	static distribute(fightInstances, eventInstances, players) {
+	static distribute(fightInstances, eventInstances, players, rng = Math.random) {
 		const playerCount = players.length;
 		if (playerCount <= 0) {
 			return {
@@ -44,14 +45,14 @@ class DamageSpreader {
 		// Distribute fight damage
 		if (fightInstances && Array.isArray(fightInstances)) {
 			for (const instance of fightInstances) {
-				this._distributeFightDamage(instance, playerBreakdown, playerDamageTotals, players, aliveIndices);
+				this._distributeFightDamage(instance, playerBreakdown, playerDamageTotals, players, aliveIndices, rng);
 			}
 		}
 
 		// Distribute event damage
 		if (eventInstances && Array.isArray(eventInstances)) {
 			for (const instance of eventInstances) {
-				this._distributeEventDamage(instance, playerBreakdown, playerDamageTotals, players, appliedEffects, aliveIndices);
+				this._distributeEventDamage(instance, playerBreakdown, playerDamageTotals, players, appliedEffects, aliveIndices, rng);
 			}
 		}
 
@@ -115,9 +116,10 @@ class DamageSpreader {
 	 * @param {Array<number>} playerDamageTotals - Totals to update
 	 * @param {Array<Object>} players - Player objects (for health tracking)
 	 * @param {Array<number>} aliveIndices - Indices of players alive at fight start
+	 * @param {Function} [rng=Math.random] - Random source returning [0, 1)
 	 * @private
 	 */
-	static _distributeFightDamage(instance, playerBreakdown, playerDamageTotals, players, aliveIndices) {
+	static _distributeFightDamage(instance, playerBreakdown, playerDamageTotals, players, aliveIndices, rng = Math.random) {
 		if (aliveIndices.length === 0) return;
 
 		const { sources } = instance;
@@ -133,7 +135,7 @@ class DamageSpreader {
 			for (let d = 0; d < damage; d++) {
 				if (currentAlive.length === 0) break;
 
-				const pickIdx = Math.floor(Math.random() * currentAlive.length);
+				const pickIdx = Math.floor(rng() * currentAlive.length);
 				const targetPlayer = currentAlive[pickIdx];
 
 				playerBreakdown[targetPlayer].push({
@@ -164,9 +166,10 @@ class DamageSpreader {
 	 * @param {Array<Object>} players - Array of player objects (for item immunity checks)
 	 * @param {Array<Array>} appliedEffects - Effects that triggered (e.g., rope immunity)
 	 * @param {Array<number>} aliveIndices - Indices of alive players
+	 * @param {Function} [rng=Math.random] - Random source returning [0, 1)
 	 * @private
 	 */
-	static _distributeEventDamage(instance, playerBreakdown, playerDamageTotals, players = [], appliedEffects = [], aliveIndices = []) {
+	static _distributeEventDamage(instance, playerBreakdown, playerDamageTotals, players = [], appliedEffects = [], aliveIndices = [], rng = Math.random) {
 		if (aliveIndices.length === 0) return;
 
 		const playerCount = playerBreakdown.length;
@@ -196,7 +199,7 @@ class DamageSpreader {
 				}
 			} else {
 				// ACCIDENT_3_5, ACCIDENT_ROPE_3_5: One random alive player takes all damage
-				const targetPlayer = aliveIndices[Math.floor(Math.random() * aliveIndices.length)];
+				const targetPlayer = aliveIndices[Math.floor(rng() * aliveIndices.length)];
 
 				// Check for rope immunity
 				if (eventType === 'ACCIDENT_ROPE_3_5' && this._playerHasRope(players[targetPlayer])) {
@@ -308,6 +311,53 @@ class DamageSpreader {
 		);
 	}
 
+	/**
+	 * Applies every per-player reduction (Survival, then Armor) to a distributed
+	 * scenario and records how much each one prevented as an applied effect.
+	 *
+	 * @param {Array<Object>} players - Player objects (same order as the breakdown)
+	 * @param {Object} scenarioResult - Output of distribute(): { breakdown, appliedEffects }
+	 * @returns {Object} - { damagePerPlayer: Array<number>, appliedEffects: Array<Array> }
+	 */
+	static resolveReductions(players, scenarioResult) {
+		const playerEffects = scenarioResult.appliedEffects.map(arr => [...arr]);
+
+		const reductionSteps = [
+			{
+				apply: (p, breakdown) => this.applySurvivalReduction(p, breakdown),
+				hasEffect: player => player.abilities?.some(a => a && filenameToId(a) === 'SURVIVAL'),
+				effectType: 'SURVIVAL'
+			},
+			{
+				apply: (p, breakdown) => this.applyArmorReduction(p, breakdown),
+				hasEffect: player => player.items?.some(item => item && filenameToId(item) === 'PLASTENITE_ARMOR'),
+				effectType: 'PLASTENITE_ARMOR'
+			}
+		];
+
+		let modifiedBreakdown = scenarioResult.breakdown;
+		for (const step of reductionSteps) {
+			const beforeBreakdown = modifiedBreakdown;
+			modifiedBreakdown = step.apply(players, beforeBreakdown);
+			for (let i = 0; i < players.length; i++) {
+				if (step.hasEffect(players[i])) {
+					const beforeDamage = beforeBreakdown[i]?.reduce((sum, inst) => sum + inst.damage, 0) || 0;
+					const afterDamage = modifiedBreakdown[i]?.reduce((sum, inst) => sum + inst.damage, 0) || 0;
+					const damageReduced = beforeDamage - afterDamage;
+					if (damageReduced > 0) {
+						playerEffects[i].push({ type: step.effectType, reductions: damageReduced });
+					}
+				}
+			}
+		}
+
+		const damagePerPlayer = modifiedBreakdown.map(breakdown =>
+			breakdown.reduce((sum, inst) => sum + inst.damage, 0)
+		);
+
+		return { damagePerPlayer, appliedEffects: playerEffects };
+	}
+
 	/**
 	 * Calculates final health for each player after damage distribution.
 	 * 
@@ -322,6 +372,40 @@ class DamageSpreader {
 		});
 	}
 
+	/**
+	 * Summarises sampled final health into a per-player HP distribution.
+	 *
+	 * @param {Array<Array<number>>} healthSamples - One final-health array per simulated expedition
+	 * @param {number} playerCount - Number of participating players
+	 * @param {number} [woundedThreshold] - HP strictly below this counts as wounded (deaths included)
+	 * @returns {Array<Object>} - Per player: { distribution: Map<hp, prob>, deathProbability, woundedProbability, expectedHealth }
+	 */
+	static summarizeHealth(healthSamples, playerCount, woundedThreshold = Constants.WOUNDED_HEALTH_THRESHOLD) {
+		const sampleCount = healthSamples.length;
+
+		return Array.from({ length: playerCount }, (_, i) => {
+			const distribution = new Map();
+			let deaths = 0;
+			let wounded = 0;
+			let healthSum = 0;
+
+			for (const sample of healthSamples) {
+				const hp = sample[i];
+				distribution.set(hp, (distribution.get(hp) || 0) + 1 / sampleCount);
+				if (hp <= 0) deaths++;
+				if (hp < woundedThreshold) wounded++;
+				healthSum += hp;
+			}
+
+			return {
+				distribution,
+				deathProbability: sampleCount > 0 ? deaths / sampleCount : 0,
+				woundedProbability: sampleCount > 0 ? wounded / sampleCount : 0,
+				expectedHealth: sampleCount > 0 ? healthSum / sampleCount : 0
+			};
+		});
+	}
+
 	/**
 	 * Calculates final health for all scenarios.
 	 * 
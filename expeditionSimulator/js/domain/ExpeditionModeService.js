@@ -0,0 +1,67 @@
+/**
+ * ExpeditionModeService
+ *
+ * Rules that depend on the ship used to go down (Constants.EXPEDITION_MODES):
+ * - Icarus: the whole crew, 9 sectors, the Antigrav Propeller softens LANDING
+ * - Patrol ship: one seat, 3 sectors, no Antigrav (an Icarus project);
+ *   the pilot still lands safely
+ *
+ * Not modelled: LANDING otherwise rolls the same events in both ships (only
+ * a Pilot or the Antigrav Propeller softens it, ModifierApplicator), and
+ * every sector uses the same event pool whatever the mode.
+ */
+class ExpeditionModeService {
+	/**
+	 * Rules of a mode; unknown modes fall back to Icarus.
+	 * @param {string} mode - 'icarus' | 'patrol'
+	 * @returns {{exploredSectors: number, maxCrew: number, antigrav: boolean}}
+	 */
+	static getRules(mode) {
+		return Constants.EXPEDITION_MODES[mode] || Constants.EXPEDITION_MODES.icarus;
+	}
+
+	/**
+	 * Players who actually go down: those who can breathe (OxygenService),
+	 * in crew order, up to the ship's capacity.
+	 * @param {Array<Object>} players - All players
+	 * @param {Array<string>} sectors - Selected sector names
+	 * @param {string} mode
+	 * @returns {Array<Object>}
+	 */
+	static getExplorers(players, sectors, mode) {
+		return OxygenService.getParticipatingPlayers(players, sectors).slice(0, this.getRules(mode).maxCrew);
+	}
+
+	/**
+	 * OxygenService.getParticipationStatus(), with players beyond the ship's
+	 * capacity left behind.
+	 * @param {Array<Object>} players - All players
+	 * @param {Array<string>} sectors - Selected sector names
+	 * @param {string} mode
+	 * @returns {Array<{player: Object, canParticipate: boolean, reason: string}>}
+	 */
+	static getParticipationStatus(players, sectors, mode) {
+		let seatsLeft = this.getRules(mode).maxCrew;
+		return OxygenService.getParticipationStatus(players, sectors).map(status => {
+			if (!status.canParticipate) return status;
+			if (seatsLeft === 0) {
+				return { ...status, canParticipate: false, reason: 'Stuck in ship (no seat left)' };
+			}
+			seatsLeft--;
+			return status;
+		});
+	}
+
+	/**
+	 * Whether the Antigrav Propeller applies in this mode.
+	 * @param {string} mode
+	 * @returns {boolean}
+	 */
+	static isAntigravAvailable(mode) {
+		return this.getRules(mode).antigrav;
+	}
+}
+
+// Export
+var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
+_global.ExpeditionModeService = ExpeditionModeService;
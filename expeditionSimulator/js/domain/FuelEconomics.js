@@ -0,0 +1,41 @@
+/**
+ * FuelEconomics
+ *
+ * Net fuel of a planet: the fuel brought back (ResourceCalculator distribution)
+ * minus the fuel spent to fly there (nav data from ChatParser.parseNavText or
+ * the planetary review controls).
+ *
+ * Pure: no DOM, no I18n. Used by the planetary review and the chat summary.
+ */
+class FuelEconomics {
+
+	/**
+	 * @param {{ average: number, distribution?: Map<number, number> }|null} fuel
+	 *        Fuel entry of ResourceCalculator.calculate() (planetResources.fuel)
+	 * @param {number} travelCost - Fuel spent to reach the planet
+	 * @returns {{ travelCost: number, expectedNet: number, gainProbability: number }|null}
+	 *          null without resource data
+	 */
+	static compute(fuel, travelCost = 0) {
+		if (!fuel) return null;
+
+		// Results with no fuel at all carry no distribution: always 0 fuel
+		const distribution = fuel.distribution || new Map([[0, 1]]);
+		const cost = travelCost || 0;
+
+		let gainProbability = 0;
+		for (const [value, prob] of distribution) {
+			// Tolerance for values built from fractional multipliers
+			if (value > cost + 1e-9) gainProbability += prob;
+		}
+
+		return {
+			travelCost: cost,
+			expectedNet: DistributionCalculator.getExpectedValue(distribution) - cost,
+			gainProbability: Math.min(1, gainProbability)
+		};
+	}
+}
+
+var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
+_global.FuelEconomics = FuelEconomics;
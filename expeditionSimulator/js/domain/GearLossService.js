@@ -0,0 +1,131 @@
+/**
+ * GearLossService
+ *
+ * ITEM_LOST takes one item from the explorers: every filled item slot of the
+ * team is equally likely. Losing it can cost fighting power (a blaster, a
+ * gunman's only gun, a grenade) or switch off an item modifier (WHITE_FLAG,
+ * QUAD_COMPASS) when it was the team's only copy.
+ */
+class GearLossService {
+	/**
+	 * Lists every filled item slot of the team.
+	 * @param {Array<Object>} players - Player objects with items arrays
+	 * @returns {Array<{playerIndex: number, slotIndex: number, itemId: string}>}
+	 */
+	static getItemSlots(players) {
+		const slots = [];
+		players.forEach((player, playerIndex) => {
+			(player.items || []).forEach((item, slotIndex) => {
+				if (item) slots.push({ playerIndex, slotIndex, itemId: filenameToId(item) });
+			});
+		});
+		return slots;
+	}
+
+	/**
+	 * Picks the slot an ITEM_LOST event empties.
+	 * @param {Array<Object>} players - Players who can lose an item (alive explorers)
+	 * @param {Function} rng - Random source in [0, 1)
+	 * @returns {Object|null} Slot from getItemSlots(), or null when nobody carries anything
+	 */
+	static pickLostSlot(players, rng) {
+		const slots = this.getItemSlots(players);
+		if (slots.length === 0) return null;
+		return slots[Math.floor(rng() * slots.length)];
+	}
+
+	/**
+	 * Returns a copy of the team with one slot emptied.
+	 * @param {Array<Object>} players
+	 * @param {Object} slot - { playerIndex, slotIndex }
+	 * @returns {Array<Object>}
+	 */
+	static removeSlot(players, slot) {
+		return players.map((player, playerIndex) => {
+			if (playerIndex !== slot.playerIndex) return player;
+			const items = [...player.items];
+			items[slot.slotIndex] = null;
+			return { ...player, items };
+		});
+	}
+
+	/**
+	 * What the team loses with one slot: fighting power (grenades counted at
+	 * their full power) and item modifiers that no one else still provides.
+	 * @param {Array<Object>} players
+	 * @param {Object} slot - { playerIndex, slotIndex }
+	 * @returns {{fightingPowerLoss: number, modifiersLost: Array<string>}}
+	 */
+	static getKnockOnEffect(players, slot) {
+		const without = this.removeSlot(players, slot);
+		const fightingPowerLoss = FightingPowerService.calculateTotalFightingPower(players)
+			- FightingPowerService.calculateTotalFightingPower(without);
+
+		const remaining = new Set(this.getItemSlots(without).map(s => s.itemId));
+		const itemId = filenameToId(players[slot.playerIndex].items[slot.slotIndex]);
+		const modifiersLost = ModifierApplicator.getItemModifierKeys()
+			.filter(key => key === itemId && !remaining.has(key));
+
+		return { fightingPowerLoss, modifiersLost };
+	}
+
+	/**
+	 * Per item type: how many the team carries and what losing one costs
+	 * (averaged over the slots holding that type).
+	 * @param {Array<Object>} players
+	 * @returns {Object} itemId → { carried, fightingPowerLoss, modifiersLost }
+	 */
+	static describeItems(players) {
+		const byItem = {};
+		for (const slot of this.getItemSlots(players)) {
+			const effect = this.getKnockOnEffect(players, slot);
+			const entry = byItem[slot.itemId] || (byItem[slot.itemId] = { carried: 0, fightingPowerLoss: 0, modifiersLost: [] });
+			entry.carried++;
+			entry.fightingPowerLoss += effect.fightingPowerLoss;
+			entry.modifiersLost = [...new Set([...entry.modifiersLost, ...effect.modifiersLost])];
+		}
+		for (const entry of Object.values(byItem)) {
+			entry.fightingPowerLoss /= entry.carried;
+		}
+		return byItem;
+	}
+
+	/**
+	 * Expected gear lost per item type, from the distribution of ITEM_LOST events.
+	 *
+	 * n events empty n distinct slots drawn uniformly without replacement, so a
+	 * type carried in c of the S slots loses c × E[min(n, S)] / S items on average,
+	 * and is lost at least once with probability 1 − E[C(S − c, n) / C(S, n)].
+	 * Items are assumed to be taken from the departing team (no deaths in between).
+	 *
+	 * @param {Array<Object>} players
+	 * @param {Map<number, number>} itemLostDistribution - ITEM_LOST count → probability
+	 * @returns {{expectedItemsLost: number, byItem: Object}}
+	 */
+	static summarize(players, itemLostDistribution) {
+		const byItem = this.describeItems(players);
+		const totalSlots = Object.values(byItem).reduce((sum, entry) => sum + entry.carried, 0);
+
+		let expectedItemsLost = 0;
+		for (const [count, prob] of itemLostDistribution) {
+			expectedItemsLost += prob * Math.min(count, totalSlots);
+		}
+
+		for (const entry of Object.values(byItem)) {
+			entry.expectedLost = entry.carried * expectedItemsLost / totalSlots;
+
+			let keptAll = 0;
+			for (const [count, prob] of itemLostDistribution) {
+				if (count > totalSlots) continue;
+				keptAll += prob * SectorSampler.binomial(totalSlots - entry.carried, count) / SectorSampler.binomial(totalSlots, count);
+			}
+			entry.lostProbability = 1 - keptAll;
+		}
+
+		return { expectedItemsLost, byItem };
+	}
+}
+
+// Export
+var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
+_global.GearLossService = GearLossService;
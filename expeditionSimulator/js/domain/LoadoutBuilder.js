@@ -13,8 +13,8 @@ const LoadoutBuilder = {
 	 * Merges all abilities and items, converts to backend identifiers.
 	 * 
 	 * @param {Array<Object>} players - Array of player objects
-	 * @param {Object} settings - { antigravActive: boolean }
-	 * @returns {Object} { abilities: [], items: [], projects: [] }
+	 * @param {Object} settings - { antigravActive: boolean, mode?: 'icarus' | 'patrol' }
+	 * @returns {Object} { abilities: [], items: [], projects: [], mode? } (mode only when given)
 	 */
 	build(players, settings = {}) {
 		const abilities = new Set();
@@ -36,6 +36,11 @@ const LoadoutBuilder = {
 			items: [...items],
 			projects: projects
 		};
+
+		// Mode the loadout was built for (ExpeditionModeService)
+		if (settings.mode) {
+			result.mode = settings.mode;
+		}
 		
 		// console.log('[LoadoutBuilder] Built loadout:', result);
 		return result;
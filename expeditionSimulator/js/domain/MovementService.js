@@ -0,0 +1,57 @@
+/**
+ * MovementService
+ *
+ * Works out how many sectors the team can explore from its loadout:
+ * the base movement of the ship used (Icarus or a patrol ship), plus every
+ * `additionalSectors` effect the explorers bring (Sprint: +1 per player).
+ *
+ * Callers pass the participating players only; someone stuck in the ship
+ * does not move the team.
+ */
+class MovementService {
+	/**
+	 * Base movement of the ship used for the expedition.
+	 * @param {string} mode - 'icarus' | 'patrol'
+	 * @returns {number}
+	 */
+	static getBaseSectors(mode) {
+		return ExpeditionModeService.getRules(mode).exploredSectors;
+	}
+
+	/**
+	 * Extra sectors one player adds through abilities and items.
+	 * Each effect counts once per player, however many slots hold it.
+	 * @param {Object} player - Player object with abilities and items arrays
+	 * @returns {number}
+	 */
+	static getAdditionalSectors(player) {
+		const abilityIds = new Set((player.abilities || []).filter(Boolean).map(a => filenameToId(a).toLowerCase()));
+		const itemIds = new Set((player.items || []).filter(Boolean).map(i => filenameToId(i).toLowerCase()));
+
+		let additional = 0;
+		for (const id of abilityIds) {
+			additional += AbilityEffects[id]?.effects?.additionalSectors || 0;
+		}
+		for (const id of itemIds) {
+			additional += ItemEffects[id]?.effects?.additionalSectors || 0;
+		}
+		return additional;
+	}
+
+	/**
+	 * Number of sectors the team can explore.
+	 * @param {Array<Object>} players - Participating players
+	 * @param {string} mode - 'icarus' | 'patrol'
+	 * @returns {number}
+	 */
+	static getExploredCount(players, mode) {
+		return players.reduce(
+			(count, player) => count + this.getAdditionalSectors(player),
+			this.getBaseSectors(mode)
+		);
+	}
+}
+
+// Export
+var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
+_global.MovementService = MovementService;
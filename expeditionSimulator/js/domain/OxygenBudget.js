@@ -0,0 +1,70 @@
+/**
+ * OxygenBudget
+ *
+ * How long the ship's oxygen lasts, with and without the oxygen an expedition
+ * brings back (the OXYGEN_n distribution of ResourceCalculator).
+ *
+ * Model: the crew breathes CONSUMPTION_PER_CREW_PER_DAY units per member and
+ * per day, spread over the CYCLES_PER_DAY cycles of a day. The oxygen found is
+ * added to the reserve when the expedition returns.
+ *
+ * Pure: no DOM, no I18n.
+ */
+class OxygenBudget {
+
+	static CYCLES_PER_DAY = 8;
+	static CONSUMPTION_PER_CREW_PER_DAY = 1;
+
+	/**
+	 * Full cycles a reserve lasts for a crew.
+	 * @param {number} reserve - Oxygen units
+	 * @param {number} crewCount - Crew members breathing
+	 * @returns {number} Infinity for an empty crew
+	 */
+	static getSurvivalCycles(reserve, crewCount) {
+		if (crewCount <= 0) return Infinity;
+		const perCycle = crewCount * OxygenBudget.CONSUMPTION_PER_CREW_PER_DAY / OxygenBudget.CYCLES_PER_DAY;
+		// Tolerance: 2 units for 16 crew is exactly one cycle
+		return Math.floor(Math.max(0, reserve) / perCycle + 1e-9);
+	}
+
+	/**
+	 * Projects the reserve with and without the expedition's oxygen.
+	 *
+	 * @param {{ reserve: number, crewCount: number, days: number }} budget
+	 *        days - Horizon: the oxygen must not run out within this many days
+	 * @param {{ distribution?: Map<number, number> }|null} oxygen - resources.oxygen of the results
+	 * @returns {{ cyclesWithout: number, expectedCyclesWith: number, safeWithout: boolean,
+	 *           safeProbability: number, preventProbability: number }|null} null without results
+	 */
+	static project({ reserve, crewCount, days }, oxygen) {
+		if (!oxygen) return null;
+
+		// Results without any oxygen carry no distribution: always 0 found
+		const distribution = oxygen.distribution || new Map([[0, 1]]);
+		const horizonCycles = days * OxygenBudget.CYCLES_PER_DAY;
+		const cyclesWithout = OxygenBudget.getSurvivalCycles(reserve, crewCount);
+		const safeWithout = cyclesWithout >= horizonCycles;
+
+		let expectedCyclesWith = 0;
+		let safeProbability = 0;
+		for (const [found, prob] of distribution) {
+			const cycles = OxygenBudget.getSurvivalCycles(reserve + found, crewCount);
+			expectedCyclesWith += cycles * prob;
+			if (cycles >= horizonCycles) safeProbability += prob;
+		}
+		safeProbability = Math.min(1, safeProbability);
+
+		return {
+			cyclesWithout,
+			expectedCyclesWith,
+			safeWithout,
+			safeProbability,
+			// A shortage the expedition can only prevent if there is one without it
+			preventProbability: safeWithout ? 0 : safeProbability
+		};
+	}
+}
+
+var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
+_global.OxygenBudget = OxygenBudget;
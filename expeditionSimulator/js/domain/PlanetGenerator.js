@@ -0,0 +1,98 @@
+/**
+ * PlanetGenerator
+ *
+ * Random planets drawn the way the game generates them (config.js): each
+ * regular sector is drawn with its weightAtPlanetGeneration, a sector that
+ * reached its maxPerPlanet is no longer drawn, and LANDING is always present.
+ * Special sectors (LANDING, LOST, UNKNOWN) have a generation weight of 0.
+ *
+ * Pure: no DOM, no I18n. PlanetRanking scores batches of these planets.
+ */
+class PlanetGenerator {
+
+	static MIN_SIZE = 2;
+	static MAX_SIZE = 20; // Constants.MAX_SECTORS regular sectors
+
+	/**
+	 * Sectors that can be generated, with their generation weight and cap.
+	 * @returns {Array<{ sector: string, weight: number, maxPerPlanet: number }>}
+	 */
+	static getGenerationPool() {
+		return PlanetSectorConfigData
+			.filter(config => config.weightAtPlanetGeneration > 0)
+			.map(config => ({
+				sector: config.sectorName,
+				weight: config.weightAtPlanetGeneration,
+				maxPerPlanet: config.maxPerPlanet
+			}));
+	}
+
+	/**
+	 * Generates a planet.
+	 * @param {number} size - Regular sectors (clamped to MIN_SIZE..MAX_SIZE)
+	 * @param {Function} [rng] - () => number in [0, 1)
+	 * @returns {string[]} ['LANDING', ...size sectors]
+	 */
+	static generate(size, rng = Math.random) {
+		const target = PlanetGenerator.clampSize(size);
+		const pool = PlanetGenerator.getGenerationPool();
+		const counts = {};
+		const sectors = [];
+
+		while (sectors.length < target) {
+			const sector = PlanetGenerator.drawSector(pool, counts, rng);
+			if (!sector) break;
+			sectors.push(sector);
+		}
+
+		return ['LANDING', ...sectors];
+	}
+
+	/**
+	 * Draws one sector by weight among those below their maxPerPlanet, and counts it.
+	 * @param {Array<{ sector: string, weight: number, maxPerPlanet: number }>} pool
+	 * @param {Object<string, number>} counts - Sectors already on the planet (updated)
+	 * @param {Function} [rng] - () => number in [0, 1)
+	 * @returns {string|null} null when every sector is capped
+	 */
+	static drawSector(pool, counts, rng = Math.random) {
+		const available = pool.filter(entry => (counts[entry.sector] || 0) < entry.maxPerPlanet);
+		if (available.length === 0) return null;
+
+		const totalWeight = available.reduce((sum, entry) => sum + entry.weight, 0);
+		let roll = rng() * totalWeight;
+		let picked = available[available.length - 1];
+		for (const entry of available) {
+			roll -= entry.weight;
+			if (roll < 0) {
+				picked = entry;
+				break;
+			}
+		}
+
+		counts[picked.sector] = (counts[picked.sector] || 0) + 1;
+		return picked.sector;
+	}
+
+	/**
+	 * @param {number} size
+	 * @returns {number} Integer size within MIN_SIZE..MAX_SIZE
+	 */
+	static clampSize(size) {
+		const n = Math.round(Number(size)) || PlanetGenerator.MIN_SIZE;
+		return Math.max(PlanetGenerator.MIN_SIZE, Math.min(PlanetGenerator.MAX_SIZE, n));
+	}
+
+	/**
+	 * Size of a planet as generate() counts it: every sector but the special
+	 * LANDING and LOST (UNKNOWN sectors are real, unscanned sectors).
+	 * @param {string[]} sectors
+	 * @returns {number}
+	 */
+	static getSize(sectors) {
+		return (sectors || []).filter(s => s !== 'LANDING' && s !== 'LOST').length;
+	}
+}
+
+var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
+_global.PlanetGenerator = PlanetGenerator;
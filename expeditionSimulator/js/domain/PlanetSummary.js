@@ -32,9 +32,13 @@ class PlanetSummary {
 	 * @param {boolean}     [diplomacy] - Whether diplomacy mode is active
 	 * @param {{ direction: string, fuel: number }|null} [nav] - Direction and fuel cost
 	 * @param {Object|null} [planetResources] - Planet-level resource quartiles from ResourceCalculator
+	 *                                           (with nav, the fuel distribution also gives the net fuel line)
+	 * @param {{ low: number, high: number }|null} [overallBand] - Range of the overall score over the
+	 *                                           possible scans of UNKNOWN sectors (ScanUncertainty);
+	 *                                           axes carry their own band
 	 * @returns {string}
 	 */
-	static format(name, sectors, axes = [], overall = null, diplomacy = false, nav = null, planetResources = null) {
+	static format(name, sectors, axes = [], overall = null, diplomacy = false, nav = null, planetResources = null, overallBand = null) {
 		const filtered = sectors.filter(s => s !== 'LANDING');
 
 		const placed = new Set();
@@ -60,12 +64,18 @@ class PlanetSummary {
 			.join('');
 
 		const starChar = '★';
+		// Unscanned sectors: the range the stars land in once scanned
+		const bandStr = (band) => band ? ` [${Math.round(band.low * 2) / 2}~${Math.round(band.high * 2) / 2}${starChar}]` : '';
 
 		// Title line: name + overall score + optional diplomacy flag + nav
-		const overallStr = overall !== null ? ` - ${overall}${starChar}` : '';
+		const overallStr = overall !== null ? ` - ${overall}${starChar}${bandStr(overallBand)}` : '';
 		const diplomacyStr = diplomacy ? ' (:sk_diplomacy:)' : '';
 		const navDir = nav ? (I18n?.t?.('planet.dir.' + nav.direction.toLowerCase()) || nav.direction) : '';
 		const navStr = nav ? `*${navDir} - ${nav.fuel} :fuel:*` : '';
+
+		// Net fuel: fuel brought back minus the travel cost above
+		const netFuel = nav ? FuelEconomics.compute(planetResources?.fuel, nav.fuel) : null;
+		const netFuelStr = netFuel ? `*${PlanetSummary.formatNetFuel(netFuel)}*` : '';
 		const titleLine = `:ic_planet_scanned: **${name}**${overallStr}${diplomacyStr}`;
 
 		// Axes: fixed pairs on three lines
@@ -98,7 +108,7 @@ class PlanetSummary {
 			const fmtAxis = (key) => {
 				const a = byKey[key];
 				if (!a) return null;
-				return `${a.label}: ${a.stars > 0 ? `${a.stars}${starChar}` : '-'}${quartileStr(a.key)}`;
+				return `${a.label}: ${a.stars > 0 ? `${a.stars}${starChar}` : '-'}${bandStr(a.band)}${quartileStr(a.key)}`;
 			};
 			const PAIRS = [
 				['fruits', 'steaks'],
@@ -111,9 +121,21 @@ class PlanetSummary {
 			}
 		}
 
-		const parts = [titleLine, navStr, iconBlock, ...axesLines].filter(p => p.length > 0);
+		const parts = [titleLine, navStr, netFuelStr, iconBlock, ...axesLines].filter(p => p.length > 0);
 		return '\n' + parts.join('\n');
 	}
+
+	/**
+	 * "Net fuel: +2.3 (64% chance of a gain)", shared with the planetary review.
+	 * @param {{ expectedNet: number, gainProbability: number }} netFuel - From FuelEconomics.compute()
+	 * @returns {string}
+	 */
+	static formatNetFuel(netFuel) {
+		return I18n.t('planet.net_fuel', {
+			net: Format.delta(netFuel.expectedNet),
+			prob: `${Math.round(netFuel.gainProbability * 100)}%`
+		});
+	}
 }
 
 var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
@@ -0,0 +1,65 @@
+/**
+ * RescueService
+ *
+ * Follow-up of a PLAYER_LOST event. The lost crew member stays on the planet
+ * and one LOST sector per lost player is added for a later rescue expedition.
+ * On a LOST sector the team finds them (FIND_LOST), wanders (AGAIN) or only
+ * finds their body (KILL_LOST) — the Tracker ability rules out the latter.
+ */
+class RescueService {
+	/**
+	 * Builds the sector list of a rescue expedition: LANDING + one LOST per lost player.
+	 * @param {number} lostCount - Number of LOST sectors on the planet
+	 * @returns {Array<string>}
+	 */
+	static buildRescueSectors(lostCount) {
+		const count = Math.max(1, Math.round(lostCount) || 1);
+		return ['LANDING', ...new Array(count).fill('LOST')];
+	}
+
+	/**
+	 * Number of LOST sectors to plan for, given that someone did go missing:
+	 * E[LOST sectors | at least one] rounded, never below 1.
+	 * @param {Object} lostCrew - { missingProbability, expectedLostSectors }
+	 * @returns {number}
+	 */
+	static getRescueLostCount(lostCrew) {
+		if (!lostCrew || lostCrew.missingProbability <= 0) return 1;
+		return Math.max(1, Math.round(lostCrew.expectedLostSectors / lostCrew.missingProbability));
+	}
+
+	/**
+	 * Event odds on one LOST sector for a loadout.
+	 * @param {Object} loadout - { abilities: [], items: [], projects: [] }
+	 * @returns {{find: number, kill: number, again: number}}
+	 */
+	static getLostSectorOdds(loadout = {}) {
+		const probs = ExpeditionPipeline.getModifiedProbabilities('LOST', loadout);
+		return {
+			find:  probs.get('FIND_LOST') || 0,
+			kill:  probs.get('KILL_LOST') || 0,
+			again: probs.get('AGAIN') || 0
+		};
+	}
+
+	/**
+	 * LOST sector odds for the current crew, and what they would be with a Tracker.
+	 * @param {Object} loadout - Current crew loadout
+	 * @returns {{current: Object, withTracker: Object, hasTracker: boolean}}
+	 */
+	static getRescueOdds(loadout = {}) {
+		const abilities = loadout.abilities || [];
+		const hasTracker = abilities.includes('TRACKER');
+		const trackerLoadout = hasTracker ? loadout : { ...loadout, abilities: [...abilities, 'TRACKER'] };
+
+		return {
+			current: this.getLostSectorOdds(loadout),
+			withTracker: this.getLostSectorOdds(trackerLoadout),
+			hasTracker
+		};
+	}
+}
+
+// Export
+var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
+_global.RescueService = RescueService;
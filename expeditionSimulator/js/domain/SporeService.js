@@ -0,0 +1,52 @@
+/**
+ * SporeService
+ *
+ * Spores explorers catch during an expedition, and the chance this turns a
+ * human into a Mush once added to the spores they already carry (Crew Manager).
+ *
+ *   - MUSH_TRAP: one random explorer catches MUSH_TRAP_SPORES spores
+ *   - fight disease: each disease caught after a fight (MonteCarloSimulator)
+ *     gives SPORES_PER_FIGHT_DISEASE spores to the player who caught it
+ *   - a human carrying CONVERSION_SPORES spores becomes a Mush
+ *
+ * Pure: no DOM, no I18n. MonteCarloSimulator attributes the spores per run.
+ */
+class SporeService {
+
+	static CONVERSION_SPORES = 3;
+	static MUSH_TRAP_SPORES = 1;
+	static SPORES_PER_FIGHT_DISEASE = 1;
+
+	/**
+	 * Picks distinct random players to infect.
+	 * @param {Array<number>} candidates - Player indexes that can be infected
+	 * @param {number} count - How many to infect (capped at candidates.length)
+	 * @param {Function} rng - () => number in [0, 1)
+	 * @returns {Array<number>} Picked player indexes
+	 */
+	static pickInfected(candidates, count, rng) {
+		const pool = [...candidates];
+		const picked = [];
+		while (picked.length < count && pool.length > 0) {
+			picked.push(pool.splice(Math.floor(rng() * pool.length), 1)[0]);
+		}
+		return picked;
+	}
+
+	/**
+	 * Chance that a player reaches CONVERSION_SPORES spores.
+	 * @param {Map<number, number>|null} sporeDistribution - Spores caught on the expedition
+	 *        (results.playerSpores entry)
+	 * @param {number} [currentSpores] - Spores already carried (Crew Manager)
+	 * @param {boolean} [isMush] - Already a Mush: nothing left to convert
+	 * @returns {number|null} null for a Mush or without a distribution
+	 */
+	static getConversionProbability(sporeDistribution, currentSpores = 0, isMush = false) {
+		if (isMush || !sporeDistribution) return null;
+		if (currentSpores >= SporeService.CONVERSION_SPORES) return 1;
+		return DistributionCalculator.getProbabilityAtLeast(sporeDistribution, SporeService.CONVERSION_SPORES - currentSpores);
+	}
+}
+
+var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
+_global.SporeService = SporeService;
@@ -0,0 +1,73 @@
+/**
+ * UnknownSectorSampler
+ *
+ * Possible contents of a partially scanned planet: each UNKNOWN sector (the
+ * "???" of ChatParser) is drawn with its weightAtPlanetAnalysis (config.js),
+ * and a sector that reached its maxPerPlanet, scanned sectors included, is no
+ * longer drawn (PlanetGenerator.drawSector, with the analysis weights).
+ *
+ * Pure: no DOM, no I18n. ScanUncertainty scores and simulates the completions.
+ */
+class UnknownSectorSampler {
+
+	/**
+	 * @param {string[]} sectors
+	 * @returns {number} UNKNOWN sectors on the planet
+	 */
+	static countUnknown(sectors) {
+		return (sectors || []).filter(s => s === 'UNKNOWN').length;
+	}
+
+	/**
+	 * Sectors an unknown sector can turn out to be, with their analysis weight and cap.
+	 * @returns {Array<{ sector: string, weight: number, maxPerPlanet: number }>}
+	 */
+	static getAnalysisPool() {
+		return PlanetSectorConfigData
+			.filter(config => config.weightAtPlanetAnalysis > 0)
+			.map(config => ({
+				sector: config.sectorName,
+				weight: config.weightAtPlanetAnalysis,
+				maxPerPlanet: config.maxPerPlanet
+			}));
+	}
+
+	/**
+	 * Replaces every UNKNOWN sector with a random draw, in place order.
+	 * An UNKNOWN stays when every sector is capped.
+	 * @param {string[]} sectors
+	 * @param {Function} [rng] - () => number in [0, 1)
+	 * @returns {string[]} A new array
+	 */
+	static fill(sectors, rng = Math.random) {
+		const pool = UnknownSectorSampler.getAnalysisPool();
+		const counts = {};
+		for (const sector of sectors) {
+			counts[sector] = (counts[sector] || 0) + 1;
+		}
+
+		return sectors.map(sector => {
+			if (sector !== 'UNKNOWN') return sector;
+			return PlanetGenerator.drawSector(pool, counts, rng) || sector;
+		});
+	}
+
+	/**
+	 * Draws several completions of the same planet.
+	 * @param {string[]} sectors
+	 * @param {number} count
+	 * @param {Function} [rng] - () => number in [0, 1)
+	 * @returns {Array<string[]>} Empty when nothing is unknown
+	 */
+	static sampleCompletions(sectors, count, rng = Math.random) {
+		if (UnknownSectorSampler.countUnknown(sectors) === 0) return [];
+		const completions = [];
+		for (let i = 0; i < count; i++) {
+			completions.push(UnknownSectorSampler.fill(sectors, rng));
+		}
+		return completions;
+	}
+}
+
+var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
+_global.UnknownSectorSampler = UnknownSectorSampler;
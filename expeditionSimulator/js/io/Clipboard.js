@@ -19,10 +19,11 @@ class Clipboard {
 	 * @param {boolean}     [diplomacy] - Whether diplomacy mode is active
 	 * @param {{ direction: string, fuel: number }|null} [nav] - Direction and fuel cost
 	 * @param {Object|null} [planetResources] - Planet-level resource quartiles
+	 * @param {Object|null} [overallBand] - Range of the overall score over the possible scans
 	 * @returns {Promise<void>}
 	 */
-	static copyPlanetSummary(name, sectors, axes = [], overall = null, diplomacy = false, nav = null, planetResources = null) {
-		const text = PlanetSummary.format(name, sectors, axes, overall, diplomacy, nav, planetResources);
+	static copyPlanetSummary(name, sectors, axes = [], overall = null, diplomacy = false, nav = null, planetResources = null, overallBand = null) {
+		const text = PlanetSummary.format(name, sectors, axes, overall, diplomacy, nav, planetResources, overallBand);
 
 		if (navigator.clipboard?.writeText) {
 			return navigator.clipboard.writeText(text);
@@ -86,6 +86,23 @@ const DistributionCalculator = {
 		return sum;
 	},
 
+	/**
+	 * Probability that the variable reaches a threshold: P(X >= threshold).
+	 * e.g. the chance of bringing back 6 fuel or more.
+	 * 
+	 * @param {Map<number, number>} distribution - Value → probability map
+	 * @param {number} threshold - Minimum value
+	 * @returns {number} Probability (0-1)
+	 */
+	getProbabilityAtLeast(distribution, threshold) {
+		let sum = 0;
+		for (const [value, prob] of distribution) {
+			// Tolerance for values built from fractional multipliers
+			if (value >= threshold - 1e-9) sum += prob;
+		}
+		return Math.min(1, sum);
+	},
+
 	/**
 	 * Extracts pessimist/average/optimist from a distribution using percentiles.
 	 * Used for damage/fight calculations where distributions are dense enough
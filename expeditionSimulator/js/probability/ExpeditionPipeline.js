@@ -18,7 +18,10 @@ const ExpeditionPipeline = {
 	 * When movementSpeed < totalSectors, we can't visit all sectors.
 	 * This method enumerates all possible sector compositions, runs
 	 * calculations for each, and mixes the results weighted by
-	 * composition probability.
+	 * composition probability. AGAIN also wastes movement: rather than one
+	 * pipeline run per number of sectors reached, every planned sector is
+	 * reached with the expected share of the movement (getMovementReach), the
+	 * way BACK is handled. The sector tables are computed once for all compositions.
 	 * 
 	 * @param {Object} sectorCounts - Map of sectorType → count (e.g., {FOREST: 3, DESERT: 4})
 	 * @param {number} movementSpeed - Number of sectors that can be explored
@@ -32,6 +35,14 @@ const ExpeditionPipeline = {
 		const totalSectors = Object.values(sectorCounts).reduce((a, b) => a + b, 0);
 		const alwaysInclude = options.alwaysInclude || [];
 
+		const movementReach = SectorSampler.getMovementReach(
+			movementSpeed, totalSectors, SectorSampler.getAgainProbability(sectorCounts, loadout)
+		);
+		const sectorProbabilities = this._precomputeSectorProbabilities(
+			[...Object.keys(sectorCounts), ...alwaysInclude], loadout
+		);
+		const calculateOptions = { movementReach, sectorProbabilities };
+
 		// If we can visit all sectors, no sampling needed - use standard calculate
 		if (movementSpeed >= totalSectors) {
 			const allSectors = [];
@@ -44,12 +55,12 @@ const ExpeditionPipeline = {
 			for (const sector of alwaysInclude) {
 				allSectors.push(sector);
 			}
-			return this.calculate(allSectors, loadout, players);
+			return this.calculate(allSectors, loadout, players, calculateOptions);
 		}
 
-		// Generate weighted compositions
+		// Generate weighted compositions (AGAIN is in movementReach)
 		const compositions = SectorSampler.generateWeightedCompositions(
-			sectorCounts, movementSpeed, loadout
+			sectorCounts, movementSpeed, loadout, { plannedOnly: true }
 		);
 
 		if (compositions.length === 0) {
@@ -68,7 +79,7 @@ const ExpeditionPipeline = {
 			}
 
 			// Run standard calculation
-			const result = this.calculate(sectors, loadout, players);
+			const result = this.calculate(sectors, loadout, players, calculateOptions);
 			
 			compositionResults.push({
 				composition,
@@ -125,12 +136,34 @@ const ExpeditionPipeline = {
 		// ========================================
 		const sectorBreakdown = this._mixSectorBreakdown(compositionResults);
 
+		// ========================================
+		// Expected explored sectors (BACK)
+		// ========================================
+		const sectorsExplored = {
+			planned: compositionResults[0].result.sectorsExplored?.planned || 0,
+			expected: compositionResults.reduce(
+				(sum, { probability, result }) => sum + probability * (result.sectorsExplored?.expected || 0), 0
+			)
+		};
+
+		// ========================================
+		// Lost crew (PLAYER_LOST)
+		// ========================================
+		const lostCrew = { missingProbability: 0, expectedLostSectors: 0 };
+		for (const { probability, result } of compositionResults) {
+			lostCrew.missingProbability += probability * (result.lostCrew?.missingProbability || 0);
+			lostCrew.expectedLostSectors += probability * (result.lostCrew?.expectedLostSectors || 0);
+		}
+
 		return {
 			resources: mixedResources,
 			combat: mixedCombat,
 			eventDamage: mixedEventDamage,
 			negativeEvents: mixedNegativeEvents,
 			sectorBreakdown: sectorBreakdown,
+			sectorsExplored: sectorsExplored,
+			lostCrew: lostCrew,
+			gearLost: this._mixGearLost(compositionResults),
 			// Include sampling metadata
 			_sampling: {
 				enabled: true,
@@ -447,7 +480,7 @@ const ExpeditionPipeline = {
 	 * Gets probabilities for a sector with modifiers applied.
 	 * 
 	 * @param {string} sectorName - Sector name
-	 * @param {Object} loadout - Player loadout { abilities: [], items: [], projects: [] }
+	 * @param {Object} loadout - Player loadout { abilities: [], items: [], projects: [], mode? }
 	 * @returns {Map<string, number>} Probabilities map
 	 */
 	getModifiedProbabilities(sectorName, loadout = {}) {
@@ -474,9 +507,12 @@ const ExpeditionPipeline = {
 	 * @param {Array<string>} sectors - Array of sector names
 	 * @param {Object} loadout - Combined loadout { abilities: [], items: [], projects: [] }
 	 * @param {Array<Object>} players - Optional: raw player data for resource modifier counting
+	 * @param {Object} [options]
+	 * @param {number} [options.movementReach=1] - Share of the sectors reached despite AGAIN (calculateWithSampling)
+	 * @param {Map} [options.sectorProbabilities] - Precomputed sector tables covering every sector
 	 * @returns {Object} Complete results data structure
 	 */
-	calculate(sectors, loadout = {}, players = []) {
+	calculate(sectors, loadout = {}, players = [], options = {}) {
 		if (!sectors || sectors.length === 0) {
 			return null;
 		}
@@ -489,7 +525,13 @@ const ExpeditionPipeline = {
 
 		// OPTIMIZATION: Precompute all sector probabilities ONCE
 		// This map is passed to all sub-calculators to avoid redundant recalculation
-		const sectorProbabilities = this._precomputeSectorProbabilities(sectors, loadout);
+		const eventProbabilities = options.sectorProbabilities || this._precomputeSectorProbabilities(sectors, loadout);
+
+		// BACK sends the team home: every sector only counts with the probability it is reached.
+		// Sub-calculators see the scaled tables (missing mass = nothing happens); the
+		// truncation is applied per sector, so its correlation between sectors is not kept.
+		const reachProbabilities = this.computeReachProbabilities(sectors, eventProbabilities, options.movementReach);
+		const sectorProbabilities = this._applyReachProbabilities(eventProbabilities, reachProbabilities);
 
 		// Calculate resources using ResourceCalculator (convolution-based)
 		const resources = ResourceCalculator.calculate(sectors, loadout, players, sectorProbabilities);
@@ -543,15 +585,18 @@ const ExpeditionPipeline = {
 		// Calculate event damage using EventDamageCalculator (convolution-based)
 		const eventDamage = EventDamageCalculator.calculate(sectors, loadout, players, eventExclusions, sectorProbabilities);
 
-		// Build sector breakdown (reuse precomputed probabilities)
-		const sectorBreakdown = this._buildSectorBreakdownFromCache(sectorCounts, sectorProbabilities);
+		// Build sector breakdown (per-sector event odds, before BACK truncation)
+		const sectorBreakdown = this._buildSectorBreakdownFromCache(sectorCounts, eventProbabilities);
 
 		return {
 			resources: resources,
 			combat: combat,  // Full fight data with occurrence + damage
 			eventDamage: eventDamage,  // Full event damage data with occurrence + scenarios
 			negativeEvents: negativeEvents,  // Convolution-based pessimist/average/optimist per event type
-			sectorBreakdown: sectorBreakdown
+			sectorBreakdown: sectorBreakdown,
+			sectorsExplored: this._getSectorsExplored(sectors, reachProbabilities),
+			lostCrew: this._getLostCrew(sectors, sectorProbabilities),
+			gearLost: GearLossService.summarize(players, this._getItemLostDistribution(sectors, sectorProbabilities))
 		};
 	},
 
@@ -580,6 +625,155 @@ const ExpeditionPipeline = {
 		return cache;
 	},
 
+	// ========================================
+	// Early Return (BACK)
+	// ========================================
+
+	/**
+	 * Probability that each sector is reached before a BACK event ends the expedition.
+	 *
+	 * Special sectors (LANDING, LOST) are resolved first and always reached. The
+	 * others are visited in random order: give each one a uniform arrival time;
+	 * conditional on sector i arriving at t, every other sector j came first with
+	 * probability t, independently. Sector i is reached if none of those rolled BACK:
+	 *
+	 *   reach_i = P(no BACK in special sectors) × ∫₀¹ Π_{j≠i} (1 − t·back_j) dt
+	 *
+	 * Movement wasted by AGAIN multiplies the reach of the non-special sectors.
+	 *
+	 * @param {Array<string>} sectors - Sector names (special ones included)
+	 * @param {Map} sectorProbabilities - Precomputed sector probabilities
+	 * @param {number} [movementReach=1] - From SectorSampler.getMovementReach()
+	 * @returns {Map<string, number>} sectorName → probability of being reached
+	 */
+	computeReachProbabilities(sectors, sectorProbabilities, movementReach = 1) {
+		const isSpecial = name => typeof SectorData !== 'undefined' && SectorData.isSpecialSector(name);
+		const backProb = name => sectorProbabilities.get(name)?.get('BACK') || 0;
+
+		const reach = new Map();
+		const explorable = [];
+		let specialNoBack = 1;
+		for (const sectorName of sectors) {
+			if (isSpecial(sectorName)) {
+				reach.set(sectorName, 1);
+				specialNoBack *= 1 - backProb(sectorName);
+			} else {
+				explorable.push(sectorName);
+			}
+		}
+
+		for (let i = 0; i < explorable.length; i++) {
+			if (reach.has(explorable[i])) continue;
+			const others = explorable.filter((_, j) => j !== i).map(backProb);
+			reach.set(explorable[i], movementReach * specialNoBack * this._integrateNoBack(others));
+		}
+
+		return reach;
+	},
+
+	/**
+	 * ∫₀¹ Π (1 − t·b) dt, by expanding the polynomial.
+	 * @private
+	 */
+	_integrateNoBack(backProbs) {
+		let coeffs = [1];
+		for (const b of backProbs) {
+			if (b === 0) continue;
+			const next = new Array(coeffs.length + 1).fill(0);
+			coeffs.forEach((c, k) => {
+				next[k] += c;
+				next[k + 1] -= c * b;
+			});
+			coeffs = next;
+		}
+		return coeffs.reduce((sum, c, k) => sum + c / (k + 1), 0);
+	},
+
+	/**
+	 * Scales each sector's event probabilities by its reach probability.
+	 * @private
+	 */
+	_applyReachProbabilities(sectorProbabilities, reachProbabilities) {
+		const scaled = new Map();
+		for (const [sectorName, probs] of sectorProbabilities) {
+			const reach = reachProbabilities.get(sectorName) ?? 1;
+			if (reach >= 1) {
+				scaled.set(sectorName, probs);
+				continue;
+			}
+			const scaledProbs = new Map();
+			for (const [eventName, prob] of probs) {
+				scaledProbs.set(eventName, prob * reach);
+			}
+			scaled.set(sectorName, scaledProbs);
+		}
+		return scaled;
+	},
+
+	/**
+	 * Planned vs expected number of explored sectors (special sectors excluded).
+	 * @private
+	 */
+	_getSectorsExplored(sectors, reachProbabilities) {
+		const explorable = sectors.filter(s => typeof SectorData === 'undefined' || !SectorData.isSpecialSector(s));
+		return {
+			planned: explorable.length,
+			expected: explorable.reduce((sum, s) => sum + (reachProbabilities.get(s) ?? 1), 0)
+		};
+	},
+
+	// ========================================
+	// Lost Crew (PLAYER_LOST)
+	// ========================================
+
+	/**
+	 * Chance that someone goes missing, and expected LOST sectors created for the
+	 * rescue (one per PLAYER_LOST). Sector rolls are independent, so
+	 * P(missing) = 1 − Π(1 − p_i) and E[LOST] = Σ p_i.
+	 * @private
+	 */
+	_getLostCrew(sectors, sectorProbabilities) {
+		let noneLost = 1;
+		let expectedLostSectors = 0;
+		for (const sectorName of sectors) {
+			const p = sectorProbabilities.get(sectorName)?.get('PLAYER_LOST') || 0;
+			noneLost *= 1 - p;
+			expectedLostSectors += p;
+		}
+		return { missingProbability: 1 - noneLost, expectedLostSectors };
+	},
+
+	/**
+	 * Distribution of the number of ITEM_LOST events (one Bernoulli per sector).
+	 * @private
+	 */
+	_getItemLostDistribution(sectors, sectorProbabilities) {
+		const distributions = sectors.map(sectorName => {
+			const p = sectorProbabilities.get(sectorName)?.get('ITEM_LOST') || 0;
+			return new Map([[0, 1 - p], [1, p]]);
+		});
+		return DistributionCalculator.convolveAll(distributions);
+	},
+
+	/**
+	 * Mixes gearLost across compositions. Per-item costs (carried, fighting
+	 * power, modifiers) only depend on the team, so they are taken as is.
+	 * @private
+	 */
+	_mixGearLost(compositionResults) {
+		const mixed = { expectedItemsLost: 0, byItem: {} };
+		for (const { probability, result } of compositionResults) {
+			if (!result.gearLost) continue;
+			mixed.expectedItemsLost += probability * result.gearLost.expectedItemsLost;
+			for (const [itemId, entry] of Object.entries(result.gearLost.byItem)) {
+				const target = mixed.byItem[itemId] || (mixed.byItem[itemId] = { ...entry, expectedLost: 0, lostProbability: 0 });
+				target.expectedLost += probability * entry.expectedLost;
+				target.lostProbability += probability * entry.lostProbability;
+			}
+		}
+		return mixed;
+	},
+
 	/**
 	 * Gets probabilities for a sector, using cache if available.
 	 * This is the preferred method for sub-calculators to use.
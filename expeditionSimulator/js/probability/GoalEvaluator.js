@@ -0,0 +1,76 @@
+/**
+ * GoalEvaluator
+ *
+ * BACKEND: Joint probability of compound mission goals, e.g.
+ * P(fuel >= 4 AND nobody dies) or P(fruits >= 5 OR steaks >= 8).
+ *
+ * Resources are convolved one by one in ResourceCalculator, which loses the
+ * correlation between them (each sector yields a single event). The queries
+ * here run over the outcome vectors of Monte Carlo runs instead
+ * (MonteCarloSimulator results.outcomes), where every quantity comes from the
+ * same simulated expedition.
+ *
+ * A condition is { metric, op, value }; a goal is { conditions, combinator }
+ * with combinator 'and' (all conditions) or 'or' (any condition).
+ *
+ * @module probability/GoalEvaluator
+ */
+const GoalEvaluator = {
+
+	/** Outcome fields a condition can test ('deaths' counts explorers who died) */
+	METRICS: ['fuel', 'fruits', 'steaks', 'oxygen', 'artefacts', 'mapFragments', 'deaths'],
+
+	OPERATORS: ['>=', '<='],
+
+	COMBINATORS: ['and', 'or'],
+
+	/** Conditions per goal in the mission goals widget */
+	MAX_CONDITIONS: 3,
+
+	/**
+	 * Whether one run meets a condition.
+	 * @param {Object} outcome - One entry of results.outcomes
+	 * @param {{metric: string, op: string, value: number}} condition
+	 * @returns {boolean}
+	 */
+	matches(outcome, condition) {
+		if (!this.METRICS.includes(condition.metric)) {
+			throw new Error(`Unknown goal metric: ${condition.metric}`);
+		}
+		// Tolerance for values built from fractional multipliers
+		const actual = outcome[condition.metric] || 0;
+		switch (condition.op) {
+			case '>=': return actual >= condition.value - 1e-9;
+			case '<=': return actual <= condition.value + 1e-9;
+			default:
+				throw new Error(`Unknown goal operator: ${condition.op}`);
+		}
+	},
+
+	/**
+	 * Share of runs meeting the goal.
+	 * @param {Array<Object>} outcomes - results.outcomes
+	 * @param {{conditions: Array<Object>, combinator?: string}} goal
+	 * @returns {{probability: number, samples: number}|null} null without outcomes or conditions
+	 */
+	evaluate(outcomes, { conditions = [], combinator = 'and' }) {
+		if (!outcomes || outcomes.length === 0 || conditions.length === 0) return null;
+		if (!this.COMBINATORS.includes(combinator)) {
+			throw new Error(`Unknown goal combinator: ${combinator}`);
+		}
+
+		const test = combinator === 'and'
+			? (outcome) => conditions.every(c => this.matches(outcome, c))
+			: (outcome) => conditions.some(c => this.matches(outcome, c));
+
+		let met = 0;
+		for (const outcome of outcomes) {
+			if (test(outcome)) met++;
+		}
+		return { probability: met / outcomes.length, samples: outcomes.length };
+	}
+};
+
+// Export
+var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
+_global.GoalEvaluator = GoalEvaluator;
@@ -10,10 +10,11 @@
  *   key: identifier matched against loadout.abilities / .items / .projects
  *   kind: 'ability' | 'item' | 'project'
  *   sector: optional; modifier only activates for this sector when set
- *   action: 'removeEvents' | 'removeByPrefix' | 'replaceWithNothing' | 'multiplyEvent'
+ *   action: 'removeEvents' | 'removeByPrefix' | 'replaceWithNothing' | 'multiplyEvent' | 'multiplyNegative'
  *   params: event key array (removeEvents) or prefix string (removeByPrefix / replaceWithNothing)
  *   event: event key (multiplyEvent only)
- *   factor: multiplier  (multiplyEvent only)
+ *   factor: multiplier  (multiplyEvent / multiplyNegative; the latter scales every
+ *           event EventClassifier.isNegative() flags)
  */
 
 const MODIFIER_REGISTRY = [
@@ -21,6 +22,7 @@ const MODIFIER_REGISTRY = [
 { key: 'PILOT',              kind: 'ability', sector: 'LANDING',     action: 'removeEvents',   params: ['TIRED_2', 'ACCIDENT_3_5', 'DISASTER_3_5'] },
 { key: 'DIPLOMACY',          kind: 'ability',                        action: 'replaceWithNothing', params: 'FIGHT_' },
 { key: 'TRACKER',            kind: 'ability', sector: 'LOST',        action: 'removeEvents',   params: ['KILL_LOST'] },
+{ key: 'TRAITOR',            kind: 'ability',                        action: 'multiplyNegative', factor: 2 },
 // Items
 { key: 'WHITE_FLAG',         kind: 'item',    sector: 'INTELLIGENT', action: 'replaceWithNothing', params: 'FIGHT_' },
 { key: 'QUAD_COMPASS',       kind: 'item',                           action: 'removeByPrefix', params: 'AGAIN' },
@@ -68,11 +70,26 @@ if (events[entry.event] !== undefined) {
 events[entry.event] *= entry.factor;
 }
 break;
+case 'multiplyNegative':
+for (const eventName of Object.keys(events)) {
+if (EventClassifier.isNegative(eventName)) {
+events[eventName] *= entry.factor;
+}
+}
+break;
 }
 }
 
 return config;
 },
+
+/**
+ * Keys of the item-driven modifiers (e.g. WHITE_FLAG, QUAD_COMPASS).
+ * @returns {Array<string>}
+ */
+getItemModifierKeys() {
+return MODIFIER_REGISTRY.filter(entry => entry.kind === 'item').map(entry => entry.key);
+},
 };
 
 // Export for use in other modules
@@ -0,0 +1,848 @@
+/**
+ * MonteCarloSimulator
+ *
+ * BACKEND: Event-by-event Monte Carlo engine, used as a cross-check for the
+ * convolution engine in ExpeditionPipeline.
+ *
+ * Each iteration:
+ *   1. Draws the planned sectors (same noncentral hypergeometric model as SectorSampler)
+ *   2. Draws one event per sector from the ModifierApplicator-adjusted event table;
+ *      AGAIN spends a unit of movement on a new roll of the same sector, so the
+ *      last planned sectors may never be reached
+ *   3. Rolls fight strength, event damage, fight rewards and resource amounts
+ *   4. Spreads damage to players with DamageSpreader (Survival / Armor / Rope included)
+ *
+ * All quantities of one iteration come from the same simulated expedition, so no
+ * independence assumption is made between resources, fights and events.
+ * Randomness comes from a seeded PRNG: the same inputs and seed always give the
+ * same output.
+ *
+ * Sequential mode (options.sequential) resolves HP after every sector instead of
+ * spreading all damage at the end: dead players stop fighting and soaking damage.
+ *
+ * Returns the same shape as ExpeditionPipeline.calculate(), plus
+ * healthByScenario / effectsByScenario, playerHealth (per-player HP distribution),
+ * deathProbability, playerSpores (per-player distribution of spores caught from
+ * MUSH_TRAP and fight disease, see SporeService), and outcomes: one
+ * { resources..., deaths } vector per run for joint queries across resources
+ * and deaths (GoalEvaluator).
+ *
+ * @module probability/MonteCarloSimulator
+ */
+const MonteCarloSimulator = {
+
+	DEFAULT_ITERATIONS: 5000,
+	DEFAULT_SEED: 1,
+
+	/**
+	 * Chance for each player hit by a fight to catch a disease (matches FightCalculator).
+	 */
+	DISEASE_CHANCE_PER_HIT: 0.05,
+
+	/**
+	 * Resource output keys, in ResourceCalculator order.
+	 */
+	RESOURCE_KEYS: ['fruits', 'steaks', 'fuel', 'oxygen', 'artefacts', 'mapFragments'],
+
+	/**
+	 * Creates a seeded pseudo-random generator (mulberry32).
+	 *
+	 * @param {number} seed - Integer seed
+	 * @returns {Function} () => number in [0, 1)
+	 */
+	createRng(seed) {
+		let state = seed >>> 0;
+		return function() {
+			state = (state + 0x6D2B79F5) >>> 0;
+			let t = state;
+			t = Math.imul(t ^ (t >>> 15), t | 1);
+			t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+			return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+		};
+	},
+
+	/**
+	 * Runs the full Monte Carlo simulation.
+	 *
+	 * @param {Object} sectorCounts - Map of sectorType → count (special sectors excluded)
+	 * @param {number} movementSpeed - Number of sectors that can be explored
+	 * @param {Object} loadout - Combined loadout { abilities: [], items: [], projects: [] }
+	 * @param {Array<Object>} players - Participating players
+	 * @param {Object} [options]
+	 * @param {Array<string>} [options.alwaysInclude] - Sectors always visited (e.g., LANDING)
+	 * @param {number} [options.iterations] - Number of simulated expeditions
+	 * @param {number} [options.seed] - PRNG seed
+	 * @param {boolean} [options.sequential] - Walk sectors in order, resolving HP after every event
+	 *   (see simulateSequentialRun)
+	 * @returns {Object|null} Results (same shape as ExpeditionPipeline.calculate) or null when there is nothing to explore
+	 */
+	simulate(sectorCounts, movementSpeed, loadout = {}, players = [], options = {}) {
+		const alwaysInclude = options.alwaysInclude || [];
+		const iterations = options.iterations || this.DEFAULT_ITERATIONS;
+		const seed = options.seed ?? this.DEFAULT_SEED;
+		const sequential = options.sequential === true;
+
+		const sectorTypes = [...Object.keys(sectorCounts), ...alwaysInclude];
+		if (sectorTypes.length === 0) {
+			return null;
+		}
+
+		const rng = this.createRng(seed);
+		// Planned size only: each run spends its movement on AGAIN itself (_rollEvent)
+		const compositions = SectorSampler.generateWeightedCompositions(sectorCounts, movementSpeed, loadout, { plannedOnly: true });
+		const sectorProbabilities = ExpeditionPipeline._precomputeSectorProbabilities(sectorTypes, loadout);
+		const context = this._buildContext(players);
+		const getTeam = sequential
+			? this._createTeamCache(players, loadout, sectorTypes, { context, sectorProbabilities })
+			: null;
+
+		const runs = [];
+		for (let i = 0; i < iterations; i++) {
+			// Landing happens first; the remaining sectors are visited in random order
+			const explored = this._drawComposition(compositions, rng);
+			const sectors = [...alwaysInclude, ...this._shuffle(explored, rng)];
+			if (sequential) {
+				runs.push(this.simulateSequentialRun(sectors, players, getTeam, rng, movementSpeed));
+			} else {
+				runs.push(this.simulateRun(sectors, sectorProbabilities, players, context, rng, movementSpeed));
+			}
+		}
+
+		const allCounts = { ...sectorCounts };
+		for (const sector of alwaysInclude) {
+			allCounts[sector] = (allCounts[sector] || 0) + 1;
+		}
+
+		const results = this._aggregate(runs, context);
+		results.gearLost = this._aggregateGearLost(runs, players);
+		// Only sequential runs take the lost items away from later fights and modifiers
+		results.gearLost.applied = sequential;
+		results.sectorBreakdown = ExpeditionPipeline._buildSectorBreakdownFromCache(allCounts, sectorProbabilities);
+		results._monteCarlo = { iterations, seed, sequential };
+		return results;
+	},
+
+	/**
+	 * Simulates one expedition over an already-drawn list of sectors.
+	 * Damage is spread once, at the end, over the players alive at departure.
+	 * A BACK event ends the expedition after its sector; running out of movement
+	 * (AGAIN, see _rollEvent) ends it before the next one.
+	 *
+	 * @param {Array<string>} sectors - Planned sectors, in order
+	 * @param {Map} sectorProbabilities - Precomputed sector probabilities
+	 * @param {Array<Object>} players - Participating players
+	 * @param {Object} context - From _buildContext()
+	 * @param {Function} rng - Random source
+	 * @param {number} [movementSpeed=Infinity] - Units of movement
+	 * @returns {Object} Single-run outcome
+	 */
+	simulateRun(sectors, sectorProbabilities, players, context, rng, movementSpeed = Infinity) {
+		const run = this._createRun(sectors, movementSpeed);
+		run.spores = players.map(() => 0);
+		const everyone = players.map((_, i) => i);
+		let gear = players;
+
+		for (const sectorName of sectors) {
+			if (!this._enterSector(run, sectorName)) break;
+			const probs = ExpeditionPipeline.getSectorProbabilities(sectorName, null, sectorProbabilities);
+			const eventName = this._rollEvent(run, sectorName, probs, rng);
+			if (!eventName) continue;
+
+			const { category } = EventClassifier.classify(eventName);
+			if (category === 'fight') {
+				this._resolveFight(run, sectorName, eventName, context, rng);
+			} else if (EventDamageCalculator.EVENT_DAMAGES[eventName]) {
+				this._resolveEventDamage(run, sectorName, eventName, context, rng);
+			} else {
+				const negativeKey = this._getNegativeEventKey(category);
+				if (negativeKey) {
+					run.negativeEvents[negativeKey]++;
+					if (negativeKey === 'mushTrap') {
+						this._catchSpores(run, everyone, 1, SporeService.MUSH_TRAP_SPORES, rng);
+					}
+					// Recorded only (gearLost.applied is false): fights and modifiers keep the departing team's gear
+					if (negativeKey === 'itemLost') {
+						gear = this._loseItem(run, gear, gear.map((_, i) => i), rng)?.team || gear;
+					}
+				} else {
+					this._addEventResources(run, eventName, context, rng);
+				}
+			}
+
+			if (category === 'back') break;
+		}
+
+		this._applyGrenades(run, context);
+
+		// Each player hit by a fight may catch a disease
+		run.fightDisease = this._rollFightDisease(run.fightDamage, context.playerCount, rng);
+		run.negativeEvents.disease += run.fightDisease;
+		this._catchSpores(run, everyone, run.fightDisease, SporeService.SPORES_PER_FIGHT_DISEASE, rng);
+
+		if (players.length > 0) {
+			const spread = DamageSpreader.distribute(
+				[{ sources: run.fightSources }], [{ sources: run.eventSources }], players, rng
+			);
+			const { damagePerPlayer, appliedEffects } = DamageSpreader.resolveReductions(players, spread);
+			run.health = DamageSpreader.calculateFinalHealth(players, damagePerPlayer);
+			run.effects = appliedEffects;
+			run.damageTaken = this._hpLost(players, run.health);
+		}
+
+		return run;
+	},
+
+	/**
+	 * Simulates one expedition step by step.
+	 *
+	 * Sectors are resolved in order and HP is updated after every event, so a
+	 * player killed in sector 3 no longer adds fighting power, abilities or items
+	 * in sector 4, and no longer soaks damage. Grenades are thrown only when a
+	 * fight would hurt, and are lost with their holder. KILL_ALL / KILL_RANDOM kill
+	 * for real. ITEM_LOST empties a random item slot, so a lost blaster or white
+	 * flag no longer counts in later sectors. The expedition stops once nobody is
+	 * left alive, after a BACK event, or once AGAIN has used up the movement.
+	 *
+	 * @param {Array<string>} sectors - Planned sectors, in order
+	 * @param {Array<Object>} players - Participating players
+	 * @param {Function} getTeam - From _createTeamCache(): (aliveIndices, team, gearKey) → { context, sectorProbabilities }
+	 * @param {Function} rng - Random source
+	 * @param {number} [movementSpeed=Infinity] - Units of movement
+	 * @returns {Object} Single-run outcome
+	 */
+	simulateSequentialRun(sectors, players, getTeam, rng, movementSpeed = Infinity) {
+		const run = this._createRun(sectors, movementSpeed);
+		run.spores = players.map(() => 0);
+		const health = players.map(p => p.health);
+		const effects = players.map(() => []);
+		const grenadesLeft = players.map(p => FightingPowerService.countGrenades([p]));
+		let team = players;
+		let gearKey = '';
+
+		for (const sectorName of sectors) {
+			const alive = this._aliveIndices(health);
+			if (alive.length === 0) break;
+
+			if (!this._enterSector(run, sectorName)) break;
+			const { context, sectorProbabilities } = getTeam(alive, team, gearKey);
+			const probs = ExpeditionPipeline.getSectorProbabilities(sectorName, null, sectorProbabilities);
+			const eventName = this._rollEvent(run, sectorName, probs, rng);
+			if (!eventName) continue;
+
+			const { category } = EventClassifier.classify(eventName);
+			let fightSource = null;
+			let eventSource = null;
+
+			if (category === 'fight') {
+				this._resolveFight(run, sectorName, eventName, context, rng);
+				fightSource = run.fightSources[run.fightSources.length - 1];
+				this._throwGrenades(run, fightSource, alive, grenadesLeft);
+				const disease = this._rollFightDisease(fightSource.damage, alive.length, rng);
+				run.fightDisease += disease;
+				run.negativeEvents.disease += disease;
+				this._catchSpores(run, alive, disease, SporeService.SPORES_PER_FIGHT_DISEASE, rng);
+			} else if (EventDamageCalculator.EVENT_DAMAGES[eventName]) {
+				this._resolveEventDamage(run, sectorName, eventName, context, rng);
+				eventSource = run.eventSources[run.eventSources.length - 1];
+			} else {
+				const negativeKey = this._getNegativeEventKey(category);
+				if (negativeKey) {
+					run.negativeEvents[negativeKey]++;
+					this._applyDeaths(eventName, alive, health, rng);
+					if (negativeKey === 'mushTrap') {
+						this._catchSpores(run, alive, 1, SporeService.MUSH_TRAP_SPORES, rng);
+					}
+					if (negativeKey === 'itemLost') {
+						const loss = this._loseItem(run, team, alive, rng);
+						if (loss) {
+							team = loss.team;
+							gearKey += `${loss.slot.playerIndex}:${loss.slot.slotIndex};`;
+							if (loss.slot.itemId === 'GRENADE' && grenadesLeft[loss.slot.playerIndex] > 0) {
+								grenadesLeft[loss.slot.playerIndex]--;
+							}
+						}
+					}
+				} else {
+					this._addEventResources(run, eventName, context, rng);
+				}
+			}
+
+			if (fightSource || eventSource) {
+				this._applySectorDamage(fightSource, eventSource, alive, health, effects, team, rng);
+			}
+
+			if (category === 'back') break;
+		}
+
+		run.health = health;
+		run.effects = effects;
+		run.damageTaken = this._hpLost(players, health);
+		return run;
+	},
+
+	// ========================================
+	// Per-event resolution
+	// ========================================
+
+	/**
+	 * Rolls a fight: strength, net damage after fighting power, and reward drop.
+	 * @private
+	 */
+	_resolveFight(run, sectorName, eventName, context, rng) {
+		const fightType = eventName.replace('FIGHT_', '');
+		const strengths = fightType.split('_').map(Number);
+		const strength = strengths[Math.floor(rng() * strengths.length)];
+		const damage = Math.max(0, strength - context.fightingPower);
+
+		run.fightCounts[fightType] = (run.fightCounts[fightType] || 0) + 1;
+		run.fightSources.push({ sector: sectorName, eventType: eventName, damage });
+		run.fightDamage += damage;
+
+		const table = CombatRewardData.tables[sectorName];
+		if (!table) return;
+		const rewardProb = CombatRewardService._getRewardProbability(context.rewardPower, strength);
+		if (rewardProb <= 0 || rng() >= rewardProb) return;
+
+		const lot = this._drawWeighted(table.lots, lot => lot.weight, rng);
+		for (const item of lot.items) {
+			this._addReward(run, item.id, item.qty, context, rng);
+		}
+	},
+
+	/**
+	 * Rolls damage for a TIRED / ACCIDENT / DISASTER event.
+	 * Damage is stored in the same unit as EventDamageCalculator (total across players
+	 * for affectsAll events) so DamageSpreader can split it.
+	 * @private
+	 */
+	_resolveEventDamage(run, sectorName, eventName, context, rng) {
+		const info = EventDamageCalculator.EVENT_DAMAGES[eventName];
+		const damageDist = info.getDamageDistribution(context.playerCount);
+		const damage = this._drawFromDistribution(damageDist, rng);
+
+		run.eventCounts[eventName] = (run.eventCounts[eventName] || 0) + 1;
+		run.eventSources.push({ sector: sectorName, eventType: eventName, damage });
+		run.eventDamage += damage;
+	},
+
+	/**
+	 * Adds the resources granted by an exploration event, with ability / item bonuses.
+	 * @private
+	 */
+	_addEventResources(run, eventName, context, rng) {
+		const amount = parseInt(eventName.split('_')[1]) || 1;
+		if (eventName.startsWith('HARVEST_')) {
+			run.resources.fruits += amount + context.botanistCount;
+		} else if (eventName.startsWith('PROVISION_')) {
+			run.resources.steaks += amount + context.survivalCount;
+		} else if (eventName.startsWith('FUEL_')) {
+			run.resources.fuel += amount * context.fuelMultiplier;
+		} else if (eventName.startsWith('OXYGEN_')) {
+			run.resources.oxygen += amount;
+		} else if (eventName === 'ARTEFACT') {
+			this._addReward(run, 'ARTEFACT', 1, context, rng);
+		} else if (eventName === 'STARMAP') {
+			run.resources.mapFragments += 1;
+		}
+	},
+
+	/**
+	 * Adds a reward item. Artefacts are a map fragment 1 time out of 9.
+	 * @private
+	 */
+	_addReward(run, itemId, qty, context, rng) {
+		if (itemId === 'FRUIT') {
+			run.resources.fruits += qty + context.botanistCount;
+		} else if (itemId === 'ALIEN_STEAK') {
+			run.resources.steaks += qty + context.survivalCount;
+		} else if (itemId === 'ARTEFACT') {
+			if (rng() < 8 / 9) {
+				run.resources.artefacts += qty;
+			} else {
+				run.resources.mapFragments += qty;
+			}
+		} else if (itemId === 'STARMAP') {
+			run.resources.mapFragments += qty;
+		}
+	},
+
+	/**
+	 * Spends grenades on the run's fights, in order, until the total reduction is used.
+	 * Same optimal-usage assumption as FightCalculator._applyGrenadesToDistribution.
+	 * @private
+	 */
+	_applyGrenades(run, context) {
+		let remaining = context.grenadeReduction;
+		if (remaining <= 0) return;
+
+		for (const source of run.fightSources) {
+			if (remaining <= 0) break;
+			const reduction = Math.min(source.damage, remaining);
+			source.damage -= reduction;
+			remaining -= reduction;
+			run.fightDamage -= reduction;
+		}
+	},
+
+	/**
+	 * Sequential mode: throws the alive players' remaining grenades at one fight,
+	 * only as many as needed to cancel its damage.
+	 * @private
+	 */
+	_throwGrenades(run, source, alive, grenadesLeft) {
+		const grenadePower = FightingPowerService.getGrenadePower();
+		for (const playerIndex of alive) {
+			while (source.damage > 0 && grenadesLeft[playerIndex] > 0) {
+				const reduction = Math.min(source.damage, grenadePower);
+				source.damage -= reduction;
+				run.fightDamage -= reduction;
+				grenadesLeft[playerIndex]--;
+			}
+		}
+	},
+
+	/**
+	 * Rolls fight disease: min(damage, playerCount) players hit, each with a 5% chance.
+	 * @private
+	 */
+	_rollFightDisease(damage, playerCount, rng) {
+		let diseased = 0;
+		const playersHit = Math.min(damage, playerCount);
+		for (let i = 0; i < playersHit; i++) {
+			if (rng() < this.DISEASE_CHANCE_PER_HIT) diseased++;
+		}
+		return diseased;
+	},
+
+	/**
+	 * Gives spores to `count` distinct random players among the candidates.
+	 * @private
+	 */
+	_catchSpores(run, candidates, count, spores, rng) {
+		if (count <= 0) return;
+		for (const playerIndex of SporeService.pickInfected(candidates, count, rng)) {
+			run.spores[playerIndex] += spores;
+		}
+	},
+
+	/**
+	 * ITEM_LOST: empties a random item slot among the candidate players and
+	 * records the item type in run.gearLost.
+	 * @private
+	 * @returns {Object|null} { team, slot } with the updated team, or null when no one carries anything
+	 */
+	_loseItem(run, team, candidates, rng) {
+		const picked = GearLossService.pickLostSlot(candidates.map(i => team[i]), rng);
+		if (!picked) return null;
+
+		const slot = { playerIndex: candidates[picked.playerIndex], slotIndex: picked.slotIndex, itemId: picked.itemId };
+		run.gearLost[slot.itemId] = (run.gearLost[slot.itemId] || 0) + 1;
+		return { team: GearLossService.removeSlot(team, slot), slot };
+	},
+
+	/**
+	 * Sequential mode: KILL_ALL kills every alive player, KILL_RANDOM a random one.
+	 * KILL_LOST concerns the crew member lost earlier, not the exploring team.
+	 * @private
+	 */
+	_applyDeaths(eventName, alive, health, rng) {
+		if (eventName === 'KILL_ALL') {
+			for (const playerIndex of alive) health[playerIndex] = 0;
+		} else if (eventName === 'KILL_RANDOM') {
+			health[alive[Math.floor(rng() * alive.length)]] = 0;
+		}
+	},
+
+	/**
+	 * Sequential mode: spreads one sector's damage over the players still alive
+	 * (with their current HP), applies Survival / Armor, and updates HP in place.
+	 * @private
+	 */
+	_applySectorDamage(fightSource, eventSource, alive, health, effects, players, rng) {
+		const team = alive.map(i => ({ ...players[i], health: health[i] }));
+		const spread = DamageSpreader.distribute(
+			fightSource ? [{ sources: [fightSource] }] : [],
+			eventSource ? [{ sources: [eventSource] }] : [],
+			team, rng
+		);
+		const { damagePerPlayer, appliedEffects } = DamageSpreader.resolveReductions(team, spread);
+
+		alive.forEach((playerIndex, k) => {
+			health[playerIndex] = Math.max(0, health[playerIndex] - damagePerPlayer[k]);
+			effects[playerIndex].push(...appliedEffects[k]);
+		});
+	},
+
+	/**
+	 * Enters a sector: spends a unit of movement and counts it towards
+	 * sectorsExplored (LANDING / LOST are free).
+	 * @private
+	 * @returns {boolean} false when no movement is left for it
+	 */
+	_enterSector(run, sectorName) {
+		if (SectorData.isSpecialSector(sectorName)) return true;
+		if (run.movementLeft <= 0) return false;
+		run.movementLeft--;
+		run.sectorsExplored++;
+		return true;
+	},
+
+	/**
+	 * Draws the event of a sector. AGAIN keeps the team there: while movement
+	 * is left, each AGAIN spends a unit on a new roll of the same sector.
+	 * @private
+	 */
+	_rollEvent(run, sectorName, probs, rng) {
+		let eventName = this._drawEvent(probs, rng);
+		if (SectorData.isSpecialSector(sectorName)) return eventName;
+		while (eventName === 'AGAIN' && run.movementLeft > 0) {
+			run.movementLeft--;
+			eventName = this._drawEvent(probs, rng);
+		}
+		return eventName;
+	},
+
+	/**
+	 * Maps an EventClassifier category to its NegativeEventCalculator output key.
+	 * @private
+	 */
+	_getNegativeEventKey(category) {
+		for (const [key, config] of Object.entries(NegativeEventCalculator.EVENT_TYPES)) {
+			if (config.categories.includes(category)) return key;
+		}
+		return null;
+	},
+
+	// ========================================
+	// Sampling helpers
+	// ========================================
+
+	/**
+	 * Draws one composition and expands it to a sector list.
+	 * @private
+	 */
+	_drawComposition(compositions, rng) {
+		const { composition } = this._drawWeighted(compositions, c => c.probability, rng);
+		return SectorSampler.expandComposition(composition);
+	},
+
+	/**
+	 * Fisher-Yates shuffle (returns a new array).
+	 * @private
+	 */
+	_shuffle(list, rng) {
+		const result = [...list];
+		for (let i = result.length - 1; i > 0; i--) {
+			const j = Math.floor(rng() * (i + 1));
+			[result[i], result[j]] = [result[j], result[i]];
+		}
+		return result;
+	},
+
+	/**
+	 * Draws one event name from a probability map, or null for an empty table.
+	 * @private
+	 */
+	_drawEvent(probs, rng) {
+		if (!probs || probs.size === 0) return null;
+		const entries = [...probs.entries()];
+		return this._drawWeighted(entries, ([, prob]) => prob, rng)[0];
+	},
+
+	/**
+	 * Draws one value from a value → probability distribution.
+	 * @private
+	 */
+	_drawFromDistribution(distribution, rng) {
+		const entries = [...distribution.entries()];
+		return this._drawWeighted(entries, ([, prob]) => prob, rng)[0];
+	},
+
+	/**
+	 * Weighted draw from a list. The last entry absorbs floating-point leftovers.
+	 * @private
+	 */
+	_drawWeighted(list, getWeight, rng) {
+		const total = list.reduce((sum, entry) => sum + getWeight(entry), 0);
+		let target = rng() * total;
+		for (const entry of list) {
+			target -= getWeight(entry);
+			if (target < 0) return entry;
+		}
+		return list[list.length - 1];
+	},
+
+	/**
+	 * Precomputes per-team values that don't change between iterations.
+	 * @private
+	 */
+	_buildContext(players) {
+		const modifiers = ResourceCalculator._countModifiers(players);
+		const fightingPower = FightingPowerService.calculateBaseFightingPower(players);
+		const grenadeCount = FightingPowerService.countGrenades(players);
+		const grenadePower = FightingPowerService.getGrenadePower();
+
+		return {
+			playerCount: players.length,
+			fightingPower,
+			grenadeCount,
+			grenadeReduction: grenadeCount * grenadePower,
+			// Same effective power ResourceCalculator uses for reward odds
+			rewardPower: fightingPower + Math.min(grenadeCount, 1) * grenadePower,
+			botanistCount: modifiers.botanistCount,
+			survivalCount: modifiers.survivalCount,
+			fuelMultiplier: Math.pow(2, modifiers.drillerCount)
+		};
+	},
+
+	/**
+	 * Sequential mode: caches context and event tables per set of surviving players,
+	 * so a death changes fighting power, bonuses and ability/item modifiers.
+	 *
+	 * @param {Array<Object>} players - Participating players
+	 * @param {Object} loadout - Loadout of the full team (projects are kept for every subset)
+	 * @param {Array<string>} sectorTypes - Sector names to precompute
+	 * @param {Object} fullTeam - Already computed { context, sectorProbabilities } for the full team
+	 * @returns {Function} aliveIndices → { context, sectorProbabilities }
+	 * @private
+	 */
+	_createTeamCache(players, loadout, sectorTypes, fullTeam) {
+		const cache = new Map([[`${players.map((_, i) => i).join(',')}|`, fullTeam]]);
+
+		return (alive, current = players, gearKey = '') => {
+			const key = `${alive.join(',')}|${gearKey}`;
+			if (!cache.has(key)) {
+				const team = alive.map(i => current[i]);
+				// Same mode and projects (Antigrav) as the departing team: only the gear changes
+				const teamLoadout = { ...LoadoutBuilder.build(team, { mode: loadout.mode }), projects: loadout.projects || [] };
+				cache.set(key, {
+					context: this._buildContext(team),
+					sectorProbabilities: ExpeditionPipeline._precomputeSectorProbabilities(sectorTypes, teamLoadout)
+				});
+			}
+			return cache.get(key);
+		};
+	},
+
+	/**
+	 * @private
+	 */
+	_createRun(sectors, movementSpeed = Infinity) {
+		const run = {
+			sectors,
+			resources: {},
+			negativeEvents: {},
+			fightCounts: {},
+			eventCounts: {},
+			fightSources: [],
+			eventSources: [],
+			fightDamage: 0,
+			eventDamage: 0,
+			fightDisease: 0,
+			health: [],
+			effects: [],
+			damageTaken: 0,
+			gearLost: {},
+			plannedSectors: sectors.filter(s => !SectorData.isSpecialSector(s)).length,
+			sectorsExplored: 0,
+			movementLeft: movementSpeed
+		};
+		for (const key of this.RESOURCE_KEYS) run.resources[key] = 0;
+		for (const key of Object.keys(NegativeEventCalculator.EVENT_TYPES)) run.negativeEvents[key] = 0;
+		return run;
+	},
+
+	/**
+	 * @private
+	 */
+	_aliveIndices(health) {
+		return health.reduce((acc, hp, i) => {
+			if (hp > 0) acc.push(i);
+			return acc;
+		}, []);
+	},
+
+	/**
+	 * Total HP lost by the team (used to rank runs for the health scenarios).
+	 * @private
+	 */
+	_hpLost(players, finalHealth) {
+		return players.reduce((sum, p, i) => sum + Math.max(0, p.health - finalHealth[i]), 0);
+	},
+
+	// ========================================
+	// Aggregation
+	// ========================================
+
+	/**
+	 * Turns the list of runs into the standard results shape.
+	 * @private
+	 */
+	_aggregate(runs, context) {
+		const resources = {};
+		for (const key of this.RESOURCE_KEYS) {
+			const dist = this._toDistribution(runs.map(r => r.resources[key]));
+			resources[key] = { ...ResourceCalculator._getTailScenarios(dist), distribution: dist };
+		}
+		// Same display conventions as ResourceCalculator
+		resources.oxygen.pessimist = 0;
+		const artefactsPossible = runs.some(r => r.resources.artefacts > 0 || r.resources.mapFragments > 0);
+		if (artefactsPossible && resources.mapFragments.optimist < 0.1) {
+			resources.mapFragments.optimist = 0.1;
+		}
+
+		const negativeEvents = {};
+		for (const key of Object.keys(NegativeEventCalculator.EVENT_TYPES)) {
+			const dist = this._toDistribution(runs.map(r => r.negativeEvents[key]));
+			negativeEvents[key] = NegativeEventCalculator._getTailScenarios(dist);
+		}
+
+		const combat = this._aggregateDamage(runs, 'fightDamage', 'fightSources', 'fightCounts');
+		const diseaseDist = this._toDistribution(runs.map(r => r.fightDisease));
+		combat.damage.breakdown = { pessimist: [], average: [], optimist: [], worstCase: [] };
+		combat.fightingPower = context.fightingPower;
+		combat.grenadeCount = context.grenadeCount;
+		combat.playerCount = context.playerCount;
+		combat.diseaseFromFights = NegativeEventCalculator._getTailScenarios(diseaseDist);
+
+		const eventDamage = this._aggregateDamage(runs, 'eventDamage', 'eventSources', 'eventCounts');
+		const occ = eventDamage.occurrence;
+		eventDamage.playerCount = context.playerCount;
+		eventDamage.tired = occ.TIRED_2?.average || 0;
+		eventDamage.accident = (occ.ACCIDENT_3_5?.average || 0) + (occ.ACCIDENT_ROPE_3_5?.average || 0);
+		eventDamage.disaster = occ.DISASTER_3_5?.average || 0;
+
+		const sectorsExplored = {
+			planned: Math.max(...runs.map(r => r.plannedSectors)),
+			expected: runs.reduce((sum, r) => sum + r.sectorsExplored, 0) / runs.length
+		};
+
+		const lostCounts = runs.map(r => r.negativeEvents.playerLost);
+		const lostCrew = {
+			missingProbability: lostCounts.filter(count => count > 0).length / runs.length,
+			expectedLostSectors: lostCounts.reduce((sum, count) => sum + count, 0) / runs.length
+		};
+
+		const results = { resources, combat, eventDamage, negativeEvents, sectorsExplored, lostCrew };
+		results.outcomes = runs.map(r => this._outcome(r));
+
+		if (context.playerCount > 0) {
+			const { healthByScenario, effectsByScenario } = this._selectHealthScenarios(runs);
+			results.healthByScenario = healthByScenario;
+			results.effectsByScenario = effectsByScenario;
+			results.playerHealth = DamageSpreader.summarizeHealth(runs.map(r => r.health), context.playerCount);
+			results.deathProbability = results.playerHealth.map(p => p.deathProbability);
+			// P(at least one explorer dies): not derivable from the per-player marginals
+			results.teamDeathProbability = runs.filter(r => r.health.some(hp => hp <= 0)).length / runs.length;
+			results.playerSpores = Array.from({ length: context.playerCount },
+				(_, playerIndex) => this._toDistribution(runs.map(r => r.spores[playerIndex] || 0)));
+		}
+
+		return results;
+	},
+
+	/**
+	 * Outcome vector of one run: what it brought back and how many explorers died.
+	 * @private
+	 */
+	_outcome(run) {
+		return { ...run.resources, deaths: run.health.filter(hp => hp <= 0).length };
+	},
+
+	/**
+	 * Builds a FightCalculator / EventDamageCalculator shaped result from the runs.
+	 * Damage instances reuse the sources of a run that hit each scenario value.
+	 * @private
+	 */
+	_aggregateDamage(runs, damageKey, sourcesKey, countsKey) {
+		const distribution = this._toDistribution(runs.map(r => r[damageKey]));
+		const scenarios = DistributionCalculator.getScenarios(distribution);
+		const damage = DamageDistributionEngine.buildDamageResult(scenarios, distribution);
+
+		const damageInstances = DamageDistributionEngine.emptyDamageInstances();
+		for (const key of Constants.SCENARIO_KEYS) {
+			if (scenarios[key] <= 0) continue;
+			const run = runs.find(r => r[damageKey] === scenarios[key]);
+			damageInstances[key].push({
+				type: 'DETAILED',
+				totalDamage: scenarios[key],
+				sources: (run ? run[sourcesKey] : []).filter(s => s.damage > 0)
+			});
+		}
+
+		const types = new Set();
+		for (const run of runs) {
+			for (const type of Object.keys(run[countsKey])) types.add(type);
+		}
+		const occurrence = {};
+		for (const type of types) {
+			const counts = runs.map(r => r[countsKey][type] || 0);
+			const dist = this._toDistribution(counts);
+			occurrence[type] = {
+				...DistributionCalculator.getScenarios(dist),
+				distribution: dist,
+				maxPossible: Math.max(...counts)
+			};
+		}
+
+		return { occurrence, damage, damageInstances, damageDistribution: distribution };
+	},
+
+	/**
+	 * Expected gear lost per item type, same shape as GearLossService.summarize().
+	 * @private
+	 */
+	_aggregateGearLost(runs, players) {
+		const byItem = GearLossService.describeItems(players);
+		for (const [itemId, entry] of Object.entries(byItem)) {
+			const counts = runs.map(r => r.gearLost[itemId] || 0);
+			entry.expectedLost = counts.reduce((sum, count) => sum + count, 0) / runs.length;
+			entry.lostProbability = counts.filter(count => count > 0).length / runs.length;
+		}
+
+		const totalLost = runs.reduce((sum, r) => sum + Object.values(r.gearLost).reduce((a, b) => a + b, 0), 0);
+		return { expectedItemsLost: totalLost / runs.length, byItem };
+	},
+
+	/**
+	 * Picks the runs at the 25th / 50th / 75th percentile and the maximum of total
+	 * damage taken, and uses their final health as the four display scenarios.
+	 * @private
+	 */
+	_selectHealthScenarios(runs) {
+		const sorted = [...runs].sort((a, b) => a.damageTaken - b.damageTaken);
+		const at = (q) => sorted[Math.max(0, Math.ceil(q * sorted.length) - 1)];
+		const picks = {
+			optimist: at(0.25),
+			average: at(0.50),
+			pessimist: at(0.75),
+			worstCase: sorted[sorted.length - 1]
+		};
+
+		const healthByScenario = {};
+		const effectsByScenario = {};
+		for (const key of Constants.SCENARIO_KEYS) {
+			healthByScenario[key] = picks[key].health;
+			effectsByScenario[key] = picks[key].effects;
+		}
+		return { healthByScenario, effectsByScenario };
+	},
+
+	/**
+	 * Converts a list of sampled values into a value → frequency distribution.
+	 * @private
+	 */
+	_toDistribution(values) {
+		const dist = new Map();
+		if (values.length === 0) return new Map([[0, 1]]);
+		const weight = 1 / values.length;
+		for (const value of values) {
+			dist.set(value, (dist.get(value) || 0) + weight);
+		}
+		return dist;
+	}
+};
+
+// Export
+var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
+_global.MonteCarloSimulator = MonteCarloSimulator;
@@ -6,6 +6,9 @@
  *
  * Pipeline: sectors[] → PlanetReviewScorer.score(sectors) → { overall, axes, booleans }
  *
+ * scoreTeam(results) rates the same axes "for this team" from the
+ * ExpeditionRunner results instead of the raw sector event weights.
+ *
  * This module contains ALL scoring logic. No UI concerns.
  */
 const PlanetReviewScorer = (() => {
@@ -376,6 +379,19 @@ const PlanetReviewScorer = (() => {
 	/** Boolean bonuses toward overall score */
 	const BOOLEAN_BONUSES = { oxygen: 0.5, cristal_field: 0.5 };
 
+	/**
+	 * Scoring profile applied when none is given: every positive axis weighs 1
+	 * and both danger axes count against the overall score. User profiles
+	 * (saved through Settings) override any of these fields.
+	 */
+	const DEFAULT_PROFILE = {
+		weights:   { fruits: 1, steaks: 1, fuel: 1, artifacts: 1 },
+		penalties: { lethality: true, hazards: true },
+	};
+
+	/** Bounds of a profile axis weight */
+	const MAX_PROFILE_WEIGHT = 2;
+
 	// Event magnitude parser
 
 	/**
@@ -550,18 +566,18 @@ const PlanetReviewScorer = (() => {
 	}
 
 	/**
-	 * Scores a planet given its list of sectors.
+	 * Sector part of score(): raw exploration scores and flat bonuses. It only
+	 * depends on the sectors and Diplomacy, so a caller scoring the same planets
+	 * under other fuel costs, fight rewards or profiles can keep it (PlanetRanking).
 	 *
-	 * @param {string[]} sectors - Array of sector names (e.g. ['LANDING', 'FOREST', 'CAVE'])
+	 * @param {string[]} sectors
 	 * @param {Object} [options]
-	 * @param {boolean} [options.diplomacy=false] - When true, removes FIGHT_* events before scoring
-	 * @returns {Object} Review data object for StarRating.update()
+	 * @param {boolean} [options.diplomacy=false]
+	 * @returns {Object} Pass as score() options.prepared
 	 */
-	function score(sectors, options = {}) {
-		const ceilings = getCeilings();
+	function prepare(sectors, options = {}) {
 		const scoredSectors = sectors.filter(s => !IGNORED_SECTORS.has(s));
 		const useDiplomacy = options.diplomacy || false;
-		const fuelCost = options.fuelCost ?? 0;
 
 		// Aggregate raw scores across all sectors
 		const rawScores = {};
@@ -569,6 +585,10 @@ const PlanetReviewScorer = (() => {
 			rawScores[axisKey] = 0;
 		}
 
+		// Explain mode: scored config and count of each distinct sector
+		const scoredConfigs = new Map();
+		const sectorCounts = new Map();
+
 		for (const sectorName of scoredSectors) {
 			let config = getSectorConfig(sectorName);
 			if (!config) continue;
@@ -580,6 +600,8 @@ const PlanetReviewScorer = (() => {
 				EventModifier.replaceWithNothingByPrefix(events, 'FIGHT_');
 				config = { ...config, explorationEvents: events };
 			}
+			scoredConfigs.set(sectorName, config);
+			sectorCounts.set(sectorName, (sectorCounts.get(sectorName) || 0) + 1);
 
 			const evs = computeSectorEVs(config);
 			for (const [axisKey, value] of Object.entries(evs)) {
@@ -589,64 +611,91 @@ const PlanetReviewScorer = (() => {
 			}
 		}
 
-		// Add fight-reward gains (expected resource quantity won from fights,
-		// computed with player data by ResourceCalculator) on top of the raw
-		// resource scores. Diplomacy already zeroes this upstream. Same units
-		// as the exploration EVs above, so normalization stays consistent.
-		const fightResourceBonus = options.fightResourceBonus || null;
-		if (fightResourceBonus && !useDiplomacy) {
-			for (const [axisKey, value] of Object.entries(fightResourceBonus)) {
-				if (rawScores[axisKey] !== undefined && value > 0) {
-					rawScores[axisKey] += value;
-				}
-			}
-		}
-
 		// Post-process: add flat star bonuses
 		const bonuses = {};
+		const sectorBonuses = {}; // sectorName → axisKey → stars (explain mode)
+		const addBonus = (sectorName, axisKey, stars) => {
+			bonuses[axisKey] = (bonuses[axisKey] || 0) + stars;
+			sectorBonuses[sectorName] = sectorBonuses[sectorName] || {};
+			sectorBonuses[sectorName][axisKey] = (sectorBonuses[sectorName][axisKey] || 0) + stars;
+		};
 		for (const sectorName of scoredSectors) {
 			const config = getSectorConfig(sectorName);
 			for (const bonus of SECTOR_BONUSES) {
 				if (bonus.type === 'sector' && sectorName === bonus.sector) {
-					bonuses[bonus.axis] = (bonuses[bonus.axis] || 0) + bonus.stars;
+					addBonus(sectorName, bonus.axis, bonus.stars);
 				} else if (bonus.type === 'event' && config) {
 					const events = config.explorationEvents || {};
 					if (events[bonus.event]) {
-						bonuses[bonus.axis] = (bonuses[bonus.axis] || 0) + bonus.stars;
+						addBonus(sectorName, bonus.axis, bonus.stars);
 					}
 				}
 			}
 		}
 
+		return { diplomacy: useDiplomacy, scoredSectors, rawScores, bonuses, sectorBonuses, scoredConfigs, sectorCounts };
+	}
+
+	/**
+	 * Scores a planet given its list of sectors.
+	 *
+	 * @param {string[]} sectors - Array of sector names (e.g. ['LANDING', 'FOREST', 'CAVE'])
+	 * @param {Object} [options]
+	 * @param {boolean} [options.diplomacy=false] - When true, removes FIGHT_* events before scoring
+	 * @param {Object}  [options.profile] - Scoring profile for the overall score (DEFAULT_PROFILE when omitted)
+	 * @param {boolean} [options.explain=false] - When true, adds `explanation` (see explainScore)
+	 * @param {Object}  [options.prepared] - prepare() output for these sectors and Diplomacy
+	 * @param {boolean} [options.starsOnly=false] - When true, returns only `overall` and the
+	 *                                             axis stars (no labels, no booleans)
+	 * @returns {Object} Review data object for StarRating.update()
+	 */
+	function score(sectors, options = {}) {
+		const ceilings = getCeilings();
+		const prepared = options.prepared || prepare(sectors, options);
+		const { scoredSectors, bonuses, sectorBonuses, scoredConfigs, sectorCounts } = prepared;
+		const useDiplomacy = prepared.diplomacy;
+		const fuelCost = options.fuelCost ?? 0;
+		const profile = resolveProfile(options.profile);
+		const rawScores = { ...prepared.rawScores };
+
+		// Add fight-reward gains (expected resource quantity won from fights,
+		// computed with player data by ResourceCalculator) on top of the raw
+		// resource scores. Diplomacy already zeroes this upstream. Same units
+		// as the exploration EVs above, so normalization stays consistent.
+		const fightResourceBonus = options.fightResourceBonus || null;
+		const fightRewards = {};
+		if (fightResourceBonus && !useDiplomacy) {
+			for (const [axisKey, value] of Object.entries(fightResourceBonus)) {
+				if (rawScores[axisKey] !== undefined && value > 0) {
+					rawScores[axisKey] += value;
+					fightRewards[axisKey] = value;
+				}
+			}
+		}
+
 		// Normalize to stars
-		const axes = AXES.map(axisDef => {
-			const ceiling = ceilings[axisDef.key] || 1;
-			const raw = rawScores[axisDef.key] || 0;
-			const axisBonus = bonuses[axisDef.key] || 0;
-			let stars = Math.min(6, Math.max(0, (raw / ceiling) * 5));
-			stars += axisBonus;
-			stars = Math.min(6, stars);
-			stars = Math.round(stars * 2) / 2; // Round to nearest 0.5
-			if ((raw > 0 || axisBonus > 0) && stars < 0.5) stars = 0.5;
-			return {
-				key: axisDef.key,
-				label: typeof axisDef.label === 'function' ? axisDef.label() : axisDef.label,
-				stars,
-			};
-		});
+		const axes = AXES.map(axisDef => ({
+			key: axisDef.key,
+			stars: toStars(rawScores[axisDef.key] || 0, ceilings[axisDef.key] || 1, bonuses[axisDef.key] || 0),
+		}));
 
 		// Booleans are driven entirely by BOOLEAN_TAGS; no changes needed here.
 		// Two-pass: first pass (overall=0) feeds computeOverall for BOOLEAN_BONUSES;
 		// second pass re-evaluates with the real overall so score-based tags work.
 		const booleansPass1 = BOOLEAN_TAGS.map(tag => ({
-			key:         tag.key,
-			label:       typeof tag.label === 'function' ? tag.label() : tag.label,
-			color:       tag.color,
-			description: typeof tag.description === 'function' ? tag.description() : tag.description,
-			present:     tag.condition(sectors, axes, 0),
+			key:     tag.key,
+			present: tag.condition(sectors, axes, 0),
 		}));
 
-		const overall = computeOverall(axes, booleansPass1, scoredSectors.length, fuelCost);
+		const overall = computeOverall(axes, booleansPass1, scoredSectors.length, fuelCost, profile);
+
+		// Batch scoring (PlanetRanking) only compares stars: skip the labels
+		if (options.starsOnly) return { overall, axes };
+
+		for (const axis of axes) {
+			const axisDef = AXES.find(a => a.key === axis.key);
+			axis.label = typeof axisDef.label === 'function' ? axisDef.label() : axisDef.label;
+		}
 
 		const booleans = BOOLEAN_TAGS.map(tag => ({
 			key:         tag.key,
@@ -656,19 +705,194 @@ const PlanetReviewScorer = (() => {
 			present:     tag.condition(sectors, axes, overall),
 		}));
 
+		if (!options.explain) return { overall, axes, booleans };
+
+		const explanation = explainScore(scoredConfigs, sectorCounts, sectorBonuses, fightRewards, ceilings);
+		explanation.booleanBonuses = booleansPass1
+			.filter(bool => bool.present && BOOLEAN_BONUSES[bool.key])
+			.map(bool => ({
+				key: bool.key,
+				label: booleans.find(b => b.key === bool.key).label,
+				stars: BOOLEAN_BONUSES[bool.key]
+			}));
+
+		return { overall, axes, booleans, explanation };
+	}
+
+	/**
+	 * Breaks the axis stars of score() down by sector (explain mode).
+	 *
+	 * Contributions are unrounded stars: the sector's share of the raw axis
+	 * score against the ceiling, times its count on the planet, plus its flat
+	 * SECTOR_BONUSES. Events are the (diplomacy-adjusted) exploration events of
+	 * PlanetSectorConfigData feeding the axis, with their weights.
+	 *
+	 * @returns {{ axes: Object<string, { sectors: Array<{ sector: string, count: number,
+	 *           totalWeight: number, bonus: number, stars: number, events: Array<{ event: string,
+	 *           weight: number, magnitude: number, stars: number }> }>, fightRewards: number }> }}
+	 *          Sectors sorted by contribution, highest first
+	 */
+	function explainScore(scoredConfigs, sectorCounts, sectorBonuses, fightRewards, ceilings) {
+		const axes = {};
+		for (const { key: axisKey } of AXES) {
+			const toAxisStars = (raw) => (raw / (ceilings[axisKey] || 1)) * 5;
+			const sectors = [];
+
+			for (const [sectorName, count] of sectorCounts) {
+				const events = scoredConfigs.get(sectorName).explorationEvents || {};
+				const totalWeight = Object.values(events).reduce((sum, w) => sum + w, 0);
+				const axisEvents = totalWeight === 0 ? [] : Object.entries(events)
+					.filter(([eventName]) => getAxisForEvent(eventName) === axisKey)
+					.map(([eventName, weight]) => {
+						const magnitude = parseMagnitude(eventName);
+						return { event: eventName, weight, magnitude, stars: toAxisStars(count * weight * magnitude / totalWeight) };
+					})
+					.sort((a, b) => b.stars - a.stars);
+
+				const bonus = sectorBonuses[sectorName]?.[axisKey] || 0;
+				const stars = axisEvents.reduce((sum, e) => sum + e.stars, 0) + bonus;
+				if (stars <= 0) continue;
+				sectors.push({ sector: sectorName, count, totalWeight, bonus, stars, events: axisEvents });
+			}
+
+			sectors.sort((a, b) => b.stars - a.stars);
+			axes[axisKey] = { sectors, fightRewards: toAxisStars(fightRewards[axisKey] || 0) };
+		}
+		return { axes };
+	}
+
+	/**
+	 * Normalizes a raw axis score against its 5-star ceiling, adds the flat
+	 * bonus, clamps to [0, 6] and rounds to the nearest 0.5. Anything present
+	 * gets at least half a star.
+	 */
+	function toStars(raw, ceiling, bonus = 0) {
+		let stars = Math.min(6, Math.max(0, (raw / ceiling) * 5));
+		stars += bonus;
+		stars = Math.min(6, stars);
+		stars = Math.round(stars * 2) / 2; // Round to nearest 0.5
+		if ((raw > 0 || bonus > 0) && stars < 0.5) stars = 0.5;
+		return stars;
+	}
+
+	// Team rating
+
+	/** Team axis → results.resources keys (crystal map fragments count as artifacts) */
+	const TEAM_RESOURCE_KEYS = {
+		fruits:    ['fruits'],
+		steaks:    ['steaks'],
+		fuel:      ['fuel'],
+		artifacts: ['artefacts', 'mapFragments'],
+	};
+
+	/** results.negativeEvents keys counted on the hazards axis (see EVENT_AXIS) */
+	const TEAM_HAZARD_EVENTS = ['disease', 'playerLost', 'again', 'itemLost', 'mushTrap'];
+
+	/** Lethality stars per expected kill event (same values as SECTOR_BONUSES) */
+	const TEAM_KILL_BONUSES = { killAll: 1, killOne: 0.5 };
+
+	/**
+	 * Rates the planet for the current team from ExpeditionRunner results.
+	 *
+	 * Uses the same ceilings as score() so both ratings read the same, but the
+	 * raw scores are what this team actually gets: resources brought back
+	 * (Botanic, Pilot, fight rewards...), damage taken after fighting power and
+	 * Diplomacy, and negative events, all over the sectors its movement count
+	 * lets it explore.
+	 *
+	 * @param {Object|null} results - ExpeditionRunner.run() output
+	 * @param {Object} [options]
+	 * @param {Array}  [options.booleans] - Booleans of score() (planet features, same for every team)
+	 * @param {number} [options.fuelCost=0] - Fuel cost to reach the planet
+	 * @param {Object} [options.profile] - Scoring profile for the overall score
+	 * @returns {{ overall: number, axes: Array, booleans: Array }|null} null without results
+	 */
+	function scoreTeam(results, options = {}) {
+		if (!results) return null;
+		const ceilings = getCeilings();
+		const booleans = options.booleans || [];
+
+		const rawScores = {};
+		for (const [axisKey, resourceKeys] of Object.entries(TEAM_RESOURCE_KEYS)) {
+			rawScores[axisKey] = resourceKeys.reduce((sum, key) => sum + (results.resources?.[key]?.average || 0), 0);
+		}
+		rawScores.lethality = getExpectedDamage(results.combat) + getExpectedDamage(results.eventDamage);
+		rawScores.hazards = TEAM_HAZARD_EVENTS.reduce((sum, key) => sum + (results.negativeEvents?.[key]?.average || 0), 0);
+
+		let killBonus = 0;
+		for (const [key, stars] of Object.entries(TEAM_KILL_BONUSES)) {
+			killBonus += (results.negativeEvents?.[key]?.average || 0) * stars;
+		}
+
+		const axes = AXES.map(axisDef => ({
+			key: axisDef.key,
+			label: typeof axisDef.label === 'function' ? axisDef.label() : axisDef.label,
+			stars: toStars(rawScores[axisDef.key], ceilings[axisDef.key] || 1, axisDef.key === 'lethality' ? killBonus : 0),
+		}));
+
+		// The movement count is already in the results: no planet size penalty
+		const overall = computeOverall(axes, booleans, 0, options.fuelCost ?? 0, options.profile);
+
 		return { overall, axes, booleans };
 	}
 
+	/** Expected damage of a combat / eventDamage result (0 when absent). */
+	function getExpectedDamage(damageResult) {
+		const distribution = damageResult?.damage?.distribution;
+		return distribution ? DistributionCalculator.getExpectedValue(distribution) : 0;
+	}
+
+	// Scoring profiles
+
+	/**
+	 * Fills a (possibly partial or hand-edited) scoring profile with the
+	 * DEFAULT_PROFILE values. Weights are clamped to [0, MAX_PROFILE_WEIGHT].
+	 *
+	 * @param {Object|null} [profile] - { weights?: {axis: number}, penalties?: {axis: boolean} }
+	 * @returns {{ weights: Object<string, number>, penalties: Object<string, boolean> }}
+	 */
+	function resolveProfile(profile) {
+		const weights = {};
+		for (const [axisKey, fallback] of Object.entries(DEFAULT_PROFILE.weights)) {
+			const raw = profile?.weights?.[axisKey];
+			// Number('') and Number(null) are 0: a cleared field keeps the default weight
+			const value = raw === null || String(raw).trim() === '' ? NaN : Number(raw);
+			weights[axisKey] = Number.isFinite(value)
+				? Math.max(0, Math.min(MAX_PROFILE_WEIGHT, value))
+				: fallback;
+		}
+		const penalties = {};
+		for (const [axisKey, fallback] of Object.entries(DEFAULT_PROFILE.penalties)) {
+			const value = profile?.penalties?.[axisKey];
+			penalties[axisKey] = typeof value === 'boolean' ? value : fallback;
+		}
+		return { weights, penalties };
+	}
+
+	/**
+	 * Display name of a profile: its user-given name, else its translated
+	 * built-in name.
+	 * @param {Object} profile - { name?: string, nameKey?: string, id: string }
+	 * @returns {string}
+	 */
+	function getProfileLabel(profile) {
+		if (!profile) return '';
+		if (profile.name) return profile.name;
+		return profile.nameKey ? I18n.t(profile.nameKey) : profile.id;
+	}
+
 	// Overall score (tier / bucket system)
 
 	/**
 	 * Computes the overall planet score using a rule-based tier system.
 	 *
 	 * Rules applied in order:
-	 * 1. Base = best positive axis (fruits, steaks, fuel, artifacts)
+	 * 1. Base = best positive axis (fruits, steaks, fuel, artifacts), each
+	 *    multiplied by its profile weight
 	 * 2. Size penalty: -0.5 if scored sectors in {10,11,12,17,18,19,20}
 	 * 3. Secondary bonus: +0.5 if 2nd best positive axis >= 3
-	 * 4. Danger penalties: lethality/hazards >= 4 → -1, elif >= 2 → -0.5
+	 * 4. Danger penalties: lethality/hazards >= 4 → -1, elif >= 2 → -0.5,
+	 *    unless the profile turns them off
 	 * 5. Boolean bonuses: oxygen +0.5, crystal map +0.5
 	 * 6. Fuel cost penalty: fuel >= 6 → -0.5
 	 * 7. Clamp to [0, 6], round to nearest 0.5
@@ -677,13 +901,16 @@ const PlanetReviewScorer = (() => {
 	 * @param {Array}  booleans - Boolean indicators from score()
 	 * @param {number} scoredSectorCount - Number of scored sectors (excl. LANDING/UNKNOWN)
 	 * @param {number} [fuelCost=0] - Fuel cost to reach the planet
+	 * @param {Object} [profile] - Scoring profile (see resolveProfile)
 	 * @returns {number}
 	 */
-	function computeOverall(axes, booleans, scoredSectorCount, fuelCost = 0) {
-		// 1. Base = best positive axis
+	function computeOverall(axes, booleans, scoredSectorCount, fuelCost = 0, profile = DEFAULT_PROFILE) {
+		const { weights, penalties } = resolveProfile(profile);
+
+		// 1. Base = best weighted positive axis
 		const positiveStars = axes
 			.filter(a => POSITIVE_AXES.has(a.key))
-			.map(a => a.stars)
+			.map(a => a.stars * weights[a.key])
 			.sort((a, b) => b - a);
 
 		let overall = positiveStars[0] || 0;
@@ -700,6 +927,7 @@ const PlanetReviewScorer = (() => {
 
 		// 4. Danger penalties
 		for (const [axisKey, thresholds] of Object.entries(DANGER_PENALTIES)) {
+			if (!penalties[axisKey]) continue;
 			const axis = axes.find(a => a.key === axisKey);
 			if (!axis) continue;
 			for (const [threshold, penalty] of thresholds) {
@@ -733,6 +961,12 @@ const PlanetReviewScorer = (() => {
 
 	return {
 		score,
+		prepare,
+		scoreTeam,
+		resolveProfile,
+		getProfileLabel,
+		DEFAULT_PROFILE,
+		MAX_PROFILE_WEIGHT,
 		// Exposed for testing
 		_parseMagnitude: parseMagnitude,
 		_getAxisForEvent: getAxisForEvent,
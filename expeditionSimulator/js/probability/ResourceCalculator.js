@@ -305,9 +305,12 @@ const ResourceCalculator = {
 	 * - optimist = E[X | top 25%]      (most resources = best)
 	 * - pessimist = E[X | bottom 25%]  (fewest resources = worst)
 	 *
+	 * The distribution itself is passed along for threshold queries
+	 * (DistributionCalculator.getProbabilityAtLeast).
+	 *
 	 * @private
 	 * @param {Map<number, number>} distribution - value → probability
-	 * @returns {Object} { pessimist, average, optimist }
+	 * @returns {Object} { pessimist, average, optimist, distribution }
 	 */
 	_getTailScenarios(distribution) {
 		const sorted = [...distribution.entries()].sort((a, b) => a[0] - b[0]);
@@ -324,7 +327,7 @@ const ResourceCalculator = {
 		// Optimist: conditional expectation of top 25% (descending, most resources)
 		const optimist = this._conditionalExpectation(sorted, 0.25, 'top');
 
-		return { pessimist, average, optimist };
+		return { pessimist, average, optimist, distribution };
 	},
 
 	/**
@@ -7,6 +7,9 @@
  * When movement speed K < total sectors N, we can't visit all sectors.
  * This module enumerates all possible K-sector compositions and their probabilities.
  * 
+ * AGAIN keeps the team on its sector and burns one unit of movement, so the
+ * number of distinct sectors reached is itself random (see getMovementDistribution).
+ * 
  * @module probability/SectorSampler
  */
 const SectorSampler = {
@@ -14,6 +17,9 @@ const SectorSampler = {
 	// Memoization cache for binomial coefficients
 	_binomialCache: new Map(),
 
+	/** Numbers of sectors reached below this probability are dropped (see getMovementDistribution) */
+	MIN_MOVEMENT_PROBABILITY: 1e-4,
+
 	/**
 	 * Computes binomial coefficient C(n, k) with memoization.
 	 * 
@@ -154,34 +160,126 @@ const SectorSampler = {
 		return weights;
 	},
 
+	/**
+	 * Probability that an exploration step rolls AGAIN, averaged over the sectors
+	 * the team can land on (weighted like the draw itself: count × exploration weight).
+	 * Loadout modifiers apply, so QUAD_COMPASS brings it to 0.
+	 * 
+	 * @param {Object} sectorCounts - Map of sectorType → count on planet
+	 * @param {Object} loadout - Player loadout
+	 * @param {Object} [weights] - Precomputed effective weights
+	 * @returns {number} Probability in [0, 1]
+	 */
+	getAgainProbability(sectorCounts, loadout = {}, weights = null) {
+		weights = weights || this.getEffectiveWeights(Object.keys(sectorCounts), loadout);
+
+		let totalWeight = 0;
+		let againWeight = 0;
+		for (const [sectorType, count] of Object.entries(sectorCounts)) {
+			const weight = weights[sectorType] * count;
+			const probs = ExpeditionPipeline.getModifiedProbabilities(sectorType, loadout);
+			totalWeight += weight;
+			againWeight += weight * (probs.get('AGAIN') || 0);
+		}
+
+		return totalWeight > 0 ? againWeight / totalWeight : 0;
+	},
+
+	/**
+	 * Distribution of the number of distinct sectors reached with K units of movement.
+	 * 
+	 * Every step after the first moves the team on, unless the previous roll was
+	 * AGAIN (probability p), in which case that unit is spent on the same sector:
+	 *   M = min(N, 1 + Binomial(K - 1, 1 - p))
+	 * Counts below MIN_MOVEMENT_PROBABILITY are dropped and the rest renormalized.
+	 * 
+	 * @param {number} movementSpeed - Units of movement (K)
+	 * @param {number} totalSectors - Explorable sectors on the planet (N)
+	 * @param {number} againProbability - p, from getAgainProbability()
+	 * @returns {Array<Object>} [{sectors: M, probability}, ...] with non-negligible probabilities
+	 */
+	getMovementDistribution(movementSpeed, totalSectors, againProbability = 0) {
+		const maxSectors = Math.min(movementSpeed, totalSectors);
+		if (movementSpeed <= 0 || againProbability <= 0) {
+			return [{ sectors: Math.max(0, maxSectors), probability: 1.0 }];
+		}
+
+		const steps = movementSpeed - 1;
+		const moveProbability = 1 - againProbability;
+		const byCount = new Map();
+		for (let moves = 0; moves <= steps; moves++) {
+			const probability = this.binomial(steps, moves)
+				* Math.pow(moveProbability, moves)
+				* Math.pow(againProbability, steps - moves);
+			if (probability <= 0) continue;
+
+			const sectors = Math.min(totalSectors, 1 + moves);
+			byCount.set(sectors, (byCount.get(sectors) || 0) + probability);
+		}
+
+		const kept = [...byCount].filter(([, probability]) => probability >= this.MIN_MOVEMENT_PROBABILITY);
+		const sum = kept.reduce((s, [, probability]) => s + probability, 0);
+		return kept.map(([sectors, probability]) => ({ sectors, probability: probability / sum }));
+	},
+
+	/**
+	 * Share of the planned sectors actually reached once AGAIN has wasted movement:
+	 * E[M] / min(K, N), with M from getMovementDistribution().
+	 * 
+	 * @param {number} movementSpeed - Units of movement (K)
+	 * @param {number} totalSectors - Explorable sectors on the planet (N)
+	 * @param {number} againProbability - p, from getAgainProbability()
+	 * @returns {number} Share in [0, 1]
+	 */
+	getMovementReach(movementSpeed, totalSectors, againProbability = 0) {
+		const maxSectors = Math.min(movementSpeed, totalSectors);
+		if (maxSectors <= 0) return 1;
+
+		const expected = this.getMovementDistribution(movementSpeed, totalSectors, againProbability)
+			.reduce((sum, { sectors, probability }) => sum + sectors * probability, 0);
+		return expected / maxSectors;
+	},
+
 	/**
 	 * Main entry point: generates all weighted compositions for a planet expedition.
+	 * Compositions of different sizes are mixed when AGAIN can waste movement,
+	 * unless options.plannedOnly asks for the planned size alone.
 	 * 
 	 * @param {Object} sectorCounts - Map of sectorType → count on planet (excluding LANDING/LOST)
 	 * @param {number} movementSpeed - Number of sectors that can be explored
 	 * @param {Object} loadout - Player loadout for item effects
+	 * @param {Object} [options]
+	 * @param {boolean} [options.plannedOnly] - Ignore AGAIN; the caller accounts for it (see getMovementReach)
 	 * @returns {Array<Object>} [{composition: {FOREST: 2, ...}, probability: 0.xxx}, ...]
 	 */
-	generateWeightedCompositions(sectorCounts, movementSpeed, loadout = {}) {
+	generateWeightedCompositions(sectorCounts, movementSpeed, loadout = {}, options = {}) {
 		const sectorTypes = Object.keys(sectorCounts);
 		const totalSectors = Object.values(sectorCounts).reduce((a, b) => a + b, 0);
 
+		// Get effective weights (base + item multipliers)
+		const weights = this.getEffectiveWeights(sectorTypes, loadout);
+
+		const againProbability = options.plannedOnly ? 0 : this.getAgainProbability(sectorCounts, loadout, weights);
+		const movement = this.getMovementDistribution(movementSpeed, totalSectors, againProbability);
+
 		// If we can visit all sectors, return single composition with probability 1
-		if (movementSpeed >= totalSectors) {
+		if (movement.length === 1 && movement[0].sectors >= totalSectors) {
 			return [{
 				composition: { ...sectorCounts },
 				probability: 1.0
 			}];
 		}
 
-		// Get effective weights (base + item multipliers)
-		const weights = this.getEffectiveWeights(sectorTypes, loadout);
-
-		// Enumerate all valid compositions
-		const compositions = this.enumerateCompositions(sectorCounts, movementSpeed);
+		const weighted = [];
+		for (const { sectors, probability } of movement) {
+			// Enumerate all valid compositions of this size
+			const compositions = this.enumerateCompositions(sectorCounts, sectors);
+			for (const item of this.computeProbabilities(compositions, sectorCounts, weights)) {
+				weighted.push({ composition: item.composition, probability: item.probability * probability });
+			}
+		}
 
-		// Compute probabilities and prune negligible compositions
-		const weighted = this.computeProbabilities(compositions, sectorCounts, weights);
+		// Prune negligible compositions
 		return this.pruneCompositions(weighted);
 	},
 
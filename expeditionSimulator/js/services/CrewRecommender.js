@@ -0,0 +1,167 @@
+/**
+ * CrewRecommender
+ *
+ * "Who should go?": picks the expedition team among the crew members the
+ * Crew Manager knows to be alive and active. Candidates who cannot breathe on
+ * the planet (OxygenService) are left out, and a team never exceeds
+ * Constants.MAX_PLAYERS nor the seats of the ship (ExpeditionModeService).
+ *
+ * Every candidate team is scored by a headless ExpeditionRunner.run()
+ * (sequential Monte Carlo, fixed seed so teams see the same random draws):
+ *   1. Greedy: add the crew member that improves the score most, until nothing helps
+ *   2. Swaps: replace one member by someone left aboard while that helps
+ * Every evaluated team is kept, and the best N are returned.
+ *
+ * No DOM access; runs in the calculation worker ('recommend' message).
+ *
+ * @module services/CrewRecommender
+ */
+const CrewRecommender = {
+
+	/** Monte Carlo iterations per evaluated team */
+	ITERATIONS: 400,
+
+	/** Upper bound on ExpeditionRunner.run() calls per recommendation */
+	MAX_EVALUATIONS: 150,
+
+	/** One expected death costs as much as 10 resources of loot */
+	DEFAULT_WEIGHTS: { loot: 1, death: 10 },
+
+	/** Resources counted as loot (MonteCarloSimulator.RESOURCE_KEYS) */
+	LOOT_KEYS: ['fruits', 'steaks', 'fuel', 'oxygen', 'artefacts', 'mapFragments'],
+
+	/**
+	 * Whether a Crew Manager entry may be sent down at all.
+	 * @param {Object} status - { health, morale, dead, inactive, grandInactive }
+	 * @returns {boolean}
+	 */
+	isAvailable(status) {
+		if (!status) return false;
+		if (status.dead || status.health <= 0 || status.morale <= 0) return false;
+		return !status.inactive && !status.grandInactive;
+	},
+
+	/**
+	 * Crew Manager candidates who may be sent down (isAvailable).
+	 * @param {Array<Object>} candidates - ExpeditionState.getCrewCandidates() output
+	 * @returns {Array<Object>}
+	 */
+	getAvailableCandidates(candidates) {
+		return candidates.filter(candidate => this.isAvailable(candidate.status));
+	},
+
+	/**
+	 * Searches teams among the candidates.
+	 *
+	 * @param {Object} params - ExpeditionRunner.run() params (sectors, antigravActive, mode,
+	 *                          exploredCount, diplomacy), plus:
+	 * @param {Array<Object>} params.candidates - Player objects (avatar, abilities, items, health,
+	 *                                            optional Crew Manager status, returned as is)
+	 * @param {Object} [params.weights]         - { loot, death }
+	 * @param {number} [params.topN]            - Teams returned (default 3)
+	 * @param {number} [params.iterations]      - Monte Carlo iterations per evaluation
+	 * @param {number} [params.maxEvaluations]  - Evaluation budget
+	 * @param {number} [params.seed]            - Monte Carlo seed
+	 * @returns {Array<{players: Array<Object>, score: number, summary: Object}>} Best first
+	 */
+	recommend({ candidates = [], weights = this.DEFAULT_WEIGHTS, topN = 3,
+		iterations = this.ITERATIONS, maxEvaluations = this.MAX_EVALUATIONS, seed, ...runParams }) {
+		const sectors = runParams.sectors || [];
+		if (sectors.length === 0) return [];
+
+		const eligible = candidates.filter(player => OxygenService.canParticipate(player, sectors));
+		const maxSize = this.getMaxTeamSize(runParams.mode);
+		if (eligible.length === 0 || maxSize === 0) return [];
+
+		const evaluated = new Map();
+		const evaluate = (team) => {
+			const key = [...team].sort((a, b) => a - b).join(',');
+			if (!evaluated.has(key)) {
+				if (evaluated.size >= maxEvaluations) return null;
+				const players = team.map(index => eligible[index]);
+				const results = ExpeditionRunner.run({
+					...runParams,
+					allPlayers: players,
+					engine: 'sequential', iterations, seed
+				});
+				const summary = this.summarize(results);
+				evaluated.set(key, { players, score: this.score(summary, weights), summary, team });
+			}
+			return evaluated.get(key);
+		};
+
+		// 1. Greedy: grow the team one member at a time
+		let current = null;
+		while (!current || current.team.length < Math.min(maxSize, eligible.length)) {
+			const team = current ? current.team : [];
+			let best = null;
+			for (let i = 0; i < eligible.length; i++) {
+				if (team.includes(i)) continue;
+				const candidate = evaluate([...team, i]);
+				if (candidate && (!best || candidate.score > best.score)) best = candidate;
+			}
+			if (!best || (current && best.score <= current.score)) break;
+			current = best;
+		}
+		if (!current) return [];
+
+		// 2. Swap one member for someone left aboard
+		let improved = true;
+		while (improved) {
+			improved = false;
+			for (let m = 0; m < current.team.length && !improved; m++) {
+				for (let i = 0; i < eligible.length && !improved; i++) {
+					if (current.team.includes(i)) continue;
+					const candidate = evaluate(current.team.map((member, k) => (k === m ? i : member)));
+					if (candidate && candidate.score > current.score) {
+						current = candidate;
+						improved = true;
+					}
+				}
+			}
+		}
+
+		return [...evaluated.values()]
+			.sort((a, b) => b.score - a.score)
+			.slice(0, topN)
+			.map(({ players, score, summary }) => ({ players, score, summary }));
+	},
+
+	/**
+	 * Largest team allowed: Constants.MAX_PLAYERS, or fewer seats on the ship.
+	 * @param {string} mode - 'icarus' | 'patrol'
+	 * @returns {number}
+	 */
+	getMaxTeamSize(mode) {
+		return Math.min(Constants.MAX_PLAYERS, ExpeditionModeService.getRules(mode).maxCrew);
+	},
+
+	/**
+	 * Result summary a team is judged on.
+	 * @param {Object} results - ExpeditionRunner.run() output (sequential engine)
+	 * @returns {{loot: number, fuel: number, expectedDeaths: number, deathProbability: Array<number>}}
+	 */
+	summarize(results) {
+		const deathProbability = results?.deathProbability || [];
+		return {
+			loot: this.LOOT_KEYS.reduce((sum, key) => sum + (results?.resources?.[key]?.average || 0), 0),
+			fuel: results?.resources?.fuel?.average || 0,
+			expectedDeaths: deathProbability.reduce((sum, p) => sum + p, 0),
+			deathProbability
+		};
+	},
+
+	/**
+	 * Score of a summary; higher is better.
+	 * @param {Object} summary - From summarize()
+	 * @param {Object} [weights] - { loot, death }
+	 * @returns {number}
+	 */
+	score(summary, weights = this.DEFAULT_WEIGHTS) {
+		return weights.loot * summary.loot - weights.death * summary.expectedDeaths;
+	}
+};
+
+// Export
+var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
+_global.CrewRecommender = CrewRecommender;
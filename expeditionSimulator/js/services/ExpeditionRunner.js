@@ -13,33 +13,68 @@
  */
 const ExpeditionRunner = {
 
+	/** Engines accepted by run() */
+	ENGINES: ['convolution', 'montecarlo', 'sequential'],
+
+	/**
+	 * Iterations of the sequential Monte Carlo pass used for per-player
+	 * HP distributions when the convolution engine is asked for them
+	 * (withHealthDistribution).
+	 */
+	HEALTH_ITERATIONS: 2000,
+
 	/**
 	 * Runs the full expedition calculation pipeline.
 	 *
 	 * Steps:
-	 *  1. Filter players to those who can participate (OxygenService)
-	 *  2. Build loadout from participating players (LoadoutBuilder)
+	 *  1. Filter players to those who can participate: oxygen, then the seats of the
+	 *     ship used (ExpeditionModeService)
+	 *  2. Build loadout from participating players (LoadoutBuilder) and, unless
+	 *     overridden, derive the explored count from them (MovementService)
 	 *  3. Split sectors into sectorCounts + alwaysInclude (special sectors)
-	 *  4. Branch: sampling (calculateWithSampling) or full (calculate)
-	 *  5. Distribute damage to players (DamageSpreader)
+	 *  4. Branch: Monte Carlo (MonteCarloSimulator) or convolution (calculateWithSampling, which
+	 *     samples compositions when movement is short of the planet and scales reach for AGAIN)
+	 *  5. Distribute damage to players (DamageSpreader) — convolution engine only,
+	 *     the Monte Carlo engines spread damage inside each simulated run
 	 *  6. Apply Survival / Armor reductions per scenario
-	 *  7. Calculate final player health
-	 *  8. Attach participationStatus and planetResources
+	 *  7. Calculate final player health; with withHealthDistribution, also the per-player
+	 *     HP distribution (playerHealth), death odds, spores caught (playerSpores) and
+	 *     joint outcomes from a sequential Monte Carlo pass
+	 *  8. Attach participationStatus, planetResources and LOST-sector rescue odds
 	 *
 	 * @param {Object} params
 	 * @param {Array<string>} params.sectors        - All sector names on the planet
 	 * @param {Array<Object>} params.allPlayers     - All players (pre-oxygen-filter)
-	 * @param {boolean}       params.antigravActive - Whether Antigrav project is active
-	 * @param {number}        params.exploredCount  - How many sectors the team can visit
+	 * @param {boolean}       params.antigravActive - Whether Antigrav project is active (Icarus only)
+	 * @param {string}        [params.mode]         - 'icarus' (default) or 'patrol': seats, base movement,
+	 *                                                Antigrav (ExpeditionModeService)
+	 * @param {number|null}   [params.exploredCount] - Manual override of how many sectors the team
+	 *                                                can visit; derived from mode + Sprint when absent
 	 * @param {boolean}       [params.diplomacy]    - Whether to apply diplomacy for planet resources
+	 * @param {string}        [params.engine]       - 'convolution' (default), 'montecarlo', or 'sequential'
+	 *                                                (Monte Carlo resolving HP sector by sector; adds deathProbability)
+	 * @param {number}        [params.iterations]   - Monte Carlo iterations (Monte Carlo engines only)
+	 * @param {number}        [params.seed]         - Monte Carlo seed (Monte Carlo engines only)
+	 * @param {boolean}       [params.withHealthDistribution] - Convolution engine only: add the
+	 *                                                HEALTH_ITERATIONS sequential pass. Only the main
+	 *                                                calculation needs it; batch callers run the
+	 *                                                sequential engine, which yields these fields itself
 	 * @returns {Object|null} Complete results object, or null for empty sectors
+	 * @throws {Error} For an engine outside ENGINES
 	 */
-	run({ sectors, allPlayers, antigravActive, exploredCount, diplomacy = false }) {
+	run({ sectors, allPlayers, antigravActive, mode = 'icarus', exploredCount = null, diplomacy = false, engine = 'convolution', iterations, seed, withHealthDistribution = false }) {
+		if (!this.ENGINES.includes(engine)) {
+			throw new Error(`Unknown calculation engine: ${engine}`);
+		}
 		if (!sectors || sectors.length === 0) return null;
 
-		const participatingPlayers = OxygenService.getParticipatingPlayers(allPlayers, sectors);
+		const participatingPlayers = ExpeditionModeService.getExplorers(allPlayers, sectors, mode);
 
-		const loadout = LoadoutBuilder.build(participatingPlayers, { antigravActive });
+		const loadout = LoadoutBuilder.build(participatingPlayers, {
+			antigravActive: antigravActive && ExpeditionModeService.isAntigravAvailable(mode),
+			mode
+		});
+		const movementSpeed = exploredCount ?? MovementService.getExploredCount(participatingPlayers, mode);
 
 		// Split sectors: special ones (LANDING, LOST) are always included, others are sampled
 		const sectorCounts = {};
@@ -55,16 +90,20 @@ const ExpeditionRunner = {
 		const totalExplorableSectors = Object.values(sectorCounts).reduce((a, b) => a + b, 0);
 
 		let results;
-		if (exploredCount < totalExplorableSectors) {
-			results = ExpeditionPipeline.calculateWithSampling(
-				sectorCounts, exploredCount, loadout, participatingPlayers, { alwaysInclude }
+		if (engine === 'montecarlo' || engine === 'sequential') {
+			results = MonteCarloSimulator.simulate(
+				sectorCounts, movementSpeed, loadout, participatingPlayers,
+				{ alwaysInclude, iterations, seed, sequential: engine === 'sequential' }
 			);
 		} else {
-			results = ExpeditionPipeline.calculate(sectors, loadout, participatingPlayers);
+			// Falls back to a single calculate() when movement covers every sector
+			results = ExpeditionPipeline.calculateWithSampling(
+				sectorCounts, movementSpeed, loadout, participatingPlayers, { alwaysInclude }
+			);
 		}
 
 		// Damage distribution & player health
-		if (participatingPlayers.length > 0 && results) {
+		if (engine === 'convolution' && participatingPlayers.length > 0 && results) {
 			const fightInstances = results.combat?.damageInstances || {};
 			const eventInstances = results.eventDamage?.damageInstances || {};
 
@@ -77,59 +116,47 @@ const ExpeditionRunner = {
 			const effectsByScenario = {};
 
 			for (const scenario of scenarios) {
-				const scenarioResult = damageByScenario[scenario];
-				const playerEffects = scenarioResult.appliedEffects.map(arr => [...arr]);
-
-				const reductionSteps = [
-					{
-						apply: (players, breakdown) => DamageSpreader.applySurvivalReduction(players, breakdown),
-						hasEffect: player => player.abilities?.some(a => a && filenameToId(a) === 'SURVIVAL'),
-						effectType: 'SURVIVAL'
-					},
-					{
-						apply: (players, breakdown) => DamageSpreader.applyArmorReduction(players, breakdown),
-						hasEffect: player => player.items?.some(item => item && filenameToId(item) === 'PLASTENITE_ARMOR'),
-						effectType: 'PLASTENITE_ARMOR'
-					}
-				];
-
-				let modifiedBreakdown = scenarioResult.breakdown;
-				for (const step of reductionSteps) {
-					const beforeBreakdown = modifiedBreakdown;
-					modifiedBreakdown = step.apply(participatingPlayers, beforeBreakdown);
-					for (let i = 0; i < participatingPlayers.length; i++) {
-						if (step.hasEffect(participatingPlayers[i])) {
-							const beforeDamage = beforeBreakdown[i]?.reduce((sum, inst) => sum + inst.damage, 0) || 0;
-							const afterDamage = modifiedBreakdown[i]?.reduce((sum, inst) => sum + inst.damage, 0) || 0;
-							const damageReduced = beforeDamage - afterDamage;
-							if (damageReduced > 0) {
-								playerEffects[i].push({ type: step.effectType, reductions: damageReduced });
-							}
-						}
-					}
-				}
-
-				const damagePerPlayer = modifiedBreakdown.map(breakdown =>
-					breakdown.reduce((sum, inst) => sum + inst.damage, 0)
-				);
+				const { damagePerPlayer, appliedEffects } =
+					DamageSpreader.resolveReductions(participatingPlayers, damageByScenario[scenario]);
 
 				finalHealth[scenario] = DamageSpreader.calculateFinalHealth(participatingPlayers, damagePerPlayer);
-				effectsByScenario[scenario] = playerEffects;
+				effectsByScenario[scenario] = appliedEffects;
 			}
 
 			results.healthByScenario = finalHealth;
 			results.effectsByScenario = effectsByScenario;
 		}
 
-		results.participationStatus = OxygenService.getParticipationStatus(allPlayers, sectors);
+		// The convolution engine only yields four scenario paths; death / wound
+		// odds need the full spread, so they come from a sequential Monte Carlo pass.
+		if (engine === 'convolution' && withHealthDistribution && participatingPlayers.length > 0 && results) {
+			const healthRun = MonteCarloSimulator.simulate(
+				sectorCounts, movementSpeed, loadout, participatingPlayers,
+				{ alwaysInclude, iterations: this.HEALTH_ITERATIONS, sequential: true }
+			);
+			results.playerHealth = healthRun.playerHealth;
+			results.deathProbability = healthRun.deathProbability;
+			results.teamDeathProbability = healthRun.teamDeathProbability;
+			results.playerSpores = healthRun.playerSpores;
+			// Joint outcomes (mission goals) come from the same pass
+			results.outcomes = healthRun.outcomes;
+		}
+
+		results.participationStatus = ExpeditionModeService.getParticipationStatus(allPlayers, sectors, mode);
+
+		// Someone may go missing: odds of getting them back, with and without Tracker
+		if (results.lostCrew?.missingProbability > 0) {
+			results.lostCrew.rescue = RescueService.getRescueOdds(loadout);
+			results.lostCrew.rescueLostCount = RescueService.getRescueLostCount(results.lostCrew);
+		}
 
-		// Planet-level resources (always computed over all sectors, independent of exploredCount).
+		// Planet-level resources (always computed over all sectors, independent of movement).
 		// Diplomacy toggle applied here only.
 		const planetLoadout = (diplomacy && !loadout.abilities.includes('DIPLOMACY'))
 			? { ...loadout, abilities: [...loadout.abilities, 'DIPLOMACY'] }
 			: loadout;
 
-		if (exploredCount < totalExplorableSectors) {
+		if (movementSpeed < totalExplorableSectors) {
 			const fullSectors = [];
 			for (const [type, count] of Object.entries(sectorCounts)) {
 				for (let i = 0; i < count; i++) fullSectors.push(type);
@@ -39,7 +39,10 @@ const ExpeditionStorage = (() => {
 				diplomacy: Boolean(raw?.options?.diplomacy),
 				antigrav:  Boolean(raw?.options?.antigrav),
 				base:      Boolean(raw?.options?.base),
-				mode:      raw?.options?.mode === 'patrol' ? 'patrol' : 'icarus'
+				mode:      raw?.options?.mode === 'patrol' ? 'patrol' : 'icarus',
+				exploredOverride: Number.isInteger(raw?.options?.exploredOverride) && raw.options.exploredOverride > 0
+					? raw.options.exploredOverride
+					: null
 			}
 		};
 	}
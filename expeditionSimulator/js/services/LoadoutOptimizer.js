@@ -0,0 +1,185 @@
+/**
+ * LoadoutOptimizer
+ *
+ * Hands out the ship's item pool to the crew. Every candidate assignment is
+ * scored by a headless ExpeditionRunner.run() (sequential Monte Carlo, fixed
+ * seed so candidates see the same random draws):
+ *   1. Greedy: add the single item that improves the score most, until nothing helps
+ *   2. Moves: relocate one item to another player while that helps
+ * Every evaluated assignment is kept, and the best N are returned.
+ *
+ * No DOM access; runs in the calculation worker ('optimize' message).
+ *
+ * @module services/LoadoutOptimizer
+ */
+const LoadoutOptimizer = {
+
+	/** Monte Carlo iterations per evaluated assignment */
+	ITERATIONS: 400,
+
+	/** Upper bound on ExpeditionRunner.run() calls per optimization */
+	MAX_EVALUATIONS: 150,
+
+	/** Default weights of the 'mix' goal: one expected death costs 10 fuel */
+	DEFAULT_WEIGHTS: { fuel: 1, death: 10 },
+
+	/** Goals: 'fuel' (maximize), 'survival' (minimize expected deaths) or 'mix' */
+	GOALS: ['fuel', 'survival', 'mix'],
+
+	/**
+	 * Searches item assignments for the crew.
+	 *
+	 * @param {Object} params - ExpeditionRunner.run() params (sectors, allPlayers, antigravActive,
+	 *                          mode, exploredCount, diplomacy), plus:
+	 * @param {Object} params.itemCounts      - Item filename → count available on the ship
+	 * @param {string} [params.goal]          - One of GOALS (default 'survival')
+	 * @param {Object} [params.weights]       - { fuel, death } for the 'mix' goal
+	 * @param {number} [params.topN]          - Loadouts returned (default 3)
+	 * @param {number} [params.iterations]    - Monte Carlo iterations per evaluation
+	 * @param {number} [params.maxEvaluations] - Evaluation budget
+	 * @param {number} [params.seed]          - Monte Carlo seed
+	 * @returns {Array<{items: Array<Array<string|null>>, score: number, summary: Object}>}
+	 *          Best first; items[i] are the slots of allPlayers[i]
+	 */
+	optimize({ itemCounts = {}, goal = 'survival', weights = this.DEFAULT_WEIGHTS, topN = 3,
+		iterations = this.ITERATIONS, maxEvaluations = this.MAX_EVALUATIONS, seed, ...runParams }) {
+		const players = runParams.allPlayers || [];
+		if (!runParams.sectors || runParams.sectors.length === 0 || players.length === 0) return [];
+
+		const evaluated = new Map();
+		const evaluate = (items) => {
+			const key = this._key(items);
+			if (!evaluated.has(key)) {
+				if (evaluated.size >= maxEvaluations) return null;
+				const results = ExpeditionRunner.run({
+					...runParams,
+					allPlayers: this._withItems(players, items),
+					engine: 'sequential', iterations, seed
+				});
+				const summary = this.summarize(results);
+				evaluated.set(key, { items, score: this.score(summary, goal, weights), summary });
+			}
+			return evaluated.get(key);
+		};
+
+		let current = evaluate(players.map(() => Array(Constants.ITEM_SLOTS).fill(null)));
+		if (!current) return [];
+
+		// 1. Greedy fill
+		while (true) {
+			const remaining = this._remaining(itemCounts, current.items);
+			let best = null;
+			for (const item of Object.keys(remaining)) {
+				for (let p = 0; p < players.length; p++) {
+					const slot = current.items[p].indexOf(null);
+					if (slot === -1) continue;
+					const candidate = evaluate(this._set(current.items, p, slot, item));
+					if (candidate && (!best || candidate.score > best.score)) best = candidate;
+				}
+			}
+			if (!best || best.score <= current.score) break;
+			current = best;
+		}
+
+		// 2. Move single items between players
+		let improved = true;
+		while (improved) {
+			improved = false;
+			for (let from = 0; from < players.length && !improved; from++) {
+				for (let s = 0; s < Constants.ITEM_SLOTS && !improved; s++) {
+					const item = current.items[from][s];
+					if (!item) continue;
+					for (let to = 0; to < players.length && !improved; to++) {
+						const slot = current.items[to].indexOf(null);
+						if (to === from || slot === -1) continue;
+						const candidate = evaluate(this._set(this._set(current.items, from, s, null), to, slot, item));
+						if (candidate && candidate.score > current.score) {
+							current = candidate;
+							improved = true;
+						}
+					}
+				}
+			}
+		}
+
+		return [...evaluated.values()]
+			.sort((a, b) => b.score - a.score)
+			.slice(0, topN);
+	},
+
+	/**
+	 * Result summary an assignment is judged on.
+	 * @param {Object} results - ExpeditionRunner.run() output (sequential engine)
+	 * @returns {{fuel: number, expectedDeaths: number, deathProbability: Array<number>}}
+	 */
+	summarize(results) {
+		const deathProbability = results?.deathProbability || [];
+		return {
+			fuel: results?.resources?.fuel?.average || 0,
+			expectedDeaths: deathProbability.reduce((sum, p) => sum + p, 0),
+			deathProbability
+		};
+	},
+
+	/**
+	 * Score of a summary for a goal; higher is better.
+	 * @param {Object} summary - From summarize()
+	 * @param {string} goal - One of GOALS
+	 * @param {Object} [weights] - { fuel, death } for 'mix'
+	 * @returns {number}
+	 */
+	score(summary, goal, weights = this.DEFAULT_WEIGHTS) {
+		switch (goal) {
+			case 'fuel':     return summary.fuel;
+			case 'survival': return -summary.expectedDeaths;
+			case 'mix':      return weights.fuel * summary.fuel - weights.death * summary.expectedDeaths;
+			default:
+				throw new Error(`Unknown optimizer goal: ${goal}`);
+		}
+	},
+
+	/**
+	 * Pool items not handed out yet.
+	 * @private
+	 */
+	_remaining(itemCounts, items) {
+		const remaining = { ...itemCounts };
+		for (const item of items.flat()) {
+			if (item) remaining[item]--;
+		}
+		for (const item of Object.keys(remaining)) {
+			if (!(remaining[item] > 0)) delete remaining[item];
+		}
+		return remaining;
+	},
+
+	/**
+	 * Copy of an assignment with one slot changed.
+	 * @private
+	 */
+	_set(items, playerIndex, slotIndex, item) {
+		return items.map((slots, p) => p === playerIndex
+			? slots.map((current, s) => (s === slotIndex ? item : current))
+			: slots);
+	},
+
+	/**
+	 * Players wearing an assignment instead of their own items.
+	 * @private
+	 */
+	_withItems(players, items) {
+		return players.map((player, p) => ({ ...player, items: items[p] }));
+	},
+
+	/**
+	 * Cache key of an assignment; slot order within a player does not matter.
+	 * @private
+	 */
+	_key(items) {
+		return items.map(slots => slots.filter(Boolean).sort().join(',')).join('|');
+	}
+};
+
+// Export
+var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
+_global.LoadoutOptimizer = LoadoutOptimizer;
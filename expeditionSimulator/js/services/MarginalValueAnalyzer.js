@@ -0,0 +1,163 @@
+/**
+ * MarginalValueAnalyzer
+ *
+ * "What is the grenade worth on this planet?" Reruns the expedition with one
+ * change at a time and reports the difference with the current team:
+ *   - remove: each equipped item / ability taken off its player
+ *   - add:    each item / ability nobody has, put in a free slot of the first
+ *             explorer who has one (any player when nobody can go down yet)
+ *
+ * Every variant is a headless ExpeditionRunner.run() on the sequential engine,
+ * with the same seed as the baseline so the deltas are not drowned in noise.
+ *
+ * No DOM access; runs in the calculation worker ('marginal' message).
+ *
+ * @module services/MarginalValueAnalyzer
+ */
+const MarginalValueAnalyzer = {
+
+	/** Monte Carlo iterations per variant */
+	ITERATIONS: 1000,
+
+	/** Metrics compared, in table order */
+	METRICS: ['fuel', 'fruits', 'steaks', 'artefacts', 'eventDamage', 'deathProbability'],
+
+	/**
+	 * Runs the baseline and every single-change variant.
+	 *
+	 * @param {Object} params - ExpeditionRunner.run() params (sectors, allPlayers, antigravActive,
+	 *                          mode, exploredCount, diplomacy), plus:
+	 * @param {number} [params.iterations] - Monte Carlo iterations per variant
+	 * @param {number} [params.seed]       - Monte Carlo seed shared by all variants
+	 * @returns {{baseline: Object, rows: Array<{kind: string, action: string, id: string,
+	 *          playerIndex: number, metrics: Object, deltas: Object}>}|null} null without sectors or players
+	 */
+	analyze({ iterations = this.ITERATIONS, seed, ...runParams }) {
+		const players = runParams.allPlayers || [];
+		if (!runParams.sectors || runParams.sectors.length === 0 || players.length === 0) return null;
+
+		const evaluate = (allPlayers) => this.getMetrics(ExpeditionRunner.run({
+			...runParams, allPlayers, engine: 'sequential', iterations, seed
+		}));
+
+		const baseline = evaluate(players);
+		const rows = this.getVariants(players, runParams.sectors, runParams.mode).map(variant => {
+			const metrics = evaluate(variant.players);
+			return {
+				kind: variant.kind,
+				action: variant.action,
+				id: variant.id,
+				playerIndex: variant.playerIndex,
+				metrics,
+				deltas: this.getDeltas(baseline, metrics)
+			};
+		});
+
+		return { baseline, rows };
+	},
+
+	/**
+	 * Single-change variants of the team: every removal, then every addition.
+	 * @param {Array<Object>} players - All players
+	 * @param {Array<string>} sectors
+	 * @param {string} [mode]
+	 * @returns {Array<{kind: string, action: string, id: string, playerIndex: number, players: Array<Object>}>}
+	 */
+	getVariants(players, sectors, mode) {
+		const variants = [];
+
+		for (const kind of ['item', 'ability']) {
+			const field = this._field(kind);
+			players.forEach((player, playerIndex) => {
+				(player[field] || []).forEach((id, slotIndex) => {
+					if (!id) return;
+					variants.push({
+						kind, action: 'remove', id, playerIndex,
+						players: this._withSlot(players, playerIndex, field, slotIndex, null)
+					});
+				});
+			});
+		}
+
+		const explorers = ExpeditionModeService.getExplorers(players, sectors, mode);
+		for (const kind of ['item', 'ability']) {
+			const field = this._field(kind);
+			const held = new Set(players.flatMap(p => p[field] || []));
+			const receivers = [...explorers, ...players];
+			for (const id of this._candidates(kind)) {
+				if (held.has(id)) continue;
+				const receiver = receivers.find(p => (p[field] || []).includes(null));
+				if (!receiver) continue;
+				const playerIndex = players.indexOf(receiver);
+				const slotIndex = receiver[field].indexOf(null);
+				variants.push({
+					kind, action: 'add', id, playerIndex,
+					players: this._withSlot(players, playerIndex, field, slotIndex, id)
+				});
+			}
+		}
+
+		return variants;
+	},
+
+	/**
+	 * Expected values compared by the report.
+	 * @param {Object} results - ExpeditionRunner.run() output (sequential engine)
+	 * @returns {{fuel: number, fruits: number, steaks: number, artefacts: number,
+	 *           eventDamage: number, deathProbability: number}}
+	 */
+	getMetrics(results) {
+		const damageDistribution = results?.eventDamage?.damage?.distribution;
+		return {
+			fuel: results?.resources?.fuel?.average || 0,
+			fruits: results?.resources?.fruits?.average || 0,
+			steaks: results?.resources?.steaks?.average || 0,
+			artefacts: results?.resources?.artefacts?.average || 0,
+			eventDamage: damageDistribution ? DistributionCalculator.getExpectedValue(damageDistribution) : 0,
+			deathProbability: results?.teamDeathProbability || 0
+		};
+	},
+
+	/**
+	 * Variant minus baseline, metric by metric.
+	 * @param {Object} baseline - From getMetrics()
+	 * @param {Object} metrics - From getMetrics()
+	 * @returns {Object}
+	 */
+	getDeltas(baseline, metrics) {
+		const deltas = {};
+		for (const key of this.METRICS) {
+			deltas[key] = metrics[key] - baseline[key];
+		}
+		return deltas;
+	},
+
+	/**
+	 * @private
+	 */
+	_field(kind) {
+		return kind === 'item' ? 'items' : 'abilities';
+	},
+
+	/**
+	 * Items or abilities a player could be given.
+	 * @private
+	 */
+	_candidates(kind) {
+		return kind === 'item' ? ItemData.available : AbilityData.normal;
+	},
+
+	/**
+	 * Copy of the team with one item / ability slot changed.
+	 * @private
+	 */
+	_withSlot(players, playerIndex, field, slotIndex, id) {
+		return players.map((player, p) => p === playerIndex
+			? { ...player, [field]: player[field].map((current, s) => (s === slotIndex ? id : current)) }
+			: player);
+	}
+};
+
+// Export
+var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
+_global.MarginalValueAnalyzer = MarginalValueAnalyzer;
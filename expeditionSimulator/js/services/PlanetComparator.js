@@ -0,0 +1,144 @@
+/**
+ * PlanetComparator
+ *
+ * "Which of these planets do we land on?" Runs the expedition on 2 to 4
+ * planets with the current crew and lines up, planet by planet:
+ *   - the PlanetReviewScorer review (overall and axis stars)
+ *   - expected resources, event damage and death probability (ExpeditionRunner)
+ *   - the fuel cost to reach the planet
+ *
+ * Split in two steps so the heavy part can run in the calculation worker
+ * ('compare' message): simulate() only runs the expedition, build() scores
+ * the planets (PlanetReviewScorer needs I18n, which the worker lacks) and
+ * marks the best value of every row.
+ *
+ * @module services/PlanetComparator
+ */
+const PlanetComparator = {
+
+	MIN_PLANETS: 2,
+	MAX_PLANETS: 4,
+
+	/** Monte Carlo iterations per planet */
+	ITERATIONS: 1000,
+
+	/**
+	 * Compared rows, in table order.
+	 * group: 'review' (PlanetReviewScorer) or 'expedition' (ExpeditionRunner and navigation).
+	 * format: 'stars', 'resource' or 'percent'. lowerIsBetter: damage, risk and cost rows.
+	 */
+	ROWS: [
+		{ key: 'overall',          group: 'review',     format: 'stars' },
+		{ key: 'axis.fruits',      group: 'review',     format: 'stars' },
+		{ key: 'axis.steaks',      group: 'review',     format: 'stars' },
+		{ key: 'axis.fuel',        group: 'review',     format: 'stars' },
+		{ key: 'axis.artifacts',   group: 'review',     format: 'stars' },
+		{ key: 'axis.lethality',   group: 'review',     format: 'stars',    lowerIsBetter: true },
+		{ key: 'axis.hazards',     group: 'review',     format: 'stars',    lowerIsBetter: true },
+		{ key: 'fuel',             group: 'expedition', format: 'resource' },
+		{ key: 'fruits',           group: 'expedition', format: 'resource' },
+		{ key: 'steaks',           group: 'expedition', format: 'resource' },
+		{ key: 'artefacts',        group: 'expedition', format: 'resource' },
+		{ key: 'eventDamage',      group: 'expedition', format: 'resource', lowerIsBetter: true },
+		{ key: 'deathProbability', group: 'expedition', format: 'percent',  lowerIsBetter: true },
+		{ key: 'fuelCost',         group: 'expedition', format: 'resource', lowerIsBetter: true }
+	],
+
+	/**
+	 * Runs and scores every planet on the main thread (fallback when no worker is available).
+	 * @param {Object} params - See simulate(), plus the optional scoring profile of build()
+	 * @returns {Object|null} See build()
+	 */
+	compare(params) {
+		return this.build(params.planets, this.simulate(params), { diplomacy: params.diplomacy, profile: params.profile });
+	},
+
+	/**
+	 * Runs the expedition on each planet with the same crew and options, on the
+	 * sequential engine like the other headless services (its death odds are
+	 * the deathProbability row).
+	 *
+	 * @param {Object} params - ExpeditionRunner.run() params without sectors (allPlayers,
+	 *                          antigravActive, mode, exploredCount, diplomacy), plus:
+	 * @param {Array<{sectors: string[]}>} params.planets - Planets to compare
+	 * @param {number} [params.iterations] - Monte Carlo iterations per planet
+	 * @param {number} [params.seed]       - Monte Carlo seed shared by all planets
+	 * @returns {Array<Object>} One MarginalValueAnalyzer.getMetrics() object per planet,
+	 *          with the fightResourceBonus the review needs
+	 */
+	simulate({ planets = [], iterations = this.ITERATIONS, seed, ...runParams }) {
+		return planets.map(planet => {
+			const results = ExpeditionRunner.run({
+				...runParams, sectors: planet.sectors, engine: 'sequential', iterations, seed
+			});
+			return {
+				...MarginalValueAnalyzer.getMetrics(results),
+				fightResourceBonus: results?.fightResourceBonus || null
+			};
+		});
+	},
+
+	/**
+	 * Scores the planets and aligns them row by row.
+	 *
+	 * @param {Array<{id: string, name: string|null, sectors: string[], direction: string,
+	 *        fuelCost: number}>} planets
+	 * @param {Array<Object>} simulations - From simulate(), same order as planets
+	 * @param {Object} [options]
+	 * @param {boolean} [options.diplomacy]
+	 * @param {Object}  [options.profile] - Scoring profile for the overall row (PlanetReviewScorer)
+	 * @returns {{planets: Array<Object>, rows: Array<{key: string, group: string, format: string,
+	 *          values: number[], best: number[]}>}|null} null outside MIN_PLANETS..MAX_PLANETS
+	 */
+	build(planets, simulations, options = {}) {
+		if (!planets || planets.length < this.MIN_PLANETS || planets.length > this.MAX_PLANETS) return null;
+
+		const columns = planets.map((planet, index) => {
+			const simulation = simulations[index] || {};
+			const review = PlanetReviewScorer.score(planet.sectors, {
+				diplomacy: options.diplomacy || false,
+				fuelCost: planet.fuelCost,
+				fightResourceBonus: simulation.fightResourceBonus,
+				profile: options.profile
+			});
+
+			const values = { overall: review.overall, fuelCost: planet.fuelCost || 0 };
+			for (const axis of review.axes) {
+				values[`axis.${axis.key}`] = axis.stars;
+			}
+			for (const key of MarginalValueAnalyzer.METRICS) {
+				values[key] = simulation[key] || 0;
+			}
+			return values;
+		});
+
+		const rows = this.ROWS.map(row => {
+			const values = columns.map(column => column[row.key]);
+			return { ...row, values, best: this.getBest(values, row.lowerIsBetter) };
+		});
+
+		return {
+			planets: planets.map(({ id, name, direction, fuelCost }) => ({ id, name, direction, fuelCost })),
+			rows
+		};
+	},
+
+	/**
+	 * Indexes of the best value; none when every planet ties.
+	 * @param {number[]} values
+	 * @param {boolean} [lowerIsBetter]
+	 * @returns {number[]}
+	 */
+	getBest(values, lowerIsBetter = false) {
+		const best = lowerIsBetter ? Math.min(...values) : Math.max(...values);
+		const indexes = values.reduce((acc, value, index) => {
+			if (Math.abs(value - best) < 1e-9) acc.push(index);
+			return acc;
+		}, []);
+		return indexes.length === values.length ? [] : indexes;
+	}
+};
+
+// Export
+var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
+_global.PlanetComparator = PlanetComparator;
@@ -0,0 +1,122 @@
+/**
+ * PlanetLibrary
+ *
+ * Persists every planet imported from the chat (ChatObserver) or a planet card
+ * (PlanetCardInjector), newest first, so earlier planets can be reloaded into
+ * the simulator. Importing the same planet again (same name and sectors)
+ * refreshes its entry instead of adding a second one.
+ *
+ * Each entry keeps its PlanetReviewScorer overall score with the scoring
+ * profile it was computed for, and is only rescored under another profile.
+ */
+const PlanetLibrary = (() => {
+	const STORAGE_KEY = 'expe-sim-planet-library';
+	const MAX_ENTRIES = 200;
+	const SOURCES = ['chat', 'card'];
+
+	function _normalizeEntry(e) {
+		if (!e || typeof e !== 'object' || !Array.isArray(e.sectors) || e.sectors.length === 0) return null;
+		return {
+			id:         typeof e.id === 'string' && e.id ? e.id : generateId('planet'),
+			name:       typeof e.name === 'string' && e.name ? e.name : null,
+			sectors:    e.sectors.filter(s => typeof s === 'string'),
+			direction:  typeof e.direction === 'string' ? e.direction : 'North',
+			fuelCost:   typeof e.fuelCost === 'number' ? e.fuelCost : 0,
+			importedAt: typeof e.importedAt === 'number' ? e.importedAt : Date.now(),
+			source:     SOURCES.includes(e.source) ? e.source : 'chat',
+			score:      typeof e.score?.overall === 'number' && typeof e.score?.profile === 'string'
+				? { profile: e.score.profile, overall: e.score.overall }
+				: null
+		};
+	}
+
+	/**
+	 * Same planet: same name and the same sectors in any order.
+	 */
+	function _key(entry) {
+		return `${entry.name || ''}|${[...entry.sectors].sort().join(',')}`;
+	}
+
+	function load() {
+		try {
+			const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+			return Array.isArray(raw?.planets) ? raw.planets.map(_normalizeEntry).filter(Boolean) : [];
+		} catch (_) {
+			return [];
+		}
+	}
+
+	function _save(planets) {
+		try {
+			localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, planets: planets.slice(0, MAX_ENTRIES) }));
+		} catch (_) {}
+	}
+
+	/**
+	 * Adds an imported planet, or refreshes and moves up its earlier entry.
+	 * @param {Object} planet - { name, sectors, direction, fuelCost, source }
+	 * @returns {Object|null} The stored entry; null for a planet without sectors
+	 */
+	function add(planet) {
+		const entry = _normalizeEntry({ ...planet, id: null, importedAt: Date.now(), score: null });
+		if (!entry) return null;
+
+		const planets = load();
+		const previous = planets.find(p => _key(p) === _key(entry));
+		if (previous) entry.id = previous.id;
+
+		_save([entry, ...planets.filter(p => p !== previous)]);
+		return entry;
+	}
+
+	function remove(id) {
+		_save(load().filter(p => p.id !== id));
+	}
+
+	function get(id) {
+		return load().find(p => p.id === id) || null;
+	}
+
+	/**
+	 * Planets whose name or one of whose sectors contains the query (case-insensitive).
+	 * @param {string} query
+	 * @returns {Array<Object>}
+	 */
+	function search(query) {
+		const q = (query || '').trim().toLowerCase();
+		if (!q) return load();
+		return load().filter(p =>
+			(p.name || '').toLowerCase().includes(q) ||
+			p.sectors.some(s => s.toLowerCase().replace(/_/g, ' ').includes(q))
+		);
+	}
+
+	/**
+	 * The planets with their score under a scoring profile: the stored one when
+	 * it was computed for that profile, else a new one, saved with the entry.
+	 * @param {Array<Object>} planets - Entries from load() / search()
+	 * @param {Object} [profile] - Scoring profile (PlanetReviewScorer.resolveProfile)
+	 * @returns {Array<Object>} Entries with score: { profile, overall }
+	 */
+	function withScores(planets, profile) {
+		const profileKey = JSON.stringify(PlanetReviewScorer.resolveProfile(profile));
+		const rescored = new Map();
+		const scored = planets.map(p => {
+			if (p.score?.profile === profileKey) return p;
+			const overall = PlanetReviewScorer.score(p.sectors, { fuelCost: p.fuelCost, profile, starsOnly: true }).overall;
+			const entry = { ...p, score: { profile: profileKey, overall } };
+			rescored.set(p.id, entry.score);
+			return entry;
+		});
+
+		if (rescored.size > 0) {
+			_save(load().map(p => (rescored.has(p.id) ? { ...p, score: rescored.get(p.id) } : p)));
+		}
+		return scored;
+	}
+
+	return { load, add, remove, get, search, withScores, MAX_ENTRIES };
+})();
+
+var _global = typeof window !== 'undefined' ? window : self;
+_global.PlanetLibrary = PlanetLibrary;
@@ -0,0 +1,127 @@
+/**
+ * PlanetRanking
+ *
+ * "This planet beats 87% of random planets on fuel." Ranks a planet's
+ * PlanetReviewScorer review against a batch of PlanetGenerator planets of the
+ * same size, scored the same way: same fuel cost, Diplomacy, fight rewards and
+ * profile. UNKNOWN sectors count in the size, and the planet is ranked on its
+ * expected review over their possible contents (ScanUncertainty).
+ *
+ * Batches are seeded (the same planets every session, so percentiles are
+ * stable) and cached per size. Their sector scores (PlanetReviewScorer.prepare)
+ * are cached per size and Diplomacy; fuel cost, fight rewards and profile
+ * change on every calculation and are applied on top, stars only.
+ *
+ * @module services/PlanetRanking
+ */
+const PlanetRanking = {
+
+	BATCH_SIZE: 400,
+	SEED: 8117,
+
+	/** Axes where a lower score is the better planet */
+	LOWER_IS_BETTER: ['lethality', 'hazards'],
+
+	_batches: new Map(),
+	_prepared: new Map(),
+
+	/**
+	 * Generated planets of one size (cached).
+	 * @param {number} size
+	 * @returns {Array<string[]>}
+	 */
+	getBatch(size) {
+		if (!this._batches.has(size)) {
+			const rng = MonteCarloSimulator.createRng(this.SEED + size);
+			const batch = [];
+			for (let i = 0; i < this.BATCH_SIZE; i++) {
+				batch.push(PlanetGenerator.generate(size, rng));
+			}
+			this._batches.set(size, batch);
+		}
+		return this._batches.get(size);
+	},
+
+	/**
+	 * Ranks a planet against the generated planets of its size.
+	 *
+	 * @param {string[]} sectors
+	 * @param {Object} [options] - PlanetReviewScorer.score() options (diplomacy, fuelCost,
+	 *                             fightResourceBonus, profile; explain is ignored), plus:
+	 * @param {Object} [options.review] - Review of the planet, when already computed
+	 *                                    (ScanUncertainty.applyToReview() output)
+	 * @returns {{ size: number, overall: number, axes: Object<string, number> }|null}
+	 *          Share of the batch each score beats, in [0, 1] (for LOWER_IS_BETTER
+	 *          axes: share of planets more dangerous). null outside the generated sizes.
+	 */
+	rank(sectors, options = {}) {
+		const size = PlanetGenerator.getSize(sectors);
+		if (size < PlanetGenerator.MIN_SIZE || size > PlanetGenerator.MAX_SIZE) return null;
+
+		const { review: knownReview, ...scoreOptions } = options;
+		const review = knownReview || ScanUncertainty.applyToReview(
+			PlanetReviewScorer.score(sectors, { ...scoreOptions, explain: false }),
+			ScanUncertainty.review(sectors, scoreOptions)
+		);
+		const batchScores = this._getBatchScores(size, scoreOptions);
+
+		const axes = {};
+		for (const axis of review.axes) {
+			axes[axis.key] = this.getShareBeaten(axis.stars, batchScores.axes[axis.key], this.LOWER_IS_BETTER.includes(axis.key));
+		}
+
+		return {
+			size,
+			overall: this.getShareBeaten(review.overall, batchScores.overall),
+			axes
+		};
+	},
+
+	/**
+	 * Share of `values` strictly worse than `value`.
+	 * @param {number} value
+	 * @param {number[]} values
+	 * @param {boolean} [lowerIsBetter]
+	 * @returns {number}
+	 */
+	getShareBeaten(value, values, lowerIsBetter = false) {
+		if (!values || values.length === 0) return 0;
+		const beaten = values.filter(v => lowerIsBetter ? v > value : v < value).length;
+		return beaten / values.length;
+	},
+
+	/**
+	 * @private
+	 * @returns {{ overall: number[], axes: Object<string, number[]> }}
+	 */
+	_getBatchScores(size, scoreOptions) {
+		const batch = this.getBatch(size);
+		const prepared = this._getPrepared(size, scoreOptions.diplomacy || false);
+		const scores = { overall: [], axes: {} };
+		batch.forEach((planet, i) => {
+			const review = PlanetReviewScorer.score(planet, { ...scoreOptions, prepared: prepared[i], starsOnly: true });
+			scores.overall.push(review.overall);
+			for (const axis of review.axes) {
+				(scores.axes[axis.key] = scores.axes[axis.key] || []).push(axis.stars);
+			}
+		});
+		return scores;
+	},
+
+	/**
+	 * PlanetReviewScorer.prepare() output of each batch planet (cached).
+	 * @private
+	 * @returns {Object[]}
+	 */
+	_getPrepared(size, diplomacy) {
+		const key = `${size}|${diplomacy}`;
+		if (!this._prepared.has(key)) {
+			this._prepared.set(key, this.getBatch(size).map(planet => PlanetReviewScorer.prepare(planet, { diplomacy })));
+		}
+		return this._prepared.get(key);
+	}
+};
+
+// Export
+var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
+_global.PlanetRanking = PlanetRanking;
@@ -0,0 +1,181 @@
+/**
+ * ScanUncertainty
+ *
+ * "How good is this planet once the ??? are scanned?" Fills the UNKNOWN
+ * sectors with UnknownSectorSampler completions and reports, for the review
+ * and for the expedition, the expected value over the completions with a
+ * confidence band (BAND quantiles) instead of counting the unknowns as empty.
+ *
+ * Completions are seeded, so the same planet always gets the same bands.
+ * review() scores on the main thread (PlanetReviewScorer needs I18n) and is
+ * cached per sectors and scoring options, for the last MAX_CACHED_REVIEWS;
+ * simulate() runs the expedition and belongs in the calculation worker
+ * ('scan' message), summarize() turns its output into bands anywhere.
+ *
+ * @module services/ScanUncertainty
+ */
+const ScanUncertainty = {
+
+	REVIEW_SAMPLES: 60,
+	// Enough completions for real BAND quantiles (4 on each side), paid for with fewer iterations each
+	SIMULATION_SAMPLES: 40,
+	ITERATIONS: 100,
+	SEED: 3301,
+
+	MAX_CACHED_REVIEWS: 8,
+
+	_reviews: new Map(),
+
+	/** Quantiles of the confidence band */
+	BAND: [0.1, 0.9],
+
+	/**
+	 * Expected value and band of a sample.
+	 * @param {number[]} values
+	 * @returns {{ mean: number, low: number, high: number }}
+	 */
+	getBand(values) {
+		if (!values || values.length === 0) return { mean: 0, low: 0, high: 0 };
+		const sorted = [...values].sort((a, b) => a - b);
+		const quantile = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+		return {
+			mean: values.reduce((sum, v) => sum + v, 0) / values.length,
+			low: quantile(this.BAND[0]),
+			high: quantile(this.BAND[1])
+		};
+	},
+
+	/**
+	 * Scores the completions of a partially scanned planet (cached).
+	 *
+	 * @param {string[]} sectors
+	 * @param {Object} [options] - PlanetReviewScorer.score() options (explain is ignored)
+	 * @returns {{ unknownCount: number, samples: number,
+	 *           overall: { mean: number, low: number, high: number },
+	 *           axes: Object<string, { mean: number, low: number, high: number }> }|null}
+	 *          null when nothing is unknown
+	 */
+	review(sectors, options = {}) {
+		const key = JSON.stringify({
+			sectors,
+			...options,
+			explain: false,
+			profile: PlanetReviewScorer.resolveProfile(options.profile)
+		});
+		if (!this._reviews.has(key)) {
+			this._reviews.set(key, this._scoreCompletions(sectors, options));
+			// Fuel cost and fight rewards change often: keep the latest reviews only
+			if (this._reviews.size > this.MAX_CACHED_REVIEWS) {
+				this._reviews.delete(this._reviews.keys().next().value);
+			}
+		}
+		return this._reviews.get(key);
+	},
+
+	/**
+	 * @private
+	 */
+	_scoreCompletions(sectors, options) {
+		const completions = UnknownSectorSampler.sampleCompletions(
+			sectors, this.REVIEW_SAMPLES, MonteCarloSimulator.createRng(this.SEED)
+		);
+		if (completions.length === 0) return null;
+
+		const overall = [];
+		const axes = {};
+		for (const completion of completions) {
+			const review = PlanetReviewScorer.score(completion, { ...options, explain: false, starsOnly: true });
+			overall.push(review.overall);
+			for (const axis of review.axes) {
+				(axes[axis.key] = axes[axis.key] || []).push(axis.stars);
+			}
+		}
+
+		const axisBands = {};
+		for (const [key, values] of Object.entries(axes)) {
+			axisBands[key] = this.getBand(values);
+		}
+
+		return {
+			unknownCount: UnknownSectorSampler.countUnknown(sectors),
+			samples: completions.length,
+			overall: this.getBand(overall),
+			axes: axisBands
+		};
+	},
+
+	/**
+	 * The review with its stars replaced by their expected value over the
+	 * completions (rounded to half a star, like PlanetReviewScorer), each
+	 * carrying its band. The explanation and the badges stay those of the
+	 * scanned sectors.
+	 *
+	 * @param {Object} reviewData - PlanetReviewScorer.score() output
+	 * @param {Object|null} uncertainty - review() output
+	 * @returns {Object} reviewData itself when there is no uncertainty
+	 */
+	applyToReview(reviewData, uncertainty) {
+		if (!reviewData || !uncertainty) return reviewData;
+		const toHalfStars = (value) => Math.round(value * 2) / 2;
+		return {
+			...reviewData,
+			overall: toHalfStars(uncertainty.overall.mean),
+			overallBand: uncertainty.overall,
+			axes: reviewData.axes.map(axis => {
+				const band = uncertainty.axes[axis.key];
+				return band ? { ...axis, stars: toHalfStars(band.mean), band } : axis;
+			}),
+			uncertainty
+		};
+	},
+
+	/**
+	 * Runs the expedition on completions of the planet.
+	 *
+	 * @param {Object} params - ExpeditionRunner.run() params (sectors, allPlayers, antigravActive,
+	 *                          mode, exploredCount, diplomacy), plus:
+	 * @param {number} [params.iterations] - Monte Carlo iterations per completion
+	 * @returns {Array<Object>} One MarginalValueAnalyzer.getMetrics() object per completion;
+	 *          empty when nothing is unknown or nobody explores
+	 */
+	simulate({ iterations = this.ITERATIONS, ...runParams }) {
+		if (!runParams.allPlayers || runParams.allPlayers.length === 0) return [];
+
+		const completions = UnknownSectorSampler.sampleCompletions(
+			runParams.sectors, this.SIMULATION_SAMPLES, MonteCarloSimulator.createRng(this.SEED)
+		);
+		return completions.map(sectors => MarginalValueAnalyzer.getMetrics(ExpeditionRunner.run({
+			...runParams, sectors, engine: 'sequential', iterations, seed: this.SEED
+		})));
+	},
+
+	/**
+	 * @param {Array<Object>} simulations - From simulate()
+	 * @param {number} unknownCount - UNKNOWN sectors on the planet
+	 * @returns {{ unknownCount: number, samples: number,
+	 *           metrics: Object<string, { mean: number, low: number, high: number }> }|null}
+	 *          null without simulations
+	 */
+	summarize(simulations, unknownCount) {
+		if (!simulations || simulations.length === 0) return null;
+
+		const metrics = {};
+		for (const key of MarginalValueAnalyzer.METRICS) {
+			metrics[key] = this.getBand(simulations.map(simulation => simulation[key] || 0));
+		}
+		return { unknownCount, samples: simulations.length, metrics };
+	},
+
+	/**
+	 * simulate() then summarize() on the main thread (fallback when no worker is available).
+	 * @param {Object} params - See simulate()
+	 * @returns {Object|null} See summarize()
+	 */
+	expedition(params) {
+		return this.summarize(this.simulate(params), UnknownSectorSampler.countUnknown(params.sectors));
+	}
+};
+
+// Export
+var _global = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : {};
+_global.ScanUncertainty = ScanUncertainty;
@@ -7,6 +7,15 @@
  */
 const EventClassifier = {
 
+	/**
+	 * Categories that hurt the expedition (damage, deaths, losses).
+	 * AGAIN and BACK are not included: they only waste or end movement.
+	 */
+	NEGATIVE_CATEGORIES: [
+		'fight', 'tired', 'accident', 'disaster', 'killAll', 'killOne',
+		'disease', 'playerLost', 'itemLost', 'mushTrap'
+	],
+
 	/**
 	 * Classifies an event name into a category and CSS class.
 	 * @param {string} eventName - The event identifier (e.g. 'FIGHT_12', 'ACCIDENT_3_5')
@@ -90,6 +99,15 @@ const EventClassifier = {
 	 */
 	getCategory(eventName) {
 		return this.classify(eventName).category;
+	},
+
+	/**
+	 * Whether an event falls in one of NEGATIVE_CATEGORIES.
+	 * @param {string} eventName
+	 * @returns {boolean}
+	 */
+	isNegative(eventName) {
+		return this.NEGATIVE_CATEGORIES.includes(this.getCategory(eventName));
 	}
 };
 
@@ -31,6 +31,20 @@ const Format = {
 		if (pct === 0) return '(0%)';
 		if (pct < 0.1) return '(<0.1%)';
 		return `(${pct.toFixed(1)}%)`;
+	},
+
+	/**
+	 * Formats a signed difference with one decimal ('+1.5', '-0.3').
+	 * Differences that round to zero show as '0'.
+	 *
+	 * @param {number} value
+	 * @param {string} [unit] - Appended after the number (e.g. '%')
+	 * @returns {string}
+	 */
+	delta(value, unit = '') {
+		const rounded = Math.round(value * 10) / 10;
+		if (rounded === 0) return '0';
+		return `${rounded > 0 ? '+' : ''}${rounded.toFixed(1)}${unit}`;
 	}
 
 };
@@ -2,7 +2,10 @@
  * Calculation Web Worker
  * 
  * Runs the expedition calculation pipeline off the main thread.
- * Dependencies are loaded on first 'calculate' message via importScripts().
+ * Messages: 'calculate' (ExpeditionRunner.run), 'optimize' (LoadoutOptimizer.optimize),
+ * 'recommend' (CrewRecommender.recommend), 'marginal' (MarginalValueAnalyzer.analyze),
+ * 'compare' (PlanetComparator.simulate) and 'scan' (ScanUncertainty.simulate).
+ * Dependencies are loaded via importScripts() on the first message, whatever its type.
  * The main thread passes the extension base URL so we can build absolute paths.
  */
 let _initialized = false;
@@ -22,8 +25,15 @@ function _loadDependencies(baseURL) {
 			baseURL + 'expeditionSimulator/js/domain/FightingPowerService.js',
 			baseURL + 'expeditionSimulator/js/domain/CombatRewardService.js',
 			baseURL + 'expeditionSimulator/js/domain/OxygenService.js',
+			baseURL + 'expeditionSimulator/js/domain/RescueService.js',
+			baseURL + 'expeditionSimulator/js/domain/GearLossService.js',
+			baseURL + 'expeditionSimulator/js/domain/MovementService.js',
+			baseURL + 'expeditionSimulator/js/domain/ExpeditionModeService.js',
 			baseURL + 'expeditionSimulator/js/domain/LoadoutBuilder.js',
 			baseURL + 'expeditionSimulator/js/domain/DamageSpreader.js',
+			baseURL + 'expeditionSimulator/js/domain/SporeService.js',
+			baseURL + 'expeditionSimulator/js/domain/PlanetGenerator.js',
+			baseURL + 'expeditionSimulator/js/domain/UnknownSectorSampler.js',
 			baseURL + 'expeditionSimulator/js/probability/DistributionCalculator.js',
 			baseURL + 'expeditionSimulator/js/probability/EventModifier.js',
 			baseURL + 'expeditionSimulator/js/probability/ModifierApplicator.js',
@@ -39,7 +49,13 @@ function _loadDependencies(baseURL) {
 			baseURL + 'expeditionSimulator/js/probability/FightCalculator.js',
 			baseURL + 'expeditionSimulator/js/probability/CombatRewardCalculator.js',
 			baseURL + 'expeditionSimulator/js/probability/EventDamageCalculator.js',
-			baseURL + 'expeditionSimulator/js/services/ExpeditionRunner.js'
+			baseURL + 'expeditionSimulator/js/probability/MonteCarloSimulator.js',
+			baseURL + 'expeditionSimulator/js/services/ExpeditionRunner.js',
+			baseURL + 'expeditionSimulator/js/services/LoadoutOptimizer.js',
+			baseURL + 'expeditionSimulator/js/services/CrewRecommender.js',
+			baseURL + 'expeditionSimulator/js/services/MarginalValueAnalyzer.js',
+			baseURL + 'expeditionSimulator/js/services/PlanetComparator.js',
+			baseURL + 'expeditionSimulator/js/services/ScanUncertainty.js'
 		);
 		_initialized = true;
 	} catch (error) {
@@ -60,6 +76,46 @@ self.onmessage = function(event) {
 		} catch (error) {
 			self.postMessage({ type: 'error', requestId, error: error.message });
 		}
+	} else if (type === 'optimize') {
+		try {
+			_loadDependencies(baseURL);
+			const loadouts = LoadoutOptimizer.optimize(params);
+			self.postMessage({ type: 'optimizeResult', requestId, loadouts });
+		} catch (error) {
+			self.postMessage({ type: 'optimizeError', requestId, error: error.message });
+		}
+	} else if (type === 'recommend') {
+		try {
+			_loadDependencies(baseURL);
+			const teams = CrewRecommender.recommend(params);
+			self.postMessage({ type: 'recommendResult', requestId, teams });
+		} catch (error) {
+			self.postMessage({ type: 'recommendError', requestId, error: error.message });
+		}
+	} else if (type === 'marginal') {
+		try {
+			_loadDependencies(baseURL);
+			const report = MarginalValueAnalyzer.analyze(params);
+			self.postMessage({ type: 'marginalResult', requestId, report });
+		} catch (error) {
+			self.postMessage({ type: 'marginalError', requestId, error: error.message });
+		}
+	} else if (type === 'compare') {
+		try {
+			_loadDependencies(baseURL);
+			const simulations = PlanetComparator.simulate(params);
+			self.postMessage({ type: 'compareResult', requestId, simulations });
+		} catch (error) {
+			self.postMessage({ type: 'compareError', requestId, error: error.message });
+		}
+	} else if (type === 'scan') {
+		try {
+			_loadDependencies(baseURL);
+			const simulations = ScanUncertainty.simulate(params);
+			self.postMessage({ type: 'scanResult', requestId, simulations });
+		} catch (error) {
+			self.postMessage({ type: 'scanError', requestId, error: error.message });
+		}
 	}
 };
 
@@ -1,7 +1,8 @@
 /**
  * Settings application settings singleton.
  *
- * Manages persisted user preferences: theme and developer tools toggle.
+ * Manages persisted user preferences: theme, developer tools toggle and the
+ * planet scoring profiles (weights read by PlanetReviewScorer).
  *
  * Events dispatched on document:
  *   'settings:theme-change': { detail: { theme } }
@@ -9,6 +10,7 @@
  *   'settings:panel-visibility-change': { detail: { panelId, visible } }
  *   'settings:panel-order-change': { detail: { order } }
  *   'settings:navmode-change': { detail: { navmode } }
+ *   'settings:scoring-profiles-change': { detail: { profiles, activeId } }
  */
 const Settings = (() => {
 	const THEMES = ['retro', 'default'];
@@ -19,9 +21,37 @@ const Settings = (() => {
 		DEVTOOLS: 'expe-sim-devtools',
 		PANEL_VISIBILITY: 'expe-sim-panel-visibility',
 		PANEL_ORDER: 'expe-sim-panel-order',
-		NAVMODE: 'expe-sim-navmode'
+		NAVMODE: 'expe-sim-navmode',
+		SCORING_PROFILES: 'expe-sim-scoring-profiles',
+		SCORING_PROFILE: 'expe-sim-scoring-profile'
 	};
 
+	// Built-in scoring profiles. 'balanced' is the historical scoring and can
+	// be edited but not deleted, so there is always a profile to fall back to.
+	const DEFAULT_SCORING_PROFILE_ID = 'balanced';
+	const DEFAULT_SCORING_PROFILES = [
+		{
+			id: 'balanced', nameKey: 'scoring.profile.balanced',
+			weights: { fruits: 1, steaks: 1, fuel: 1, artifacts: 1 },
+			penalties: { lethality: true, hazards: true }
+		},
+		{
+			id: 'fuel', nameKey: 'scoring.profile.fuel',
+			weights: { fruits: 0, steaks: 0, fuel: 1, artifacts: 0 },
+			penalties: { lethality: true, hazards: true }
+		},
+		{
+			id: 'food', nameKey: 'scoring.profile.food',
+			weights: { fruits: 1, steaks: 1, fuel: 0, artifacts: 0 },
+			penalties: { lethality: true, hazards: true }
+		},
+		{
+			id: 'artefacts', nameKey: 'scoring.profile.artefacts',
+			weights: { fruits: 0, steaks: 0, fuel: 0, artifacts: 1 },
+			penalties: { lethality: true, hazards: true }
+		}
+	];
+
 	const _isFirefox = /Firefox\//.test(navigator.userAgent);
 
 	let _theme = _isFirefox ? 'default' : 'retro';
@@ -29,6 +59,8 @@ const Settings = (() => {
 	let _panelVisibility = {};
 	let _panelOrder = [...DEFAULT_PANEL_ORDER];
 	let _navmode = 'hover';
+	let _scoringProfiles = _cloneProfiles(DEFAULT_SCORING_PROFILES);
+	let _activeScoringProfileId = DEFAULT_SCORING_PROFILE_ID;
 
 	function _sanitizePanelOrder(order) {
 		const valid = order.filter(id => DEFAULT_PANEL_ORDER.includes(id));
@@ -36,6 +68,37 @@ const Settings = (() => {
 		return [...valid, ...missing];
 	}
 
+	function _cloneProfiles(profiles) {
+		return JSON.parse(JSON.stringify(profiles));
+	}
+
+	/**
+	 * Keeps profiles that have an id (weights are validated by the scorer)
+	 * and makes sure the default profile is present.
+	 */
+	function _sanitizeScoringProfiles(profiles) {
+		const seen = new Set();
+		const valid = profiles.filter(p => {
+			if (!p || typeof p !== 'object' || typeof p.id !== 'string' || seen.has(p.id)) return false;
+			seen.add(p.id);
+			return true;
+		});
+		if (!seen.has(DEFAULT_SCORING_PROFILE_ID)) {
+			valid.unshift(_cloneProfiles(DEFAULT_SCORING_PROFILES[0]));
+		}
+		return valid;
+	}
+
+	function _saveScoringProfiles() {
+		try {
+			localStorage.setItem(STORAGE.SCORING_PROFILES, JSON.stringify(_scoringProfiles));
+			localStorage.setItem(STORAGE.SCORING_PROFILE, _activeScoringProfileId);
+		} catch (_) {}
+		document.dispatchEvent(new CustomEvent('settings:scoring-profiles-change', {
+			detail: { profiles: _cloneProfiles(_scoringProfiles), activeId: _activeScoringProfileId }
+		}));
+	}
+
 	// Restore persisted values
 	try {
 		const t = localStorage.getItem(STORAGE.THEME);
@@ -48,6 +111,10 @@ const Settings = (() => {
 		if (Array.isArray(panelOrder) && panelOrder.length) _panelOrder = _sanitizePanelOrder(panelOrder);
 		const n = localStorage.getItem(STORAGE.NAVMODE);
 		if (n && NAVMODES.includes(n)) _navmode = n;
+		const scoringProfiles = JSON.parse(localStorage.getItem(STORAGE.SCORING_PROFILES) || 'null');
+		if (Array.isArray(scoringProfiles)) _scoringProfiles = _sanitizeScoringProfiles(scoringProfiles);
+		const activeProfile = localStorage.getItem(STORAGE.SCORING_PROFILE);
+		if (activeProfile && _scoringProfiles.some(p => p.id === activeProfile)) _activeScoringProfileId = activeProfile;
 	} catch (_) { /* storage unavailable in some contexts */ }
 
 	function _applyTheme(theme) {
@@ -70,6 +137,14 @@ const Settings = (() => {
 		get themes() { return [...THEMES]; },
 		get isFirefox() { return _isFirefox; },
 		get panelOrder() { return [..._panelOrder]; },
+		get scoringProfiles() { return _cloneProfiles(_scoringProfiles); },
+		get activeScoringProfileId() { return _activeScoringProfileId; },
+		get defaultScoringProfileId() { return DEFAULT_SCORING_PROFILE_ID; },
+
+		/** The profile PlanetReviewScorer scores with (a copy). */
+		get activeScoringProfile() {
+			return _cloneProfiles(_scoringProfiles.find(p => p.id === _activeScoringProfileId));
+		},
 
 		isPanelVisible(panelId) {
 			// The Settings panel can never be hidden, otherwise there'd be no
@@ -129,6 +204,43 @@ const Settings = (() => {
 			try { localStorage.setItem(STORAGE.NAVMODE, navmode); } catch (_) {}
 			_applyNavmode(navmode);
 			document.dispatchEvent(new CustomEvent('settings:navmode-change', { detail: { navmode } }));
+		},
+
+		/**
+		 * Selects the scoring profile, persists, and dispatches 'settings:scoring-profiles-change'.
+		 * @param {string} id - id of a saved profile
+		 */
+		setActiveScoringProfile(id) {
+			if (!_scoringProfiles.some(p => p.id === id)) return;
+			_activeScoringProfileId = id;
+			_saveScoringProfiles();
+		},
+
+		/**
+		 * Adds a scoring profile or replaces the one with the same id, persists,
+		 * and dispatches 'settings:scoring-profiles-change'.
+		 * @param {{ id: string, name?: string, weights?: Object, penalties?: Object }} profile
+		 */
+		saveScoringProfile(profile) {
+			if (!profile || typeof profile.id !== 'string') return;
+			const copy = _cloneProfiles(profile);
+			const index = _scoringProfiles.findIndex(p => p.id === profile.id);
+			if (index >= 0) _scoringProfiles[index] = copy;
+			else _scoringProfiles.push(copy);
+			_saveScoringProfiles();
+		},
+
+		/**
+		 * Deletes a scoring profile (never the default one), persists, and
+		 * dispatches 'settings:scoring-profiles-change'. Falls back to the
+		 * default profile when the active one is deleted.
+		 * @param {string} id
+		 */
+		deleteScoringProfile(id) {
+			if (id === DEFAULT_SCORING_PROFILE_ID || !_scoringProfiles.some(p => p.id === id)) return;
+			_scoringProfiles = _scoringProfiles.filter(p => p.id !== id);
+			if (_activeScoringProfileId === id) _activeScoringProfileId = DEFAULT_SCORING_PROFILE_ID;
+			_saveScoringProfiles();
 		}
 	};
 })();
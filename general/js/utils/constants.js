@@ -12,6 +12,18 @@ const Constants = {
 	ABILITY_SLOTS: 4,
 	ITEM_SLOTS: 3,
 
+	// Expedition modes (ship used to go down):
+	//   exploredSectors: base movement before Sprint
+	//   maxCrew: seats; extra players stay in the ship
+	//   antigrav: whether the Antigrav Propeller project applies on LANDING
+	EXPEDITION_MODES: {
+		icarus: { exploredSectors: 9, maxCrew: 8, antigrav: true },
+		patrol: { exploredSectors: 3, maxCrew: 1, antigrav: false }
+	},
+
+	// Final HP strictly below this counts as badly wounded
+	WOUNDED_HEALTH_THRESHOLD: 5,
+
 	// Grid settings
 	SECTOR_GRID_COLUMNS: 5,
 	SELECTED_GRID_COLUMNS: 5,
@@ -28,7 +40,9 @@ const Constants = {
 
 	// Ability aliases: abilities that grant effects of other abilities
 	ABILITY_ALIASES: {
-		SKILLFUL: ['DIPLOMACY', 'BOTANIC']
+		SKILLFUL: ['DIPLOMACY', 'BOTANIC'],
+		// Mush skill icon is traitre.png; effects are keyed as TRAITOR
+		TRAITRE: ['TRAITOR']
 	}
 };
 
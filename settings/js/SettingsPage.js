@@ -5,12 +5,16 @@
  * - Language: three flag buttons (EN / FR / ES), radio-button behaviour
  * - Theme: drop-down list (Default / Retro)
  * - Visibility: icon buttons for optional panels
+ * - Planet scoring: scoring profiles used by the planetary review
  * - Developer tools: checkbox toggle
  */
 class SettingsPage extends Component {
 	constructor(options = {}) {
 		super(options);
 		this._langBtns = {};
+		this._scoringSelect = null;
+		this._scoringEditor = null;
+		this._scoringEditorId = null;
 	}
 
 	render() {
@@ -20,6 +24,7 @@ class SettingsPage extends Component {
 		this.element.appendChild(this._renderSection('settings.section.theme', this._renderThemeControls()));
 		this.element.appendChild(this._renderSection('settings.section.visibility', this._renderVisibilityControls()));
 		this.element.appendChild(this._renderNavmodeSection());
+		this.element.appendChild(this._renderSection('settings.section.scoring', this._renderScoringControls()));
 		this.element.appendChild(this._renderSection('settings.section.devtools', this._renderDevtoolsControls(), 'settings-section--devtools'));
 
 		this.element.appendChild(this._renderInfoTabs());
@@ -112,6 +117,134 @@ class SettingsPage extends Component {
 		return select;
 	}
 
+	// Planet scoring profiles
+
+	_renderScoringControls() {
+		const wrapper = this.createElement('div', { className: 'settings-scoring' });
+
+		const row = this.createElement('div', { className: 'settings-scoring-row' });
+		this._scoringSelect = this.createElement('select', { className: 'settings-theme-select' });
+		this.addEventListener(this._scoringSelect, 'change', () => Settings.setActiveScoringProfile(this._scoringSelect.value));
+		row.appendChild(this._scoringSelect);
+
+		const addBtn = this.createElement('button', {
+			className: 'settings-scoring-btn',
+			'data-i18n': 'settings.scoring.add'
+		}, I18n.t('settings.scoring.add'));
+		this.addEventListener(addBtn, 'click', () => this._addScoringProfile());
+		row.appendChild(addBtn);
+
+		this._scoringDeleteBtn = this.createElement('button', {
+			className: 'settings-scoring-btn',
+			'data-i18n': 'settings.scoring.delete'
+		}, I18n.t('settings.scoring.delete'));
+		this.addEventListener(this._scoringDeleteBtn, 'click', () => Settings.deleteScoringProfile(Settings.activeScoringProfileId));
+		row.appendChild(this._scoringDeleteBtn);
+
+		wrapper.appendChild(row);
+
+		this._scoringEditor = this.createElement('div', { className: 'settings-scoring-editor' });
+		wrapper.appendChild(this._scoringEditor);
+
+		this._syncScoringControls(true);
+
+		// Keep in sync with the picker of the planetary review
+		this.addEventListener(document, 'settings:scoring-profiles-change', (e) => {
+			this._syncScoringControls(e.detail.activeId !== this._scoringEditorId);
+		});
+		this.addEventListener(document, 'i18n:change', () => this._syncScoringControls(true));
+
+		return wrapper;
+	}
+
+	/**
+	 * Refreshes the profile list. The editor is only rebuilt when asked (other
+	 * profile or locale change) so inputs keep focus while a profile is edited.
+	 * @param {boolean} rebuildEditor
+	 */
+	_syncScoringControls(rebuildEditor) {
+		const activeId = Settings.activeScoringProfileId;
+
+		this._scoringSelect.innerHTML = '';
+		Settings.scoringProfiles.forEach(profile => {
+			const opt = this.createElement('option', { value: profile.id }, PlanetReviewScorer.getProfileLabel(profile));
+			if (profile.id === activeId) opt.selected = true;
+			this._scoringSelect.appendChild(opt);
+		});
+		this._scoringDeleteBtn.disabled = activeId === Settings.defaultScoringProfileId;
+
+		if (rebuildEditor) this._renderScoringEditor();
+	}
+
+	_renderScoringEditor() {
+		const stored = Settings.activeScoringProfile;
+		const profile = { ...stored, ...PlanetReviewScorer.resolveProfile(stored) };
+		this._scoringEditorId = profile.id;
+		this._scoringEditor.innerHTML = '';
+
+		const save = () => Settings.saveScoringProfile(profile);
+
+		// Name: empty falls back to the translated name of built-in profiles
+		const nameInput = this.createElement('input', {
+			type: 'text',
+			className: 'settings-scoring-name',
+			placeholder: PlanetReviewScorer.getProfileLabel({ ...profile, name: '' })
+		});
+		nameInput.value = profile.name || '';
+		this.addEventListener(nameInput, 'change', () => {
+			const name = nameInput.value.trim();
+			if (name) profile.name = name;
+			else delete profile.name;
+			save();
+		});
+		this._scoringEditor.appendChild(this._renderScoringField('settings.scoring.name', nameInput));
+
+		Object.keys(profile.weights).forEach(axisKey => {
+			const input = this.createElement('input', {
+				type: 'number',
+				min: '0',
+				max: String(PlanetReviewScorer.MAX_PROFILE_WEIGHT),
+				step: '0.5'
+			});
+			input.value = String(profile.weights[axisKey]);
+			this.addEventListener(input, 'change', () => {
+				profile.weights[axisKey] = PlanetReviewScorer.resolveProfile({ weights: { [axisKey]: input.value } }).weights[axisKey];
+				input.value = String(profile.weights[axisKey]);
+				save();
+			});
+			this._scoringEditor.appendChild(this._renderScoringField(`stars.axis.${axisKey}`, input));
+		});
+
+		Object.keys(profile.penalties).forEach(axisKey => {
+			const checkbox = this.createElement('input', { type: 'checkbox' });
+			checkbox.checked = profile.penalties[axisKey];
+			this.addEventListener(checkbox, 'change', () => {
+				profile.penalties[axisKey] = checkbox.checked;
+				save();
+			});
+			this._scoringEditor.appendChild(this._renderScoringField(`settings.scoring.penalty.${axisKey}`, checkbox));
+		});
+	}
+
+	_renderScoringField(labelKey, input) {
+		const label = this.createElement('label', { className: 'settings-scoring-field' });
+		label.appendChild(this.createElement('span', {}, I18n.t(labelKey)));
+		label.appendChild(input);
+		return label;
+	}
+
+	/** Creates a profile from the active one and selects it. */
+	_addScoringProfile() {
+		const source = Settings.activeScoringProfile;
+		const id = `custom-${Date.now().toString(36)}`;
+		Settings.saveScoringProfile({
+			...PlanetReviewScorer.resolveProfile(source),
+			id,
+			name: I18n.t('settings.scoring.copy_name', { name: PlanetReviewScorer.getProfileLabel(source) })
+		});
+		Settings.setActiveScoringProfile(id);
+	}
+
 	// Developer tools
 
 	_renderDevtoolsControls() {
@@ -336,8 +336,10 @@ describe('Cross-module integration', () => {
 		test('single-composition sampling returns the same result as direct calculate', () => {
 			// {FOREST: 3}, movementSpeed=2 → only possible composition is {FOREST: 2}
 			// with probability 1.0 → no mixing, result is returned unchanged.
-			const directResult   = ExpeditionPipeline.calculate(['FOREST', 'FOREST'], {}, []);
-			const samplingResult = ExpeditionPipeline.calculateWithSampling({ FOREST: 3 }, 2, {}, []);
+			// QUAD_COMPASS keeps AGAIN from wasting a move (which would add {FOREST: 1}).
+			const loadout        = { items: ['QUAD_COMPASS'] };
+			const directResult   = ExpeditionPipeline.calculate(['FOREST', 'FOREST'], loadout, []);
+			const samplingResult = ExpeditionPipeline.calculateWithSampling({ FOREST: 3 }, 2, loadout, []);
 
 			// Resources
 			expect(samplingResult.resources.fruits.average)
@@ -350,6 +352,18 @@ describe('Cross-module integration', () => {
 				.toBeCloseTo(directResult.negativeEvents.again.average, 8);
 		});
 
+		// AGAIN spends a move without reaching a new sector; QUAD_COMPASS removes it,
+		// which must show up as more sectors explored.
+
+		test('QUAD_COMPASS increases the expected number of sectors explored', () => {
+			const without = ExpeditionPipeline.calculateWithSampling({ FOREST: 3 }, 3, {}, []);
+			const withCompass = ExpeditionPipeline.calculateWithSampling({ FOREST: 3 }, 3, { items: ['QUAD_COMPASS'] }, []);
+
+			expect(without.sectorsExplored.planned).toBe(3);
+			expect(without.sectorsExplored.expected).toBeLessThan(3);
+			expect(withCompass.sectorsExplored).toEqual({ planned: 3, expected: 3 });
+		});
+
 		// The mixed result must equal the probability-weighted sum of each
 		// composition's individual calculate() result.
 
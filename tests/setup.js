@@ -54,8 +54,10 @@ const sourceFiles = [
   'expeditionSimulator/js/components/SelectedSectors.js',
   'expeditionSimulator/js/components/PlayerSection.js',
   'expeditionSimulator/js/components/ProbabilityDisplay.js',
+  'expeditionSimulator/js/components/MissionGoals.js',
   'expeditionSimulator/js/components/ResultsDisplay.js',
   'expeditionSimulator/js/components/ExampleWorlds.js',
+  'expeditionSimulator/js/components/EngineSelector.js',
   'expeditionSimulator/js/components/StarRating.js',
   'expeditionSimulator/js/components/PlanetaryReview.js',
   'expeditionSimulator/js/components/ResultsRenderer.js',
@@ -65,9 +67,25 @@ const sourceFiles = [
   'expeditionSimulator/js/domain/LoadoutBuilder.js',
   'expeditionSimulator/js/domain/DamageSpreader.js',
   'expeditionSimulator/js/domain/OxygenService.js',
+  'expeditionSimulator/js/domain/RescueService.js',
+  'expeditionSimulator/js/domain/GearLossService.js',
+  'expeditionSimulator/js/domain/MovementService.js',
+  'expeditionSimulator/js/domain/ExpeditionModeService.js',
+  'expeditionSimulator/js/domain/FuelEconomics.js',
+  'expeditionSimulator/js/domain/OxygenBudget.js',
+  'expeditionSimulator/js/domain/SporeService.js',
+  'expeditionSimulator/js/domain/PlanetGenerator.js',
+  'expeditionSimulator/js/domain/UnknownSectorSampler.js',
   'expeditionSimulator/js/domain/PlanetSummary.js',
   'expeditionSimulator/js/domain/ChatParser.js',
   'expeditionSimulator/js/services/ExpeditionRunner.js',
+  'expeditionSimulator/js/services/LoadoutOptimizer.js',
+  'expeditionSimulator/js/services/CrewRecommender.js',
+  'expeditionSimulator/js/services/MarginalValueAnalyzer.js',
+  'expeditionSimulator/js/services/PlanetLibrary.js',
+  'expeditionSimulator/js/services/PlanetComparator.js',
+  'expeditionSimulator/js/services/PlanetRanking.js',
+  'expeditionSimulator/js/services/ScanUncertainty.js',
   'expeditionSimulator/js/probability/DistributionCalculator.js',
   'expeditionSimulator/js/probability/EventModifier.js',
   'expeditionSimulator/js/probability/ModifierApplicator.js',
@@ -84,6 +102,8 @@ const sourceFiles = [
   'expeditionSimulator/js/probability/FightCalculator.js',
   'expeditionSimulator/js/probability/CombatRewardCalculator.js',
   'expeditionSimulator/js/probability/EventDamageCalculator.js',
+  'expeditionSimulator/js/probability/MonteCarloSimulator.js',
+  'expeditionSimulator/js/probability/GoalEvaluator.js',
   'expeditionSimulator/js/io/Clipboard.js',
   'expeditionSimulator/js/io/ChatObserver.js',
   'crewManager/js/CrewCharacterState.js',
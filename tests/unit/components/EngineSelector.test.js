@@ -0,0 +1,35 @@
+/**
+ * EngineSelector Tests
+ *
+ * One debug button per calculation engine, the active one highlighted.
+ */
+
+describe('EngineSelector', () => {
+
+	const click = (element) => element.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+	const button = (selector, engine) => selector.element.querySelector(`[data-engine="${engine}"]`);
+
+	test('offers every engine of ExpeditionRunner and highlights the active one', () => {
+		const selector = new EngineSelector({ engine: 'montecarlo' });
+		selector.render();
+
+		const engines = [...selector.element.querySelectorAll('.debug-btn')].map(btn => btn.dataset.engine);
+		expect(engines).toEqual(ExpeditionRunner.ENGINES);
+		expect(button(selector, 'montecarlo').classList.contains('debug-btn--active')).toBe(true);
+		expect(button(selector, 'convolution').classList.contains('debug-btn--active')).toBe(false);
+	});
+
+	test('reports the clicked engine and follows setEngine', () => {
+		const onEngineSelect = jest.fn();
+		const selector = new EngineSelector({ onEngineSelect });
+		selector.render();
+
+		click(button(selector, 'sequential'));
+		expect(onEngineSelect).toHaveBeenCalledWith('sequential');
+
+		selector.setEngine('sequential');
+		expect(button(selector, 'sequential').classList.contains('debug-btn--active')).toBe(true);
+		expect(button(selector, 'convolution').classList.contains('debug-btn--active')).toBe(false);
+	});
+
+});
@@ -75,4 +75,71 @@ describe('PlanetaryReview', () => {
 			expect(result).toBe('chrome-extension://abc/pictures/planets/planet_unknown.png');
 		});
 	});
+
+	describe('scoring profile picker', () => {
+
+		const PROFILES = [
+			{ id: 'balanced', nameKey: 'scoring.profile.balanced' },
+			{ id: 'custom-1', name: 'Jet' }
+		];
+
+		test('lists the profiles and reports the picked one', () => {
+			const onProfileChange = jest.fn();
+			const review = new PlanetaryReview({ getResourceURL: url, onProfileChange });
+			review.render();
+			review.setScoringProfiles(PROFILES, 'custom-1');
+
+			const select = review.element.querySelector('.planetary-review__profile-select');
+			expect([...select.options].map(o => o.textContent)).toEqual([I18n.t('scoring.profile.balanced'), 'Jet']);
+			expect(select.value).toBe('custom-1');
+
+			select.value = 'balanced';
+			select.dispatchEvent(new Event('change'));
+			expect(onProfileChange).toHaveBeenCalledWith('balanced');
+		});
+	});
+
+	describe('updatePercentiles', () => {
+
+		test('shows the overall rank and one chip per axis, safety axes as "safer than"', () => {
+			const review = new PlanetaryReview({ getResourceURL: url });
+			review.render();
+			review.updatePercentiles({ size: 6, overall: 0.87, axes: { fuel: 0.9, lethality: 0.1 } });
+
+			const element = review.element.querySelector('.planet-percentile');
+			expect(element.querySelector('p').textContent).toBe(I18n.t('percentile.overall', { pct: '87%', size: 6 }));
+			const chips = [...element.querySelectorAll('.planet-percentile__axis')];
+			expect(chips.map(chip => chip.textContent)).toEqual([
+				I18n.t('percentile.axis', { pct: '90%', axis: I18n.t('stars.axis.fuel') }),
+				I18n.t('percentile.axis_safer', { pct: '10%', axis: I18n.t('stars.axis.lethality') })
+			]);
+			expect(chips[0].classList.contains('positive')).toBe(true);
+			expect(chips[1].classList.contains('warning')).toBe(true);
+
+			review.updatePercentiles(null);
+			expect(element.innerHTML).toBe('');
+		});
+	});
+
+	describe('scan swing', () => {
+
+		test('says how much the rating can move once the unknown sectors are scanned', () => {
+			const sectors = ['LANDING', 'OXYGEN', 'FOREST', 'UNKNOWN', 'UNKNOWN'];
+			const uncertainty = ScanUncertainty.review(sectors);
+			const review = new PlanetaryReview({ getResourceURL: url });
+			review.render();
+
+			review.update('Nyx', ScanUncertainty.applyToReview(PlanetReviewScorer.score(sectors), uncertainty));
+			const swing = review.element.querySelector('.planet-scan-swing');
+			expect(swing.textContent).toBe(I18n.t('planet.scan_swing', {
+				count: 2,
+				low: uncertainty.overall.low.toFixed(1),
+				high: uncertainty.overall.high.toFixed(1),
+				mean: uncertainty.overall.mean.toFixed(1)
+			}));
+
+			review.update('Nyx', PlanetReviewScorer.score(['LANDING', 'OXYGEN']));
+			expect(swing.textContent).toBe('');
+		});
+	});
 });
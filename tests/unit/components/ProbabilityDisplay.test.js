@@ -0,0 +1,84 @@
+/**
+ * ProbabilityDisplay Tests
+ *
+ * Covers the "P(at least N)" resource inputs: the probability shown must be
+ * the exact one read from the resource distribution, and typed targets must
+ * survive re-renders.
+ */
+
+describe('ProbabilityDisplay', () => {
+
+	const PLAYERS = [
+		{ avatar: 'a.png', abilities: [], items: [], health: 14 },
+		{ avatar: 'b.png', abilities: [], items: [], health: 14 }
+	];
+	let results;
+	let display;
+
+	beforeAll(() => {
+		results = ExpeditionRunner.run({
+			sectors: ['LANDING', 'OXYGEN', 'HYDROCARBON', 'HYDROCARBON'],
+			allPlayers: PLAYERS,
+			antigravActive: false
+		});
+	});
+
+	beforeEach(() => {
+		document.body.innerHTML = '';
+		display = new ProbabilityDisplay({ getResourceURL: (path) => path });
+		display.mount(document.body);
+		display.update(results);
+	});
+
+	const typeTarget = (key, value) => {
+		const input = document.querySelector(`[data-threshold="${key}"]`);
+		input.value = value;
+		input.dispatchEvent(new Event('input', { bubbles: true }));
+	};
+	const shown = (key) => document.querySelector(`[data-threshold-result="${key}"]`).textContent;
+
+	test('shows nothing until a target is typed', () => {
+		expect(shown('fuel')).toBe('');
+	});
+
+	test('shows P(fuel >= target) from the distribution', () => {
+		typeTarget('fuel', '2');
+
+		const expected = DistributionCalculator.getProbabilityAtLeast(results.resources.fuel.distribution, 2);
+		expect(expected).toBeGreaterThan(0);
+		expect(shown('fuel')).toBe(Format.prob(expected));
+	});
+
+	test('keeps the target across updates and clears it when emptied', () => {
+		typeTarget('fuel', '1');
+		display.update(results);
+
+		expect(document.querySelector('[data-threshold="fuel"]').value).toBe('1');
+		expect(shown('fuel')).not.toBe('');
+
+		typeTarget('fuel', '');
+		expect(shown('fuel')).toBe('');
+	});
+
+	test('notes that unknown sectors count as empty on a partially scanned planet', () => {
+		expect(document.querySelector('.scanned-only')).toBeNull();
+
+		display.update(results, { unknownCount: 2 });
+		expect(document.querySelector('.scanned-only').textContent).toBe(I18n.t('scan.scanned_only', { count: 2 }));
+	});
+
+	test('says when the gear lost is not reflected in the totals', () => {
+		const gearLost = {
+			expectedItemsLost: 0.2,
+			byItem: { BLASTER: { expectedLost: 0.2, lostProbability: 0.2, fightingPowerLoss: 1, modifiersLost: [] } }
+		};
+
+		display.update({ ...results, gearLost });
+		expect(document.querySelector('.gear-lost-note').textContent).toBe(I18n.t('prob.gear.not_applied'));
+
+		display.update({ ...results, gearLost: { ...gearLost, applied: true } });
+		expect(document.querySelector('.gear-lost')).not.toBeNull();
+		expect(document.querySelector('.gear-lost-note')).toBeNull();
+	});
+
+});
@@ -218,6 +218,89 @@ describe('ResultsRenderer', () => {
 			expect(html).toContain('hp.png');
 		});
 
+		test('renders a death-chance badge when playerHealth is given', () => {
+			const html = ResultsRenderer.render(
+				[player], {}, [{ canParticipate: true }], {}, url,
+				[{ deathProbability: 0.25, woundedProbability: 0.4 }]
+			);
+			expect(html).toContain('expedition-result-death-chance');
+			expect(html).toContain('25%');
+			expect(html).toContain('death-medium');
+		});
+
+		test('omits the death-chance badge without playerHealth', () => {
+			const html = ResultsRenderer.render([player], {}, [{ canParticipate: true }], {}, url);
+			expect(html).not.toContain('expedition-result-death-chance');
+		});
+
+		test('matches playerHealth by participating index, skipping stuck players', () => {
+			const html = ResultsRenderer.render(
+				[player, player], {}, [{ canParticipate: false }, { canParticipate: true }], {}, url,
+				[{ deathProbability: 0.5, woundedProbability: 0.5 }]
+			);
+			expect(html).toContain('50%');
+		});
+
+		test('renders a Mush-conversion badge for players at risk only', () => {
+			const html = ResultsRenderer.render(
+				[player, player], {}, [{ canParticipate: true }, { canParticipate: true }], {}, url,
+				[], [0.12, 0]
+			);
+			expect((html.match(/expedition-result-mush-chance/g) || []).length).toBe(1);
+			expect(html).toContain('spore.png');
+			expect(html).toContain('12%');
+			expect(html).toContain('mush-medium');
+			expect(html).not.toContain('death-medium');
+		});
+
+		test('omits the Mush-conversion badge for a Mush', () => {
+			const html = ResultsRenderer.render([player], {}, [{ canParticipate: true }], {}, url, [], [null]);
+			expect(html).not.toContain('expedition-result-mush-chance');
+		});
+
+	});
+
+	// =========================================================================
+	// Death- and Mush-chance helpers
+	// =========================================================================
+
+	describe('formatChance', () => {
+
+		test.each([
+			[0,      '0%'],
+			[0.004,  '<1%'],
+			[0.126,  '13%'],
+			[1,      '100%'],
+		])('%f → %s', (probability, expected) => {
+			expect(ResultsRenderer.formatChance(probability)).toBe(expected);
+		});
+
+	});
+
+	describe('getDeathChanceClass', () => {
+
+		test.each([
+			[0,    'death-none'],
+			[0.05, 'death-low'],
+			[0.2,  'death-medium'],
+			[0.3,  'death-high'],
+		])('%f → %s', (probability, expected) => {
+			expect(ResultsRenderer.getDeathChanceClass(probability)).toBe(expected);
+		});
+
+	});
+
+	describe('getMushChanceClass', () => {
+
+		test.each([
+			[0,    'mush-none'],
+			[0.05, 'mush-low'],
+			[0.2,  'mush-medium'],
+			[0.3,  'mush-high'],
+		])('%f → %s', (probability, expected) => {
+			expect(ResultsRenderer.getMushChanceClass(probability)).toBe(expected);
+		});
+
 	});
 
 });
@@ -0,0 +1,75 @@
+/**
+ * StarRating Tests
+ *
+ * Covers the drill-down of an explained score (PlanetReviewScorer explain mode)
+ * and the bands of a partially scanned planet (ScanUncertainty).
+ */
+
+describe('StarRating', () => {
+
+	const SECTORS = ['LANDING', 'OXYGEN', 'HYDROCARBON', 'HYDROCARBON', 'FOREST'];
+
+	function mountRating(data) {
+		const rating = new StarRating();
+		rating.render();
+		rating.update(data);
+		return rating;
+	}
+
+	const click = (element) => element.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+	test('clicking an axis lists its sectors, highest contribution first', () => {
+		const rating = mountRating(PlanetReviewScorer.score(SECTORS, { explain: true }));
+		click(rating.element.querySelector('.star-rating-axis--fuel'));
+
+		const names = [...rating.element.querySelectorAll('.star-rating-detail-name')].map(n => n.textContent);
+		expect(names[0]).toBe(`${formatSectorName('HYDROCARBON')} ×2`);
+		expect(rating.element.querySelector('.star-rating-detail-events').textContent).toMatch(/FUEL_\d+ \d+\/\d+/);
+	});
+
+	test('clicking the same axis again closes the drill-down', () => {
+		const rating = mountRating(PlanetReviewScorer.score(SECTORS, { explain: true }));
+		const row = rating.element.querySelector('.star-rating-axis--fuel');
+
+		click(row);
+		click(row);
+
+		expect(rating.element.querySelector('.star-rating-detail').children).toHaveLength(0);
+	});
+
+	test('clicking the overall score lists the boolean bonuses', () => {
+		const rating = mountRating(PlanetReviewScorer.score(SECTORS, { explain: true }));
+		click(rating.element.querySelector('.star-rating-overall'));
+
+		expect(rating.element.querySelector('.star-rating-detail-stars').textContent).toBe('+0.5★');
+	});
+
+	test('an axis nothing feeds says so', () => {
+		const rating = mountRating(PlanetReviewScorer.score(SECTORS, { explain: true }));
+		click(rating.element.querySelector('.star-rating-axis--artifacts'));
+
+		expect(rating.element.querySelector('.star-rating-detail-empty').textContent).toBe(I18n.t('stars.explain.empty'));
+	});
+
+	test('scores without explanation are not clickable', () => {
+		const rating = mountRating(PlanetReviewScorer.score(SECTORS));
+		click(rating.element.querySelector('.star-rating-axis--fuel'));
+
+		expect(rating.element.querySelector('.star-rating-explainable')).toBeNull();
+		expect(rating.element.querySelector('.star-rating-detail').children).toHaveLength(0);
+	});
+	test('a partially scanned planet shows the range of each score', () => {
+		const partial = [...SECTORS, 'UNKNOWN', 'UNKNOWN'];
+		const uncertainty = ScanUncertainty.review(partial);
+		const rating = mountRating(ScanUncertainty.applyToReview(PlanetReviewScorer.score(partial), uncertainty));
+
+		const overallBand = rating.element.querySelector('.star-rating-overall .star-rating-band');
+		expect(overallBand.textContent).toBe(`${uncertainty.overall.low.toFixed(1)}–${uncertainty.overall.high.toFixed(1)}★`);
+		expect(rating.element.querySelectorAll('.star-rating-axis .star-rating-band')).toHaveLength(6);
+	});
+
+	test('a fully scanned planet shows no range', () => {
+		const rating = mountRating(PlanetReviewScorer.score(SECTORS));
+		expect(rating.element.querySelector('.star-rating-band')).toBeNull();
+	});
+});
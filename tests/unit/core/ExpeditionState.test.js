@@ -21,6 +21,7 @@ describe('ExpeditionState', () => {
 		global.Constants = {
 			DEFAULT_AVATAR: 'lambda_f.png',
 			DEFAULT_HEALTH: 14,
+			MAX_PLAYERS: 8,
 			ABILITY_SLOTS: 4,
 			ITEM_SLOTS: 3
 		};
@@ -253,6 +254,75 @@ describe('ExpeditionState', () => {
 		});
 	});
 
+	// ========================================
+	// Crew Recommendation
+	// ========================================
+
+	describe('Crew Recommendation', () => {
+
+		const STATUS = {
+			'chun.png':  { health: 9, morale: 10, dead: false, inactive: false, grandInactive: false },
+			'hua.png':   { health: 14, morale: 10, dead: false, inactive: true, grandInactive: false },
+			'kuan_ti.png': { health: 14, morale: 10, dead: false, inactive: false, grandInactive: true }
+		};
+
+		beforeEach(() => {
+			global.window.crewManagerApp = {
+				getAvatarGroups: () => ({ available: ['chun.png', 'hua.png', 'kuan_ti.png'], dead: ['derek.png'], missing: [] }),
+				getAvatarAbilities: (avatar) => (avatar === 'chun.png' ? ['human/pilot.png', 'mush/traitre.png'] : []),
+				getAvatarHealth: (avatar) => STATUS[avatar]?.health ?? null,
+				getAvatarStatus: (avatar) => STATUS[avatar] || null
+			};
+		});
+
+		test('getCrewCandidates lists the available crew with their abilities, HP and status', () => {
+			const state = new ExpeditionState({ initialPlayers: [{ id: 1, avatar: 'derek.png' }] });
+			const candidates = state.getCrewCandidates();
+
+			expect(candidates.map(c => c.avatar)).toEqual(['chun.png', 'hua.png', 'kuan_ti.png']);
+			expect(candidates[0]).toEqual({
+				avatar: 'chun.png',
+				abilities: ['human/pilot.png', null, null, null],
+				items: [null, null, null],
+				health: 9,
+				status: STATUS['chun.png']
+			});
+		});
+
+		test('getCrewCandidates keeps the Traitor skill of a Mush crew member', () => {
+			global.window.crewManagerApp.getAvatarStatus = (avatar) => STATUS[avatar] && { ...STATUS[avatar], mush: true };
+			const state = new ExpeditionState({ initialPlayers: [{ id: 1, avatar: 'derek.png' }] });
+
+			expect(state.getCrewCandidates()[0].abilities).toEqual(['human/pilot.png', 'mush/traitre.png', null, null]);
+		});
+
+		test('getCrewCandidates carries over the items of a current player', () => {
+			const state = new ExpeditionState({ initialPlayers: [{ id: 1, avatar: 'chun.png', items: ['space_suit.jpg'] }] });
+
+			expect(state.getCrewCandidates()[0].items).toEqual(['space_suit.jpg', null, null]);
+		});
+
+		test('getCrewCandidates is empty without a Crew Manager', () => {
+			global.window.crewManagerApp = null;
+			expect(new ExpeditionState().getCrewCandidates()).toEqual([]);
+		});
+
+		test('setPlayersFromCrew replaces the team with fresh ids', () => {
+			const state = new ExpeditionState();
+			const callback = jest.fn();
+			state.setOnChange(callback);
+			const maxId = Math.max(...state.getPlayers().map(p => p.id));
+
+			const players = state.setPlayersFromCrew(state.getCrewCandidates());
+
+			expect(players.map(p => p.avatar)).toEqual(['chun.png', 'hua.png', 'kuan_ti.png']);
+			expect(players[0].id).toBeGreaterThan(maxId);
+			expect(players[0].status).toBeUndefined();
+			expect(state.getPlayerCount()).toBe(3);
+			expect(callback).toHaveBeenCalledTimes(1);
+		});
+	});
+
 	// ========================================
 	// Settings
 	// ========================================
@@ -492,4 +492,43 @@ describe('DamageSpreader', () => {
 			expect(result.optimist[0]).toBe(9);
 		});
 	});
+
+	// ========================================
+	// summarizeHealth()
+	// ========================================
+
+	describe('summarizeHealth', () => {
+
+		const samples = [[14, 0], [10, 4], [10, 0], [2, 14]];
+
+		test('builds a per-player HP distribution', () => {
+			const [first] = DamageSpreader.summarizeHealth(samples, 2, 5);
+
+			expect(first.distribution.get(14)).toBeCloseTo(0.25);
+			expect(first.distribution.get(10)).toBeCloseTo(0.5);
+			expect(first.distribution.get(2)).toBeCloseTo(0.25);
+			expect(first.expectedHealth).toBeCloseTo(9);
+		});
+
+		test('deathProbability is the share of samples at 0 HP', () => {
+			const result = DamageSpreader.summarizeHealth(samples, 2, 5);
+
+			expect(result[0].deathProbability).toBe(0);
+			expect(result[1].deathProbability).toBe(0.5);
+		});
+
+		test('woundedProbability counts HP below the threshold, deaths included', () => {
+			const result = DamageSpreader.summarizeHealth(samples, 2, 5);
+
+			expect(result[0].woundedProbability).toBe(0.25);
+			expect(result[1].woundedProbability).toBe(0.75);
+		});
+
+		test('returns zeroed stats when there are no samples', () => {
+			const [stats] = DamageSpreader.summarizeHealth([], 1, 5);
+
+			expect(stats.deathProbability).toBe(0);
+			expect(stats.distribution.size).toBe(0);
+		});
+	});
 });
@@ -0,0 +1,49 @@
+/**
+ * ExpeditionModeService Tests
+ *
+ * Tests for the Icarus / patrol ship rule sets.
+ */
+
+describe('ExpeditionModeService', () => {
+
+	const SUITED   = { abilities: [], items: ['space_suit.jpg'] };
+	const UNSUITED = { abilities: [], items: [] };
+
+	describe('getRules', () => {
+
+		test('patrol ship: one seat, three sectors, no Antigrav', () => {
+			expect(ExpeditionModeService.getRules('patrol')).toEqual({ exploredSectors: 3, maxCrew: 1, antigrav: false });
+			expect(ExpeditionModeService.isAntigravAvailable('patrol')).toBe(false);
+		});
+
+		test('unknown modes fall back to Icarus', () => {
+			expect(ExpeditionModeService.getRules('shuttle')).toBe(Constants.EXPEDITION_MODES.icarus);
+			expect(ExpeditionModeService.isAntigravAvailable(undefined)).toBe(true);
+		});
+
+	});
+
+	describe('getExplorers', () => {
+
+		test('fills the seats in crew order with players who can breathe', () => {
+			const players = [UNSUITED, SUITED, { ...SUITED }];
+
+			expect(ExpeditionModeService.getExplorers(players, ['LANDING'], 'patrol')).toEqual([SUITED]);
+			expect(ExpeditionModeService.getExplorers(players, ['LANDING'], 'icarus')).toHaveLength(2);
+		});
+
+	});
+
+	describe('getParticipationStatus', () => {
+
+		test('players without a seat are stuck in the ship', () => {
+			const status = ExpeditionModeService.getParticipationStatus([UNSUITED, SUITED, SUITED], ['LANDING'], 'patrol');
+
+			expect(status.map(s => s.canParticipate)).toEqual([false, true, false]);
+			expect(status[0].reason).toBe('Stuck in ship (no oxygen)');
+			expect(status[2].reason).toBe('Stuck in ship (no seat left)');
+		});
+
+	});
+
+});
@@ -0,0 +1,42 @@
+/**
+ * FuelEconomics Tests
+ *
+ * Net fuel: ResourceCalculator fuel distribution minus the travel cost.
+ */
+
+describe('FuelEconomics', () => {
+
+	const FUEL = { average: 4, distribution: new Map([[0, 0.25], [4, 0.25], [6, 0.5]]) };
+
+	test('expected net is the expected fuel minus the travel cost', () => {
+		expect(FuelEconomics.compute(FUEL, 3).expectedNet).toBeCloseTo(1, 10);
+		expect(FuelEconomics.compute(FUEL, 6).expectedNet).toBeCloseTo(-2, 10);
+	});
+
+	test('a gain needs strictly more fuel than the trip cost', () => {
+		expect(FuelEconomics.compute(FUEL, 4).gainProbability).toBeCloseTo(0.5, 10);
+		expect(FuelEconomics.compute(FUEL, 3).gainProbability).toBeCloseTo(0.75, 10);
+		expect(FuelEconomics.compute(FUEL, 0).gainProbability).toBeCloseTo(0.75, 10);
+	});
+
+	test('a planet without fuel never pays for its trip', () => {
+		const result = FuelEconomics.compute({ pessimist: 0, average: 0, optimist: 0 }, 2);
+
+		expect(result).toEqual({ travelCost: 2, expectedNet: -2, gainProbability: 0 });
+	});
+
+	test('returns null without resource data', () => {
+		expect(FuelEconomics.compute(null, 3)).toBeNull();
+	});
+
+	test('works on ResourceCalculator output', () => {
+		const resources = ResourceCalculator.calculate(['HYDROCARBON', 'HYDROCARBON'], {}, []);
+		const result = FuelEconomics.compute(resources.fuel, 1);
+
+		expect(result.expectedNet).toBeCloseTo(resources.fuel.average - 1, 10);
+		expect(result.gainProbability).toBeCloseTo(
+			DistributionCalculator.getProbabilityAtLeast(resources.fuel.distribution, 2), 10
+		);
+	});
+
+});
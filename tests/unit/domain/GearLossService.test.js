@@ -0,0 +1,107 @@
+/**
+ * GearLossService Tests
+ *
+ * Tests for ITEM_LOST: slot picking, knock-on effects and expected gear lost.
+ */
+
+describe('GearLossService', () => {
+
+	const TEAM = [
+		{ abilities: [], items: ['blaster.jpg', null, 'white_flag.jpg'], health: 14 },
+		{ abilities: [], items: ['grenade.jpg'], health: 14 }
+	];
+
+	// ========================================
+	// getItemSlots() / pickLostSlot()
+	// ========================================
+
+	describe('getItemSlots', () => {
+
+		test('lists filled slots only, with backend item ids', () => {
+			expect(GearLossService.getItemSlots(TEAM)).toEqual([
+				{ playerIndex: 0, slotIndex: 0, itemId: 'BLASTER' },
+				{ playerIndex: 0, slotIndex: 2, itemId: 'WHITE_FLAG' },
+				{ playerIndex: 1, slotIndex: 0, itemId: 'GRENADE' }
+			]);
+		});
+
+		test('pickLostSlot draws uniformly over slots', () => {
+			expect(GearLossService.pickLostSlot(TEAM, () => 0).itemId).toBe('BLASTER');
+			expect(GearLossService.pickLostSlot(TEAM, () => 0.99).itemId).toBe('GRENADE');
+		});
+
+		test('pickLostSlot returns null when nobody carries anything', () => {
+			expect(GearLossService.pickLostSlot([{ items: [] }], () => 0)).toBeNull();
+		});
+
+	});
+
+	// ========================================
+	// getKnockOnEffect()
+	// ========================================
+
+	describe('getKnockOnEffect', () => {
+
+		test('losing a blaster costs its fighting power', () => {
+			const effect = GearLossService.getKnockOnEffect(TEAM, { playerIndex: 0, slotIndex: 0 });
+
+			expect(effect.fightingPowerLoss).toBe(FightingPowerService.getItemPower('blaster.jpg'));
+			expect(effect.modifiersLost).toEqual([]);
+		});
+
+		test('losing the only white flag switches its modifier off', () => {
+			const effect = GearLossService.getKnockOnEffect(TEAM, { playerIndex: 0, slotIndex: 2 });
+
+			expect(effect.modifiersLost).toEqual(['WHITE_FLAG']);
+		});
+
+		test('a second copy keeps the modifier on', () => {
+			const team = [{ items: ['quad_compass.jpg'] }, { items: ['quad_compass.jpg'] }];
+			const effect = GearLossService.getKnockOnEffect(team, { playerIndex: 0, slotIndex: 0 });
+
+			expect(effect.modifiersLost).toEqual([]);
+		});
+
+		test('removeSlot leaves the original team untouched', () => {
+			const without = GearLossService.removeSlot(TEAM, { playerIndex: 0, slotIndex: 0 });
+
+			expect(without[0].items).toEqual([null, null, 'white_flag.jpg']);
+			expect(TEAM[0].items[0]).toBe('blaster.jpg');
+		});
+
+	});
+
+	// ========================================
+	// summarize()
+	// ========================================
+
+	describe('summarize', () => {
+
+		test('one certain ITEM_LOST spreads evenly over the carried items', () => {
+			const { expectedItemsLost, byItem } = GearLossService.summarize(TEAM, new Map([[1, 1]]));
+
+			expect(expectedItemsLost).toBe(1);
+			for (const entry of Object.values(byItem)) {
+				expect(entry.expectedLost).toBeCloseTo(1 / 3, 10);
+				expect(entry.lostProbability).toBeCloseTo(1 / 3, 10);
+			}
+		});
+
+		test('items are drawn without replacement', () => {
+			// Two events over three slots: each item is kept with probability 1/3
+			const { byItem } = GearLossService.summarize(TEAM, new Map([[2, 1]]));
+
+			expect(byItem.BLASTER.expectedLost).toBeCloseTo(2 / 3, 10);
+			expect(byItem.BLASTER.lostProbability).toBeCloseTo(2 / 3, 10);
+		});
+
+		test('cannot lose more items than the team carries', () => {
+			const { expectedItemsLost, byItem } = GearLossService.summarize(TEAM, new Map([[5, 1]]));
+
+			expect(expectedItemsLost).toBe(3);
+			expect(byItem.GRENADE.lostProbability).toBe(1);
+		});
+
+	});
+
+});
@@ -126,6 +126,15 @@ describe('LoadoutBuilder', () => {
 			expect(result.projects).toContain('ANTIGRAV_PROPELLER');
 		});
 
+		test('carries the expedition mode when given', () => {
+			const players = [
+				{ abilities: [], items: [] }
+			];
+
+			expect(LoadoutBuilder.build(players, { mode: 'patrol' }).mode).toBe('patrol');
+			expect(LoadoutBuilder.build(players, {})).not.toHaveProperty('mode');
+		});
+
 		test('projects empty when antigrav not active', () => {
 			const players = [
 				{ abilities: [], items: [] }
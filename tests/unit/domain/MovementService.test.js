@@ -0,0 +1,55 @@
+/**
+ * MovementService Tests
+ *
+ * Tests for the explored-sector count derived from mode and loadout.
+ */
+
+describe('MovementService', () => {
+
+	const SPRINTER = { abilities: ['human/sprint.png', null], items: [null] };
+	const WALKER   = { abilities: ['human/pilot.png'], items: ['blaster.jpg'] };
+
+	describe('getBaseSectors', () => {
+
+		test('Icarus explores 9 sectors, a patrol ship 3', () => {
+			expect(MovementService.getBaseSectors('icarus')).toBe(9);
+			expect(MovementService.getBaseSectors('patrol')).toBe(3);
+		});
+
+		test('unknown modes fall back to Icarus', () => {
+			expect(MovementService.getBaseSectors(undefined)).toBe(9);
+		});
+
+	});
+
+	describe('getAdditionalSectors', () => {
+
+		test('Sprint adds one sector', () => {
+			expect(MovementService.getAdditionalSectors(SPRINTER)).toBe(1);
+		});
+
+		test('a Sprint picked twice still counts once', () => {
+			expect(MovementService.getAdditionalSectors({ abilities: ['human/sprint.png', 'human/sprint.png'] })).toBe(1);
+		});
+
+		test('other abilities and items do not move the team', () => {
+			expect(MovementService.getAdditionalSectors(WALKER)).toBe(0);
+			expect(MovementService.getAdditionalSectors({})).toBe(0);
+		});
+
+	});
+
+	describe('getExploredCount', () => {
+
+		test('adds one sector per sprinter to the base movement', () => {
+			expect(MovementService.getExploredCount([SPRINTER, WALKER, SPRINTER], 'patrol')).toBe(5);
+			expect(MovementService.getExploredCount([WALKER], 'icarus')).toBe(9);
+		});
+
+		test('an empty team keeps the base movement', () => {
+			expect(MovementService.getExploredCount([], 'patrol')).toBe(3);
+		});
+
+	});
+
+});
@@ -0,0 +1,82 @@
+/**
+ * OxygenBudget Tests
+ *
+ * Cycles of oxygen left for the crew, with and without the oxygen an
+ * expedition brings back.
+ */
+
+describe('OxygenBudget', () => {
+
+	// 16 crew breathe 2 units per cycle
+	const BUDGET = { reserve: 6, crewCount: 16, days: 1 };
+	const OXYGEN = { average: 2.4, distribution: new Map([[0, 0.4], [2, 0.2], [4, 0.4]]) };
+
+	describe('getSurvivalCycles', () => {
+
+		test('counts the full cycles the reserve covers', () => {
+			expect(OxygenBudget.getSurvivalCycles(6, 16)).toBe(3);
+			expect(OxygenBudget.getSurvivalCycles(7, 16)).toBe(3);
+			expect(OxygenBudget.getSurvivalCycles(1, 4)).toBe(2);
+		});
+
+		test('an empty reserve lasts no cycle; an empty crew never runs out', () => {
+			expect(OxygenBudget.getSurvivalCycles(0, 16)).toBe(0);
+			expect(OxygenBudget.getSurvivalCycles(5, 0)).toBe(Infinity);
+		});
+
+	});
+
+	describe('project', () => {
+
+		test('projects the reserve with every amount of oxygen found', () => {
+			const projection = OxygenBudget.project(BUDGET, OXYGEN);
+
+			expect(projection.cyclesWithout).toBe(3);
+			expect(projection.expectedCyclesWith).toBeCloseTo(0.4 * 3 + 0.2 * 4 + 0.4 * 5, 10);
+		});
+
+		test('the expedition prevents a shortage when it finds enough oxygen', () => {
+			// One day = 8 cycles = 16 units: short of 10 without the expedition
+			const projection = OxygenBudget.project({ ...BUDGET, reserve: 12 }, OXYGEN);
+
+			expect(projection.safeWithout).toBe(false);
+			expect(projection.safeProbability).toBeCloseTo(0.4, 10);
+			expect(projection.preventProbability).toBeCloseTo(0.4, 10);
+		});
+
+		test('nothing to prevent when the reserve already lasts', () => {
+			const projection = OxygenBudget.project({ ...BUDGET, reserve: 20 }, OXYGEN);
+
+			expect(projection.safeWithout).toBe(true);
+			expect(projection.safeProbability).toBe(1);
+			expect(projection.preventProbability).toBe(0);
+		});
+
+		test('a planet without oxygen changes nothing', () => {
+			const projection = OxygenBudget.project(BUDGET, { pessimist: 0, average: 0, optimist: 0 });
+
+			expect(projection.expectedCyclesWith).toBe(projection.cyclesWithout);
+			expect(projection.preventProbability).toBe(0);
+		});
+
+		test('returns null without results', () => {
+			expect(OxygenBudget.project(BUDGET, null)).toBeNull();
+		});
+
+		test('uses the expedition oxygen distribution of ExpeditionRunner', () => {
+			const results = ExpeditionRunner.run({
+				sectors: ['LANDING', 'OXYGEN', 'OXYGEN', 'FOREST'],
+				allPlayers: [{ avatar: 'a.png', abilities: [], items: [], health: 14 }],
+				antigravActive: false
+			});
+			const projection = OxygenBudget.project({ reserve: 0, crewCount: 8, days: 1 }, results.resources.oxygen);
+
+			expect(results.resources.oxygen.distribution).toBeInstanceOf(Map);
+			expect(projection.safeProbability).toBeCloseTo(
+				DistributionCalculator.getProbabilityAtLeast(results.resources.oxygen.distribution, 8), 10
+			);
+		});
+
+	});
+
+});
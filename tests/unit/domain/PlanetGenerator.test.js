@@ -0,0 +1,89 @@
+/**
+ * PlanetGenerator Tests
+ *
+ * Random planets drawn with the game's generation weights and per-planet caps.
+ */
+
+describe('PlanetGenerator', () => {
+
+	const countOf = (sectors, name) => sectors.filter(s => s === name).length;
+
+	describe('getGenerationPool', () => {
+
+		test('holds only the sectors the game generates', () => {
+			const names = PlanetGenerator.getGenerationPool().map(entry => entry.sector);
+
+			expect(names).toContain('FOREST');
+			expect(names).toContain('OXYGEN');
+			expect(names).not.toContain('LANDING');
+			expect(names).not.toContain('LOST');
+			expect(names).not.toContain('UNKNOWN');
+		});
+
+	});
+
+	describe('generate', () => {
+
+		test('starts with LANDING followed by the requested number of sectors', () => {
+			const planet = PlanetGenerator.generate(9, MonteCarloSimulator.createRng(1));
+
+			expect(planet[0]).toBe('LANDING');
+			expect(countOf(planet, 'LANDING')).toBe(1);
+			expect(PlanetGenerator.getSize(planet)).toBe(9);
+		});
+
+		test('never exceeds a sector\'s maxPerPlanet', () => {
+			const rng = MonteCarloSimulator.createRng(2);
+			const pool = PlanetGenerator.getGenerationPool();
+
+			for (let i = 0; i < 50; i++) {
+				const planet = PlanetGenerator.generate(PlanetGenerator.MAX_SIZE, rng);
+				for (const entry of pool) {
+					expect(countOf(planet, entry.sector)).toBeLessThanOrEqual(entry.maxPerPlanet);
+				}
+			}
+		});
+
+		test('is deterministic for a seeded rng', () => {
+			const a = PlanetGenerator.generate(12, MonteCarloSimulator.createRng(42));
+			const b = PlanetGenerator.generate(12, MonteCarloSimulator.createRng(42));
+			expect(a).toEqual(b);
+		});
+
+		test('clamps the size to the generated range', () => {
+			expect(PlanetGenerator.getSize(PlanetGenerator.generate(0, MonteCarloSimulator.createRng(3)))).toBe(PlanetGenerator.MIN_SIZE);
+			expect(PlanetGenerator.getSize(PlanetGenerator.generate(99, MonteCarloSimulator.createRng(3)))).toBe(PlanetGenerator.MAX_SIZE);
+		});
+
+	});
+
+	describe('drawSector', () => {
+
+		const POOL = [
+			{ sector: 'FOREST', weight: 1, maxPerPlanet: 1 },
+			{ sector: 'DESERT', weight: 3, maxPerPlanet: 2 }
+		];
+
+		test('draws by weight and counts the drawn sector', () => {
+			const counts = {};
+
+			expect(PlanetGenerator.drawSector(POOL, counts, () => 0.2)).toBe('FOREST');
+			expect(PlanetGenerator.drawSector(POOL, counts, () => 0.2)).toBe('DESERT');
+			expect(counts).toEqual({ FOREST: 1, DESERT: 1 });
+		});
+
+		test('returns null once every sector is capped', () => {
+			expect(PlanetGenerator.drawSector(POOL, { FOREST: 1, DESERT: 2 }, () => 0)).toBeNull();
+		});
+
+	});
+
+	describe('getSize', () => {
+
+		test('counts every sector but LANDING and LOST', () => {
+			expect(PlanetGenerator.getSize(['LANDING', 'FOREST', 'UNKNOWN', 'LOST'])).toBe(2);
+			expect(PlanetGenerator.getSize(null)).toBe(0);
+		});
+
+	});
+});
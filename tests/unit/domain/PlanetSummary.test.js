@@ -99,6 +99,14 @@ describe('PlanetSummary.format', () => {
 		expect(result).toContain('Lethality: -');
 	});
 
+	test('unscanned sectors add the range of the stars', () => {
+		const axes = [{ key: 'fuel', label: 'Fuel', stars: 2.5, band: { mean: 2.4, low: 1, high: 3.6 } }];
+		const result = PlanetSummary.format('P', [], axes, 3, false, null, null, { mean: 3, low: 2, high: 4 });
+
+		expect(result).toContain('- 3★ [2~4★]');
+		expect(result).toContain('Fuel: 2.5★ [1~3.5★]');
+	});
+
 	test('paired axes appear on the same line separated by |', () => {
 		const axes = [
 			{ key: 'fruits', label: 'Fruits', stars: 3 },
@@ -126,6 +134,26 @@ describe('PlanetSummary.format', () => {
 		expect(result).toContain('*(0)*');
 	});
 
+	// =========================================================================
+	// Net fuel
+	// =========================================================================
+
+	test('net fuel line follows the nav line when the fuel distribution is known', () => {
+		const planetResources = { fuel: { average: 4, distribution: new Map([[0, 0.25], [4, 0.25], [6, 0.5]]) } };
+		const result = PlanetSummary.format('P', [], [], null, false, { direction: 'North', fuel: 3 }, planetResources);
+		const lines = result.split('\n');
+		const navIndex = lines.findIndex(l => l.includes('3 :fuel:'));
+
+		expect(lines[navIndex + 1]).toBe(`*${I18n.t('planet.net_fuel', { net: '+1.0', prob: '75%' })}*`);
+	});
+
+	test('no net fuel line without nav or fuel data', () => {
+		const planetResources = { fuel: { average: 0 } };
+		const nav = { direction: 'North', fuel: 3 };
+		expect(PlanetSummary.format('P', [], [], null, false, null, planetResources).split('\n')).toHaveLength(2);
+		expect(PlanetSummary.format('P', [], [], null, false, nav).split('\n')).toHaveLength(3);
+	});
+
 	// =========================================================================
 	// Output structure
 	// =========================================================================
@@ -0,0 +1,76 @@
+/**
+ * RescueService Tests
+ *
+ * Tests for the PLAYER_LOST follow-up: rescue planet and LOST sector odds.
+ */
+
+describe('RescueService', () => {
+
+	// ========================================
+	// buildRescueSectors()
+	// ========================================
+
+	describe('buildRescueSectors', () => {
+
+		test('adds one LOST sector per lost player after LANDING', () => {
+			expect(RescueService.buildRescueSectors(2)).toEqual(['LANDING', 'LOST', 'LOST']);
+		});
+
+		test('always places at least one LOST sector', () => {
+			expect(RescueService.buildRescueSectors(0)).toEqual(['LANDING', 'LOST']);
+			expect(RescueService.buildRescueSectors(undefined)).toEqual(['LANDING', 'LOST']);
+		});
+
+	});
+
+	// ========================================
+	// getRescueLostCount()
+	// ========================================
+
+	describe('getRescueLostCount', () => {
+
+		test('plans for the expected count given that someone went missing', () => {
+			// E[LOST] = 0.5 over P(missing) = 0.25 → 2 LOST sectors when it happens
+			expect(RescueService.getRescueLostCount({ missingProbability: 0.25, expectedLostSectors: 0.5 })).toBe(2);
+		});
+
+		test('falls back to a single LOST sector', () => {
+			expect(RescueService.getRescueLostCount({ missingProbability: 0, expectedLostSectors: 0 })).toBe(1);
+			expect(RescueService.getRescueLostCount(null)).toBe(1);
+		});
+
+	});
+
+	// ========================================
+	// getLostSectorOdds() / getRescueOdds()
+	// ========================================
+
+	describe('getRescueOdds', () => {
+
+		test('LOST sector odds come from the LOST_default event pool', () => {
+			const odds = RescueService.getLostSectorOdds({});
+
+			expect(odds.find).toBeCloseTo(0.7, 10);
+			expect(odds.again).toBeCloseTo(0.2, 10);
+			expect(odds.kill).toBeCloseTo(0.1, 10);
+		});
+
+		test('Tracker rules out KILL_LOST', () => {
+			const { current, withTracker, hasTracker } = RescueService.getRescueOdds({ abilities: [], items: [] });
+
+			expect(hasTracker).toBe(false);
+			expect(current.kill).toBeGreaterThan(0);
+			expect(withTracker.kill).toBe(0);
+			expect(withTracker.find).toBeGreaterThan(current.find);
+		});
+
+		test('a crew with a Tracker already gets the tracked odds', () => {
+			const { current, withTracker, hasTracker } = RescueService.getRescueOdds({ abilities: ['TRACKER'] });
+
+			expect(hasTracker).toBe(true);
+			expect(current).toEqual(withTracker);
+		});
+
+	});
+
+});
@@ -0,0 +1,45 @@
+/**
+ * SporeService Tests
+ *
+ * Spores caught on an expedition and the chance of a human becoming a Mush.
+ */
+
+describe('SporeService', () => {
+
+	describe('pickInfected', () => {
+
+		test('picks distinct candidates, at most as many as there are', () => {
+			const rng = MonteCarloSimulator.createRng(5);
+
+			const picked = SporeService.pickInfected([0, 2, 3], 2, rng);
+			expect(new Set(picked).size).toBe(2);
+			picked.forEach(index => expect([0, 2, 3]).toContain(index));
+
+			expect(SporeService.pickInfected([1], 3, rng)).toEqual([1]);
+			expect(SporeService.pickInfected([], 1, rng)).toEqual([]);
+		});
+
+	});
+
+	describe('getConversionProbability', () => {
+
+		const CAUGHT = new Map([[0, 0.5], [1, 0.3], [2, 0.15], [3, 0.05]]);
+
+		test('adds the spores caught to those already carried', () => {
+			expect(SporeService.getConversionProbability(CAUGHT, 0)).toBeCloseTo(0.05, 10);
+			expect(SporeService.getConversionProbability(CAUGHT, 1)).toBeCloseTo(0.2, 10);
+			expect(SporeService.getConversionProbability(CAUGHT, 2)).toBeCloseTo(0.5, 10);
+		});
+
+		test('a human already at the conversion threshold converts for sure', () => {
+			expect(SporeService.getConversionProbability(CAUGHT, SporeService.CONVERSION_SPORES)).toBe(1);
+		});
+
+		test('nothing to report for a Mush or without a distribution', () => {
+			expect(SporeService.getConversionProbability(CAUGHT, 2, true)).toBeNull();
+			expect(SporeService.getConversionProbability(null, 2)).toBeNull();
+		});
+
+	});
+
+});
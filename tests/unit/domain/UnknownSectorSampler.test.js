@@ -0,0 +1,67 @@
+/**
+ * UnknownSectorSampler Tests
+ *
+ * UNKNOWN sectors filled by analysis weight within the per-planet caps.
+ */
+
+describe('UnknownSectorSampler', () => {
+
+	const PARTIAL = ['LANDING', 'OXYGEN', 'UNKNOWN', 'FOREST', 'UNKNOWN'];
+
+	test('countUnknown counts the ??? sectors', () => {
+		expect(UnknownSectorSampler.countUnknown(PARTIAL)).toBe(2);
+		expect(UnknownSectorSampler.countUnknown(null)).toBe(0);
+	});
+
+	test('the analysis pool leaves out the special sectors', () => {
+		const names = UnknownSectorSampler.getAnalysisPool().map(entry => entry.sector);
+		expect(names).toContain('FOREST');
+		expect(names).not.toContain('LANDING');
+		expect(names).not.toContain('LOST');
+		expect(names).not.toContain('UNKNOWN');
+	});
+
+	describe('fill', () => {
+
+		test('replaces only the unknown sectors, in place', () => {
+			const filled = UnknownSectorSampler.fill(PARTIAL, MonteCarloSimulator.createRng(1));
+
+			expect(filled).toHaveLength(PARTIAL.length);
+			expect([filled[0], filled[1], filled[3]]).toEqual(['LANDING', 'OXYGEN', 'FOREST']);
+			expect(UnknownSectorSampler.countUnknown(filled)).toBe(0);
+			expect(PARTIAL[2]).toBe('UNKNOWN');
+		});
+
+		test('counts the scanned sectors against maxPerPlanet', () => {
+			const rng = MonteCarloSimulator.createRng(2);
+			const planet = ['LANDING', 'OXYGEN', 'CRISTAL_FIELD', 'MANKAROG', ...Array(15).fill('UNKNOWN')];
+
+			for (let i = 0; i < 20; i++) {
+				const filled = UnknownSectorSampler.fill(planet, rng);
+				for (const entry of UnknownSectorSampler.getAnalysisPool()) {
+					expect(filled.filter(s => s === entry.sector).length).toBeLessThanOrEqual(entry.maxPerPlanet);
+				}
+			}
+		});
+
+		test('draws by analysis weight', () => {
+			const rng = MonteCarloSimulator.createRng(3);
+			const draws = Array.from({ length: 2000 }, () => UnknownSectorSampler.fill(['LANDING', 'UNKNOWN'], rng)[1]);
+
+			// FOREST (analysis weight 12) comes up far more often than WRECK (1)
+			const forest = draws.filter(s => s === 'FOREST').length;
+			const wreck = draws.filter(s => s === 'WRECK').length;
+			expect(forest).toBeGreaterThan(wreck * 4);
+		});
+
+	});
+
+	test('sampleCompletions is seeded and empty for a fully scanned planet', () => {
+		const a = UnknownSectorSampler.sampleCompletions(PARTIAL, 5, MonteCarloSimulator.createRng(9));
+		const b = UnknownSectorSampler.sampleCompletions(PARTIAL, 5, MonteCarloSimulator.createRng(9));
+
+		expect(a).toHaveLength(5);
+		expect(a).toEqual(b);
+		expect(UnknownSectorSampler.sampleCompletions(['LANDING', 'FOREST'], 5)).toEqual([]);
+	});
+});
@@ -180,6 +180,51 @@ describe('ModifierApplicator', () => {
 			expect(result.explorationEvents.FIND_LOST).toBe(7);
 		});
 		
+		test('Traitor doubles every negative event', () => {
+			const config = createPredatorConfig();
+			const loadout = {
+				abilities: ['TRAITOR'],
+				items: [],
+				projects: []
+			};
+			
+			const result = ModifierApplicator.apply(config, 'PREDATOR', loadout);
+			
+			expect(result.explorationEvents.FIGHT_12).toBe(8);
+			expect(result.explorationEvents.ACCIDENT_3_5).toBe(6);
+			expect(result.explorationEvents.NOTHING_TO_REPORT).toBe(2);
+			expect(result.explorationEvents.PROVISION_3).toBe(1);
+		});
+		
+		test('Traitor leaves AGAIN alone and doubles KILL_LOST', () => {
+			const config = createLostConfig();
+			const loadout = {
+				abilities: ['TRAITOR'],
+				items: [],
+				projects: []
+			};
+			
+			const result = ModifierApplicator.apply(config, 'LOST', loadout);
+			
+			expect(result.explorationEvents.KILL_LOST).toBe(2);
+			expect(result.explorationEvents.AGAIN).toBe(2);
+			expect(result.explorationEvents.FIND_LOST).toBe(7);
+		});
+		
+		test('Traitor doubles what Diplomacy leaves', () => {
+			const config = createPredatorConfig();
+			const loadout = {
+				abilities: ['DIPLOMACY', 'TRAITOR'],
+				items: [],
+				projects: []
+			};
+			
+			const result = ModifierApplicator.apply(config, 'PREDATOR', loadout);
+			
+			expect(result.explorationEvents.FIGHT_12).toBeUndefined();
+			expect(result.explorationEvents.ACCIDENT_3_5).toBe(6);
+		});
+		
 		test('handles empty loadout', () => {
 			const config = createLandingConfig();
 			const loadout = {
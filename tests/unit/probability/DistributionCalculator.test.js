@@ -133,6 +133,35 @@ describe('DistributionCalculator', () => {
 
 	});
 
+	// ========================================
+	// getProbabilityAtLeast()
+	// ========================================
+
+	describe('getProbabilityAtLeast', () => {
+
+		const dist = new Map([[0, 0.25], [3, 0.5], [6, 0.25]]);
+
+		test('sums the probability of every value at or above the threshold', () => {
+			expect(DistributionCalculator.getProbabilityAtLeast(dist, 3)).toBeCloseTo(0.75, 10);
+			expect(DistributionCalculator.getProbabilityAtLeast(dist, 4)).toBeCloseTo(0.25, 10);
+			expect(DistributionCalculator.getProbabilityAtLeast(dist, 6)).toBeCloseTo(0.25, 10);
+		});
+
+		test('is certain at or below the minimum and impossible above the maximum', () => {
+			expect(DistributionCalculator.getProbabilityAtLeast(dist, 0)).toBe(1);
+			expect(DistributionCalculator.getProbabilityAtLeast(dist, 7)).toBe(0);
+		});
+
+		test('works on a convolved resource distribution', () => {
+			const fuel = ResourceCalculator.calculate(['HYDROCARBON', 'HYDROCARBON'], {}, []).fuel;
+			const total = [...fuel.distribution.values()].reduce((a, b) => a + b, 0);
+
+			expect(DistributionCalculator.getProbabilityAtLeast(fuel.distribution, 0)).toBeCloseTo(total, 10);
+			expect(DistributionCalculator.getProbabilityAtLeast(fuel.distribution, 1)).toBeGreaterThan(0);
+		});
+
+	});
+
 	// ========================================
 	// getPercentile()
 	// ========================================
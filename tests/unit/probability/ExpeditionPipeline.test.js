@@ -61,6 +61,14 @@ describe('ExpeditionPipeline', () => {
 					FUEL: 50,
 					FIGHT_16: 20
 				}
+			},
+			{
+				name: 'CAVE_default',
+				sectorName: 'CAVE',
+				explorationEvents: {
+					NOTHING: 50,
+					BACK: 50
+				}
 			}
 		];
 
@@ -81,6 +89,8 @@ describe('ExpeditionPipeline', () => {
 
 		// Mock SectorSampler
 		global.SectorSampler = {
+			getAgainProbability: jest.fn(() => 0),
+			getMovementReach: jest.fn(() => 1),
 			generateWeightedCompositions: jest.fn((sectorCounts, movementSpeed) => [
 				{ composition: { FOREST: 1, DESERT: 1 }, probability: 0.5 },
 				{ composition: { FOREST: 2 }, probability: 0.5 }
@@ -337,6 +347,88 @@ describe('ExpeditionPipeline', () => {
 			expect(callArgs[0]).toEqual(['FOREST', 'FOREST', 'DESERT']);
 		});
 
+		test('calculate reports all sectors explored when there is no BACK', () => {
+			const result = ExpeditionPipeline.calculate(['FOREST', 'DESERT', 'LANDING']);
+
+			expect(result.sectorsExplored).toEqual({ planned: 2, expected: 2 });
+		});
+
+		test('calculate scales sector probabilities by the chance of being reached', () => {
+			const result = ExpeditionPipeline.calculate(['CAVE', 'FOREST']);
+
+			// FOREST comes after CAVE half of the time, and CAVE rolls BACK half of the time
+			expect(result.sectorsExplored.planned).toBe(2);
+			expect(result.sectorsExplored.expected).toBeCloseTo(1.75, 10);
+
+			const cache = ResourceCalculator.calculate.mock.calls[0][3];
+			const forest = ExpeditionPipeline.getSectorProbabilities('FOREST', {});
+			expect(cache.get('FOREST').get('FRUIT')).toBeCloseTo(forest.get('FRUIT') * 0.75, 10);
+			expect(cache.get('CAVE').get('BACK')).toBeCloseTo(0.5, 10);
+		});
+
+		test('calculate reports the chance that someone goes missing', () => {
+			const originalConfig = global.PlanetSectorConfigData;
+			global.PlanetSectorConfigData = [
+				{ name: 'A_default', sectorName: 'A', explorationEvents: { PLAYER_LOST: 1, NOTHING: 3 } },
+				{ name: 'B_default', sectorName: 'B', explorationEvents: { PLAYER_LOST: 1, NOTHING: 1 } }
+			];
+
+			const result = ExpeditionPipeline.calculate(['A', 'B']);
+			global.PlanetSectorConfigData = originalConfig;
+
+			// 1 − (3/4 × 1/2), and one LOST sector per PLAYER_LOST
+			expect(result.lostCrew.missingProbability).toBeCloseTo(0.625, 10);
+			expect(result.lostCrew.expectedLostSectors).toBeCloseTo(0.75, 10);
+		});
+
+		test('sectorBreakdown keeps the untruncated event odds', () => {
+			const result = ExpeditionPipeline.calculate(['CAVE', 'FOREST']);
+			const forest = ExpeditionPipeline.getSectorProbabilities('FOREST', {});
+
+			expect(result.sectorBreakdown.FOREST.events.FRUIT).toBeCloseTo(forest.get('FRUIT'), 10);
+		});
+
+	});
+
+	// ========================================
+	// computeReachProbabilities()
+	// ========================================
+
+	describe('computeReachProbabilities', () => {
+
+		const tables = entries => new Map(
+			Object.entries(entries).map(([name, back]) => [name, new Map([['BACK', back], ['NOTHING', 1 - back]])])
+		);
+
+		test('every sector is reached when no sector can roll BACK', () => {
+			const reach = ExpeditionPipeline.computeReachProbabilities(['A', 'B'], tables({ A: 0, B: 0 }));
+
+			expect(reach.get('A')).toBe(1);
+			expect(reach.get('B')).toBe(1);
+		});
+
+		test('a sector is only cut off by the sectors visited before it', () => {
+			const reach = ExpeditionPipeline.computeReachProbabilities(['A', 'B'], tables({ A: 0.5, B: 0 }));
+
+			// A is never blocked; B is blocked when A comes first (1/2) and rolls BACK (1/2)
+			expect(reach.get('A')).toBeCloseTo(1, 10);
+			expect(reach.get('B')).toBeCloseTo(0.75, 10);
+		});
+
+		test('matches a brute-force average over visit orders', () => {
+			const reach = ExpeditionPipeline.computeReachProbabilities(['A', 'B', 'C'], tables({ A: 0.5, B: 0.5, C: 0.5 }));
+
+			// Visited 1st, 2nd or 3rd with equal odds: (1 + 0.5 + 0.25) / 3
+			expect(reach.get('C')).toBeCloseTo(1.75 / 3, 10);
+		});
+
+		test('BACK in LANDING cuts off every explorable sector', () => {
+			const reach = ExpeditionPipeline.computeReachProbabilities(['LANDING', 'A'], tables({ LANDING: 0.2, A: 0 }));
+
+			expect(reach.get('LANDING')).toBe(1);
+			expect(reach.get('A')).toBeCloseTo(0.8, 10);
+		});
+
 	});
 
 	// ========================================
@@ -362,7 +454,7 @@ describe('ExpeditionPipeline', () => {
 			ExpeditionPipeline.calculateWithSampling(sectorCounts, movementSpeed);
 
 			expect(SectorSampler.generateWeightedCompositions).toHaveBeenCalledWith(
-				sectorCounts, movementSpeed, expect.any(Object)
+				sectorCounts, movementSpeed, expect.any(Object), { plannedOnly: true }
 			);
 		});
 
@@ -403,6 +495,18 @@ describe('ExpeditionPipeline', () => {
 			expect(result._sampling.compositionCount).toBe(2);
 		});
 
+		test('calculateWithSampling mixes expected explored sectors by composition weight', () => {
+			SectorSampler.generateWeightedCompositions.mockReturnValueOnce([
+				{ composition: { CAVE: 1, FOREST: 1 }, probability: 0.5 },
+				{ composition: { FOREST: 2 }, probability: 0.5 }
+			]);
+
+			const result = ExpeditionPipeline.calculateWithSampling({ CAVE: 1, FOREST: 2 }, 2);
+
+			expect(result.sectorsExplored.planned).toBe(2);
+			expect(result.sectorsExplored.expected).toBeCloseTo(0.5 * 1.75 + 0.5 * 2, 10);
+		});
+
 	});
 
 });
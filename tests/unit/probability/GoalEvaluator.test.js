@@ -0,0 +1,115 @@
+/**
+ * GoalEvaluator Tests
+ *
+ * Tests for compound mission goals over Monte Carlo outcome vectors.
+ */
+
+describe('GoalEvaluator', () => {
+
+	const OUTCOMES = [
+		{ fuel: 4, fruits: 0, steaks: 8, deaths: 0 },
+		{ fuel: 6, fruits: 5, steaks: 0, deaths: 1 },
+		{ fuel: 0, fruits: 6, steaks: 0, deaths: 0 },
+		{ fuel: 2, fruits: 0, steaks: 0, deaths: 2 }
+	];
+	const FUEL_4 = { metric: 'fuel', op: '>=', value: 4 };
+	const NOBODY_DIES = { metric: 'deaths', op: '<=', value: 0 };
+
+	// ========================================
+	// matches()
+	// ========================================
+
+	describe('matches', () => {
+
+		test('compares the outcome field with the threshold, bounds included', () => {
+			expect(GoalEvaluator.matches(OUTCOMES[0], FUEL_4)).toBe(true);
+			expect(GoalEvaluator.matches(OUTCOMES[3], FUEL_4)).toBe(false);
+			expect(GoalEvaluator.matches(OUTCOMES[0], NOBODY_DIES)).toBe(true);
+		});
+
+		test('rejects unknown metrics and operators', () => {
+			expect(() => GoalEvaluator.matches(OUTCOMES[0], { metric: 'glory', op: '>=', value: 1 }))
+				.toThrow('Unknown goal metric');
+			expect(() => GoalEvaluator.matches(OUTCOMES[0], { metric: 'fuel', op: '>', value: 1 }))
+				.toThrow('Unknown goal operator');
+		});
+
+	});
+
+	// ========================================
+	// evaluate()
+	// ========================================
+
+	describe('evaluate', () => {
+
+		test('AND needs every condition in the same run', () => {
+			const result = GoalEvaluator.evaluate(OUTCOMES, { conditions: [FUEL_4, NOBODY_DIES], combinator: 'and' });
+
+			expect(result).toEqual({ probability: 0.25, samples: 4 });
+		});
+
+		test('OR needs any condition', () => {
+			const result = GoalEvaluator.evaluate(OUTCOMES, {
+				conditions: [{ metric: 'fruits', op: '>=', value: 5 }, { metric: 'steaks', op: '>=', value: 8 }],
+				combinator: 'or'
+			});
+
+			expect(result.probability).toBe(0.75);
+		});
+
+		test('returns null without outcomes or conditions', () => {
+			expect(GoalEvaluator.evaluate(null, { conditions: [FUEL_4] })).toBeNull();
+			expect(GoalEvaluator.evaluate(OUTCOMES, { conditions: [] })).toBeNull();
+		});
+
+		test('rejects unknown combinators', () => {
+			expect(() => GoalEvaluator.evaluate(OUTCOMES, { conditions: [FUEL_4], combinator: 'xor' }))
+				.toThrow('Unknown goal combinator');
+		});
+
+	});
+
+	// ========================================
+	// Simulated outcomes
+	// ========================================
+
+	describe('with ExpeditionRunner outcomes', () => {
+
+		const PLAYERS = [
+			{ avatar: 'a.png', abilities: [], items: [], health: 14 },
+			{ avatar: 'b.png', abilities: [], items: [], health: 14 }
+		];
+		const SECTORS = ['LANDING', 'OXYGEN', 'HYDROCARBON', 'FRUIT_TREES', 'PREDATOR', 'HYDROCARBON'];
+
+		test('single conditions agree with the Monte Carlo resource distribution', () => {
+			const results = ExpeditionRunner.run({
+				sectors: SECTORS, allPlayers: PLAYERS, antigravActive: false,
+				engine: 'sequential', iterations: 500
+			});
+			const single = GoalEvaluator.evaluate(results.outcomes, { conditions: [{ metric: 'fuel', op: '>=', value: 2 }] });
+
+			expect(single.samples).toBe(500);
+			expect(single.probability).toBeCloseTo(
+				DistributionCalculator.getProbabilityAtLeast(results.resources.fuel.distribution, 2), 10
+			);
+		});
+
+		test('the convolution engine exposes the outcomes of its health pass', () => {
+			const results = ExpeditionRunner.run({ sectors: SECTORS, allPlayers: PLAYERS, antigravActive: false, withHealthDistribution: true });
+			const fuel = { metric: 'fuel', op: '>=', value: 2 };
+			const fruits = { metric: 'fruits', op: '>=', value: 1 };
+
+			const both = GoalEvaluator.evaluate(results.outcomes, { conditions: [fuel, fruits], combinator: 'and' });
+			const either = GoalEvaluator.evaluate(results.outcomes, { conditions: [fuel, fruits], combinator: 'or' });
+			const pFuel = GoalEvaluator.evaluate(results.outcomes, { conditions: [fuel] }).probability;
+			const pFruits = GoalEvaluator.evaluate(results.outcomes, { conditions: [fruits] }).probability;
+
+			expect(both.samples).toBe(ExpeditionRunner.HEALTH_ITERATIONS);
+			expect(both.probability).toBeLessThanOrEqual(Math.min(pFuel, pFruits));
+			expect(either.probability).toBeGreaterThanOrEqual(Math.max(pFuel, pFruits));
+			expect(both.probability + either.probability).toBeCloseTo(pFuel + pFruits, 10);
+		});
+
+	});
+
+});
@@ -0,0 +1,427 @@
+/**
+ * MonteCarloSimulator Tests
+ *
+ * Event-by-event Monte Carlo engine. Checks:
+ *   - the seeded PRNG is reproducible
+ *   - results have the ExpeditionPipeline shape (+ healthByScenario)
+ *   - the same seed gives identical results
+ *   - means agree with the convolution engine within sampling tolerance
+ */
+
+describe('MonteCarloSimulator', () => {
+
+	beforeAll(() => {
+		jest.spyOn(console, 'log').mockImplementation(() => {});
+	});
+
+	afterAll(() => {
+		console.log.mockRestore();
+	});
+
+	const PLAYERS = [
+		{ abilities: ['human/pilot.png'], items: ['blaster.jpg'], health: 14 },
+		{ abilities: ['human/botanic.png'], items: [], health: 14 }
+	];
+	const SECTOR_COUNTS = { FOREST: 1, PREDATOR: 1, RUINS: 1, OXYGEN: 1 };
+	const ALWAYS = ['LANDING'];
+	const ALL_SECTORS = ['FOREST', 'PREDATOR', 'RUINS', 'OXYGEN', 'LANDING'];
+
+	function loadoutFor(players) {
+		return LoadoutBuilder.build(players, { antigravActive: false });
+	}
+
+	function mean(distribution) {
+		let sum = 0;
+		for (const [value, prob] of distribution) sum += value * prob;
+		return sum;
+	}
+
+	// ========================================
+	// createRng()
+	// ========================================
+
+	describe('createRng', () => {
+
+		test('same seed produces the same sequence', () => {
+			const a = MonteCarloSimulator.createRng(42);
+			const b = MonteCarloSimulator.createRng(42);
+			for (let i = 0; i < 20; i++) {
+				expect(a()).toBe(b());
+			}
+		});
+
+		test('different seeds produce different sequences', () => {
+			const a = MonteCarloSimulator.createRng(1);
+			const b = MonteCarloSimulator.createRng(2);
+			expect(a()).not.toBe(b());
+		});
+
+		test('values are in [0, 1)', () => {
+			const rng = MonteCarloSimulator.createRng(7);
+			for (let i = 0; i < 1000; i++) {
+				const value = rng();
+				expect(value).toBeGreaterThanOrEqual(0);
+				expect(value).toBeLessThan(1);
+			}
+		});
+
+	});
+
+	// ========================================
+	// simulate()
+	// ========================================
+
+	describe('simulate', () => {
+
+		test('returns null when there is nothing to explore', () => {
+			expect(MonteCarloSimulator.simulate({}, 9, {}, PLAYERS)).toBeNull();
+		});
+
+		test('returns the ExpeditionPipeline result shape plus health', () => {
+			const result = MonteCarloSimulator.simulate(
+				SECTOR_COUNTS, 9, loadoutFor(PLAYERS), PLAYERS, { alwaysInclude: ALWAYS, iterations: 500 }
+			);
+
+			for (const key of MonteCarloSimulator.RESOURCE_KEYS) {
+				expect(result.resources[key]).toHaveProperty('pessimist');
+				expect(result.resources[key]).toHaveProperty('average');
+				expect(result.resources[key]).toHaveProperty('optimist');
+			}
+			for (const key of Object.keys(NegativeEventCalculator.EVENT_TYPES)) {
+				expect(result.negativeEvents).toHaveProperty(key);
+			}
+			expect(result.combat.damage).toHaveProperty('worstCase');
+			expect(result.combat.damageDistribution).toBeInstanceOf(Map);
+			expect(result.eventDamage.damage).toHaveProperty('average');
+			expect(result.sectorBreakdown).toHaveProperty('LANDING');
+			for (const key of Constants.SCENARIO_KEYS) {
+				expect(result.healthByScenario[key]).toHaveLength(PLAYERS.length);
+				expect(result.effectsByScenario[key]).toHaveLength(PLAYERS.length);
+			}
+			expect(result._monteCarlo).toEqual({ iterations: 500, seed: MonteCarloSimulator.DEFAULT_SEED, sequential: false });
+		});
+
+		test('same seed gives identical results', () => {
+			const loadout = loadoutFor(PLAYERS);
+			const options = { alwaysInclude: ALWAYS, iterations: 300, seed: 99 };
+			const a = MonteCarloSimulator.simulate(SECTOR_COUNTS, 3, loadout, PLAYERS, options);
+			const b = MonteCarloSimulator.simulate(SECTOR_COUNTS, 3, loadout, PLAYERS, options);
+			expect(a).toEqual(b);
+		});
+
+		test('health scenarios are ordered from optimist to worst case', () => {
+			const result = MonteCarloSimulator.simulate(
+				SECTOR_COUNTS, 9, loadoutFor(PLAYERS), PLAYERS, { alwaysInclude: ALWAYS, iterations: 500 }
+			);
+			const total = key => result.healthByScenario[key].reduce((a, b) => a + b, 0);
+			expect(total('optimist')).toBeGreaterThanOrEqual(total('average'));
+			expect(total('average')).toBeGreaterThanOrEqual(total('pessimist'));
+			expect(total('pessimist')).toBeGreaterThanOrEqual(total('worstCase'));
+		});
+
+		test('expected explored sectors match the convolution engine', () => {
+			const counts = { SEISMIC_ACTIVITY: 2, FOREST: 2 };
+			const convolution = ExpeditionPipeline.calculate(['SEISMIC_ACTIVITY', 'SEISMIC_ACTIVITY', 'FOREST', 'FOREST'], {}, []);
+			const mc = MonteCarloSimulator.simulate(counts, 9, {}, [], { iterations: 2000 });
+
+			expect(mc.sectorsExplored.planned).toBe(4);
+			expect(mc.sectorsExplored.expected).toBeCloseTo(convolution.sectorsExplored.expected, 1);
+		});
+
+		test('lost crew odds match the convolution engine', () => {
+			const sectors = ['FOREST', 'DESERT', 'RUINS'];
+			const convolution = ExpeditionPipeline.calculate(sectors, {}, []);
+			const mc = MonteCarloSimulator.simulate({ FOREST: 1, DESERT: 1, RUINS: 1 }, 9, {}, [], { iterations: 2000 });
+
+			expect(mc.lostCrew.missingProbability).toBeCloseTo(convolution.lostCrew.missingProbability, 1);
+			expect(mc.lostCrew.expectedLostSectors).toBeCloseTo(convolution.lostCrew.expectedLostSectors, 1);
+		});
+
+		test('expected gear lost matches the convolution engine', () => {
+			const players = [
+				{ abilities: [], items: ['blaster.jpg', 'knife.jpg'], health: 14 },
+				{ abilities: [], items: ['white_flag.jpg'], health: 14 }
+			];
+			const sectors = ['INTELLIGENT', 'STRONG_WIND', 'STRONG_WIND', 'STRONG_WIND'];
+			const convolution = ExpeditionPipeline.calculate(sectors, {}, players);
+			const mc = MonteCarloSimulator.simulate({ INTELLIGENT: 1, STRONG_WIND: 3 }, 9, {}, players, { iterations: 5000 });
+
+			expect(convolution.gearLost.expectedItemsLost).toBeGreaterThan(0);
+			expect(mc.gearLost.expectedItemsLost).toBeCloseTo(convolution.gearLost.expectedItemsLost, 1);
+			expect(mc.gearLost.byItem.BLASTER.expectedLost).toBeCloseTo(convolution.gearLost.byItem.BLASTER.expectedLost, 1);
+			expect(mc.gearLost.byItem.WHITE_FLAG.modifiersLost).toEqual(['WHITE_FLAG']);
+			expect(mc.gearLost.applied).toBe(false);
+		});
+
+		test('draws the planned sectors and leaves AGAIN to each run', () => {
+			const spy = jest.spyOn(SectorSampler, 'generateWeightedCompositions');
+			MonteCarloSimulator.simulate(SECTOR_COUNTS, 3, {}, [], { iterations: 10 });
+
+			expect(spy).toHaveBeenCalledWith(SECTOR_COUNTS, 3, {}, { plannedOnly: true });
+			spy.mockRestore();
+		});
+
+		test('oxygen pessimist is always 0', () => {
+			const result = MonteCarloSimulator.simulate(
+				{ OXYGEN: 3 }, 9, {}, PLAYERS, { iterations: 200 }
+			);
+			expect(result.resources.oxygen.pessimist).toBe(0);
+		});
+
+	});
+
+	// ========================================
+	// Agreement with the convolution engine
+	// ========================================
+
+	describe('agreement with ExpeditionPipeline', () => {
+
+		const loadout = loadoutFor(PLAYERS);
+		const monteCarlo = () => MonteCarloSimulator.simulate(
+			SECTOR_COUNTS, 9, loadout, PLAYERS, { alwaysInclude: ALWAYS, iterations: 5000 }
+		);
+
+		test('mean fight damage matches within tolerance', () => {
+			const convolution = ExpeditionPipeline.calculate(ALL_SECTORS, loadout, PLAYERS);
+			const mc = monteCarlo();
+			expect(mean(mc.combat.damageDistribution))
+				.toBeCloseTo(mean(convolution.combat.damageDistribution), 0);
+		});
+
+		test('mean event damage matches within tolerance', () => {
+			// No sector mixes fights and damage events here, so the convolution engine's
+			// fight/event mutual-exclusivity exclusions don't apply.
+			const players = [
+				{ abilities: [], items: [], health: 14 },
+				{ abilities: [], items: [], health: 14 }
+			];
+			const plainLoadout = loadoutFor(players);
+			const convolution = ExpeditionPipeline.calculate(['FOREST', 'OXYGEN', 'LANDING'], plainLoadout, players);
+			const mc = MonteCarloSimulator.simulate(
+				{ FOREST: 1, OXYGEN: 1 }, 9, plainLoadout, players, { alwaysInclude: ALWAYS, iterations: 5000 }
+			);
+			expect(mean(mc.eventDamage.damageDistribution))
+				.toBeCloseTo(mean(convolution.eventDamage.damageDistribution), 0);
+		});
+
+	});
+
+	// ========================================
+	// simulateRun()
+	// ========================================
+
+	describe('simulateRun', () => {
+
+		test('grenades reduce fight damage and never make it negative', () => {
+			const players = [{ abilities: [], items: ['grenade.jpg'], health: 14 }];
+			const sectorProbabilities = new Map([['PREDATOR', new Map([['FIGHT_12', 1]])]]);
+			const context = MonteCarloSimulator._buildContext(players);
+			const run = MonteCarloSimulator.simulateRun(
+				['PREDATOR'], sectorProbabilities, players, context, MonteCarloSimulator.createRng(1)
+			);
+
+			const expected = Math.max(0, 12 - context.fightingPower - context.grenadeReduction);
+			expect(run.fightDamage).toBe(expected);
+			expect(run.fightSources[0].damage).toBe(expected);
+		});
+
+		test('BACK ends the expedition after its sector', () => {
+			const players = [{ abilities: [], items: [], health: 14 }];
+			const sectorProbabilities = new Map([
+				['CAVE', new Map([['BACK', 1]])],
+				['PREDATOR', new Map([['FIGHT_12', 1]])]
+			]);
+			const run = MonteCarloSimulator.simulateRun(
+				['CAVE', 'PREDATOR'], sectorProbabilities, players,
+				MonteCarloSimulator._buildContext(players), MonteCarloSimulator.createRng(1)
+			);
+
+			expect(run.fightSources).toHaveLength(0);
+			expect(run.sectorsExplored).toBe(1);
+			expect(run.plannedSectors).toBe(2);
+		});
+
+		test('AGAIN spends movement on the same sector', () => {
+			const players = [{ abilities: [], items: [], health: 14 }];
+			const sectorProbabilities = new Map([
+				['CAVE', new Map([['AGAIN', 0.5], ['FIGHT_12', 0.5]])],
+				['PREDATOR', new Map([['FIGHT_12', 1]])]
+			]);
+			// rng() < 0.5 rolls AGAIN, then the re-roll fights
+			const rolls = [0.1];
+			const rng = () => (rolls.length > 0 ? rolls.shift() : 0.9);
+			const run = MonteCarloSimulator.simulateRun(
+				['CAVE', 'PREDATOR'], sectorProbabilities, players,
+				MonteCarloSimulator._buildContext(players), rng, 2
+			);
+
+			expect(run.fightSources.map(source => source.sector)).toEqual(['CAVE']);
+			expect(run.sectorsExplored).toBe(1);
+		});
+
+		test('AGAIN re-rolls nothing once the movement is spent', () => {
+			const players = [{ abilities: [], items: [], health: 14 }];
+			const sectorProbabilities = new Map([['CAVE', new Map([['AGAIN', 1]])]]);
+			const run = MonteCarloSimulator.simulateRun(
+				['CAVE', 'CAVE'], sectorProbabilities, players,
+				MonteCarloSimulator._buildContext(players), MonteCarloSimulator.createRng(1), 3
+			);
+
+			expect(run.sectorsExplored).toBe(1);
+			expect(run.movementLeft).toBe(0);
+		});
+
+	});
+
+	// ========================================
+	// Sequential mode
+	// ========================================
+
+	describe('sequential mode', () => {
+
+		// getTeam stub: real per-team context, fixed event tables
+		function fixedTeams(players, tables) {
+			const sectorProbabilities = new Map(Object.entries(tables).map(([k, v]) => [k, new Map(Object.entries(v))]));
+			return jest.fn(alive => ({
+				context: MonteCarloSimulator._buildContext(alive.map(i => players[i])),
+				sectorProbabilities
+			}));
+		}
+
+		test('a dead player no longer adds fighting power', () => {
+			const players = [
+				{ abilities: [], items: ['blaster.jpg'], health: 14 },
+				{ abilities: [], items: [], health: 14 }
+			];
+			const getTeam = fixedTeams(players, { KILL: { KILL_RANDOM: 1 }, FIGHT: { FIGHT_12: 1 } });
+			const run = MonteCarloSimulator.simulateSequentialRun(
+				['KILL', 'FIGHT'], players, getTeam, MonteCarloSimulator.createRng(3)
+			);
+
+			const survivors = getTeam.mock.calls[1][0];
+			expect(survivors).toHaveLength(1);
+			const survivorPower = FightingPowerService.calculateBaseFightingPower([players[survivors[0]]]);
+			expect(run.fightSources[0].damage).toBe(12 - survivorPower);
+			expect(run.health.filter(hp => hp === 0)).toHaveLength(1);
+		});
+
+		test('the expedition stops once nobody is alive', () => {
+			const players = [{ abilities: [], items: [], health: 14 }];
+			const getTeam = fixedTeams(players, { KILL: { KILL_ALL: 1 }, FIGHT: { FIGHT_12: 1 } });
+			const run = MonteCarloSimulator.simulateSequentialRun(
+				['KILL', 'FIGHT'], players, getTeam, MonteCarloSimulator.createRng(1)
+			);
+
+			expect(getTeam).toHaveBeenCalledTimes(1);
+			expect(run.fightSources).toHaveLength(0);
+			expect(run.health).toEqual([0]);
+		});
+
+		test('a lost blaster no longer adds fighting power', () => {
+			const players = [{ abilities: [], items: ['blaster.jpg'], health: 14 }];
+			const getTeam = jest.fn((alive, team) => ({
+				context: MonteCarloSimulator._buildContext(alive.map(i => team[i])),
+				sectorProbabilities: new Map([
+					['LOSS', new Map([['ITEM_LOST', 1]])],
+					['FIGHT', new Map([['FIGHT_12', 1]])]
+				])
+			}));
+			const run = MonteCarloSimulator.simulateSequentialRun(
+				['LOSS', 'FIGHT'], players, getTeam, MonteCarloSimulator.createRng(1)
+			);
+
+			expect(run.gearLost).toEqual({ BLASTER: 1 });
+			expect(run.fightSources[0].damage).toBe(12 - FightingPowerService.calculateBaseFightingPower([{ items: [] }]));
+		});
+
+		test('teams left after a death keep the mode and projects of the departing team', () => {
+			const loadout = LoadoutBuilder.build(PLAYERS, { antigravActive: true, mode: 'patrol' });
+			const spy = jest.spyOn(ExpeditionPipeline, '_precomputeSectorProbabilities');
+			const getTeam = MonteCarloSimulator._createTeamCache(PLAYERS, loadout, ['LANDING'], {});
+
+			getTeam([1]);
+
+			const teamLoadout = spy.mock.calls[0][1];
+			expect(teamLoadout.mode).toBe('patrol');
+			expect(teamLoadout.projects).toEqual(['ANTIGRAV_PROPELLER']);
+			expect(teamLoadout.abilities).not.toContain('PILOT');
+			spy.mockRestore();
+		});
+
+		test('grenades are only thrown when a fight would hurt', () => {
+			const players = [{ abilities: [], items: ['grenade.jpg', 'grenade.jpg'], health: 14 }];
+			const getTeam = fixedTeams(players, { FIGHT: { FIGHT_8: 1 } });
+			const run = MonteCarloSimulator.simulateSequentialRun(
+				['FIGHT', 'FIGHT'], players, getTeam, MonteCarloSimulator.createRng(1)
+			);
+
+			// The first fight uses up both grenades, the second one gets none
+			const power = FightingPowerService.calculateBaseFightingPower(players);
+			const grenadePower = FightingPowerService.getGrenadePower();
+			expect(run.fightSources[0].damage).toBe(Math.max(0, 8 - power - 2 * grenadePower));
+			expect(run.fightSources[1].damage).toBe(8 - power);
+		});
+
+		test('a Mush trap gives its spores to a single alive explorer', () => {
+			const players = [
+				{ abilities: [], items: [], health: 14 },
+				{ abilities: [], items: [], health: 14 }
+			];
+			const getTeam = fixedTeams(players, { TRAP: { MUSH_TRAP: 1 } });
+			const run = MonteCarloSimulator.simulateSequentialRun(
+				['TRAP', 'TRAP', 'TRAP'], players, getTeam, MonteCarloSimulator.createRng(2)
+			);
+
+			expect(run.spores.reduce((a, b) => a + b, 0)).toBe(3 * SporeService.MUSH_TRAP_SPORES);
+			expect(run.negativeEvents.mushTrap).toBe(3);
+		});
+
+		test('each fight disease gives spores to the player who caught it', () => {
+			const players = [{ abilities: [], items: [], health: 99 }];
+			const getTeam = fixedTeams(players, { FIGHT: { FIGHT_12: 1 } });
+			const run = MonteCarloSimulator.simulateSequentialRun(
+				['FIGHT', 'FIGHT', 'FIGHT', 'FIGHT'], players, getTeam, () => 0
+			);
+
+			// rng() = 0 always rolls a disease; 99 HP survives all four fights
+			expect(run.fightDisease).toBe(4);
+			expect(run.spores).toEqual([4 * SporeService.SPORES_PER_FIGHT_DISEASE]);
+		});
+
+		test('returns a spore distribution per player', () => {
+			const options = { alwaysInclude: ALWAYS, iterations: 300, seed: 4, sequential: true };
+			const results = MonteCarloSimulator.simulate(SECTOR_COUNTS, 9, loadoutFor(PLAYERS), PLAYERS, options);
+
+			expect(results.playerSpores).toHaveLength(PLAYERS.length);
+			for (const distribution of results.playerSpores) {
+				expect([...distribution.values()].reduce((a, b) => a + b, 0)).toBeCloseTo(1, 10);
+			}
+		});
+
+		test('returns a death probability per player and is reproducible', () => {
+			const options = { alwaysInclude: ALWAYS, iterations: 300, seed: 4, sequential: true };
+			const a = MonteCarloSimulator.simulate(SECTOR_COUNTS, 9, loadoutFor(PLAYERS), PLAYERS, options);
+			const b = MonteCarloSimulator.simulate(SECTOR_COUNTS, 9, loadoutFor(PLAYERS), PLAYERS, options);
+
+			expect(a).toEqual(b);
+			expect(a._monteCarlo.sequential).toBe(true);
+			expect(a.gearLost.applied).toBe(true);
+			expect(a.deathProbability).toHaveLength(PLAYERS.length);
+			for (const p of a.deathProbability) {
+				expect(p).toBeGreaterThanOrEqual(0);
+				expect(p).toBeLessThanOrEqual(1);
+			}
+		});
+
+		test('P(someone dies) lies between the largest and the summed per-player odds', () => {
+			const options = { alwaysInclude: ALWAYS, iterations: 300, seed: 4, sequential: true };
+			const results = MonteCarloSimulator.simulate(SECTOR_COUNTS, 9, loadoutFor(PLAYERS), PLAYERS, options);
+			const perPlayer = results.deathProbability;
+
+			expect(results.teamDeathProbability).toBeGreaterThanOrEqual(Math.max(...perPlayer));
+			expect(results.teamDeathProbability).toBeLessThanOrEqual(perPlayer.reduce((a, b) => a + b, 0) + 1e-9);
+		});
+
+	});
+
+});
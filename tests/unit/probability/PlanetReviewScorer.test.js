@@ -452,6 +452,18 @@ describe('PlanetReviewScorer', () => {
 			const b = PlanetReviewScorer.score(sectors, { fightResourceBonus: null });
 			expect(b.axes).toEqual(a.axes);
 		});
+
+		test('prepared sectors and starsOnly give the same stars as a full score', () => {
+			const sectors = ['LANDING', 'FOREST', 'OXYGEN', 'MANKAROG', 'CRISTAL_FIELD'];
+			const options = { diplomacy: true, fuelCost: 6, fightResourceBonus: { steaks: 2 } };
+			const full = PlanetReviewScorer.score(sectors, options);
+			const prepared = PlanetReviewScorer.prepare(sectors, { diplomacy: true });
+			const light = PlanetReviewScorer.score(sectors, { ...options, prepared, starsOnly: true });
+
+			expect(light.overall).toBe(full.overall);
+			expect(light.axes).toEqual(full.axes.map(({ key, stars }) => ({ key, stars })));
+			expect(light.booleans).toBeUndefined();
+		});
 	});
 
 	// =========================================================================
@@ -702,4 +714,194 @@ describe('PlanetReviewScorer', () => {
 			expect(defaultResult.axes).toEqual(explicitFalse.axes);
 		});
 	});
+
+	// =========================================================================
+	// Scoring profiles
+	// =========================================================================
+
+	describe('scoring profiles', () => {
+
+		function makeAxes(obj) {
+			const defaults = { fruits: 0, steaks: 0, fuel: 0, artifacts: 0, lethality: 0, hazards: 0 };
+			return Object.entries({ ...defaults, ...obj }).map(([key, stars]) => ({ key, label: key, stars }));
+		}
+
+		const FUEL_ONLY = { weights: { fruits: 0, steaks: 0, fuel: 1, artifacts: 0 } };
+
+		test('weights pick the best axis the profile cares about', () => {
+			const axes = makeAxes({ fruits: 5, fuel: 2 });
+			expect(PlanetReviewScorer._computeOverall(axes, [], 9)).toBe(5);
+			expect(PlanetReviewScorer._computeOverall(axes, [], 9, 0, FUEL_ONLY)).toBe(2);
+		});
+
+		test('a weight of 0 also removes the axis from the secondary bonus', () => {
+			const axes = makeAxes({ fuel: 4, artifacts: 3 });
+			expect(PlanetReviewScorer._computeOverall(axes, [], 9, 0, FUEL_ONLY)).toBe(4);
+		});
+
+		test('weights above 1 boost an axis before clamping to 6', () => {
+			const axes = makeAxes({ artifacts: 2.5 });
+			expect(PlanetReviewScorer._computeOverall(axes, [], 9, 0, { weights: { artifacts: 2 } })).toBe(5);
+			expect(PlanetReviewScorer._computeOverall(makeAxes({ artifacts: 4 }), [], 9, 0, { weights: { artifacts: 2 } })).toBe(6);
+		});
+
+		test('danger penalties can be turned off per axis', () => {
+			const axes = makeAxes({ fuel: 4, lethality: 4, hazards: 2 });
+			expect(PlanetReviewScorer._computeOverall(axes, [], 9)).toBe(2.5);
+			expect(PlanetReviewScorer._computeOverall(axes, [], 9, 0, { penalties: { lethality: false } })).toBe(3.5);
+			expect(PlanetReviewScorer._computeOverall(axes, [], 9, 0, { penalties: { lethality: false, hazards: false } })).toBe(4);
+		});
+
+		test('resolveProfile fills missing fields and clamps weights', () => {
+			expect(PlanetReviewScorer.resolveProfile(null)).toEqual(PlanetReviewScorer.DEFAULT_PROFILE);
+			const resolved = PlanetReviewScorer.resolveProfile({ weights: { fuel: 9, fruits: -1, steaks: 'x' }, penalties: { hazards: false } });
+			expect(resolved.weights).toEqual({ fruits: 0, steaks: 1, fuel: PlanetReviewScorer.MAX_PROFILE_WEIGHT, artifacts: 1 });
+			expect(resolved.penalties).toEqual({ lethality: true, hazards: false });
+		});
+
+		test('resolveProfile treats an empty weight as missing, not as 0', () => {
+			const resolved = PlanetReviewScorer.resolveProfile({ weights: { fuel: '', fruits: '  ', steaks: null, artifacts: '0' } });
+			expect(resolved.weights).toEqual({ fruits: 1, steaks: 1, fuel: 1, artifacts: 0 });
+		});
+
+		test('score() applies the profile to the overall only', () => {
+			const sectors = WorldData.getWorldConfiguration("America's Dream");
+			const balanced = PlanetReviewScorer.score(sectors);
+			const fuelOnly = PlanetReviewScorer.score(sectors, { profile: FUEL_ONLY });
+			expect(fuelOnly.axes).toEqual(balanced.axes);
+			expect(PlanetReviewScorer.score(sectors, { profile: PlanetReviewScorer.DEFAULT_PROFILE }).overall).toBe(balanced.overall);
+		});
+
+		test('getProfileLabel prefers the user name over the built-in name', () => {
+			expect(PlanetReviewScorer.getProfileLabel({ id: 'fuel', nameKey: 'scoring.profile.fuel' })).toBe(I18n.t('scoring.profile.fuel'));
+			expect(PlanetReviewScorer.getProfileLabel({ id: 'fuel', nameKey: 'scoring.profile.fuel', name: 'Jet' })).toBe('Jet');
+		});
+	});
+
+	// =========================================================================
+	// Explain mode
+	// =========================================================================
+
+	describe('explain mode', () => {
+
+		const SECTORS = ['LANDING', 'OXYGEN', 'HYDROCARBON', 'HYDROCARBON', 'CRISTAL_FIELD', 'PREDATOR'];
+		const explainOf = (sectors, options = {}) => PlanetReviewScorer.score(sectors, { ...options, explain: true }).explanation;
+
+		test('is off by default', () => {
+			expect(PlanetReviewScorer.score(SECTORS).explanation).toBeUndefined();
+		});
+
+		test('does not change the score', () => {
+			const { explanation, ...explained } = PlanetReviewScorer.score(SECTORS, { explain: true });
+			expect(explained).toEqual(PlanetReviewScorer.score(SECTORS));
+			expect(explanation).toBeDefined();
+		});
+
+		test('groups duplicate sectors and sorts by contribution', () => {
+			const fuel = explainOf(SECTORS).axes.fuel.sectors;
+			expect(fuel[0]).toMatchObject({ sector: 'HYDROCARBON', count: 2 });
+			for (let i = 1; i < fuel.length; i++) {
+				expect(fuel[i - 1].stars).toBeGreaterThanOrEqual(fuel[i].stars);
+			}
+		});
+
+		test('event weights come from PlanetSectorConfigData', () => {
+			const config = PlanetSectorConfigData.find(c => c.sectorName === 'HYDROCARBON');
+			const [hydrocarbon] = explainOf(SECTORS).axes.fuel.sectors;
+			const totalWeight = Object.values(config.explorationEvents).reduce((a, b) => a + b, 0);
+
+			expect(hydrocarbon.totalWeight).toBe(totalWeight);
+			for (const e of hydrocarbon.events) {
+				expect(e.weight).toBe(config.explorationEvents[e.event]);
+				expect(e.event.startsWith('FUEL_')).toBe(true);
+			}
+		});
+
+		test('contributions add up to the unrounded axis stars', () => {
+			const { axes, explanation } = PlanetReviewScorer.score(SECTORS, { explain: true });
+			for (const axis of axes) {
+				const total = explanation.axes[axis.key].sectors.reduce((sum, s) => sum + s.stars, 0);
+				// Axis stars are clamped to 6 and rounded to the nearest 0.5
+				expect(Math.abs(Math.min(6, total) - axis.stars)).toBeLessThanOrEqual(0.5);
+			}
+		});
+
+		test('lists flat sector bonuses and boolean bonuses that fired', () => {
+			const explanation = explainOf(SECTORS);
+			const cristal = explanation.axes.artifacts.sectors.find(s => s.sector === 'CRISTAL_FIELD');
+
+			expect(cristal.bonus).toBe(1.5);
+			expect(explanation.booleanBonuses.map(b => b.key)).toEqual(expect.arrayContaining(['oxygen', 'cristal_field']));
+			expect(explainOf(['LANDING', 'HYDROCARBON']).booleanBonuses).toEqual([]);
+		});
+
+		test('diplomacy removes fight events from the explanation', () => {
+			const lethality = explainOf(['LANDING', 'PREDATOR'], { diplomacy: true }).axes.lethality.sectors;
+			const events = lethality.flatMap(s => s.events.map(e => e.event));
+			expect(events.some(e => e.startsWith('FIGHT_'))).toBe(false);
+		});
+	});
+
+	// =========================================================================
+	// scoreTeam (rating for the current team, from ExpeditionRunner results)
+	// =========================================================================
+
+	describe('scoreTeam', () => {
+
+		const HUNTING_GROUND = ['LANDING', 'OXYGEN', 'PREDATOR', 'PREDATOR', 'PREDATOR', 'RUMINANT', 'FOREST'];
+		const unarmed = () => ({ avatar: 'a.png', abilities: [null, null, null, null], items: [null, null, null], health: 14 });
+		const armed = () => ({ ...unarmed(), items: ['blaster.jpg', 'blaster.jpg', 'blaster.jpg'] });
+		const run = (players) => ExpeditionRunner.run({
+			sectors: HUNTING_GROUND, allPlayers: players, antigravActive: false,
+			engine: 'sequential', iterations: 300, seed: 11
+		});
+		const stars = (review, key) => review.axes.find(a => a.key === key).stars;
+
+		test('is null without results', () => {
+			expect(PlanetReviewScorer.scoreTeam(null)).toBeNull();
+		});
+
+		test('rates the same axes as score()', () => {
+			const team = PlanetReviewScorer.scoreTeam(run([unarmed(), unarmed()]));
+			expect(team.axes.map(a => a.key)).toEqual(PlanetReviewScorer.score(HUNTING_GROUND).axes.map(a => a.key));
+			for (const axis of team.axes) {
+				expect(axis.stars).toBeGreaterThanOrEqual(0);
+				expect(axis.stars).toBeLessThanOrEqual(6);
+			}
+		});
+
+		test('an armed team finds the planet less lethal than an unarmed one', () => {
+			const unarmedTeam = PlanetReviewScorer.scoreTeam(run([unarmed(), unarmed(), unarmed(), unarmed()]));
+			const armedTeam = PlanetReviewScorer.scoreTeam(run([armed(), armed(), armed(), armed()]));
+			expect(stars(armedTeam, 'lethality')).toBeLessThan(stars(unarmedTeam, 'lethality'));
+		});
+
+		test('reads resources, damage and negative events from the results', () => {
+			const results = {
+				resources: { steaks: { average: 0 }, fuel: { average: 0 } },
+				combat: { damage: { distribution: new Map([[0, 1]]) } },
+				eventDamage: { damage: { distribution: new Map([[0, 1]]) } },
+				negativeEvents: {}
+			};
+			const empty = PlanetReviewScorer.scoreTeam(results);
+			expect(empty.overall).toBe(0);
+			expect(empty.axes.every(a => a.stars === 0)).toBe(true);
+
+			const rich = PlanetReviewScorer.scoreTeam({
+				...results,
+				resources: { fuel: { average: 20 } },
+				negativeEvents: { killAll: { average: 1 } }
+			});
+			expect(stars(rich, 'fuel')).toBe(6);
+			expect(stars(rich, 'lethality')).toBe(1);
+		});
+
+		test('follows the scoring profile and keeps the planet booleans', () => {
+			const booleans = [{ key: 'oxygen', present: true }];
+			const results = { resources: { fuel: { average: 20 } } };
+			expect(PlanetReviewScorer.scoreTeam(results, { booleans }).overall).toBe(6);
+			expect(PlanetReviewScorer.scoreTeam(results, { booleans, profile: { weights: { fuel: 0 } } }).overall).toBe(0.5);
+			expect(PlanetReviewScorer.scoreTeam(results, { booleans }).booleans).toBe(booleans);
+		});
+	});
 });
@@ -13,6 +13,7 @@ describe('SectorSampler', () => {
 			{ name: 'FOREST_default', sectorName: 'FOREST', weightAtPlanetExploration: 8 },
 			{ name: 'DESERT_default', sectorName: 'DESERT', weightAtPlanetExploration: 8 },
 			{ name: 'HYDROCARBON_default', sectorName: 'HYDROCARBON', weightAtPlanetExploration: 8 },
+			{ name: 'CAVE_default', sectorName: 'CAVE', weightAtPlanetExploration: 8, explorationEvents: { AGAIN: 1, NOTHING: 3 } },
 		];
 		global.ItemEffects = {
 			'echo_sounder': {
@@ -265,6 +266,25 @@ describe('SectorSampler', () => {
 			expect(sum).toBeCloseTo(1.0, 10);
 		});
 
+		test('generateWeightedCompositions mixes smaller compositions when AGAIN wastes movement', () => {
+			const result = SectorSampler.generateWeightedCompositions({ CAVE: 3 }, 3);
+
+			const bySize = new Map();
+			for (const { composition, probability } of result) {
+				bySize.set(composition.CAVE, probability);
+			}
+			// p(AGAIN) = 1/4: two moves after the first one
+			expect(bySize.get(3)).toBeCloseTo(0.75 * 0.75, 10);
+			expect(bySize.get(2)).toBeCloseTo(2 * 0.75 * 0.25, 10);
+			expect(bySize.get(1)).toBeCloseTo(0.25 * 0.25, 10);
+		});
+
+		test('generateWeightedCompositions with QUAD_COMPASS reaches every sector', () => {
+			const result = SectorSampler.generateWeightedCompositions({ CAVE: 3 }, 3, { items: ['QUAD_COMPASS'] });
+
+			expect(result).toEqual([{ composition: { CAVE: 3 }, probability: 1.0 }]);
+		});
+
 		test('generateWeightedCompositions returns single composition when K >= N', () => {
 			const sectorCounts = { FOREST: 2, DESERT: 1 };
 			const movementSpeed = 5; // More than total sectors (3)
@@ -279,6 +299,78 @@ describe('SectorSampler', () => {
 
 	});
 
+	// ========================================
+	// getAgainProbability()
+	// ========================================
+
+	describe('getAgainProbability', () => {
+
+		test('is 0 when no sector can roll AGAIN', () => {
+			expect(SectorSampler.getAgainProbability({ FOREST: 2, DESERT: 1 })).toBe(0);
+		});
+
+		test('averages over sectors weighted by count and exploration weight', () => {
+			expect(SectorSampler.getAgainProbability({ CAVE: 1, FOREST: 3 })).toBeCloseTo(0.25 / 4, 10);
+		});
+
+		test('QUAD_COMPASS removes AGAIN', () => {
+			expect(SectorSampler.getAgainProbability({ CAVE: 2 }, { items: ['QUAD_COMPASS'] })).toBe(0);
+		});
+
+	});
+
+	// ========================================
+	// getMovementDistribution()
+	// ========================================
+
+	describe('getMovementDistribution', () => {
+
+		test('movement is fully used when AGAIN is impossible', () => {
+			expect(SectorSampler.getMovementDistribution(3, 5, 0)).toEqual([{ sectors: 3, probability: 1.0 }]);
+			expect(SectorSampler.getMovementDistribution(7, 5, 0)).toEqual([{ sectors: 5, probability: 1.0 }]);
+		});
+
+		test('each step after the first is wasted with the AGAIN probability', () => {
+			const distribution = SectorSampler.getMovementDistribution(3, 5, 0.5);
+			const bySize = Object.fromEntries(distribution.map(d => [d.sectors, d.probability]));
+
+			expect(bySize).toEqual({ 1: 0.25, 2: 0.5, 3: 0.25 });
+		});
+
+		test('spare movement covers wasted steps up to the planet size', () => {
+			const distribution = SectorSampler.getMovementDistribution(3, 2, 0.5);
+			const bySize = Object.fromEntries(distribution.map(d => [d.sectors, d.probability]));
+
+			expect(bySize).toEqual({ 1: 0.25, 2: 0.75 });
+		});
+
+		test('drops numbers of sectors with negligible probability', () => {
+			const distribution = SectorSampler.getMovementDistribution(9, 12, 0.05);
+			const sum = distribution.reduce((s, d) => s + d.probability, 0);
+
+			expect(distribution.map(d => d.sectors)).toEqual([5, 6, 7, 8, 9]);
+			expect(sum).toBeCloseTo(1.0, 10);
+		});
+
+	});
+
+	// ========================================
+	// getMovementReach()
+	// ========================================
+
+	describe('getMovementReach', () => {
+
+		test('is the expected share of the planned sectors reached', () => {
+			// E[M] = 0.25 × 1 + 0.5 × 2 + 0.25 × 3 = 2
+			expect(SectorSampler.getMovementReach(3, 5, 0.5)).toBeCloseTo(2 / 3, 10);
+		});
+
+		test('is 1 when AGAIN is impossible', () => {
+			expect(SectorSampler.getMovementReach(3, 5, 0)).toBe(1);
+		});
+
+	});
+
 	// ========================================
 	// expandComposition()
 	// ========================================
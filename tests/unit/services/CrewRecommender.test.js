@@ -0,0 +1,122 @@
+/**
+ * CrewRecommender Tests
+ *
+ * Tests for the "Who should go?" team search run in the calculation worker.
+ */
+
+describe('CrewRecommender', () => {
+
+	const crew = (avatar, abilities = [], items = []) => ({
+		avatar,
+		abilities: [...abilities, null, null, null, null].slice(0, 4),
+		items: [...items, null, null, null].slice(0, 3),
+		health: 14
+	});
+
+	const PLAIN = crew('derek.png');
+	const BOTANIST = crew('chun.png', ['human/botanic.png']);
+	const SUITED = crew('hua.png', [], ['space_suit.jpg']);
+	const BASE = { antigravActive: false, iterations: 100, maxEvaluations: 40 };
+
+	// ========================================
+	// isAvailable()
+	// ========================================
+
+	describe('isAvailable', () => {
+
+		const ALIVE = { health: 10, morale: 8, dead: false, inactive: false, grandInactive: false };
+
+		test('living, active crew members can go', () => {
+			expect(CrewRecommender.isAvailable(ALIVE)).toBe(true);
+		});
+
+		test('dead, broken or inactive crew members stay aboard', () => {
+			expect(CrewRecommender.isAvailable({ ...ALIVE, dead: true })).toBe(false);
+			expect(CrewRecommender.isAvailable({ ...ALIVE, health: 0 })).toBe(false);
+			expect(CrewRecommender.isAvailable({ ...ALIVE, morale: 0 })).toBe(false);
+			expect(CrewRecommender.isAvailable({ ...ALIVE, inactive: true })).toBe(false);
+			expect(CrewRecommender.isAvailable({ ...ALIVE, grandInactive: true })).toBe(false);
+			expect(CrewRecommender.isAvailable(null)).toBe(false);
+		});
+
+		test('getAvailableCandidates keeps the candidates whose status lets them go', () => {
+			const candidates = [
+				{ ...PLAIN, status: ALIVE },
+				{ ...BOTANIST, status: { ...ALIVE, inactive: true } },
+				{ ...SUITED, status: null }
+			];
+
+			expect(CrewRecommender.getAvailableCandidates(candidates).map(c => c.avatar)).toEqual(['derek.png']);
+		});
+
+	});
+
+	// ========================================
+	// getMaxTeamSize() / score()
+	// ========================================
+
+	describe('getMaxTeamSize', () => {
+
+		test('is MAX_PLAYERS on the Icarus and one seat on a patrol ship', () => {
+			expect(CrewRecommender.getMaxTeamSize('icarus')).toBe(Constants.MAX_PLAYERS);
+			expect(CrewRecommender.getMaxTeamSize('patrol')).toBe(1);
+		});
+
+		test('score trades loot against expected deaths', () => {
+			expect(CrewRecommender.score({ loot: 6, expectedDeaths: 0.2 })).toBeCloseTo(4, 10);
+			expect(CrewRecommender.score({ loot: 6, expectedDeaths: 0.2 }, { loot: 1, death: 0 })).toBe(6);
+		});
+
+	});
+
+	// ========================================
+	// recommend()
+	// ========================================
+
+	describe('recommend', () => {
+
+		test('only space-suited candidates go down without oxygen', () => {
+			const teams = CrewRecommender.recommend({
+				...BASE, sectors: ['LANDING', 'FOREST', 'DESERT'],
+				candidates: [PLAIN, SUITED, BOTANIST], topN: 5
+			});
+
+			expect(teams.length).toBeGreaterThan(0);
+			for (const { players } of teams) {
+				expect(players.map(p => p.avatar)).toEqual(['hua.png']);
+			}
+		});
+
+		test('a patrol ship takes the botanist to the fruit trees', () => {
+			const teams = CrewRecommender.recommend({
+				...BASE, mode: 'patrol', sectors: ['LANDING', 'OXYGEN', 'FRUIT_TREES', 'FRUIT_TREES'],
+				candidates: [PLAIN, BOTANIST], topN: 5
+			});
+
+			expect(teams[0].players.map(p => p.avatar)).toEqual(['chun.png']);
+			for (const { players } of teams) {
+				expect(players).toHaveLength(1);
+			}
+			expect(teams[0].summary.loot).toBeGreaterThan(teams[1].summary.loot);
+		});
+
+		test('teams never exceed MAX_PLAYERS', () => {
+			const candidates = Array.from({ length: Constants.MAX_PLAYERS + 2 }, (_, i) => crew(`c${i}.png`));
+			const teams = CrewRecommender.recommend({
+				...BASE, sectors: ['LANDING', 'OXYGEN', 'FRUIT_TREES'],
+				candidates, weights: { loot: 1, death: 0 }, iterations: 20, maxEvaluations: 100
+			});
+
+			for (const { players } of teams) {
+				expect(players.length).toBeLessThanOrEqual(Constants.MAX_PLAYERS);
+			}
+		});
+
+		test('returns nothing without sectors or candidates', () => {
+			expect(CrewRecommender.recommend({ ...BASE, sectors: [], candidates: [PLAIN] })).toEqual([]);
+			expect(CrewRecommender.recommend({ ...BASE, sectors: ['LANDING'], candidates: [] })).toEqual([]);
+		});
+
+	});
+
+});
@@ -0,0 +1,83 @@
+/**
+ * LoadoutOptimizer Tests
+ *
+ * Tests for the item-pool assignment search run in the calculation worker.
+ */
+
+describe('LoadoutOptimizer', () => {
+
+	const CREW = [
+		{ avatar: 'a.png', abilities: [], items: ['rope.jpg', null, null], health: 14 },
+		{ avatar: 'b.png', abilities: [], items: [null, null, null], health: 14 }
+	];
+	const BASE = { allPlayers: CREW, antigravActive: false, iterations: 100, maxEvaluations: 40 };
+
+	// ========================================
+	// score()
+	// ========================================
+
+	describe('score', () => {
+
+		const summary = { fuel: 4, expectedDeaths: 0.2 };
+
+		test('scores each goal, higher is better', () => {
+			expect(LoadoutOptimizer.score(summary, 'fuel')).toBe(4);
+			expect(LoadoutOptimizer.score(summary, 'survival')).toBe(-0.2);
+			expect(LoadoutOptimizer.score(summary, 'mix', { fuel: 1, death: 10 })).toBeCloseTo(2, 10);
+		});
+
+		test('rejects unknown goals', () => {
+			expect(() => LoadoutOptimizer.score(summary, 'glory')).toThrow('Unknown optimizer goal');
+		});
+
+	});
+
+	// ========================================
+	// optimize()
+	// ========================================
+
+	describe('optimize', () => {
+
+		test('a driller is handed out when fuel is the goal', () => {
+			const [best] = LoadoutOptimizer.optimize({
+				...BASE, sectors: ['LANDING', 'OXYGEN', 'HYDROCARBON', 'HYDROCARBON'],
+				itemCounts: { 'driller.jpg': 1, 'knife.jpg': 1 }, goal: 'fuel'
+			});
+
+			expect(best.items.flat()).toContain('driller.jpg');
+			expect(best.summary.fuel).toBeGreaterThan(0);
+		});
+
+		test('replaces the crew items and never hands out more than the pool', () => {
+			const loadouts = LoadoutOptimizer.optimize({
+				...BASE, sectors: ['LANDING', 'OXYGEN', 'PREDATOR', 'INSECT'],
+				itemCounts: { 'blaster.jpg': 1 }, goal: 'survival', topN: 5
+			});
+
+			expect(loadouts.length).toBeGreaterThan(1);
+			for (const { items } of loadouts) {
+				expect(items).toHaveLength(CREW.length);
+				expect(items.flat().filter(Boolean).every(item => item === 'blaster.jpg')).toBe(true);
+				expect(items.flat().filter(Boolean).length).toBeLessThanOrEqual(1);
+			}
+		});
+
+		test('returns loadouts best first', () => {
+			const loadouts = LoadoutOptimizer.optimize({
+				...BASE, sectors: ['LANDING', 'OXYGEN', 'PREDATOR', 'INSECT'],
+				itemCounts: { 'blaster.jpg': 2 }, goal: 'mix', topN: 4
+			});
+			const scores = loadouts.map(l => l.score);
+
+			expect(scores).toEqual([...scores].sort((a, b) => b - a));
+			expect(loadouts[0].summary.deathProbability).toHaveLength(CREW.length);
+		});
+
+		test('returns nothing without sectors or players', () => {
+			expect(LoadoutOptimizer.optimize({ ...BASE, sectors: [], itemCounts: { 'knife.jpg': 1 } })).toEqual([]);
+			expect(LoadoutOptimizer.optimize({ ...BASE, sectors: ['LANDING'], allPlayers: [] })).toEqual([]);
+		});
+
+	});
+
+});
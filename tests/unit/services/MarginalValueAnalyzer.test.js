@@ -0,0 +1,110 @@
+/**
+ * MarginalValueAnalyzer Tests
+ *
+ * Tests for the one-change-at-a-time sensitivity report run in the calculation worker.
+ */
+
+describe('MarginalValueAnalyzer', () => {
+
+	const TEAM = [
+		{ avatar: 'a.png', abilities: ['human/pilot.png', null, null, null], items: ['grenade.jpg', null, null], health: 14 },
+		{ avatar: 'b.png', abilities: [null, null, null, null], items: [null, null, null], health: 14 }
+	];
+	const OXYGEN_PLANET = ['LANDING', 'OXYGEN', 'HYDROCARBON', 'PREDATOR'];
+
+	// ========================================
+	// getVariants()
+	// ========================================
+
+	describe('getVariants', () => {
+
+		test('removes each equipped item and ability from its player', () => {
+			const removals = MarginalValueAnalyzer.getVariants(TEAM, OXYGEN_PLANET, 'icarus')
+				.filter(v => v.action === 'remove');
+
+			expect(removals.map(v => [v.kind, v.id, v.playerIndex])).toEqual([
+				['item', 'grenade.jpg', 0],
+				['ability', 'human/pilot.png', 0]
+			]);
+			expect(removals[0].players[0].items).toEqual([null, null, null]);
+			expect(TEAM[0].items[0]).toBe('grenade.jpg');
+		});
+
+		test('adds every item and ability nobody has, in the first free slot', () => {
+			const additions = MarginalValueAnalyzer.getVariants(TEAM, OXYGEN_PLANET, 'icarus')
+				.filter(v => v.action === 'add');
+			const ids = additions.map(v => v.id);
+
+			expect(ids).not.toContain('grenade.jpg');
+			expect(ids).not.toContain('human/pilot.png');
+			expect(ids).toContain('driller.jpg');
+			expect(ids).toContain('human/botanic.png');
+			expect(ids).not.toContain(AbilityData.TRAITOR);
+
+			const driller = additions.find(v => v.id === 'driller.jpg');
+			expect(driller.playerIndex).toBe(0);
+			expect(driller.players[0].items).toEqual(['grenade.jpg', 'driller.jpg', null]);
+		});
+
+		test('additions go to someone who can go down when possible', () => {
+			const team = [
+				{ ...TEAM[1], avatar: 'c.png' },
+				{ ...TEAM[1], items: ['space_suit.jpg', null, null] }
+			];
+			const knife = MarginalValueAnalyzer.getVariants(team, ['LANDING', 'FOREST'], 'icarus')
+				.find(v => v.id === 'knife.jpg');
+
+			expect(knife.playerIndex).toBe(1);
+		});
+
+	});
+
+	// ========================================
+	// getMetrics() / getDeltas()
+	// ========================================
+
+	describe('getDeltas', () => {
+
+		test('is variant minus baseline for every metric', () => {
+			const baseline = { fuel: 2, fruits: 1, steaks: 0, artefacts: 0.5, eventDamage: 3, deathProbability: 0.1 };
+			const variant = { fuel: 3, fruits: 1, steaks: 0, artefacts: 0.5, eventDamage: 1, deathProbability: 0.05 };
+
+			const deltas = MarginalValueAnalyzer.getDeltas(baseline, variant);
+
+			expect(Object.keys(deltas)).toEqual(MarginalValueAnalyzer.METRICS);
+			expect(deltas.fuel).toBe(1);
+			expect(deltas.eventDamage).toBe(-2);
+			expect(deltas.deathProbability).toBeCloseTo(-0.05, 10);
+		});
+
+		test('getMetrics reads zeroes from an empty result', () => {
+			expect(Object.values(MarginalValueAnalyzer.getMetrics(null)).every(v => v === 0)).toBe(true);
+		});
+
+	});
+
+	// ========================================
+	// analyze()
+	// ========================================
+
+	describe('analyze', () => {
+
+		test('a driller is worth fuel on a hydrocarbon planet', () => {
+			const report = MarginalValueAnalyzer.analyze({
+				sectors: OXYGEN_PLANET, allPlayers: TEAM, antigravActive: false, iterations: 200
+			});
+			const driller = report.rows.find(row => row.id === 'driller.jpg');
+
+			expect(report.baseline.fuel).toBeGreaterThan(0);
+			expect(driller.deltas.fuel).toBeGreaterThan(0);
+			expect(driller.metrics.fuel).toBeCloseTo(report.baseline.fuel + driller.deltas.fuel, 10);
+		});
+
+		test('returns null without sectors or players', () => {
+			expect(MarginalValueAnalyzer.analyze({ sectors: [], allPlayers: TEAM })).toBeNull();
+			expect(MarginalValueAnalyzer.analyze({ sectors: OXYGEN_PLANET, allPlayers: [] })).toBeNull();
+		});
+
+	});
+
+});
@@ -0,0 +1,88 @@
+/**
+ * PlanetComparator Tests
+ *
+ * Tests for the side-by-side planet comparison with the current crew.
+ */
+
+describe('PlanetComparator', () => {
+
+	const TEAM = [
+		{ avatar: 'a.png', abilities: [null, null, null, null], items: [null, null, null], health: 14 },
+		{ avatar: 'b.png', abilities: [null, null, null, null], items: [null, null, null], health: 14 }
+	];
+	const RICH = { id: 'p1', name: 'Rich', sectors: ['LANDING', 'OXYGEN', 'HYDROCARBON', 'HYDROCARBON', 'FRUIT_TREES'], direction: 'East', fuelCost: 2 };
+	const HOSTILE = { id: 'p2', name: 'Hostile', sectors: ['LANDING', 'OXYGEN', 'PREDATOR', 'PREDATOR', 'VOLCANIC_ACTIVITY'], direction: 'North', fuelCost: 5 };
+	const RUN_PARAMS = { allPlayers: TEAM, antigravActive: false, engine: 'sequential', iterations: 300, seed: 7 };
+
+	const row = (comparison, key) => comparison.rows.find(r => r.key === key);
+
+	// ========================================
+	// getBest()
+	// ========================================
+
+	describe('getBest', () => {
+
+		test('picks the highest value, or the lowest for cost rows', () => {
+			expect(PlanetComparator.getBest([1, 3, 2])).toEqual([1]);
+			expect(PlanetComparator.getBest([1, 3, 2], true)).toEqual([0]);
+		});
+
+		test('keeps ties but highlights nothing when every planet is equal', () => {
+			expect(PlanetComparator.getBest([3, 1, 3])).toEqual([0, 2]);
+			expect(PlanetComparator.getBest([2, 2])).toEqual([]);
+		});
+
+	});
+
+	// ========================================
+	// compare()
+	// ========================================
+
+	describe('compare', () => {
+
+		test('lines up every row for every planet', () => {
+			const comparison = PlanetComparator.compare({ ...RUN_PARAMS, planets: [RICH, HOSTILE] });
+
+			expect(comparison.planets.map(p => p.name)).toEqual(['Rich', 'Hostile']);
+			expect(comparison.rows.map(r => r.key)).toEqual(PlanetComparator.ROWS.map(r => r.key));
+			for (const r of comparison.rows) {
+				expect(r.values).toHaveLength(2);
+			}
+		});
+
+		test('the overall row is the PlanetReviewScorer score', () => {
+			const comparison = PlanetComparator.compare({ ...RUN_PARAMS, planets: [RICH, HOSTILE] });
+
+			expect(row(comparison, 'overall').values[1])
+				.toBe(PlanetReviewScorer.score(HOSTILE.sectors, { fuelCost: HOSTILE.fuelCost }).overall);
+		});
+
+		test('highlights the planet with more fuel and the cheaper trip', () => {
+			const comparison = PlanetComparator.compare({ ...RUN_PARAMS, planets: [RICH, HOSTILE] });
+
+			expect(row(comparison, 'fuel').values[0]).toBeGreaterThan(row(comparison, 'fuel').values[1]);
+			expect(row(comparison, 'fuel').best).toEqual([0]);
+			expect(row(comparison, 'fuelCost').best).toEqual([0]);
+			expect(row(comparison, 'eventDamage').best).toEqual([0]);
+		});
+
+		test('needs 2 to MAX_PLANETS planets', () => {
+			expect(PlanetComparator.compare({ ...RUN_PARAMS, planets: [RICH] })).toBeNull();
+			expect(PlanetComparator.build(Array(PlanetComparator.MAX_PLANETS + 1).fill(RICH), [])).toBeNull();
+		});
+
+	});
+
+	// ========================================
+	// simulate() + build() (worker path)
+	// ========================================
+
+	test('simulating then building matches compare()', () => {
+		const params = { ...RUN_PARAMS, planets: [RICH, HOSTILE] };
+		const simulations = PlanetComparator.simulate(params);
+
+		expect(simulations).toHaveLength(2);
+		expect(PlanetComparator.build(params.planets, simulations)).toEqual(PlanetComparator.compare(params));
+	});
+
+});
@@ -0,0 +1,112 @@
+/**
+ * PlanetLibrary Tests
+ *
+ * Covers the persisted history of imported planets: deduplication, search, delete
+ * and the scores stored per scoring profile.
+ */
+
+describe('PlanetLibrary', () => {
+
+	const RUBY = {
+		name: 'Ruby', sectors: ['LANDING', 'FOREST', 'HYDROCARBON', 'FRUIT_TREES'],
+		direction: 'East', fuelCost: 3, source: 'chat'
+	};
+	const ONYX = {
+		name: 'Onyx', sectors: ['LANDING', 'DESERT', 'PREDATOR'],
+		direction: 'North', fuelCost: 6, source: 'card'
+	};
+
+	beforeEach(() => {
+		localStorage.clear();
+	});
+
+	test('is empty when nothing is saved', () => {
+		expect(PlanetLibrary.load()).toEqual([]);
+	});
+
+	test('keeps every imported planet with its details, newest first', () => {
+		PlanetLibrary.add(RUBY);
+		PlanetLibrary.add(ONYX);
+
+		const [onyx, ruby] = PlanetLibrary.load();
+
+		expect(onyx).toMatchObject(ONYX);
+		expect(ruby).toMatchObject(RUBY);
+		expect(typeof ruby.id).toBe('string');
+		expect(typeof ruby.importedAt).toBe('number');
+	});
+
+	test('the same planet imported twice is refreshed and moved up', () => {
+		const first = PlanetLibrary.add(RUBY);
+		PlanetLibrary.add(ONYX);
+		const again = PlanetLibrary.add({ ...RUBY, sectors: [...RUBY.sectors].reverse(), source: 'card' });
+
+		const planets = PlanetLibrary.load();
+
+		expect(planets).toHaveLength(2);
+		expect(planets[0].id).toBe(first.id);
+		expect(again.id).toBe(first.id);
+		expect(planets[0].source).toBe('card');
+	});
+
+	test('ignores an imported score: it depends on the scoring profile', () => {
+		PlanetLibrary.add({ ...RUBY, score: { profile: 'x', overall: 3.5 } });
+
+		expect(PlanetLibrary.load()[0].score).toBeNull();
+	});
+
+	test('stores the score per profile and only rescores under another profile', () => {
+		const fuelOnly = { weights: { fruits: 0, steaks: 0, fuel: 2, artifacts: 0 } };
+		PlanetLibrary.add(RUBY);
+		const spy = jest.spyOn(PlanetReviewScorer, 'score');
+
+		const [scored] = PlanetLibrary.withScores(PlanetLibrary.load());
+		expect(scored.score.overall).toBe(PlanetReviewScorer.score(RUBY.sectors, { fuelCost: RUBY.fuelCost }).overall);
+		expect(PlanetLibrary.load()[0].score).toEqual(scored.score);
+		spy.mockClear();
+
+		PlanetLibrary.withScores(PlanetLibrary.search('ruby'));
+		expect(spy).not.toHaveBeenCalled();
+
+		PlanetLibrary.withScores(PlanetLibrary.load(), fuelOnly);
+		expect(spy).toHaveBeenCalledTimes(1);
+		expect(PlanetLibrary.load()[0].score.profile).toBe(JSON.stringify(PlanetReviewScorer.resolveProfile(fuelOnly)));
+		spy.mockRestore();
+	});
+
+	test('same name with other sectors is another planet', () => {
+		PlanetLibrary.add(RUBY);
+		PlanetLibrary.add({ ...RUBY, sectors: ['LANDING', 'OCEAN'] });
+
+		expect(PlanetLibrary.load()).toHaveLength(2);
+	});
+
+	test('search matches names and sector names, case-insensitive', () => {
+		PlanetLibrary.add(RUBY);
+		PlanetLibrary.add(ONYX);
+
+		expect(PlanetLibrary.search('ruB').map(p => p.name)).toEqual(['Ruby']);
+		expect(PlanetLibrary.search('fruit trees').map(p => p.name)).toEqual(['Ruby']);
+		expect(PlanetLibrary.search('landing')).toHaveLength(2);
+		expect(PlanetLibrary.search('  ')).toHaveLength(2);
+	});
+
+	test('remove and get work by id', () => {
+		const ruby = PlanetLibrary.add(RUBY);
+		PlanetLibrary.add(ONYX);
+
+		expect(PlanetLibrary.get(ruby.id).name).toBe('Ruby');
+		PlanetLibrary.remove(ruby.id);
+
+		expect(PlanetLibrary.get(ruby.id)).toBeNull();
+		expect(PlanetLibrary.load().map(p => p.name)).toEqual(['Onyx']);
+	});
+
+	test('ignores planets without sectors and corrupted storage', () => {
+		expect(PlanetLibrary.add({ name: 'Void', sectors: [] })).toBeNull();
+
+		localStorage.setItem('expe-sim-planet-library', '{not json');
+		expect(PlanetLibrary.load()).toEqual([]);
+	});
+
+});
@@ -0,0 +1,111 @@
+/**
+ * PlanetRanking Tests
+ *
+ * Percentile of a planet's review against generated planets of the same size.
+ */
+
+describe('PlanetRanking', () => {
+
+	const FUEL_RICH = ['LANDING', 'HYDROCARBON', 'HYDROCARBON', 'OXYGEN', 'DESERT'];
+	const DEADLY = ['LANDING', 'MANKAROG', 'PREDATOR', 'PREDATOR', 'VOLCANIC_ACTIVITY'];
+
+	describe('getShareBeaten', () => {
+
+		test('counts the strictly worse values', () => {
+			expect(PlanetRanking.getShareBeaten(2, [1, 2, 3, 1])).toBe(0.5);
+			expect(PlanetRanking.getShareBeaten(2, [1, 2, 3, 1], true)).toBe(0.25);
+			expect(PlanetRanking.getShareBeaten(2, [])).toBe(0);
+		});
+
+	});
+
+	describe('getBatch', () => {
+
+		test('generates the batch once per size', () => {
+			const batch = PlanetRanking.getBatch(4);
+
+			expect(batch).toHaveLength(PlanetRanking.BATCH_SIZE);
+			batch.forEach(planet => expect(PlanetGenerator.getSize(planet)).toBe(4));
+			expect(PlanetRanking.getBatch(4)).toBe(batch);
+		});
+
+	});
+
+	describe('rank', () => {
+
+		test('returns shares in [0, 1] for the overall score and each axis', () => {
+			const ranking = PlanetRanking.rank(FUEL_RICH);
+
+			expect(ranking.size).toBe(4);
+			expect(ranking.overall).toBeGreaterThanOrEqual(0);
+			expect(ranking.overall).toBeLessThanOrEqual(1);
+			expect(Object.keys(ranking.axes)).toEqual(expect.arrayContaining(['fruits', 'steaks', 'fuel', 'artifacts', 'lethality', 'hazards']));
+			Object.values(ranking.axes).forEach(share => {
+				expect(share).toBeGreaterThanOrEqual(0);
+				expect(share).toBeLessThanOrEqual(1);
+			});
+		});
+
+		test('a fuel-rich planet beats most random planets on fuel', () => {
+			expect(PlanetRanking.rank(FUEL_RICH).axes.fuel).toBeGreaterThan(0.8);
+		});
+
+		test('a deadly planet is safer than few random planets', () => {
+			const ranking = PlanetRanking.rank(DEADLY);
+			expect(ranking.axes.lethality).toBeLessThan(0.2);
+			expect(PlanetRanking.rank(FUEL_RICH).axes.lethality).toBeGreaterThan(ranking.axes.lethality);
+		});
+
+		test('prepares the batch sectors once per size and Diplomacy', () => {
+			const fuelOnly = { weights: { fruits: 0, steaks: 0, fuel: 2, artifacts: 0 } };
+			PlanetRanking.rank(FUEL_RICH);
+			const before = PlanetRanking._prepared.size;
+
+			PlanetRanking.rank(FUEL_RICH, { profile: fuelOnly });
+			PlanetRanking.rank(FUEL_RICH, { fuelCost: 6, fightResourceBonus: { fuel: 2 } });
+			expect(PlanetRanking._prepared.size).toBe(before);
+
+			PlanetRanking.rank(FUEL_RICH, { diplomacy: true });
+			expect(PlanetRanking._prepared.size).toBe(before + 1);
+		});
+
+		test('scores the batch with the same fuel cost and Diplomacy as the planet', () => {
+			const spy = jest.spyOn(PlanetReviewScorer, 'score');
+
+			PlanetRanking.rank(FUEL_RICH, { fuelCost: 4, diplomacy: true });
+
+			const batchCall = spy.mock.calls.find(([, options]) => options.prepared);
+			expect(batchCall[1]).toEqual(expect.objectContaining({ fuelCost: 4, diplomacy: true, starsOnly: true }));
+			expect(batchCall[1].prepared.diplomacy).toBe(true);
+			spy.mockRestore();
+		});
+
+		test('applies the fuel cost to the batch scores', () => {
+			const scores = PlanetRanking._getBatchScores(4, {});
+			const expensive = PlanetRanking._getBatchScores(4, { fuelCost: 6 });
+
+			expect(expensive.overall).not.toEqual(scores.overall);
+			expect(expensive.axes).toEqual(scores.axes);
+		});
+
+		test('ranks unscanned sectors on their expected contents, not as empty sectors', () => {
+			const ranking = PlanetRanking.rank(['LANDING', 'UNKNOWN', 'UNKNOWN', 'UNKNOWN', 'UNKNOWN']);
+
+			expect(ranking.size).toBe(4);
+			expect(ranking.overall).toBeGreaterThan(0.2);
+			expect(ranking.axes.fuel).toBeGreaterThan(0);
+		});
+
+		test('ranks the review it is given', () => {
+			const review = PlanetReviewScorer.score(DEADLY);
+
+			expect(PlanetRanking.rank(FUEL_RICH, { review })).toEqual(PlanetRanking.rank(DEADLY));
+		});
+
+		test('nothing to rank outside the generated sizes', () => {
+			expect(PlanetRanking.rank(['LANDING', 'FOREST'])).toBeNull();
+			expect(PlanetRanking.rank(['LANDING'])).toBeNull();
+		});
+
+	});
+});
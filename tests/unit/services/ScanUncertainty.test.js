@@ -0,0 +1,127 @@
+/**
+ * ScanUncertainty Tests
+ *
+ * Review and expedition of a partially scanned planet, expected over the
+ * possible contents of its UNKNOWN sectors.
+ */
+
+describe('ScanUncertainty', () => {
+
+	const TEAM = [
+		{ avatar: 'a.png', abilities: [null, null, null, null], items: [null, null, null], health: 14 },
+		{ avatar: 'b.png', abilities: [null, null, null, null], items: [null, null, null], health: 14 }
+	];
+	const PARTIAL = ['LANDING', 'OXYGEN', 'FOREST', 'UNKNOWN', 'UNKNOWN', 'UNKNOWN'];
+	const SCANNED = ['LANDING', 'OXYGEN', 'FOREST'];
+
+	describe('getBand', () => {
+
+		test('returns the mean and the band quantiles', () => {
+			const band = ScanUncertainty.getBand([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+			expect(band.mean).toBeCloseTo(4.5, 10);
+			expect(band.low).toBe(1);
+			expect(band.high).toBe(9);
+		});
+
+		test('is flat for an empty sample', () => {
+			expect(ScanUncertainty.getBand([])).toEqual({ mean: 0, low: 0, high: 0 });
+		});
+
+	});
+
+	describe('review', () => {
+
+		test('nothing to report for a fully scanned planet', () => {
+			expect(ScanUncertainty.review(SCANNED)).toBeNull();
+		});
+
+		test('bands every axis and the overall score', () => {
+			const uncertainty = ScanUncertainty.review(PARTIAL);
+
+			expect(uncertainty.unknownCount).toBe(3);
+			expect(uncertainty.samples).toBe(ScanUncertainty.REVIEW_SAMPLES);
+			for (const band of [uncertainty.overall, ...Object.values(uncertainty.axes)]) {
+				expect(band.low).toBeLessThanOrEqual(band.mean);
+				expect(band.mean).toBeLessThanOrEqual(band.high);
+			}
+			expect(uncertainty.overall.high).toBeGreaterThan(uncertainty.overall.low);
+		});
+
+		test('is stable for the same planet', () => {
+			const first = ScanUncertainty.review(PARTIAL);
+			ScanUncertainty._reviews.clear();
+			expect(ScanUncertainty.review(PARTIAL)).toEqual(first);
+		});
+
+		test('scores the completions once per planet and scoring options', () => {
+			ScanUncertainty._reviews.clear();
+			const spy = jest.spyOn(ScanUncertainty, '_scoreCompletions');
+
+			const first = ScanUncertainty.review(PARTIAL, { fuelCost: 2 });
+			expect(ScanUncertainty.review(PARTIAL, { fuelCost: 2 })).toBe(first);
+			ScanUncertainty.review(PARTIAL, { fuelCost: 6 });
+
+			expect(spy).toHaveBeenCalledTimes(2);
+			spy.mockRestore();
+		});
+
+		test('keeps the latest reviews only', () => {
+			for (let fuelCost = 0; fuelCost <= ScanUncertainty.MAX_CACHED_REVIEWS; fuelCost++) {
+				ScanUncertainty.review(PARTIAL, { fuelCost });
+			}
+			expect(ScanUncertainty._reviews.size).toBe(ScanUncertainty.MAX_CACHED_REVIEWS);
+		});
+
+		test('unknowns are no longer counted as empty', () => {
+			const scanned = PlanetReviewScorer.score(PARTIAL);
+			const uncertainty = ScanUncertainty.review(PARTIAL);
+			const hazards = scanned.axes.find(axis => axis.key === 'hazards').stars;
+			expect(uncertainty.axes.hazards.mean).toBeGreaterThan(hazards);
+		});
+
+	});
+
+	describe('applyToReview', () => {
+
+		test('shows expected stars with their bands and keeps the rest of the review', () => {
+			const review = PlanetReviewScorer.score(PARTIAL, { explain: true });
+			const uncertainty = ScanUncertainty.review(PARTIAL);
+			const applied = ScanUncertainty.applyToReview(review, uncertainty);
+
+			expect(applied.overall).toBe(Math.round(uncertainty.overall.mean * 2) / 2);
+			expect(applied.overallBand).toBe(uncertainty.overall);
+			const fuel = applied.axes.find(axis => axis.key === 'fuel');
+			expect(fuel.band).toBe(uncertainty.axes.fuel);
+			expect(applied.explanation).toBe(review.explanation);
+			expect(applied.booleans).toBe(review.booleans);
+		});
+
+		test('returns the review untouched without uncertainty', () => {
+			const review = PlanetReviewScorer.score(SCANNED);
+			expect(ScanUncertainty.applyToReview(review, null)).toBe(review);
+		});
+
+	});
+
+	describe('simulate / summarize', () => {
+
+		const RUN_PARAMS = { allPlayers: TEAM, antigravActive: false, iterations: 100 };
+
+		test('runs one expedition per completion and bands each metric', () => {
+			const summary = ScanUncertainty.expedition({ ...RUN_PARAMS, sectors: PARTIAL });
+
+			expect(summary.unknownCount).toBe(3);
+			expect(summary.samples).toBe(ScanUncertainty.SIMULATION_SAMPLES);
+			for (const key of MarginalValueAnalyzer.METRICS) {
+				expect(summary.metrics[key].low).toBeLessThanOrEqual(summary.metrics[key].high);
+			}
+		});
+
+		test('nothing to simulate without unknowns or players', () => {
+			expect(ScanUncertainty.simulate({ ...RUN_PARAMS, sectors: SCANNED })).toEqual([]);
+			expect(ScanUncertainty.simulate({ ...RUN_PARAMS, allPlayers: [], sectors: PARTIAL })).toEqual([]);
+			expect(ScanUncertainty.summarize([], 3)).toBeNull();
+		});
+
+	});
+});
@@ -45,4 +45,22 @@ describe('Format', () => {
 
 	});
 
+	describe('delta', () => {
+
+		test('returns "0" for differences that round to zero', () => {
+			expect(Format.delta(0)).toBe('0');
+			expect(Format.delta(-0.04)).toBe('0');
+		});
+
+		test('signs the difference with one decimal place', () => {
+			expect(Format.delta(1.46)).toBe('+1.5');
+			expect(Format.delta(-0.3)).toBe('-0.3');
+		});
+
+		test('appends the unit', () => {
+			expect(Format.delta(12.34, '%')).toBe('+12.3%');
+		});
+
+	});
+
 });
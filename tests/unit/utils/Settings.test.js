@@ -0,0 +1,76 @@
+/**
+ * Settings Tests
+ *
+ * Covers the persisted planet scoring profiles. Settings reads localStorage
+ * when the script runs, so each test loads a fresh copy.
+ */
+
+describe('Settings scoring profiles', () => {
+
+	const SETTINGS_PATH = '../../../general/js/utils/Settings.js';
+
+	function loadSettings() {
+		let settings;
+		jest.isolateModules(() => {
+			require(SETTINGS_PATH);
+			settings = window.Settings;
+		});
+		return settings;
+	}
+
+	beforeEach(() => {
+		localStorage.clear();
+	});
+
+	test('starts with the built-in profiles and the default one active', () => {
+		const settings = loadSettings();
+
+		expect(settings.scoringProfiles.map(p => p.id)).toEqual(['balanced', 'fuel', 'food', 'artefacts']);
+		expect(settings.activeScoringProfileId).toBe(settings.defaultScoringProfileId);
+		expect(settings.activeScoringProfile.weights).toEqual(PlanetReviewScorer.DEFAULT_PROFILE.weights);
+	});
+
+	test('saved profiles and the active one survive a reload', () => {
+		const settings = loadSettings();
+		settings.saveScoringProfile({ id: 'custom-1', name: 'Jet', weights: { fuel: 2 }, penalties: { hazards: false } });
+		settings.setActiveScoringProfile('custom-1');
+
+		const reloaded = loadSettings();
+
+		expect(reloaded.activeScoringProfile).toEqual({ id: 'custom-1', name: 'Jet', weights: { fuel: 2 }, penalties: { hazards: false } });
+	});
+
+	test('editing a profile replaces it and notifies listeners', () => {
+		const settings = loadSettings();
+		const listener = jest.fn();
+		document.addEventListener('settings:scoring-profiles-change', listener);
+
+		settings.saveScoringProfile({ ...settings.scoringProfiles[1], penalties: { lethality: false, hazards: true } });
+		document.removeEventListener('settings:scoring-profiles-change', listener);
+
+		expect(settings.scoringProfiles).toHaveLength(4);
+		expect(settings.scoringProfiles[1].penalties.lethality).toBe(false);
+		expect(listener.mock.calls[0][0].detail.activeId).toBe('balanced');
+	});
+
+	test('deleting the active profile falls back to the default one, which cannot be deleted', () => {
+		const settings = loadSettings();
+		settings.setActiveScoringProfile('fuel');
+
+		settings.deleteScoringProfile('fuel');
+		settings.deleteScoringProfile('balanced');
+
+		expect(settings.scoringProfiles.map(p => p.id)).toEqual(['balanced', 'food', 'artefacts']);
+		expect(settings.activeScoringProfileId).toBe('balanced');
+	});
+
+	test('ignores unknown ids and corrupted storage', () => {
+		localStorage.setItem('expe-sim-scoring-profiles', JSON.stringify([{ name: 'no id' }, null]));
+		localStorage.setItem('expe-sim-scoring-profile', 'missing');
+		const settings = loadSettings();
+
+		expect(settings.scoringProfiles.map(p => p.id)).toEqual(['balanced']);
+		settings.setActiveScoringProfile('missing');
+		expect(settings.activeScoringProfileId).toBe('balanced');
+	});
+});
@@ -86,6 +86,42 @@ describe('ExpeditionRunner', () => {
 			}
 		});
 
+		test('playerHealth gives an HP distribution and death chance per participating player', () => {
+			const result = ExpeditionRunner.run({
+				sectors: SECTORS, allPlayers: PLAYERS,
+				antigravActive: false, exploredCount: EXPLORED, withHealthDistribution: true
+			});
+
+			expect(result.playerHealth).toHaveLength(PLAYERS.length);
+			for (const stats of result.playerHealth) {
+				expect(stats.distribution).toBeInstanceOf(Map);
+				expect(stats.deathProbability).toBeGreaterThanOrEqual(0);
+				expect(stats.woundedProbability).toBeGreaterThanOrEqual(stats.deathProbability);
+			}
+		});
+
+		test('the convolution engine skips the health pass unless asked for it', () => {
+			const result = ExpeditionRunner.run({
+				sectors: SECTORS, allPlayers: PLAYERS,
+				antigravActive: false, exploredCount: EXPLORED
+			});
+
+			expect(result.healthByScenario).toBeDefined();
+			expect(result.playerHealth).toBeUndefined();
+			expect(result.outcomes).toBeUndefined();
+		});
+
+		test('lostCrew carries the rescue odds and planned LOST count when someone can go missing', () => {
+			const result = ExpeditionRunner.run({
+				sectors: SECTORS, allPlayers: PLAYERS,
+				antigravActive: false, exploredCount: EXPLORED
+			});
+
+			expect(result.lostCrew.missingProbability).toBeGreaterThan(0);
+			expect(result.lostCrew.rescue.withTracker.kill).toBe(0);
+			expect(result.lostCrew.rescueLostCount).toBeGreaterThanOrEqual(1);
+		});
+
 		test('participationStatus has one entry per allPlayers player', () => {
 			const result = ExpeditionRunner.run({
 				sectors: SECTORS, allPlayers: PLAYERS,
@@ -103,6 +139,13 @@ describe('ExpeditionRunner', () => {
 			expect(result).toBeNull();
 		});
 
+		test('throws on an unknown engine instead of falling back to convolution', () => {
+			expect(() => ExpeditionRunner.run({
+				sectors: SECTORS, allPlayers: PLAYERS,
+				antigravActive: false, exploredCount: EXPLORED, engine: 'Convolution'
+			})).toThrow('Unknown calculation engine: Convolution');
+		});
+
 	});
 
 	// =========================================================================
@@ -211,4 +254,126 @@ describe('ExpeditionRunner', () => {
 
 	});
 
+	// =========================================================================
+	// Explored count
+	// =========================================================================
+
+	describe('explored count', () => {
+
+		const PLANET = ['LANDING', 'FOREST', 'DESERT', 'OXYGEN', 'RUINS', 'CAVE'];
+		const SPRINTER = { abilities: ['human/sprint.png'], items: [], health: 14 };
+		const run = (extra = {}) => ExpeditionRunner.run({
+			sectors: PLANET, allPlayers: [PLAYERS[1]], antigravActive: false, ...extra
+		});
+
+		test('is derived from the mode when no override is given', () => {
+			expect(run().sectorsExplored.planned).toBe(5);
+			expect(run({ mode: 'patrol' }).sectorsExplored.planned).toBe(3);
+		});
+
+		test('Sprint moves the team one sector further', () => {
+			const withSprint = run({ mode: 'patrol', allPlayers: [SPRINTER] });
+
+			expect(withSprint.sectorsExplored.planned).toBe(4);
+			expect(withSprint.sectorsExplored.expected).toBeGreaterThan(run({ mode: 'patrol' }).sectorsExplored.expected);
+		});
+
+		test('the manual count overrides the derived one', () => {
+			expect(run({ mode: 'patrol', allPlayers: [SPRINTER], exploredCount: 2 }).sectorsExplored.planned).toBe(2);
+		});
+
+	});
+
+	// =========================================================================
+	// Patrol ship mode
+	// =========================================================================
+
+	describe("mode: 'patrol'", () => {
+
+		const run = (extra = {}) => ExpeditionRunner.run({
+			sectors: SECTORS, allPlayers: PLAYERS, antigravActive: false, exploredCount: EXPLORED, ...extra
+		});
+
+		test('players beyond the patrol ship seats stay in the ship', () => {
+			const result = run({ mode: 'patrol' });
+
+			expect(result.participationStatus.map(s => s.canParticipate)).toEqual([true, false]);
+			expect(result.healthByScenario.average).toHaveLength(1);
+			expect(run().participationStatus.every(s => s.canParticipate)).toBe(true);
+		});
+
+		test('the Antigrav Propeller does not help a patrol ship land', () => {
+			const noPilot = [PLAYERS[1]];
+			const landing = (extra) => run({ sectors: ['LANDING', 'OXYGEN'], allPlayers: noPilot, ...extra })
+				.sectorBreakdown.LANDING.events;
+
+			expect(landing({ mode: 'patrol', antigravActive: true })).toEqual(landing({ mode: 'patrol' }));
+			expect(landing({ antigravActive: true })).not.toEqual(landing({}));
+		});
+
+		test('a pilot still lands the patrol ship safely', () => {
+			const events = run({ sectors: ['LANDING', 'OXYGEN'], mode: 'patrol' }).sectorBreakdown.LANDING.events;
+
+			expect(events.TIRED_2).toBeUndefined();
+			expect(events.DISASTER_3_5).toBeUndefined();
+		});
+
+	});
+
+	// =========================================================================
+	// Monte Carlo engine
+	// =========================================================================
+
+	describe("engine: 'montecarlo'", () => {
+
+		const run = (extra = {}) => ExpeditionRunner.run({
+			sectors: SECTORS, allPlayers: PLAYERS,
+			antigravActive: false, exploredCount: EXPLORED,
+			engine: 'montecarlo', iterations: 300, ...extra
+		});
+
+		test('returns the same top-level fields as the convolution engine', () => {
+			const result = run();
+			const convolution = ExpeditionRunner.run({
+				sectors: SECTORS, allPlayers: PLAYERS,
+				antigravActive: false, exploredCount: EXPLORED
+			});
+
+			for (const key of Object.keys(convolution)) {
+				expect(result).toHaveProperty(key);
+			}
+			expect(result._monteCarlo.iterations).toBe(300);
+		});
+
+		test('healthByScenario has one entry per participating player', () => {
+			const result = run();
+			for (const key of Constants.SCENARIO_KEYS) {
+				expect(result.healthByScenario[key]).toHaveLength(PLAYERS.length);
+			}
+		});
+
+		test('is reproducible for a given seed', () => {
+			expect(run({ seed: 5 })).toEqual(run({ seed: 5 }));
+		});
+
+	});
+
+	describe("engine: 'sequential'", () => {
+
+		test('returns a death probability for each participating player', () => {
+			const result = ExpeditionRunner.run({
+				sectors: SECTORS, allPlayers: PLAYERS,
+				antigravActive: false, exploredCount: EXPLORED,
+				engine: 'sequential', iterations: 300
+			});
+
+			expect(result._monteCarlo.sequential).toBe(true);
+			expect(result.deathProbability).toHaveLength(PLAYERS.length);
+			for (const key of Constants.SCENARIO_KEYS) {
+				expect(result.healthByScenario[key]).toHaveLength(PLAYERS.length);
+			}
+		});
+
+	});
+
 });